@@ -17,6 +17,10 @@
  *   --help      Show help information
  *   --clear     Clear stored credentials
  *   --verbose   Show detailed logs
+ *   --set-passphrase  Protect stored credentials with a passphrase
+ *   --check-recipient <recipient>  Check a username or wallet address offline
+ *   --env       Environment profile: production, testnet or local
+ *   --api-url   Override the API base URL of the environment
  */
 
 const axios = require('axios');
@@ -24,7 +28,9 @@ const fs = require('fs');
 const path = require('path');
 const util = require('util');
 const { program } = require('commander');
-const Store = require('electron-store');
+const { getConfig } = require('./src/config');
+const { CredentialVault, VaultError } = require('./src/main/vault');
+const { parseRecipient } = require('./src/api/address');
 
 // Use prompt-sync for simple command line prompts
 // This avoids adding new dependencies as electron already has it
@@ -48,26 +54,36 @@ program
   .option('-c, --clear', 'Clear stored credentials')
   .option('-s, --save', 'Save successful credentials for future use')
   .option('-t, --test', 'Test saved credentials (if available)')
+  .option('-P, --set-passphrase', 'Set or change the passphrase protecting saved credentials')
+  .option('--check-recipient <recipient>', 'Check a username or wallet address without contacting the API')
+  .option('--env <name>', 'Environment profile: production, testnet or local')
+  .option('--api-url <url>', 'Override the API base URL of the environment')
   .parse(process.argv);
 
 const options = program.opts();
 
-// Create a local store for saving credentials
-const store = new Store({
+// Create a local vault for saving credentials. Its key is generated per install,
+// or derived from the passphrase set with --set-passphrase
+const store = new CredentialVault({
   name: 'pi-debug-credentials',
-  encryptionKey: 'pi-network-debug-auth'  // Simple encryption for stored credentials
+  legacyEncryptionKey: 'pi-network-debug-auth' // Only used to migrate credentials saved by older versions
 });
 
-// Configure API endpoints to test
+// Number of passphrase attempts before giving up
+const MAX_UNLOCK_ATTEMPTS = 3;
+
+// Configure API endpoints to test, for the environment selected with --env,
+// --api-url, PI_NETWORK_ENV or PI_API_BASE_URL (see src/config.js)
+const config = getConfig();
 const endpoints = [
   {
     name: 'v2 endpoint',
-    url: 'https://api.minepi.com/v2/auth/login',
+    url: `${config.apiBaseURL}/auth/login`,
     description: 'Using /v2/auth/login path'
   },
   {
     name: 'direct endpoint', 
-    url: 'https://api.minepi.com/auth/login',
+    url: `${config.apiRootURL}/auth/login`,
     description: 'Using /auth/login path (without /v2)'
   }
 ];
@@ -106,6 +122,8 @@ function showWelcomeBanner() {
   console.log('- Showing detailed logs of requests and responses');
   console.log('- Saving successful credentials for future testing\n');
   
+  console.log(`Environment: ${config.label} (${config.apiBaseURL})\n`);
+  
   if (options.verbose) {
     console.log('\x1b[33mVerbose mode enabled: Showing detailed request/response data\x1b[0m\n');
   }
@@ -278,6 +296,60 @@ function saveCredentials(username, password, tokenData) {
   }
 }
 
+/**
+ * Unlock the credential vault, prompting for its passphrase if one is set
+ * @returns {Promise<void>}
+ */
+async function unlockStore() {
+  if (!store.isInitialized() || !store.requiresPassphrase()) {
+    await store.unlock();
+    return;
+  }
+  
+  for (let attempt = 1; attempt <= MAX_UNLOCK_ATTEMPTS; attempt++) {
+    const passphrase = prompt('Credential passphrase: ', { echo: '*' });
+    
+    try {
+      await store.unlock(passphrase);
+      return;
+    } catch (error) {
+      if (!(error instanceof VaultError)) {
+        throw error;
+      }
+      logger.error(error.message);
+    }
+  }
+  
+  throw new Error('Too many invalid passphrase attempts');
+}
+
+/**
+ * Set or change the passphrase protecting saved credentials
+ * @returns {Promise<void>}
+ */
+async function setStorePassphrase() {
+  const currentPassphrase = store.requiresPassphrase()
+    ? prompt('Current passphrase: ', { echo: '*' })
+    : undefined;
+  const newPassphrase = prompt('New passphrase: ', { echo: '*' });
+  const confirmPassphrase = prompt('Confirm new passphrase: ', { echo: '*' });
+  
+  if (newPassphrase !== confirmPassphrase) {
+    logger.error('Passphrases do not match');
+    return;
+  }
+  
+  try {
+    await store.setPassphrase(newPassphrase, currentPassphrase);
+    logger.success('Saved credentials are now protected by your passphrase');
+  } catch (error) {
+    if (!(error instanceof VaultError)) {
+      throw error;
+    }
+    logger.error(error.message);
+  }
+}
+
 /**
  * Clear saved credentials
  */
@@ -372,14 +444,54 @@ function writeDebugLogFile(results, credentials) {
   }
 }
 
+/**
+ * Check a send recipient offline: tell a username from an address and verify
+ * the address checksum
+ * @param {string} recipient - Username or wallet address
+ * @returns {boolean} True if the recipient is valid
+ */
+function checkRecipient(recipient) {
+  try {
+    const parsed = parseRecipient(recipient);
+    if (parsed.type === 'username') {
+      logger.success(`Username: ${parsed.username}`);
+    } else {
+      logger.success(`${parsed.type === 'muxed' ? 'Muxed address' : 'Wallet address'} with a valid checksum: ${parsed.address}`);
+      if (parsed.muxedId) {
+        logger.info(`Account address: ${parsed.baseAddress}`);
+        logger.info(`Muxed account ID: ${parsed.muxedId}`);
+      }
+    }
+    return true;
+  } catch (error) {
+    logger.error(error.message);
+    return false;
+  }
+}
+
 /**
  * Main function that coordinates the entire authentication testing process
  * @returns {Promise<void>}
  */
 async function main() {
+  // Recipients are checked offline, no credentials needed
+  if (options.checkRecipient !== undefined) {
+    process.exitCode = checkRecipient(options.checkRecipient) ? 0 : 1;
+    return;
+  }
+
   // Show welcome message
   showWelcomeBanner();
 
+  // Saved credentials are only readable once the vault is unlocked
+  await unlockStore();
+
+  // Check if the user just wants to set the credentials passphrase
+  if (options.setPassphrase) {
+    await setStorePassphrase();
+    return;
+  }
+
   // Check if the user just wants to clear credentials
   if (options.clear) {
     clearCredentials();
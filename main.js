@@ -1,108 +1,209 @@
-const { app, BrowserWindow, ipcMain, shell } = require('electron');
+const { app, BrowserWindow, ipcMain, shell, net, dialog } = require('electron');
 const path = require('path');
+const fs = require('fs');
 const Store = require('electron-store');
-const axios = require('axios');
+const { PROFILES, CREDENTIAL_STORE_NAME, getConfig, setSettings, getCredentialStoreName, listProfiles } = require('./src/config');
+const { createClient } = require('./src/api');
+const { AuthError, RateLimitError, NetworkError, toApiError } = require('./src/api/errors');
+const { AccountManager } = require('./src/main/accounts');
+const { CredentialVault, VaultError } = require('./src/main/vault');
+const { registerApiHandlers, toErrorResult } = require('./src/main/api-handlers');
+const { ConnectionMonitor, createApiProbe } = require('./src/main/connection');
+const { encodeQr } = require('./src/main/qr');
+const { PaymentService } = require('./src/main/payments');
+const { parseRecipient } = require('./src/api/address');
+const { createPaymentRequest, parsePaymentRequest, PAYMENT_REQUEST_SCHEME } = require('./src/main/payment-request');
+const { findDeepLink, parseDeepLink } = require('./src/main/deep-links');
+const { AddressBookError } = require('./src/main/address-book');
+const { validateExportOptions } = require('./src/api/transaction-export');
+const { loadWalletAnalytics, exportWalletAnalytics, validateExportOptions: validateAnalyticsExport } = require('./src/main/wallet-analytics');
+const { LEVELS, DEFAULT_LEVEL, createLogger, setLevel, getLevel, enableFileLogging, getLogFile } = require('./src/logger');
 
-// API endpoints
-// Debug flag - set to true to enable verbose logging
-const DEBUG = true;
+// Only one instance runs. Launching the app again, e.g. to open a pi: link,
+// hands its command line over to the running instance (see 'second-instance').
+// The second instance stops here, before it opens any store.
+if (!app.requestSingleInstanceLock()) {
+  app.exit(0);
+  return;
+}
 
-// Debug logger function
-const debugLog = (label, data) => {
-  if (DEBUG) {
-    console.log(`[DEBUG-MAIN] ${label}:`, typeof data === 'object' ? JSON.stringify(data, null, 2) : data);
+// Logger of the main process, redacts tokens and passwords (see src/logger.js)
+const log = createLogger('main');
+
+// App settings. They hold no secrets, so they are not encrypted
+const settings = new Store({
+  name: 'pi-network-settings',
+  schema: {
+    // Environment profile (see src/config.js)
+    environment: {
+      type: 'string',
+      enum: Object.keys(PROFILES)
+    },
+    // Overrides the base URL of the environment profile
+    apiBaseURL: {
+      type: 'string'
+    },
+    // Level of the console and file logs (see src/logger.js)
+    logLevel: {
+      type: 'string',
+      enum: LEVELS
+    }
   }
-};
+});
 
-// IMPORTANT: This must match BASE_API_URL in src/api/auth.js
-// Ensure v2 is included in the URL as required by the Pi Network API
-const PI_API_BASE_URL = 'https://api.minepi.com/v2';
-debugLog('API Base URL', PI_API_BASE_URL);
+// Apply the saved log level and keep rotating log files in userData/logs
+setLevel(settings.get('logLevel', DEFAULT_LEVEL));
+enableFileLogging({ directory: path.join(app.getPath('userData'), 'logs') });
 
-const PI_AUTH_ENDPOINTS = {
-  login: `${PI_API_BASE_URL}/auth/login`,
-  logout: `${PI_API_BASE_URL}/auth/logout`,
-  refresh: `${PI_API_BASE_URL}/auth/refresh`,
-  status: `${PI_API_BASE_URL}/auth/status`
-};
-debugLog('Auth Endpoints', PI_AUTH_ENDPOINTS);
+// --env/--api-url and PI_NETWORK_ENV/PI_API_BASE_URL take precedence over the saved settings
+const config = setSettings(settings.store);
+log.info('Environment', { environment: config.environment, apiBaseURL: config.apiBaseURL, source: config.source });
 
 // Linux build doesn't need Windows-specific startup handling
 // if (require('electron-squirrel-startup')) {
 //   app.quit();
 // }
 
-// Create a secure store for user credentials
-const store = new Store({
-  name: 'pi-network-auth',
-  encryptionKey: 'pi-network-secure-key', // In production, generate this dynamically
+// Create a secure store for user credentials. The encryption key is derived
+// from the optional app passphrase or generated per install (see src/main/vault.js).
+// Each environment and each overridden API base URL has its own store, so
+// production sessions are never sent to another server
+const credentialStoreName = getCredentialStoreName(config);
+const vault = new CredentialVault({
+  name: credentialStoreName,
+  // Only used to migrate stores from older versions, which only knew production
+  legacyEncryptionKey: credentialStoreName === CREDENTIAL_STORE_NAME ? 'pi-network-secure-key' : undefined,
   schema: {
-    authToken: {
-      type: 'string'
+    // Named accounts, each with its own tokens and cached user (see src/main/accounts.js)
+    accounts: {
+      type: 'object'
     },
-    refreshToken: {
+    activeAccountId: {
       type: 'string'
-    },
-    tokenExpiry: {
-      type: 'number'
-    },
-    user: {
-      type: 'object'
     }
   }
 });
 
-// Authentication state
-let isAuthenticated = false;
+// Accounts, each with its own session manager and isolated API instance
+const accounts = new AccountManager({ store: vault, createClient });
 
-// Helper function to check if token is expired
-const isTokenExpired = () => {
-  const expiryTime = store.get('tokenExpiry');
-  if (!expiryTime) return true;
+// Forward session status changes (login, renewal, forced logout) of the
+// active account to every window
+accounts.on('status-change', (status) => {
+  if (status.accountId !== accounts.getActiveId()) {
+    return;
+  }
   
-  // Consider token expired 5 minutes before actual expiry to be safe
-  return Date.now() >= (expiryTime - 5 * 60 * 1000);
+  log.debug('Auth Status Change', { isAuthenticated: status.isAuthenticated, reason: status.reason });
+  BrowserWindow.getAllWindows().forEach((window) => {
+    window.webContents.send('auth-status-change', status);
+  });
+});
+
+// Push cached responses refreshed in the background for the active account,
+// so windows can replace the stale data they show
+accounts.on('cache-update', ({ accountId, endpoint, args, data, cachedAt }) => {
+  if (accountId !== accounts.getActiveId()) {
+    return;
+  }
+  
+  BrowserWindow.getAllWindows().forEach((window) => {
+    window.webContents.send('api-cache-update', { endpoint, args, data, cachedAt });
+  });
+});
+
+// Reachability of the API server, pushed to every window. The accounts
+// pause their token renewals and cache refreshes while it is unreachable.
+const connection = new ConnectionMonitor({
+  probe: createApiProbe({ baseURL: config.apiBaseURL, timeout: config.timeout }),
+  server: new URL(config.apiBaseURL).host,
+  isOnline: () => net.isOnline()
+});
+
+connection.on('status', (status) => {
+  accounts.setOnline(status.connected);
+  BrowserWindow.getAllWindows().forEach((window) => {
+    window.webContents.send('pi-network-status', status);
+  });
+});
+
+// Name of an account in the payment dialogs, e.g. 'Savings (@pioneer)'
+const describeAccount = (accountId) => {
+  const account = accounts.list().find((item) => item.id === accountId);
+  if (!account) {
+    return 'the active account';
+  }
+  return account.username && account.username !== account.name
+    ? `${account.name} (@${account.username})`
+    : account.name;
 };
 
-// Helper function to refresh the token
-const refreshToken = async () => {
-  try {
-    const refreshToken = store.get('refreshToken');
-    if (!refreshToken) throw new Error('No refresh token available');
-    
-    const response = await axios.post(PI_AUTH_ENDPOINTS.refresh, {
-      refreshToken
+// Payments of the active account, confirmed in a dialog showing the paying
+// account and the exact request
+const payments = new PaymentService({
+  getApi: () => accounts.getActive().api,
+  getAccountId: () => accounts.getActiveId(),
+  vault,
+  confirm: async ({ payment, request, accountId }) => {
+    const { response } = await dialog.showMessageBox(BrowserWindow.getFocusedWindow(), {
+      type: 'question',
+      title: 'Confirm Payment',
+      message: `Send ${payment.amount} π to ${payment.recipient} from ${describeAccount(accountId)}?`,
+      detail: `The following request will be sent to the Pi Network API:\n\n${request.method} ${request.path}\n`
+        + `Idempotency-Key: ${request.headers['Idempotency-Key']}\n\n${JSON.stringify(request.body, null, 2)}`,
+      buttons: ['Cancel', 'Send'],
+      defaultId: 0,
+      cancelId: 0,
+      noLink: true
     });
-    
-    const { token, refreshToken: newRefreshToken, expiresIn } = response.data;
-    
-    // Update tokens in store
-    store.set('authToken', token);
-    store.set('refreshToken', newRefreshToken);
-    store.set('tokenExpiry', Date.now() + (expiresIn * 1000));
-    
-    return token;
-  } catch (error) {
-    console.error('Token refresh failed:', error);
-    // Force logout on refresh failure
-    store.delete('authToken');
-    store.delete('refreshToken');
-    store.delete('tokenExpiry');
-    store.delete('user');
-    isAuthenticated = false;
-    throw error;
+    return response === 1;
   }
+});
+
+// Push the progress of payments (pending, completed, failed) to every window
+payments.on('update', (update) => {
+  BrowserWindow.getAllWindows().forEach((window) => {
+    window.webContents.send('transaction-update', update);
+  });
+
+  // Recipients paid recently come first in the address book of the account
+  // that paid, which may no longer be the active one
+  const account = update.status === 'completed' && accounts.get(update.accountId);
+  if (account) {
+    account.addressBook.markUsed(update.recipient);
+  }
+});
+
+// Unlock the credential vault and restore the stored account sessions
+const unlockVault = async (passphrase) => {
+  await vault.unlock(passphrase);
+  accounts.load();
+};
+
+// pi: link opened with the app, kept until the app page of an authenticated
+// account takes it (see 'deep-link-take')
+let pendingDeepLink = findDeepLink(process.argv);
+
+// Keep a link for the app page and tell the windows one is waiting. Windows
+// still on the unlock or login page take it once they load the app page.
+const openDeepLink = (uri) => {
+  pendingDeepLink = uri;
+  log.info('Deep link opened');
+  BrowserWindow.getAllWindows().forEach((window) => {
+    window.webContents.send('deep-link');
+  });
 };
 
-// Helper function to get a valid token, refreshing if necessary
-const getValidToken = async () => {
-  if (isTokenExpired()) {
-    return await refreshToken();
+// Load the main app if the active account is authenticated, the login page otherwise
+const loadAppPage = (window) => {
+  if (accounts.getActive().session.isAuthenticated()) {
+    window.loadFile(path.join(__dirname, 'index.html'));
+  } else {
+    window.loadFile(path.join(__dirname, 'login.html'));
   }
-  return store.get('authToken');
 };
 
-const createWindow = () => {
+const createWindow = async () => {
   // Create the browser window.
   const mainWindow = new BrowserWindow({
     width: 900,
@@ -115,27 +216,62 @@ const createWindow = () => {
     },
   });
 
-  // Check authentication and load the appropriate file
-  isAuthenticated = !!store.get('authToken');
-  
-  if (isAuthenticated) {
-    // Load the main app if authenticated
-    mainWindow.loadFile(path.join(__dirname, 'index.html'));
-  } else {
-    // Load the login page if not authenticated
-    mainWindow.loadFile(path.join(__dirname, 'login.html'));
-  }
-
   // Open the DevTools in development mode only
   if (process.env.NODE_ENV === 'development') {
     mainWindow.webContents.openDevTools();
   }
+
+  // Ask for the app passphrase before anything else if one is set
+  if (!vault.isUnlocked()) {
+    if (vault.isInitialized() && vault.requiresPassphrase()) {
+      mainWindow.loadFile(path.join(__dirname, 'unlock.html'));
+      return;
+    }
+    await unlockVault();
+  }
+
+  // Check authentication and load the appropriate file
+  loadAppPage(mainWindow);
 };
 
 // This method will be called when Electron has finished
 // initialization and is ready to create browser windows.
 app.on('ready', createWindow);
 
+// Open pi: links with this app. During development the app runs as
+// `electron .`, so the path of the app is passed to Electron.
+app.on('ready', () => {
+  if (process.defaultApp) {
+    app.setAsDefaultProtocolClient(PAYMENT_REQUEST_SCHEME, process.execPath, [path.resolve(process.argv[1])]);
+  } else {
+    app.setAsDefaultProtocolClient(PAYMENT_REQUEST_SCHEME);
+  }
+});
+
+// The app was launched again: show the running window and open the link
+// of the new command line, if any
+app.on('second-instance', (event, argv) => {
+  const [window] = BrowserWindow.getAllWindows();
+  if (window) {
+    if (window.isMinimized()) {
+      window.restore();
+    }
+    window.focus();
+  } else {
+    createWindow();
+  }
+
+  const link = findDeepLink(argv);
+  if (link) {
+    openDeepLink(link);
+  }
+});
+
+// Start probing the API once the network stack is ready
+app.on('ready', () => {
+  connection.start();
+});
+
 // Quit when all windows are closed, except on macOS.
 app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') {
@@ -143,6 +279,13 @@ app.on('window-all-closed', () => {
   }
 });
 
+// Stop the token renewal, connection and payment timers before quitting
+app.on('will-quit', () => {
+  accounts.dispose();
+  connection.stop();
+  payments.dispose();
+});
+
 app.on('activate', () => {
   // On OS X it's common to re-create a window in the app when the
   // dock icon is clicked and there are no other windows open.
@@ -156,84 +299,119 @@ ipcMain.handle('get-app-version', () => {
   return app.getVersion();
 });
 
+// Get the last reported connection status
+ipcMain.handle('connection-get-status', () => {
+  return connection.getStatus();
+});
+
+// Probe the API now, e.g. when the renderer saw the network come back
+ipcMain.handle('connection-check', () => {
+  return connection.check();
+});
+
+// Encode text, e.g. the wallet address, into a QR code drawn by the renderer
+ipcMain.handle('qr-encode', (event, text) => {
+  try {
+    return { success: true, ...encodeQr(text) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Tell a username from a wallet address, and catch address typos, before
+// anything is sent
+ipcMain.handle('wallet-check-recipient', (event, recipient) => {
+  try {
+    const { type, username, address, baseAddress, muxedId } = parseRecipient(recipient);
+    return { success: true, data: { type, username, address, baseAddress, muxedId } };
+  } catch (error) {
+    return toErrorResult(error, 'Invalid recipient');
+  }
+});
+
+// Build a pi: payment request URI to the username or the wallet address of
+// the active account (see src/main/payment-request.js)
+ipcMain.handle('payment-request-create', async (event, { payTo = 'username', amount = null, memo = '' } = {}) => {
+  try {
+    const { session, api } = accounts.getActive();
+    const recipient = payTo === 'address'
+      ? (await api.wallet.getWalletAddress()).address
+      : session.getUser()?.username;
+    return { success: true, data: createPaymentRequest({ recipient, amount, memo }) };
+  } catch (error) {
+    return toErrorResult(error, 'Failed to create the payment request');
+  }
+});
+
+// Read a pi: payment request URI, for the send form
+ipcMain.handle('payment-request-parse', (event, uri) => {
+  try {
+    return { success: true, data: parsePaymentRequest(uri) };
+  } catch (error) {
+    return toErrorResult(error, 'Invalid payment link');
+  }
+});
+
+// Take the pi: link waiting to be shown. It stays waiting while the active
+// account is signed out, so it is shown after the login.
+ipcMain.handle('deep-link-take', () => {
+  if (!pendingDeepLink || !vault.isUnlocked() || !accounts.getActive().session.isAuthenticated()) {
+    return { success: true, data: null };
+  }
+
+  const uri = pendingDeepLink;
+  pendingDeepLink = null;
+  try {
+    return { success: true, data: parseDeepLink(uri) };
+  } catch (error) {
+    return toErrorResult(error, 'Invalid link');
+  }
+});
+
 // Authentication IPC handlers
 
 // Handle login requests
 ipcMain.handle('auth-login', async (event, username, password) => {
-  debugLog('Login Request Received', { username });
+  log.debug('Login Request Received', { username });
   
   try {
     if (!username || !password) {
-      debugLog('Login Validation Failed', 'Missing username or password');
+      log.debug('Login Validation Failed', 'Missing username or password');
       return {
         success: false,
         error: 'Username and password are required'
       };
     }
     
+    const { session } = accounts.getActive();
+    
     try {
-      // Prepare request configuration with detailed logging
-      const requestConfig = {
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      };
-      
-      debugLog('Login Endpoint', PI_AUTH_ENDPOINTS.login);
-      
-      // Log request details (excluding sensitive data)
-      const requestBody = { username, password: '********' };
-      debugLog('Login Request Body', requestBody);
-      
-      // Call the Pi Network authentication API
-      const response = await axios.post(PI_AUTH_ENDPOINTS.login, {
-        username,
-        password
-      }, requestConfig);
-      
-      debugLog('Login Response Status', response.status);
-      debugLog('Login Response Headers', response.headers);
+      // Log in through the session manager so the API layer shares the tokens
+      const data = await session.login(username, password);
       
       // Check if response contains expected data
-      if (!response.data || !response.data.token || !response.data.refreshToken) {
-        debugLog('Login Response Invalid', 'Missing token data in response');
+      if (!data) {
+        log.debug('Login Response Invalid', 'Missing token data in response');
         return {
           success: false,
           error: 'Invalid response from authentication server'
         };
       }
       
-      // Extract authentication token and user data from response
-      const { token, refreshToken, expiresIn, user } = response.data;
-      
-      // Log token details (partially obfuscated for security)
-      debugLog('Token Received', {
-        tokenPreview: token ? `${token.substring(0, 10)}...` : 'undefined',
-        refreshTokenPreview: refreshToken ? `${refreshToken.substring(0, 10)}...` : 'undefined',
-        expiresIn
-      });
-      
-      // Store the auth token, refresh token, expiry time and user data securely
-      store.set('authToken', token);
-      store.set('refreshToken', refreshToken);
-      
-      const expiryTime = Date.now() + (expiresIn * 1000);
-      store.set('tokenExpiry', expiryTime);
-      debugLog('Token Expiry Set', new Date(expiryTime).toISOString());
+      const { user } = data;
+      const expiryTime = session.store.get('tokenExpiry');
+      log.debug('Token Expiry Set', expiryTime ? new Date(expiryTime).toISOString() : 'unknown');
       
       if (user) {
-        store.set('user', user);
-        debugLog('User Data Stored', { 
+        log.debug('User Data Stored', { 
           username: user.username,
           userId: user.id 
         });
       } else {
-        debugLog('User Data Warning', 'No user data in response');
+        log.debug('User Data Warning', 'No user data in response');
       }
       
-      // Update authentication state
-      isAuthenticated = true;
-      debugLog('Auth State Updated', { isAuthenticated });
+      log.debug('Auth State Updated', { isAuthenticated: session.isAuthenticated() });
       
       return {
         success: true,
@@ -241,62 +419,27 @@ ipcMain.handle('auth-login', async (event, username, password) => {
         message: 'Authentication successful'
       };
     } catch (error) {
-      debugLog('Login API Error', 'Failed to authenticate with Pi Network');
+      log.debug('Login API Error', 'Failed to authenticate with Pi Network');
       
-      // Enhanced error logging
-      if (error.response) {
-        // The request was made but the server responded with an error
-        debugLog('Error Status', error.response.status);
-        debugLog('Error Headers', error.response.headers);
-        debugLog('Error Data', error.response.data);
-        
-        // Check for specific error codes
-        if (error.response.status === 401) {
-          debugLog('Auth Error', 'Invalid credentials (401)');
-        } else if (error.response.status === 429) {
-          debugLog('Rate Limit Error', 'Too many requests (429)');
-        }
-      } else if (error.request) {
-        // The request was made but no response received
-        debugLog('Network Error', 'No response received from server');
-        debugLog('Request Details', {
-          method: error.request.method,
-          path: error.request.path,
-          host: error.request.host
-        });
-      } else {
-        // Error in request setup
-        debugLog('Request Setup Error', error.message);
+      // The API client rejects with the typed errors of src/api/errors.js
+      log.debug('Error Details', { type: error.name, status: error.status, code: error.code });
+      if (error instanceof AuthError) {
+        log.debug('Auth Error', `Invalid credentials (${error.status})`);
+      } else if (error instanceof RateLimitError) {
+        log.debug('Rate Limit Error', `Too many requests, retry after ${error.retryAfter ?? 'unknown'}s`);
+      } else if (error instanceof NetworkError) {
+        log.debug('Network Error', error.timeout ? 'Request timed out' : 'No response received from server');
       }
       
       // Handle API error responses with consistent formatting
-      let errorMessage = 'Authentication failed';
-      let errorDetails = null;
-      
-      if (error.response?.data) {
-        if (typeof error.response.data === 'string') {
-          errorMessage = error.response.data;
-        } else if (error.response.data.error) {
-          errorMessage = error.response.data.error;
-          errorDetails = error.response.data.details || null;
-        } else if (error.response.data.message) {
-          errorMessage = error.response.data.message;
-        }
-      }
-      
-      debugLog('Formatted Error Message', errorMessage);
+      const result = toErrorResult(error, 'Authentication failed');
+      log.debug('Formatted Error Message', result.error);
       
-      return {
-        success: false,
-        error: errorMessage,
-        details: errorDetails,
-        statusCode: error.response?.status
-      };
+      return result;
     }
   } catch (error) {
     // Unexpected errors outside the main try/catch
-    debugLog('Unexpected Login Error', error.message);
-    console.error('Login error:', error);
+    log.error('Unexpected login error:', error);
     
     return {
       success: false,
@@ -309,30 +452,8 @@ ipcMain.handle('auth-login', async (event, username, password) => {
 // Handle logout requests
 ipcMain.handle('auth-logout', async () => {
   try {
-    const authToken = store.get('authToken');
-    
-    if (authToken) {
-      try {
-        // Call Pi Network's logout endpoint
-        await axios.post(PI_AUTH_ENDPOINTS.logout, {}, {
-          headers: {
-            'Authorization': `Bearer ${authToken}`
-          }
-        });
-      } catch (apiError) {
-        console.warn('Error calling logout API:', apiError.message);
-        // Continue with local logout even if API call fails
-      }
-    }
-    
-    // Clear stored credentials
-    store.delete('authToken');
-    store.delete('refreshToken');
-    store.delete('tokenExpiry');
-    store.delete('user');
-    
-    // Update authentication state
-    isAuthenticated = false;
+    // Calls Pi Network's logout endpoint and clears the active account's credentials
+    await accounts.getActive().session.logout();
     
     // Get the current window and load the login page
     const currentWindow = BrowserWindow.getFocusedWindow();
@@ -342,7 +463,7 @@ ipcMain.handle('auth-logout', async () => {
     
     return { success: true };
   } catch (error) {
-    console.error('Logout error:', error);
+    log.error('Logout error:', error);
     return {
       success: false,
       error: 'Logout failed'
@@ -353,55 +474,34 @@ ipcMain.handle('auth-logout', async () => {
 // Handle auth status check requests
 ipcMain.handle('auth-check-status', async () => {
   try {
-    const authToken = store.get('authToken');
-    const user = store.get('user');
+    const { session } = accounts.getActive();
     
     // If no token exists, user is not authenticated
-    if (!authToken) {
-      isAuthenticated = false;
+    if (!session.isAuthenticated()) {
       return {
-        isAuthenticated,
+        isAuthenticated: false,
         user: null
       };
     }
     
     try {
-      // Check if token is expired and needs refresh
-      const token = await getValidToken();
-      
-      // Verify token with the server
-      const response = await axios.get(PI_AUTH_ENDPOINTS.status, {
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
-      });
-      
-      // If we get here, token is valid
-      isAuthenticated = true;
+      // Refreshes the token if needed and verifies it with the server
+      return await session.checkStatus();
+    } catch (apiError) {
+      log.error('Token validation error:', apiError.message);
       
-      // Update user info if returned from status check
-      if (response.data && response.data.user) {
-        store.set('user', response.data.user);
+      // Only a session the server rejects is cleared. When the API cannot be
+      // reached or fails, e.g. on an offline start, the stored session, cached
+      // responses and transaction index are kept for the user
+      if (!(toApiError(apiError) instanceof AuthError)) {
         return {
-          isAuthenticated,
-          user: response.data.user
+          isAuthenticated: true,
+          user: session.getUser(),
+          offline: true
         };
       }
       
-      return {
-        isAuthenticated,
-        user
-      };
-    } catch (apiError) {
-      console.error('Token validation error:', apiError);
-      
-      // If token refresh failed or token is invalid
-      // Clear auth data and return not authenticated
-      store.delete('authToken');
-      store.delete('refreshToken');
-      store.delete('tokenExpiry');
-      store.delete('user');
-      isAuthenticated = false;
+      session.clear();
       
       return {
         isAuthenticated: false,
@@ -410,7 +510,7 @@ ipcMain.handle('auth-check-status', async () => {
       };
     }
   } catch (error) {
-    console.error('Auth check error:', error);
+    log.error('Auth check error:', error);
     return {
       isAuthenticated: false,
       error: 'Failed to check authentication status'
@@ -418,6 +518,58 @@ ipcMain.handle('auth-check-status', async () => {
   }
 });
 
+// Credential vault IPC handlers
+
+// Report whether the vault needs a passphrase and is unlocked
+ipcMain.handle('vault-get-status', () => {
+  return {
+    requiresPassphrase: vault.isInitialized() && vault.requiresPassphrase(),
+    isUnlocked: vault.isUnlocked()
+  };
+});
+
+// Unlock the vault with the app passphrase and continue to the app
+ipcMain.handle('vault-unlock', async (event, passphrase) => {
+  try {
+    if (!vault.isUnlocked()) {
+      await unlockVault(passphrase);
+    }
+    
+    const window = BrowserWindow.fromWebContents(event.sender);
+    if (window) {
+      loadAppPage(window);
+    }
+    
+    return { success: true };
+  } catch (error) {
+    if (!(error instanceof VaultError)) {
+      log.error('Vault unlock error:', error);
+    }
+    return {
+      success: false,
+      error: error instanceof VaultError ? error.message : 'Failed to unlock credential store',
+      code: error.code
+    };
+  }
+});
+
+// Set, change or remove (newPassphrase = null) the app passphrase
+ipcMain.handle('vault-set-passphrase', async (event, newPassphrase, currentPassphrase) => {
+  try {
+    await vault.setPassphrase(newPassphrase === null ? null : String(newPassphrase), currentPassphrase);
+    return { success: true };
+  } catch (error) {
+    if (!(error instanceof VaultError)) {
+      log.error('Set passphrase error:', error);
+    }
+    return {
+      success: false,
+      error: error instanceof VaultError ? error.message : 'Failed to update passphrase',
+      code: error.code
+    };
+  }
+});
+
 // External link handler for "forgot password" etc.
 ipcMain.handle('open-external-link', (event, url) => {
   if (url.startsWith('https://')) {
@@ -427,6 +579,334 @@ ipcMain.handle('open-external-link', (event, url) => {
   return false;
 });
 
-// You would add more IPC handlers for Pi Network specific functionality here
+// Account switcher IPC handlers
+
+// Reload every window for the newly active account
+const reloadWindows = () => {
+  BrowserWindow.getAllWindows().forEach(loadAppPage);
+};
+
+// List the stored accounts
+ipcMain.handle('accounts-list', () => {
+  return {
+    accounts: accounts.list(),
+    activeAccountId: accounts.getActiveId()
+  };
+});
+
+// Add an account and show the login page for it
+ipcMain.handle('accounts-add', (event, name) => {
+  try {
+    accounts.add(typeof name === 'string' && name.trim() ? name.trim() : undefined);
+    reloadWindows();
+    return { success: true };
+  } catch (error) {
+    log.error('Add account error:', error);
+    return { success: false, error: 'Failed to add account' };
+  }
+});
+
+// Switch to another account
+ipcMain.handle('accounts-switch', (event, accountId) => {
+  try {
+    accounts.switchTo(accountId);
+    reloadWindows();
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Rename an account
+ipcMain.handle('accounts-rename', (event, accountId, name) => {
+  if (typeof name !== 'string' || !name.trim()) {
+    return { success: false, error: 'Account name is required' };
+  }
+  
+  try {
+    accounts.rename(accountId, name.trim());
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Log out and remove an account
+ipcMain.handle('accounts-remove', async (event, accountId) => {
+  try {
+    const wasActive = accounts.getActiveId() === accountId;
+    await accounts.remove(accountId);
+    if (wasActive) {
+      reloadWindows();
+    }
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Export the transaction history of the active account to a file chosen by
+// the user, as CSV, JSON or OFX
+ipcMain.handle('wallet-export-transactions', async (event, options = {}) => {
+  try {
+    const { since, until } = options || {};
+    const { format, columns } = validateExportOptions(options || {});
+
+    const { canceled, filePath } = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+      title: 'Export Transactions',
+      defaultPath: `pi-transactions.${format}`,
+      filters: [{ name: format.toUpperCase(), extensions: [format] }]
+    });
+    if (canceled || !filePath) {
+      return { success: true, data: { canceled: true } };
+    }
+
+    // OFX statements carry the wallet address and the balance
+    const { wallet } = accounts.getActive().api;
+    const [{ address }, { balance }] = format === 'ofx'
+      ? await Promise.all([wallet.getWalletAddress(), wallet.getBalance()])
+      : [{}, {}];
+
+    const { content, count } = await wallet.exportTransactions({ format, columns, since, until, account: address, balance });
+    await fs.promises.writeFile(filePath, content, { mode: 0o600 });
+    log.info('Transactions exported', { format, count });
+    return { success: true, data: { canceled: false, filePath, count } };
+  } catch (error) {
+    log.warn('Transaction export failed:', error.message);
+    return toErrorResult(error, 'Failed to export the transactions');
+  }
+});
+
+// Local transaction index of the active account (see src/main/transaction-index.js)
+
+// Add the transactions made since the last sync to the index
+ipcMain.handle('wallet-sync-transactions', async () => {
+  try {
+    return { success: true, data: await accounts.getActive().transactionIndex.sync() };
+  } catch (error) {
+    log.warn('Transaction sync failed:', error.message);
+    return toErrorResult(error, 'Failed to sync the transactions');
+  }
+});
+
+// Search the indexed transactions, without contacting the API
+ipcMain.handle('wallet-search-transactions', (event, filters = {}) => {
+  try {
+    return { success: true, data: accounts.getActive().transactionIndex.search(filters || {}) };
+  } catch (error) {
+    return toErrorResult(error, 'Failed to search the transactions');
+  }
+});
+
+// Daily balance and cash flow of the active account, built locally (see
+// src/main/wallet-analytics.js). options: { days }, null days for the whole history
+ipcMain.handle('wallet-get-analytics', async (event, options = {}) => {
+  try {
+    return { success: true, data: await loadWalletAnalytics(accounts.getActive(), options || {}) };
+  } catch (error) {
+    log.warn('Wallet analytics failed:', error.message);
+    return toErrorResult(error, 'Failed to build the wallet analytics');
+  }
+});
+
+// Export a series of the analytics to a file chosen by the user, as CSV or JSON
+ipcMain.handle('wallet-export-analytics', async (event, options = {}) => {
+  try {
+    const { series, format = 'csv', days } = options || {};
+    validateAnalyticsExport({ series, format });
+
+    const { canceled, filePath } = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+      title: 'Export Chart Data',
+      defaultPath: `pi-${series}.${format}`,
+      filters: [{ name: format.toUpperCase(), extensions: [format] }]
+    });
+    if (canceled || !filePath) {
+      return { success: true, data: { canceled: true } };
+    }
+
+    const analytics = await loadWalletAnalytics(accounts.getActive(), { days });
+    await fs.promises.writeFile(filePath, exportWalletAnalytics(analytics, { series, format }), { mode: 0o600 });
+    return { success: true, data: { canceled: false, filePath, count: analytics[series].length } };
+  } catch (error) {
+    log.warn('Analytics export failed:', error.message);
+    return toErrorResult(error, 'Failed to export the chart data');
+  }
+});
+
+// Address book of the active account
+
+// File formats of the address book, by extension
+const ADDRESS_BOOK_FORMATS = {
+  json: { name: 'JSON', extensions: ['json'] },
+  vcard: { name: 'vCard', extensions: ['vcf', 'vcard'] }
+};
+
+// Run an operation on the address book of the active account, in a result envelope
+const withAddressBook = async (description, operation) => {
+  try {
+    return { success: true, data: await operation(accounts.getActive().addressBook) };
+  } catch (error) {
+    log.warn(`Address book: failed to ${description}:`, error.message);
+    return toErrorResult(error, `Failed to ${description}`);
+  }
+};
+
+// List the saved recipients, or suggest some for the text typed in the send form
+ipcMain.handle('address-book-list', (event, query) => {
+  return withAddressBook('list the entries', (addressBook) => {
+    return query === undefined ? addressBook.list() : addressBook.search(query);
+  });
+});
+
+ipcMain.handle('address-book-add', (event, entry) => {
+  return withAddressBook('add the entry', (addressBook) => addressBook.add(entry || {}));
+});
+
+ipcMain.handle('address-book-update', (event, id, changes) => {
+  return withAddressBook('update the entry', (addressBook) => addressBook.update(id, changes || {}));
+});
+
+ipcMain.handle('address-book-remove', (event, id) => {
+  return withAddressBook('remove the entry', (addressBook) => addressBook.remove(id));
+});
+
+// Save members of the security circle, all of them or the one with the given
+// username, skipping those already saved
+ipcMain.handle('address-book-add-from-circle', (event, username) => {
+  return withAddressBook('add from the security circle', async (addressBook) => {
+    const { members } = await accounts.getActive().api.social.getSecurityCircle();
+    const chosen = members.filter((member) => username === undefined || member.username === username);
+    if (chosen.length === 0 && username !== undefined) {
+      throw new AddressBookError(`${username} is not in your security circle`, 'ENTRY_NOT_FOUND');
+    }
+
+    return addressBook.addAll(chosen.map((member) => ({
+      label: member.displayName || member.username,
+      recipient: member.username,
+      notes: 'Security circle'
+    })));
+  });
+});
+
+// Export the address book to a file chosen by the user
+ipcMain.handle('address-book-export', (event, format = 'json') => {
+  return withAddressBook('export the address book', async (addressBook) => {
+    if (!ADDRESS_BOOK_FORMATS[format]) {
+      throw new AddressBookError(`Unknown format: ${format}`, 'INVALID_IMPORT');
+    }
+
+    const { canceled, filePath } = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+      title: 'Export Address Book',
+      defaultPath: `pi-address-book.${ADDRESS_BOOK_FORMATS[format].extensions[0]}`,
+      filters: [ADDRESS_BOOK_FORMATS[format]]
+    });
+    if (canceled || !filePath) {
+      return { canceled: true };
+    }
+
+    await fs.promises.writeFile(filePath, addressBook.export(format), { mode: 0o600 });
+    return { canceled: false, filePath, count: addressBook.list().length };
+  });
+});
+
+// Import a JSON or vCard file chosen by the user. The format follows the extension.
+ipcMain.handle('address-book-import', (event) => {
+  return withAddressBook('import the address book', async (addressBook) => {
+    const { canceled, filePaths } = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+      title: 'Import Address Book',
+      properties: ['openFile'],
+      filters: [{ name: 'Address book', extensions: ['json', 'vcf', 'vcard'] }]
+    });
+    if (canceled || filePaths.length === 0) {
+      return { canceled: true };
+    }
+
+    const [filePath] = filePaths;
+    const format = ADDRESS_BOOK_FORMATS.vcard.extensions.includes(path.extname(filePath).slice(1).toLowerCase())
+      ? 'vcard'
+      : 'json';
+    return { canceled: false, ...addressBook.import(await fs.promises.readFile(filePath, 'utf8'), format) };
+  });
+});
+
+// Get the current environment and the available profiles
+ipcMain.handle('settings-get-environment', () => {
+  const { environment, label, apiBaseURL, source } = getConfig();
+  return {
+    environment,
+    label,
+    apiBaseURL,
+    source,
+    profiles: listProfiles()
+  };
+});
+
+// Save the environment and restart into it. Sessions and the credential
+// store belong to one environment, so switching needs a fresh start.
+ipcMain.handle('settings-set-environment', (event, environment) => {
+  if (!PROFILES[environment]) {
+    return { success: false, error: `Unknown environment: ${environment}` };
+  }
+  
+  settings.set('environment', environment);
+  
+  // A command line flag or environment variable wins over the saved setting
+  if (config.source === 'cli' || config.source === 'env') {
+    return {
+      success: true,
+      restarting: false,
+      message: 'Saved. The environment chosen with --env or PI_NETWORK_ENV applies until it is removed.'
+    };
+  }
+  
+  log.info('Switching Environment', environment);
+  app.relaunch();
+  app.quit();
+  return { success: true, restarting: true };
+});
+
+// Get the log level and where the log file is written
+ipcMain.handle('settings-get-logging', () => {
+  return {
+    level: getLevel(),
+    levels: LEVELS,
+    file: getLogFile()
+  };
+});
+
+// Change the log level, effective immediately and saved for the next start
+ipcMain.handle('settings-set-log-level', (event, level) => {
+  if (!LEVELS.includes(level)) {
+    return { success: false, error: `Unknown log level: ${level}` };
+  }
+  
+  settings.set('logLevel', level);
+  setLevel(level);
+  log.info('Log Level Changed', level);
+  return { success: true, level };
+});
+
+// Show the log folder in the file manager
+ipcMain.handle('settings-open-log-folder', async () => {
+  const file = getLogFile();
+  if (!file) {
+    return { success: false, error: 'File logging is disabled' };
+  }
+  
+  const error = await shell.openPath(path.dirname(file));
+  return error ? { success: false, error } : { success: true };
+});
+
+// Pi Network API handlers (wallet, mining, user, social), served by the active
+// account, with the reads answered from its response cache
+registerApiHandlers(ipcMain, () => accounts.getActive().api, {
+  getCache: () => accounts.getActive().cache,
+  payments
+});
+
+// Limits of the send form: amount needing the passphrase, memo length
+ipcMain.handle('wallet-get-send-policy', () => {
+  return payments.getPolicy();
+});
 
 
@@ -0,0 +1,408 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Pi Network API Server
+ *
+ * Local stand-in for api.minepi.com implementing every route the client
+ * calls, with stateful fake accounts (see state.js). Latency and errors
+ * (401 token expiry, 429 rate limiting, 500) can be injected from the
+ * command line, over the /__mock control routes, or from tests.
+ *
+ * Usage:
+ *   npm run mock-server
+ *   node mock-server/server.js --port 3000 --latency 200 --error-rate 0.1
+ *
+ * Then start the client against it with `npm run start:mock`, or
+ * `--env local` / PI_NETWORK_ENV=local for the scripts.
+ *
+ * Seeded accounts: pioneer, alice, bob, carol and dave, all with the
+ * password "password123".
+ *
+ * Control routes (outside the API base path):
+ *   GET    /__mock/state?username=pioneer  Inspect an account
+ *   POST   /__mock/reset                   Reset every account and session
+ *   POST   /__mock/expire-tokens           Expire every access token
+ *   POST   /__mock/faults                  Queue a fault: { status, path, method, count, retryAfter }
+ *   DELETE /__mock/faults                  Drop queued faults
+ *   PATCH  /__mock/options                 Change { latency, jitter, errorRate, errorStatuses }
+ *
+ * @module mock-server/server
+ */
+
+const express = require('express');
+const { PROFILES } = require('../src/config');
+const { MockState, MockError, SEED_ACCOUNTS, DEFAULT_PASSWORD } = require('./state');
+
+// The local environment profile tells where the client expects the server
+const LOCAL_API_URL = new URL(PROFILES.local.apiBaseURL);
+
+// Error bodies of the injectable statuses
+const FAULT_RESPONSES = {
+  401: { error: 'Token expired', code: 'TOKEN_EXPIRED' },
+  429: { error: 'Too many requests', code: 'RATE_LIMITED' },
+  500: { error: 'Internal server error', code: 'INTERNAL_ERROR' },
+  502: { error: 'Bad gateway', code: 'BAD_GATEWAY' },
+  503: { error: 'Service unavailable', code: 'SERVICE_UNAVAILABLE' }
+};
+
+/**
+ * Read the bearer token of a request
+ *
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+const readToken = (req) => {
+  const header = req.get('Authorization') || '';
+  return header.startsWith('Bearer ') ? header.slice(7) : null;
+};
+
+/**
+ * Send an error response in the API's format
+ *
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {Object} body - `{ error, code }`
+ */
+const sendError = (res, status, body) => {
+  res.status(status).json({ success: false, ...body });
+};
+
+/**
+ * Create a mock server
+ *
+ * @param {Object} [options] - Server options
+ * @param {string} [options.basePath='/v2'] - Path the API routes are mounted on
+ * @param {number} [options.latency=0] - Delay added to every API response, in milliseconds
+ * @param {number} [options.jitter=0] - Random extra delay of up to this many milliseconds
+ * @param {number} [options.errorRate=0] - Share of API requests (0 to 1) failing at random
+ * @param {Array<number>} [options.errorStatuses=[500]] - Statuses used for random failures
+ * @param {number} [options.tokenLifetime=3600] - Access token lifetime in seconds
+ * @param {Function} [options.log] - Called with a line for every request, silent by default
+ * @returns {Object} `{ app, state, injectFault, clearFaults, setOptions, listen, close }`
+ */
+const createMockServer = ({
+  basePath = LOCAL_API_URL.pathname.replace(/\/$/, ''),
+  latency = 0,
+  jitter = 0,
+  errorRate = 0,
+  errorStatuses = [500],
+  tokenLifetime = 3600,
+  log = () => {}
+} = {}) => {
+  const state = new MockState({ tokenLifetime });
+  const options = { latency, jitter, errorRate, errorStatuses };
+  let faults = [];
+  let server = null;
+
+  /**
+   * Queue a fault returned by the next matching API requests
+   *
+   * @param {Object} fault - Fault description
+   * @param {number} fault.status - 401, 429, 500, 502 or 503
+   * @param {string} [fault.path] - Only requests whose path (below the base path) starts with it
+   * @param {string} [fault.method] - Only requests with this method
+   * @param {number} [fault.count=1] - Number of requests to fail
+   * @param {number} [fault.retryAfter=1] - Retry-After seconds sent with a 429
+   */
+  const injectFault = ({ status, path, method, count = 1, retryAfter = 1 }) => {
+    if (!FAULT_RESPONSES[status]) {
+      throw new MockError(400, `Cannot inject status ${status}. Use one of ${Object.keys(FAULT_RESPONSES).join(', ')}`, 'VALIDATION_ERROR');
+    }
+    faults.push({ status, path, method: method && method.toUpperCase(), count, retryAfter });
+  };
+
+  /**
+   * Drop every queued fault
+   */
+  const clearFaults = () => {
+    faults = [];
+  };
+
+  /**
+   * Change the latency and random error options
+   *
+   * @param {Object} changes - Any of latency, jitter, errorRate and errorStatuses
+   */
+  const setOptions = (changes) => {
+    Object.keys(options).forEach((key) => {
+      if (changes[key] !== undefined) {
+        options[key] = changes[key];
+      }
+    });
+  };
+
+  /**
+   * Find and consume the queued fault matching a request
+   *
+   * @param {Object} req - Express request
+   * @returns {Object|null} The fault
+   */
+  const takeFault = (req) => {
+    const fault = faults.find((item) => {
+      return (!item.path || req.path.startsWith(item.path))
+        && (!item.method || item.method === req.method);
+    });
+
+    if (fault) {
+      fault.count -= 1;
+      if (fault.count <= 0) {
+        faults = faults.filter((item) => item !== fault);
+      }
+    }
+    return fault || null;
+  };
+
+  /**
+   * Send the response of a fault. An injected 401 also expires the
+   * request's token, so the client has to refresh it.
+   *
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Object} fault - The fault
+   */
+  const sendFault = (req, res, fault) => {
+    if (fault.status === 401) {
+      state.expireToken(readToken(req));
+    }
+    if (fault.status === 429) {
+      res.set('Retry-After', String(fault.retryAfter));
+    }
+    sendError(res, fault.status, FAULT_RESPONSES[fault.status] || { error: 'Injected error', code: 'INJECTED_ERROR' });
+  };
+
+  const api = express.Router();
+  api.use(express.json());
+  api.use(express.raw({ type: 'multipart/form-data', limit: '5mb' }));
+
+  // Latency and fault injection
+  api.use((req, res, next) => {
+    const delay = options.latency + Math.random() * options.jitter;
+
+    setTimeout(() => {
+      const fault = takeFault(req);
+      if (fault) {
+        sendFault(req, res, fault);
+        return;
+      }
+
+      if (options.errorRate > 0 && Math.random() < options.errorRate) {
+        const status = options.errorStatuses[Math.floor(Math.random() * options.errorStatuses.length)];
+        sendFault(req, res, { status, retryAfter: 1 });
+        return;
+      }
+
+      next();
+    }, delay);
+  });
+
+  /**
+   * Wrap a route calling the state. The handler's return value is sent as JSON.
+   *
+   * @param {Function} handler - Called with (req, account) and returns the body
+   * @param {boolean} [authenticated=true] - Whether a valid access token is required
+   * @returns {Function} Express handler
+   */
+  const route = (handler, authenticated = true) => (req, res, next) => {
+    try {
+      const account = authenticated ? state.authenticate(readToken(req)) : null;
+      res.json(handler(req, account));
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Auth
+  api.post('/auth/login', route((req) => state.login(req.body?.username, req.body?.password), false));
+  api.post('/auth/refresh', route((req) => state.refresh(req.body?.refreshToken), false));
+  api.post('/auth/logout', route((req) => {
+    state.logout(readToken(req));
+    return { success: true };
+  }));
+  api.get('/auth/status', route((req, account) => state.getAuthStatus(account)));
+
+  // Wallet
+  api.get('/wallet/balance', route((req, account) => state.getBalance(account)));
+  api.get('/wallet/transactions', route((req, account) => state.getTransactions(account, req.query)));
+  api.get('/wallet/transactions/:id', route((req, account) => state.getTransaction(account, req.params.id)));
+  api.post('/wallet/send', route((req, account) => state.send(account, req.body || {}, req.get('Idempotency-Key'))));
+  api.get('/wallet/address', route((req, account) => state.getAddress(account)));
+
+  // Mining
+  api.post('/mining/start', route((req, account) => state.startMining(account, req.body || {})));
+  api.get('/mining/status', route((req, account) => state.getMiningStatus(account)));
+  api.get('/mining/history', route((req, account) => state.getMiningHistory(account, req.query)));
+  api.get('/mining/rate', route((req, account) => state.getMiningRate(account)));
+
+  // User
+  api.get('/user/profile', route((req, account) => state.getProfile(account)));
+  api.patch('/user/profile', route((req, account) => state.updateProfile(account, req.body)));
+  api.post('/user/profile/picture', route((req, account) => {
+    if (!req.is('multipart/form-data')) {
+      throw new MockError(400, 'Expected a multipart/form-data upload', 'VALIDATION_ERROR');
+    }
+    return state.setProfilePicture(account);
+  }));
+  api.post('/user/change-password', route((req, account) => state.changePassword(account, req.body || {})));
+  api.get('/user/verification-status', route((req, account) => state.getVerificationStatus(account)));
+  api.get('/user/notification-settings', route((req, account) => state.getNotificationSettings(account)));
+  api.patch('/user/notification-settings', route((req, account) => state.updateNotificationSettings(account, req.body)));
+
+  // Social
+  api.get('/social/security-circle', route((req, account) => state.getSecurityCircle(account)));
+  api.post('/social/security-circle/add', route((req, account) => state.addToCircle(account, req.body?.userId)));
+  api.post('/social/security-circle/remove', route((req, account) => state.removeFromCircle(account, req.body?.userId)));
+  api.post('/social/invite', route((req, account) => state.invite(account, req.body || {})));
+  api.get('/social/invitations/sent', route((req, account) => state.getSentInvitations(account, req.query)));
+  api.get('/social/invitations/received', route((req, account) => state.getReceivedInvitations(account, req.query)));
+  api.post('/social/invitations/accept', route((req, account) => state.answerInvitation(account, req.body?.invitationId, 'accepted')));
+  api.post('/social/invitations/reject', route((req, account) => state.answerInvitation(account, req.body?.invitationId, 'rejected')));
+
+  // Control routes used by developers and tests
+  const control = express.Router();
+  control.use(express.json());
+  control.get('/state', (req, res) => {
+    const account = state.inspect(req.query.username || 'pioneer');
+    if (!account) {
+      sendError(res, 404, { error: 'Unknown account' });
+      return;
+    }
+    res.json({ account, faults, options });
+  });
+  control.post('/reset', (req, res) => {
+    state.reset();
+    clearFaults();
+    res.json({ success: true });
+  });
+  control.post('/expire-tokens', (req, res) => {
+    state.expireTokens();
+    res.json({ success: true });
+  });
+  control.post('/faults', (req, res, next) => {
+    try {
+      injectFault(req.body || {});
+      res.json({ success: true, faults });
+    } catch (error) {
+      next(error);
+    }
+  });
+  control.delete('/faults', (req, res) => {
+    clearFaults();
+    res.json({ success: true });
+  });
+  control.patch('/options', (req, res) => {
+    setOptions(req.body || {});
+    res.json({ success: true, options });
+  });
+
+  const app = express();
+  app.use((req, res, next) => {
+    res.on('finish', () => log(`${req.method} ${req.originalUrl} ${res.statusCode}`));
+    next();
+  });
+  app.use('/__mock', control);
+  app.use(basePath || '/', api);
+
+  // Unknown routes and errors, in the API's error format
+  app.use((req, res) => {
+    sendError(res, 404, { error: `Not found: ${req.method} ${req.path}`, code: 'NOT_FOUND' });
+  });
+  // Express recognizes error handlers by their four arguments, so _next
+  // stays although it is not called
+  app.use((error, req, res, _next) => {
+    if (error instanceof MockError) {
+      sendError(res, error.status, { error: error.message, code: error.code });
+    } else if (error.type === 'entity.parse.failed') {
+      sendError(res, 400, { error: 'Invalid JSON body', code: 'VALIDATION_ERROR' });
+    } else {
+      log(`Unhandled error: ${error.stack}`);
+      sendError(res, 500, FAULT_RESPONSES[500]);
+    }
+  });
+
+  /**
+   * Start listening
+   *
+   * @param {number} [port=0] - Port, 0 picks a free one
+   * @param {string} [host='127.0.0.1'] - Interface to listen on
+   * @returns {Promise<Object>} `{ port, url }` where url is the API base URL
+   */
+  const listen = (port = 0, host = '127.0.0.1') => new Promise((resolve, reject) => {
+    server = app.listen(port, host);
+    server.once('error', reject);
+    server.once('listening', () => {
+      const address = server.address();
+      resolve({
+        port: address.port,
+        url: `http://${host}:${address.port}${basePath}`
+      });
+    });
+  });
+
+  /**
+   * Stop listening
+   *
+   * @returns {Promise<void>}
+   */
+  const close = () => new Promise((resolve, reject) => {
+    if (!server) {
+      resolve();
+      return;
+    }
+    server.close((error) => (error ? reject(error) : resolve()));
+    server.closeAllConnections?.();
+    server = null;
+  });
+
+  return { app, state, injectFault, clearFaults, setOptions, listen, close };
+};
+
+/**
+ * Start the server from the command line
+ */
+const main = async () => {
+  const { program } = require('commander');
+
+  program
+    .description('Run a local mock of the Pi Network API')
+    .option('--port <number>', 'Port to listen on', LOCAL_API_URL.port || '3000')
+    .option('--host <host>', 'Interface to listen on', LOCAL_API_URL.hostname)
+    .option('--latency <ms>', 'Delay added to every response', '0')
+    .option('--jitter <ms>', 'Random extra delay of up to this many milliseconds', '0')
+    .option('--error-rate <ratio>', 'Share of requests failing at random (0 to 1)', '0')
+    .option('--error-statuses <list>', 'Comma separated statuses used for random failures', '500')
+    .option('--token-lifetime <seconds>', 'Access token lifetime', '3600')
+    .option('--quiet', 'Do not log requests')
+    .parse(process.argv);
+
+  const options = program.opts();
+  const mock = createMockServer({
+    latency: Number(options.latency),
+    jitter: Number(options.jitter),
+    errorRate: Number(options.errorRate),
+    errorStatuses: options.errorStatuses.split(',').map(Number),
+    tokenLifetime: Number(options.tokenLifetime),
+    log: options.quiet ? undefined : (line) => console.log(`[MOCK] ${line}`)
+  });
+
+  const { url } = await mock.listen(Number(options.port), options.host);
+  console.log(`Mock Pi Network API listening on ${url}`);
+  console.log(`Accounts: ${SEED_ACCOUNTS.map((account) => account.username).join(', ')} (password: ${DEFAULT_PASSWORD})`);
+  console.log('Start the client against it with: npm run start:mock');
+
+  const shutdown = () => {
+    mock.close().then(() => process.exit(0));
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+};
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('Mock server failed to start:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  createMockServer
+};
@@ -0,0 +1,891 @@
+/**
+ * Mock Server State
+ *
+ * In-memory Pi Network data behind the mock API server: fake accounts with
+ * their tokens, wallets, mining sessions, profiles and security circles.
+ * Every change made through the API (sending Pi, mining, accepting
+ * invitations...) is kept until the state is reset.
+ *
+ * @module mock-server/state
+ */
+
+const crypto = require('crypto');
+const { decodeAddress, isValidAddress } = require('../src/api/address');
+
+// Password of every seeded account
+const DEFAULT_PASSWORD = 'password123';
+
+// Seeded accounts. Addresses are valid Stellar account IDs (StrKey G...)
+const SEED_ACCOUNTS = [
+  { username: 'pioneer', displayName: 'Pi Pioneer', address: 'GCA2HGU5W2XADU5VURQNCIXAFMLBXPRVQOFRY7ULECKGSTWBMWRCZH2L', balance: 123.45, transactions: 45, verified: true },
+  { username: 'alice', displayName: 'Alice', address: 'GB57VOJWIMXMNJ7HR3GWGTPMSBJJTJOTDKLX6T4VHKX5KWLUEAGJEINF', balance: 42.5, transactions: 12, verified: true },
+  { username: 'bob', displayName: 'Bob', address: 'GAOIIITGUOECKPVVPHUIO7PO5HVC52EUFJ3L6TLCILHSRQYQSXU2NBLZ', balance: 7.25, transactions: 5, verified: false },
+  { username: 'carol', displayName: 'Carol', address: 'GDXLKQZB32KGUUP3JCYBYWJLQ67PS35K5TCRB74WI4FEYJYUH3TKZSRW', balance: 0, transactions: 0, verified: false },
+  { username: 'dave', displayName: 'Dave', address: 'GDURESB5JKJRG6JXNSMM4DVW6XNTAHTJAUYY7H4PMUB4QSAEWS5HYJOY', balance: 310, transactions: 30, verified: true }
+];
+
+// Largest security circle allowed
+const MAX_CIRCLE_SIZE = 5;
+
+// Base mining rate in Pi per hour, and the bonus per security circle member
+const BASE_MINING_RATE = 0.25;
+const CIRCLE_BONUS_RATE = 0.02;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Error returned to the client as `{ success: false, error, code }`
+ */
+class MockError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} message - Error message
+   * @param {string} [code] - Machine readable error code
+   */
+  constructor(status, message, code) {
+    super(message);
+    this.name = 'MockError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Create a random ID with a prefix
+ *
+ * @param {string} prefix - ID prefix
+ * @returns {string}
+ */
+const randomId = (prefix) => `${prefix}-${crypto.randomBytes(8).toString('hex')}`;
+
+/**
+ * Format an amount the way the API does, as a decimal string. Tiny amounts
+ * are written out in full, never in exponent notation like 4e-7.
+ *
+ * @param {number} amount - Amount of Pi
+ * @returns {string}
+ */
+const formatAmount = (amount) => {
+  const fixed = amount.toFixed(7).replace(/(\.\d*?)0+$/, '$1').replace(/\.$/, '');
+  return fixed === '-0' ? '0' : fixed;
+};
+
+/**
+ * Slice a list into one page
+ *
+ * @param {Array} items - Items to paginate
+ * @param {Object} query - Query string with page and limit
+ * @returns {Object} `{ items, pagination: { total, page, pages, limit } }`
+ */
+const paginate = (items, query) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100);
+  const start = (page - 1) * limit;
+
+  return {
+    items: items.slice(start, start + limit),
+    pagination: {
+      total: items.length,
+      page,
+      pages: Math.max(Math.ceil(items.length / limit), 1),
+      limit
+    }
+  };
+};
+
+/**
+ * MockState holds the fake accounts and implements the behaviour of each
+ * API route. Methods throw MockError for client errors.
+ */
+class MockState {
+  /**
+   * Creates the mock state
+   *
+   * @param {Object} [options] - State options
+   * @param {number} [options.tokenLifetime=3600] - Access token lifetime in seconds
+   */
+  constructor({ tokenLifetime = 3600 } = {}) {
+    this.tokenLifetime = tokenLifetime;
+    this.reset();
+  }
+
+  /**
+   * Drop every change and session and seed the accounts again
+   */
+  reset() {
+    // username -> account
+    this.accounts = new Map();
+    // access token -> { username, expiresAt }
+    this.accessTokens = new Map();
+    // refresh token -> username
+    this.refreshTokens = new Map();
+
+    const now = Date.now();
+    SEED_ACCOUNTS.forEach((seed, index) => {
+      this.accounts.set(seed.username, this._createAccount(seed, index, now));
+    });
+
+    // A few relationships between the seeded accounts
+    this._seedCircle('pioneer', ['alice', 'bob']);
+    this._seedCircle('alice', ['pioneer']);
+    this._seedInvitation('alice', 'pioneer');
+    this._seedInvitation('dave', 'pioneer');
+  }
+
+  /**
+   * Log in with a username or email and a password
+   *
+   * @param {string} username - Username or email
+   * @param {string} password - Password
+   * @returns {Object} `{ success, token, refreshToken, expiresIn, user }`
+   */
+  login(username, password) {
+    if (typeof username !== 'string' || typeof password !== 'string') {
+      throw new MockError(400, 'username and password are required', 'VALIDATION_ERROR');
+    }
+
+    const account = this._findByLogin(username.trim());
+    if (!account || account.password !== password) {
+      throw new MockError(401, 'Invalid username or password', 'INVALID_CREDENTIALS');
+    }
+
+    return { success: true, ...this._issueTokens(account.username), user: this._publicUser(account) };
+  }
+
+  /**
+   * Exchange a refresh token for new tokens. The refresh token is rotated.
+   *
+   * @param {string} refreshToken - Refresh token
+   * @returns {Object} `{ token, refreshToken, expiresIn }`
+   */
+  refresh(refreshToken) {
+    const username = this.refreshTokens.get(refreshToken);
+    if (!username) {
+      throw new MockError(401, 'Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+    }
+
+    this.refreshTokens.delete(refreshToken);
+    return this._issueTokens(username);
+  }
+
+  /**
+   * Find the account owning a valid access token
+   *
+   * @param {string} token - Access token
+   * @returns {Object} The account
+   */
+  authenticate(token) {
+    const session = token && this.accessTokens.get(token);
+    if (!session) {
+      throw new MockError(401, 'Invalid or missing token', 'UNAUTHORIZED');
+    }
+    if (Date.now() >= session.expiresAt) {
+      throw new MockError(401, 'Token expired', 'TOKEN_EXPIRED');
+    }
+
+    return this.accounts.get(session.username);
+  }
+
+  /**
+   * Invalidate an access token and the refresh tokens of its account
+   *
+   * @param {string} token - Access token
+   */
+  logout(token) {
+    const session = this.accessTokens.get(token);
+    this.accessTokens.delete(token);
+
+    if (session) {
+      this.refreshTokens.forEach((username, refreshToken) => {
+        if (username === session.username) {
+          this.refreshTokens.delete(refreshToken);
+        }
+      });
+    }
+  }
+
+  /**
+   * Expire every access token, as if their lifetime had passed.
+   * Refresh tokens stay valid.
+   */
+  expireTokens() {
+    this.accessTokens.forEach((session) => {
+      session.expiresAt = 0;
+    });
+  }
+
+  /**
+   * Expire one access token
+   *
+   * @param {string} token - Access token
+   */
+  expireToken(token) {
+    const session = this.accessTokens.get(token);
+    if (session) {
+      session.expiresAt = 0;
+    }
+  }
+
+  /**
+   * @param {Object} account - Authenticated account
+   * @returns {Object} `{ authenticated, user }`
+   */
+  getAuthStatus(account) {
+    return { authenticated: true, user: this._publicUser(account) };
+  }
+
+  // Wallet
+
+  /**
+   * @param {Object} account - Authenticated account
+   * @returns {Object} `{ balance, pending, totalEarned }`
+   */
+  getBalance(account) {
+    this._settleMining(account);
+    return {
+      balance: formatAmount(account.balance),
+      pending: formatAmount(account.mining ? this._minedSoFar(account.mining) : 0),
+      totalEarned: formatAmount(account.totalEarned)
+    };
+  }
+
+  /**
+   * @param {Object} account - Authenticated account
+   * @param {Object} query - `{ page, limit, sort }`
+   * @returns {Object} `{ transactions, pagination }`
+   */
+  getTransactions(account, query) {
+    this._settleMining(account);
+    const sorted = [...account.transactions].sort((a, b) => {
+      const order = Date.parse(b.timestamp) - Date.parse(a.timestamp);
+      return query.sort === 'asc' ? -order : order;
+    });
+    const { items, pagination } = paginate(sorted, query);
+    return { transactions: items, pagination };
+  }
+
+  /**
+   * @param {Object} account - Authenticated account
+   * @param {string} transactionId - Transaction ID
+   * @returns {Object} The transaction
+   */
+  getTransaction(account, transactionId) {
+    const transaction = account.transactions.find((item) => item.id === transactionId);
+    if (!transaction) {
+      throw new MockError(404, 'Transaction not found', 'NOT_FOUND');
+    }
+    return transaction;
+  }
+
+  /**
+   * Send Pi to a username or address. Known recipients are credited. A
+   * repeated Idempotency-Key returns the first response instead of paying again.
+   *
+   * @param {Object} account - Sending account
+   * @param {Object} body - `{ recipient, amount, memo }`
+   * @param {string} [idempotencyKey] - Idempotency-Key header of the request
+   * @returns {Object} `{ success, transaction }`
+   */
+  send(account, body, idempotencyKey) {
+    if (!idempotencyKey) {
+      return this._send(account, body);
+    }
+
+    const fingerprint = JSON.stringify([body.recipient, body.amount, body.memo || '']);
+    const previous = account.payments.get(idempotencyKey);
+    if (previous) {
+      if (previous.fingerprint !== fingerprint) {
+        throw new MockError(422, 'Idempotency-Key was already used for a different payment', 'IDEMPOTENCY_CONFLICT');
+      }
+      return previous.response;
+    }
+
+    const response = this._send(account, body);
+    account.payments.set(idempotencyKey, { fingerprint, response });
+    return response;
+  }
+
+  /**
+   * Execute a payment, see send()
+   *
+   * @private
+   * @param {Object} account - Sending account
+   * @param {Object} body - `{ recipient, amount, memo }`
+   * @returns {Object} `{ success, transaction }`
+   */
+  _send(account, { recipient, amount, memo = '' }) {
+    if (typeof recipient !== 'string' || recipient.trim() === '') {
+      throw new MockError(400, 'recipient is required', 'VALIDATION_ERROR');
+    }
+    const value = Number(amount);
+    if (!Number.isFinite(value) || value <= 0) {
+      throw new MockError(400, 'amount must be a positive number', 'VALIDATION_ERROR');
+    }
+
+    const target = this._findByRecipient(recipient.trim());
+    if (!target && !isValidAddress(recipient.trim())) {
+      throw new MockError(404, `Unknown recipient: ${recipient}`, 'RECIPIENT_NOT_FOUND');
+    }
+    if (target === account) {
+      throw new MockError(400, 'Cannot send Pi to yourself', 'VALIDATION_ERROR');
+    }
+
+    this._settleMining(account);
+    if (value > account.balance) {
+      throw new MockError(400, 'Insufficient balance', 'INSUFFICIENT_FUNDS');
+    }
+
+    const timestamp = new Date().toISOString();
+    const transaction = {
+      id: randomId('tx'),
+      type: 'transfer_out',
+      amount: formatAmount(-value),
+      counterparty: target ? target.username : recipient.trim(),
+      address: target ? target.address : recipient.trim(),
+      memo,
+      fee: '0.01',
+      timestamp,
+      status: 'completed'
+    };
+
+    account.balance -= value;
+    account.transactions.push(transaction);
+
+    if (target) {
+      target.balance += value;
+      target.transactions.push({
+        ...transaction,
+        id: randomId('tx'),
+        type: 'transfer_in',
+        amount: formatAmount(value),
+        counterparty: account.username,
+        address: account.address
+      });
+    }
+
+    return { success: true, transaction };
+  }
+
+  /**
+   * @param {Object} account - Authenticated account
+   * @returns {Object} `{ address, username }`
+   */
+  getAddress(account) {
+    return { address: account.address, username: account.username };
+  }
+
+  // Mining
+
+  /**
+   * @param {Object} account - Authenticated account
+   * @param {Object} body - `{ duration }` in seconds
+   * @returns {Object} `{ sessionId, rate, startTime, endTime }`
+   */
+  startMining(account, { duration = 3600 } = {}) {
+    this._settleMining(account);
+    if (account.mining) {
+      throw new MockError(409, 'A mining session is already active', 'MINING_SESSION_ACTIVE');
+    }
+
+    const seconds = Number(duration);
+    if (!Number.isFinite(seconds) || seconds <= 0) {
+      throw new MockError(400, 'duration must be a positive number', 'VALIDATION_ERROR');
+    }
+
+    const start = Date.now();
+    account.mining = {
+      sessionId: randomId('session'),
+      rate: this._miningRate(account),
+      startTime: new Date(start).toISOString(),
+      endTime: new Date(start + seconds * 1000).toISOString()
+    };
+
+    const { sessionId, rate, startTime, endTime } = account.mining;
+    return { sessionId, rate: formatAmount(rate), startTime, endTime };
+  }
+
+  /**
+   * @param {Object} account - Authenticated account
+   * @returns {Object} `{ active, sessionId, rate, startTime, endTime, earned }`
+   */
+  getMiningStatus(account) {
+    this._settleMining(account);
+    if (!account.mining) {
+      return { active: false, sessionId: null, rate: formatAmount(this._miningRate(account)), earned: '0' };
+    }
+
+    const { sessionId, rate, startTime, endTime } = account.mining;
+    return {
+      active: true,
+      sessionId,
+      rate: formatAmount(rate),
+      startTime,
+      endTime,
+      earned: formatAmount(this._minedSoFar(account.mining))
+    };
+  }
+
+  /**
+   * @param {Object} account - Authenticated account
+   * @param {Object} query - `{ page, limit, startDate, endDate }`
+   * @returns {Object} `{ sessions, pagination }`
+   */
+  getMiningHistory(account, query) {
+    this._settleMining(account);
+    const from = query.startDate ? Date.parse(query.startDate) : -Infinity;
+    const to = query.endDate ? Date.parse(query.endDate) : Infinity;
+
+    const sessions = account.miningHistory
+      .filter((session) => Date.parse(session.startTime) >= from && Date.parse(session.startTime) <= to)
+      .sort((a, b) => Date.parse(b.startTime) - Date.parse(a.startTime));
+    const { items, pagination } = paginate(sessions, query);
+    return { sessions: items, pagination };
+  }
+
+  /**
+   * @param {Object} account - Authenticated account
+   * @returns {Object} `{ rate, baseRate, bonuses, unit }`
+   */
+  getMiningRate(account) {
+    const circleBonus = account.circle.length * CIRCLE_BONUS_RATE;
+    return {
+      rate: formatAmount(BASE_MINING_RATE + circleBonus),
+      baseRate: formatAmount(BASE_MINING_RATE),
+      bonuses: {
+        securityCircle: formatAmount(circleBonus)
+      },
+      unit: 'pi_per_hour'
+    };
+  }
+
+  // User
+
+  /**
+   * @param {Object} account - Authenticated account
+   * @returns {Object} The profile
+   */
+  getProfile(account) {
+    return this._profile(account);
+  }
+
+  /**
+   * @param {Object} account - Authenticated account
+   * @param {Object} changes - Any of displayName, email, phoneNumber and bio
+   * @returns {Object} The updated profile
+   */
+  updateProfile(account, changes) {
+    const editable = ['displayName', 'email', 'phoneNumber', 'bio'];
+    const unknown = Object.keys(changes || {}).filter((key) => !editable.includes(key));
+    if (unknown.length > 0) {
+      throw new MockError(400, `Fields cannot be updated: ${unknown.join(', ')}`, 'VALIDATION_ERROR');
+    }
+
+    editable.forEach((key) => {
+      if (changes[key] !== undefined) {
+        account.profile[key] = changes[key];
+      }
+    });
+    return this._profile(account);
+  }
+
+  /**
+   * @param {Object} account - Authenticated account
+   * @returns {Object} `{ success, url }`
+   */
+  setProfilePicture(account) {
+    account.profile.profilePicture = `https://mock.minepi.local/avatars/${account.id}-${Date.now()}.png`;
+    return { success: true, url: account.profile.profilePicture };
+  }
+
+  /**
+   * @param {Object} account - Authenticated account
+   * @param {Object} body - `{ currentPassword, newPassword }`
+   * @returns {Object} `{ success }`
+   */
+  changePassword(account, { currentPassword, newPassword }) {
+    if (currentPassword !== account.password) {
+      throw new MockError(400, 'Current password is incorrect', 'INVALID_PASSWORD');
+    }
+    if (typeof newPassword !== 'string' || newPassword.length < 8) {
+      throw new MockError(400, 'New password must be at least 8 characters', 'VALIDATION_ERROR');
+    }
+
+    account.password = newPassword;
+    return { success: true };
+  }
+
+  /**
+   * @param {Object} account - Authenticated account
+   * @returns {Object} `{ kycStatus, emailVerified, phoneVerified }`
+   */
+  getVerificationStatus(account) {
+    return { ...account.verification };
+  }
+
+  /**
+   * @param {Object} account - Authenticated account
+   * @returns {Object} Notification settings
+   */
+  getNotificationSettings(account) {
+    return { ...account.notificationSettings };
+  }
+
+  /**
+   * @param {Object} account - Authenticated account
+   * @param {Object} settings - Boolean settings to change
+   * @returns {Object} The updated settings
+   */
+  updateNotificationSettings(account, settings) {
+    Object.entries(settings || {}).forEach(([key, value]) => {
+      if (!(key in account.notificationSettings)) {
+        throw new MockError(400, `Unknown notification setting: ${key}`, 'VALIDATION_ERROR');
+      }
+      if (typeof value !== 'boolean') {
+        throw new MockError(400, `${key} must be a boolean`, 'VALIDATION_ERROR');
+      }
+    });
+
+    Object.assign(account.notificationSettings, settings);
+    return { ...account.notificationSettings };
+  }
+
+  // Social
+
+  /**
+   * @param {Object} account - Authenticated account
+   * @returns {Object} `{ members, maxSize }`
+   */
+  getSecurityCircle(account) {
+    return {
+      members: account.circle.map((username) => this._member(this.accounts.get(username))),
+      maxSize: MAX_CIRCLE_SIZE
+    };
+  }
+
+  /**
+   * @param {Object} account - Authenticated account
+   * @param {string} userId - User ID or username of the new member
+   * @returns {Object} `{ success, members, maxSize }`
+   */
+  addToCircle(account, userId) {
+    const member = this._findById(userId);
+    if (!member) {
+      throw new MockError(404, 'User not found', 'NOT_FOUND');
+    }
+    if (member === account) {
+      throw new MockError(400, 'You cannot add yourself to your security circle', 'VALIDATION_ERROR');
+    }
+    if (account.circle.includes(member.username)) {
+      throw new MockError(409, 'User is already in your security circle', 'ALREADY_MEMBER');
+    }
+    if (account.circle.length >= MAX_CIRCLE_SIZE) {
+      throw new MockError(400, `A security circle has at most ${MAX_CIRCLE_SIZE} members`, 'CIRCLE_FULL');
+    }
+
+    account.circle.push(member.username);
+    return { success: true, ...this.getSecurityCircle(account) };
+  }
+
+  /**
+   * @param {Object} account - Authenticated account
+   * @param {string} userId - User ID or username of the member
+   * @returns {Object} `{ success, members, maxSize }`
+   */
+  removeFromCircle(account, userId) {
+    const member = this._findById(userId);
+    if (!member || !account.circle.includes(member.username)) {
+      throw new MockError(404, 'User is not in your security circle', 'NOT_FOUND');
+    }
+
+    account.circle = account.circle.filter((username) => username !== member.username);
+    return { success: true, ...this.getSecurityCircle(account) };
+  }
+
+  /**
+   * @param {Object} account - Authenticated account
+   * @param {Object} body - `{ phoneNumber, email, message }`
+   * @returns {Object} `{ success, invitationId }`
+   */
+  invite(account, { phoneNumber, email, message }) {
+    if (typeof phoneNumber !== 'string' || !/^\+?[0-9 ()-]{6,}$/.test(phoneNumber)) {
+      throw new MockError(400, 'A valid phoneNumber is required', 'VALIDATION_ERROR');
+    }
+
+    const invitation = {
+      id: randomId('inv'),
+      phoneNumber,
+      email: email || null,
+      message: message || null,
+      status: 'pending',
+      createdAt: new Date().toISOString()
+    };
+    account.sentInvitations.push(invitation);
+    return { success: true, invitationId: invitation.id };
+  }
+
+  /**
+   * @param {Object} account - Authenticated account
+   * @param {Object} query - `{ page, limit }`
+   * @returns {Object} `{ invitations, pagination }`
+   */
+  getSentInvitations(account, query) {
+    const { items, pagination } = paginate([...account.sentInvitations].reverse(), query);
+    return { invitations: items, pagination };
+  }
+
+  /**
+   * @param {Object} account - Authenticated account
+   * @param {Object} query - `{ page, limit }`
+   * @returns {Object} `{ invitations, pagination }`
+   */
+  getReceivedInvitations(account, query) {
+    const { items, pagination } = paginate([...account.receivedInvitations].reverse(), query);
+    return { invitations: items, pagination };
+  }
+
+  /**
+   * Accept or reject a pending invitation. Accepting adds the inviter to the
+   * security circle when there is room.
+   *
+   * @param {Object} account - Invited account
+   * @param {string} invitationId - Invitation ID
+   * @param {string} status - 'accepted' or 'rejected'
+   * @returns {Object} `{ success, invitation }`
+   */
+  answerInvitation(account, invitationId, status) {
+    const invitation = account.receivedInvitations.find((item) => item.id === invitationId);
+    if (!invitation) {
+      throw new MockError(404, 'Invitation not found', 'NOT_FOUND');
+    }
+    if (invitation.status !== 'pending') {
+      throw new MockError(409, `Invitation was already ${invitation.status}`, 'INVITATION_CLOSED');
+    }
+
+    invitation.status = status;
+    invitation.answeredAt = new Date().toISOString();
+
+    const inviter = this.accounts.get(invitation.from.username);
+    if (status === 'accepted' && !account.circle.includes(inviter.username) && account.circle.length < MAX_CIRCLE_SIZE) {
+      account.circle.push(inviter.username);
+    }
+
+    return { success: true, invitation };
+  }
+
+  /**
+   * Describe an account for the /__mock/state control route
+   *
+   * @param {string} username - Username
+   * @returns {Object|null}
+   */
+  inspect(username) {
+    const account = this.accounts.get(username);
+    if (!account) {
+      return null;
+    }
+
+    return {
+      ...this._profile(account),
+      password: account.password,
+      balance: formatAmount(account.balance),
+      mining: account.mining,
+      circle: account.circle,
+      transactionCount: account.transactions.length
+    };
+  }
+
+  /**
+   * Create an account from its seed
+   *
+   * @private
+   */
+  _createAccount(seed, index, now) {
+    const id = `user-${seed.username}`;
+    const transactions = [];
+    const miningHistory = [];
+    let totalEarned = 0;
+
+    // One mining reward per day, going back in time
+    for (let day = 1; day <= seed.transactions; day++) {
+      const startTime = now - day * 24 * HOUR_MS;
+      const earned = BASE_MINING_RATE * 24 * (0.8 + ((day * 7 + index) % 5) / 10);
+      const sessionId = `session-${seed.username}-${day}`;
+      totalEarned += earned;
+
+      miningHistory.push({
+        sessionId,
+        startTime: new Date(startTime).toISOString(),
+        endTime: new Date(startTime + 24 * HOUR_MS).toISOString(),
+        rate: formatAmount(BASE_MINING_RATE),
+        earned: formatAmount(earned)
+      });
+      transactions.push({
+        id: `tx-${seed.username}-${day}`,
+        type: 'mining_reward',
+        amount: formatAmount(earned),
+        sessionId,
+        timestamp: new Date(startTime + 24 * HOUR_MS).toISOString(),
+        status: 'completed'
+      });
+    }
+
+    return {
+      id,
+      username: seed.username,
+      password: DEFAULT_PASSWORD,
+      address: seed.address,
+      balance: seed.balance,
+      totalEarned,
+      transactions,
+      // Responses of POST /wallet/send by Idempotency-Key
+      payments: new Map(),
+      miningHistory,
+      mining: null,
+      circle: [],
+      sentInvitations: [],
+      receivedInvitations: [],
+      profile: {
+        displayName: seed.displayName,
+        email: `${seed.username}@example.com`,
+        phoneNumber: null,
+        bio: '',
+        profilePicture: null
+      },
+      memberSince: new Date(now - (seed.transactions + 30) * 24 * HOUR_MS).toISOString(),
+      verification: {
+        kycStatus: seed.verified ? 'verified' : 'not_started',
+        emailVerified: true,
+        phoneVerified: seed.verified
+      },
+      notificationSettings: {
+        mining: true,
+        security: true,
+        social: true,
+        marketing: false
+      }
+    };
+  }
+
+  _seedCircle(username, members) {
+    this.accounts.get(username).circle.push(...members);
+  }
+
+  _seedInvitation(fromUsername, toUsername) {
+    const from = this.accounts.get(fromUsername);
+    this.accounts.get(toUsername).receivedInvitations.push({
+      id: `inv-${fromUsername}-${toUsername}`,
+      from: this._member(from),
+      message: `${from.profile.displayName} invites you to their security circle`,
+      status: 'pending',
+      createdAt: new Date(Date.now() - 2 * 24 * HOUR_MS).toISOString()
+    });
+  }
+
+  _issueTokens(username) {
+    const token = `mock-at-${crypto.randomBytes(16).toString('hex')}`;
+    const refreshToken = `mock-rt-${crypto.randomBytes(16).toString('hex')}`;
+
+    this.accessTokens.set(token, { username, expiresAt: Date.now() + this.tokenLifetime * 1000 });
+    this.refreshTokens.set(refreshToken, username);
+
+    return { token, refreshToken, expiresIn: this.tokenLifetime };
+  }
+
+  _findByLogin(login) {
+    return [...this.accounts.values()].find((account) => {
+      return account.username === login || account.profile.email === login;
+    });
+  }
+
+  _findByRecipient(recipient) {
+    const username = recipient.replace(/^@/, '');
+    // Muxed addresses pay the account they are derived from
+    const address = isValidAddress(recipient) ? decodeAddress(recipient).baseAddress : recipient;
+    return this.accounts.get(username)
+      || [...this.accounts.values()].find((account) => account.address === address);
+  }
+
+  _findById(userId) {
+    return [...this.accounts.values()].find((account) => {
+      return account.id === userId || account.username === userId;
+    });
+  }
+
+  _publicUser(account) {
+    return {
+      id: account.id,
+      username: account.username,
+      displayName: account.profile.displayName,
+      balance: formatAmount(account.balance),
+      accountType: account.verification.kycStatus === 'verified' ? 'Verified' : 'Standard',
+      memberSince: account.memberSince
+    };
+  }
+
+  _profile(account) {
+    return {
+      id: account.id,
+      username: account.username,
+      ...account.profile,
+      memberSince: account.memberSince,
+      accountType: account.verification.kycStatus === 'verified' ? 'Verified' : 'Standard'
+    };
+  }
+
+  _member(account) {
+    return {
+      id: account.id,
+      username: account.username,
+      displayName: account.profile.displayName,
+      status: account.mining ? 'active' : 'inactive'
+    };
+  }
+
+  _miningRate(account) {
+    return BASE_MINING_RATE + account.circle.length * CIRCLE_BONUS_RATE;
+  }
+
+  _minedSoFar(session) {
+    const elapsed = Math.min(Date.now(), Date.parse(session.endTime)) - Date.parse(session.startTime);
+    return Math.max(elapsed, 0) / HOUR_MS * session.rate;
+  }
+
+  /**
+   * Credit a finished mining session to the balance and history
+   *
+   * @private
+   */
+  _settleMining(account) {
+    const session = account.mining;
+    if (!session || Date.now() < Date.parse(session.endTime)) {
+      return;
+    }
+
+    const earned = this._minedSoFar(session);
+    account.mining = null;
+    account.balance += earned;
+    account.totalEarned += earned;
+    account.miningHistory.push({
+      sessionId: session.sessionId,
+      startTime: session.startTime,
+      endTime: session.endTime,
+      rate: formatAmount(session.rate),
+      earned: formatAmount(earned)
+    });
+    account.transactions.push({
+      id: randomId('tx'),
+      type: 'mining_reward',
+      amount: formatAmount(earned),
+      sessionId: session.sessionId,
+      timestamp: session.endTime,
+      status: 'completed'
+    });
+  }
+}
+
+module.exports = {
+  MockState,
+  MockError,
+  SEED_ACCOUNTS,
+  DEFAULT_PASSWORD
+};
@@ -8,19 +8,24 @@ contextBridge.exposeInMainWorld(
     // Get application version from the main process
     getAppVersion: () => ipcRenderer.invoke('get-app-version'),
     
+    // Connection to the Pi Network API, also pushed on 'pi-network-status'
+    getConnectionStatus: () => ipcRenderer.invoke('connection-get-status'),
+    checkConnection: () => ipcRenderer.invoke('connection-check'),
+    
+    // QR code of a text as a module matrix, drawn by the renderer
+    encodeQr: (text) => ipcRenderer.invoke('qr-encode', text),
+
+    // pi: link opened with the app, null if none is waiting. 'deep-link' tells when one arrives
+    takeDeepLink: () => ipcRenderer.invoke('deep-link-take'),
+
     // General utility methods
     // Moved openExternalLink to piAuth namespace
-    
-    // Example: Pi Network specific methods would be added here
-    // For instance:
-    // checkPiNetworkConnection: () => ipcRenderer.invoke('check-pi-network-connection'),
-    // getPiBalance: () => ipcRenderer.invoke('get-pi-balance'),
-    // sendPi: (recipient, amount) => ipcRenderer.invoke('send-pi', recipient, amount),
+    // Pi Network API methods live in the piWallet, piMining, piUser and piSocial namespaces
     
     // Add an event listener to receive messages from the main process
     on: (channel, callback) => {
       // Whitelist of valid channels
-      const validChannels = ['pi-network-status', 'transaction-update'];
+      const validChannels = ['pi-network-status', 'transaction-update', 'api-cache-update', 'deep-link'];
       if (validChannels.includes(channel)) {
         // Deliberately strip event as it includes `sender`
         ipcRenderer.on(channel, (event, ...args) => callback(...args));
@@ -29,13 +34,13 @@ contextBridge.exposeInMainWorld(
     
     // Remove an event listener
     removeListener: (channel, callback) => {
-      const validChannels = ['pi-network-status', 'transaction-update'];
+      const validChannels = ['pi-network-status', 'transaction-update', 'api-cache-update', 'deep-link'];
       if (validChannels.includes(channel)) {
         ipcRenderer.removeListener(channel, callback);
       }
     }
   }
-});
+);
 
 // Expose authentication methods in a separate namespace
 contextBridge.exposeInMainWorld(
@@ -44,6 +49,8 @@ contextBridge.exposeInMainWorld(
     // Authentication methods
     login: (username, password) => ipcRenderer.invoke('auth-login', username, password),
     logout: () => ipcRenderer.invoke('auth-logout'),
+    // Resolves to { isAuthenticated, user }, with offline: true when the stored
+    // session could not be checked with the server
     checkAuthStatus: () => ipcRenderer.invoke('auth-check-status'),
     
     // Listen for authentication status changes
@@ -61,5 +68,148 @@ contextBridge.exposeInMainWorld(
   }
 );
 
+// Account switcher (several Pi Network accounts, one active at a time)
+contextBridge.exposeInMainWorld(
+  'piAccounts',
+  {
+    list: () => ipcRenderer.invoke('accounts-list'),
+    add: (name) => ipcRenderer.invoke('accounts-add', name),
+    switchTo: (accountId) => ipcRenderer.invoke('accounts-switch', accountId),
+    rename: (accountId, name) => ipcRenderer.invoke('accounts-rename', accountId, name),
+    remove: (accountId) => ipcRenderer.invoke('accounts-remove', accountId)
+  }
+);
+
+// Saved recipients of the active account. Every call resolves to
+// { success, data } or { success: false, error, errorCode }
+contextBridge.exposeInMainWorld(
+  'piAddressBook',
+  {
+    // All entries, or suggestions for a query
+    list: (query) => ipcRenderer.invoke('address-book-list', query),
+    add: (entry) => ipcRenderer.invoke('address-book-add', entry),
+    update: (id, changes) => ipcRenderer.invoke('address-book-update', id, changes),
+    remove: (id) => ipcRenderer.invoke('address-book-remove', id),
+    // Members of the security circle: all of them, or the one with this username
+    addFromSecurityCircle: (username) => ipcRenderer.invoke('address-book-add-from-circle', username),
+    // 'json' or 'vcard', written to a file chosen in a save dialog
+    exportTo: (format) => ipcRenderer.invoke('address-book-export', format),
+    importFrom: () => ipcRenderer.invoke('address-book-import')
+  }
+);
+
+// Credential vault (optional app passphrase protecting stored tokens)
+contextBridge.exposeInMainWorld(
+  'piVault',
+  {
+    getStatus: () => ipcRenderer.invoke('vault-get-status'),
+    unlock: (passphrase) => ipcRenderer.invoke('vault-unlock', passphrase),
+    setPassphrase: (newPassphrase, currentPassphrase) => ipcRenderer.invoke('vault-set-passphrase', newPassphrase, currentPassphrase),
+    removePassphrase: (currentPassphrase) => ipcRenderer.invoke('vault-set-passphrase', null, currentPassphrase)
+  }
+);
+
+// App settings
+contextBridge.exposeInMainWorld(
+  'piSettings',
+  {
+    // Resolves to { environment, label, apiBaseURL, source, profiles }
+    getEnvironment: () => ipcRenderer.invoke('settings-get-environment'),
+    // Saves the environment and restarts the app into it
+    setEnvironment: (environment) => ipcRenderer.invoke('settings-set-environment', environment),
+    // Resolves to { level, levels, file }
+    getLogging: () => ipcRenderer.invoke('settings-get-logging'),
+    // Changes the log level right away and saves it
+    setLogLevel: (level) => ipcRenderer.invoke('settings-set-log-level', level),
+    // Shows the folder of the log files
+    openLogFolder: () => ipcRenderer.invoke('settings-open-log-folder')
+  }
+);
+
+// Pi Network API namespaces. Every method resolves to an envelope of the form
+// { success, data, error, errorType, errorCode, details, statusCode } produced by
+// src/main/api-handlers.js. errorType names the error class of src/api/errors.js,
+// e.g. 'RateLimitError' (with retryAfter in seconds) or 'NetworkError'
+
+// Wallet operations
+contextBridge.exposeInMainWorld(
+  'piWallet',
+  {
+    getBalance: () => ipcRenderer.invoke('wallet-get-balance'),
+    getTransactionHistory: (options) => ipcRenderer.invoke('wallet-get-transactions', options),
+    getTransactionDetails: (transactionId) => ipcRenderer.invoke('wallet-get-transaction', transactionId),
+    // Asks for confirmation in a dialog first. Large amounts need options.passphrase, or
+    // options.typedAmount, the amount typed again, while no app passphrase is set
+    sendPi: (recipient, amount, memo, options) => ipcRenderer.invoke('wallet-send', recipient, amount, memo, options),
+    // Resolves to { largeAmount, passphraseSet, maxMemoBytes }
+    getSendPolicy: () => ipcRenderer.invoke('wallet-get-send-policy'),
+    // Resolves to { success, data: { type, username, address, baseAddress, muxedId } },
+    // checked locally without contacting the API
+    checkRecipient: (recipient) => ipcRenderer.invoke('wallet-check-recipient', recipient),
+    getWalletAddress: () => ipcRenderer.invoke('wallet-get-address'),
+    // Writes the history to a file chosen in a save dialog.
+    // options: { format: 'csv' | 'json' | 'ofx', columns, since, until }
+    exportTransactions: (options) => ipcRenderer.invoke('wallet-export-transactions', options),
+    // Adds the transactions made since the last sync to the local index.
+    // Resolves to { success, data: { added, updated, total, syncedAt } }
+    syncTransactions: () => ipcRenderer.invoke('wallet-sync-transactions'),
+    // Searches the local index, offline too. filters: { query, direction: 'in' | 'out',
+    // minAmount, maxAmount, since, until, status, page, limit }
+    searchTransactions: (filters) => ipcRenderer.invoke('wallet-search-transactions', filters),
+    // Daily balance and weekly and monthly cash flow, built locally.
+    // options: { days } with null days for the whole history
+    getAnalytics: (options) => ipcRenderer.invoke('wallet-get-analytics', options),
+    // Writes a series to a file chosen in a save dialog.
+    // options: { series: 'daily' | 'weekly' | 'monthly', format: 'csv' | 'json', days }
+    exportAnalytics: (options) => ipcRenderer.invoke('wallet-export-analytics', options),
+    // Builds a pi: payment request URI. request: { payTo: 'username' | 'address', amount, memo },
+    // amount and memo optional. Resolves to { success, data: { uri, recipient, amount, memo } }
+    createPaymentRequest: (request) => ipcRenderer.invoke('payment-request-create', request),
+    // Reads a pi: payment request URI, checked like a payment
+    parsePaymentRequest: (uri) => ipcRenderer.invoke('payment-request-parse', uri)
+  }
+);
+
+// Mining sessions and rates
+contextBridge.exposeInMainWorld(
+  'piMining',
+  {
+    startMiningSession: (options) => ipcRenderer.invoke('mining-start', options),
+    checkMiningStatus: () => ipcRenderer.invoke('mining-get-status'),
+    getMiningHistory: (options) => ipcRenderer.invoke('mining-get-history', options),
+    getMiningRate: () => ipcRenderer.invoke('mining-get-rate')
+  }
+);
+
+// User profile and settings
+contextBridge.exposeInMainWorld(
+  'piUser',
+  {
+    getProfile: () => ipcRenderer.invoke('user-get-profile'),
+    updateProfile: (profileData) => ipcRenderer.invoke('user-update-profile', profileData),
+    // image: { name, type, data: ArrayBuffer }, e.g. built from a File with file.arrayBuffer()
+    uploadProfilePicture: (image) => ipcRenderer.invoke('user-upload-picture', image),
+    changePassword: (currentPassword, newPassword) => ipcRenderer.invoke('user-change-password', currentPassword, newPassword),
+    getVerificationStatus: () => ipcRenderer.invoke('user-get-verification-status'),
+    getNotificationSettings: () => ipcRenderer.invoke('user-get-notification-settings'),
+    updateNotificationSettings: (settings) => ipcRenderer.invoke('user-update-notification-settings', settings)
+  }
+);
+
+// Security circle and invitations
+contextBridge.exposeInMainWorld(
+  'piSocial',
+  {
+    getSecurityCircle: () => ipcRenderer.invoke('social-get-security-circle'),
+    addToSecurityCircle: (userId) => ipcRenderer.invoke('social-add-to-circle', userId),
+    removeFromSecurityCircle: (userId) => ipcRenderer.invoke('social-remove-from-circle', userId),
+    inviteUser: (invitation) => ipcRenderer.invoke('social-invite', invitation),
+    getSentInvitations: (options) => ipcRenderer.invoke('social-get-sent-invitations', options),
+    getReceivedInvitations: (options) => ipcRenderer.invoke('social-get-received-invitations', options),
+    acceptInvitation: (invitationId) => ipcRenderer.invoke('social-accept-invitation', invitationId),
+    rejectInvitation: (invitationId) => ipcRenderer.invoke('social-reject-invitation', invitationId)
+  }
+);
+
 // Add any additional context bridge exposures or preload functionality here
 
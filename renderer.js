@@ -15,10 +15,47 @@ async function initApp() {
     window.api.on('pi-network-status', (status) => {
       updateConnectionStatus(status);
     });
+    updateConnectionStatus(await window.api.getConnectionStatus());
+    
+    // Probe right away when the network goes down or comes back
+    window.addEventListener('online', checkConnection);
+    window.addEventListener('offline', checkConnection);
+    
+    // React to token renewals and forced logouts from the main process
+    window.piAuth.onAuthStatusChange((status) => {
+      if (status.isAuthenticated) {
+        if (status.user) {
+          showUserInfo(status.user);
+        }
+      } else if (status.reason === 'expired') {
+        // The session could not be renewed, ask the user to log in again
+        window.location.href = 'login.html';
+      }
+    });
+    
+    // Set up the wallet dashboard, loaded once the user is authenticated
+    setupWalletDashboard();
+    setupSendForm();
+    setupPaymentRequests();
+    setupAddressBook();
+    setupWalletAnalytics();
+    setupDeepLinks();
     
     // Check if the user is authenticated
     await checkAuthStatus();
     
+    // Set up the account switcher
+    await setupAccountSwitcher();
+    
+    // Set up the server environment settings
+    await setupEnvironmentSettings();
+    
+    // Set up the log level settings
+    await setupLoggingSettings();
+    
+    // Set up the app passphrase settings
+    await setupPassphraseSettings();
+    
     console.log('Pi Network Linux client initialized');
   } catch (error) {
     console.error('Error initializing app:', error);
@@ -28,14 +65,29 @@ async function initApp() {
 function updateConnectionStatus(status) {
   const statusElement = document.getElementById('connection-status');
   if (status && status.connected) {
-    statusElement.textContent = `Connected to Pi Network. Server: ${status.server}`;
+    const latency = status.latency !== null ? ` (${status.latency} ms)` : '';
+    statusElement.textContent = `Connected to Pi Network. Server: ${status.server}${latency}`;
     statusElement.style.color = 'green';
+  } else if (status && !status.online) {
+    statusElement.textContent = 'You are offline. Waiting for the network to come back.';
+    statusElement.style.color = 'orange';
   } else {
     statusElement.textContent = 'Not connected to Pi Network services.';
     statusElement.style.color = 'red';
   }
 }
 
+/**
+ * Asks the main process to probe the API now and shows the result
+ */
+async function checkConnection() {
+  try {
+    updateConnectionStatus(await window.api.checkConnection());
+  } catch (error) {
+    console.error('Error checking the connection:', error);
+  }
+}
+
 // Add more renderer functions as needed for Pi Network functionality
 
 /**
@@ -67,7 +119,6 @@ function showUserInfo(user) {
   
   // Update user info fields
   document.getElementById('user-username').textContent = user.username;
-  document.getElementById('user-balance').textContent = user.balance || '0.0';
   document.getElementById('user-type').textContent = user.accountType || 'Standard';
   document.getElementById('user-member-since').textContent = user.memberSince || 'Unknown';
   
@@ -103,6 +154,22 @@ function showAuthenticatedUI() {
     element.style.display = 'block';
   });
   
+  // Load the balance, address and transactions of the wallet dashboard
+  refreshWallet().catch((error) => {
+    console.error('Error loading the wallet:', error);
+  });
+  refreshAddressBook().catch((error) => {
+    console.error('Error loading the address book:', error);
+  });
+  refreshWalletAnalytics().catch((error) => {
+    console.error('Error loading the wallet analytics:', error);
+  });
+  
+  // Show the pi: link the app was opened with, if any
+  openDeepLink().catch((error) => {
+    console.error('Error opening the link:', error);
+  });
+  
   // Update connection status with authentication information
   const statusElement = document.getElementById('connection-status');
   if (statusElement) {
@@ -165,3 +232,234 @@ async function handleLogout() {
   }
 }
 
+
+/**
+ * Fill the account switcher and wire up its buttons. Switching, adding and
+ * removing accounts make the main process reload the window.
+ */
+async function setupAccountSwitcher() {
+  const select = document.getElementById('account-select');
+  if (!select) {
+    return;
+  }
+  
+  const renameForm = document.getElementById('rename-account-form');
+  const nameInput = document.getElementById('account-name');
+  
+  const showMessage = (text) => {
+    const message = document.getElementById('account-message');
+    message.textContent = text || '';
+    message.style.color = 'red';
+  };
+  
+  const { accounts, activeAccountId } = await window.piAccounts.list();
+  
+  select.innerHTML = '';
+  accounts.forEach((account) => {
+    const option = document.createElement('option');
+    option.value = account.id;
+    option.textContent = account.isAuthenticated ? account.name : `${account.name} (signed out)`;
+    option.selected = account.id === activeAccountId;
+    select.appendChild(option);
+  });
+  
+  select.addEventListener('change', async () => {
+    const result = await window.piAccounts.switchTo(select.value);
+    if (!result.success) {
+      showMessage(result.error);
+    }
+  });
+  
+  document.getElementById('add-account-button').addEventListener('click', async () => {
+    const result = await window.piAccounts.add();
+    if (!result.success) {
+      showMessage(result.error);
+    }
+  });
+  
+  document.getElementById('rename-account-button').addEventListener('click', () => {
+    const active = accounts.find((account) => account.id === activeAccountId);
+    nameInput.value = active ? active.name : '';
+    renameForm.style.display = 'block';
+    nameInput.focus();
+  });
+  
+  renameForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    
+    const result = await window.piAccounts.rename(activeAccountId, nameInput.value);
+    if (result.success) {
+      renameForm.style.display = 'none';
+      select.options[select.selectedIndex].textContent = nameInput.value.trim();
+      showMessage('');
+    } else {
+      showMessage(result.error);
+    }
+  });
+  
+  document.getElementById('remove-account-button').addEventListener('click', async () => {
+    const active = accounts.find((account) => account.id === activeAccountId);
+    if (!active || !window.confirm(`Log out and remove the account "${active.name}" from this computer?`)) {
+      return;
+    }
+    
+    const result = await window.piAccounts.remove(activeAccountId);
+    if (!result.success) {
+      showMessage(result.error);
+    }
+  });
+}
+
+/**
+ * Show the server environment and switch to another one on request
+ */
+async function setupEnvironmentSettings() {
+  const form = document.getElementById('environment-form');
+  if (!form) {
+    return;
+  }
+  
+  const select = document.getElementById('environment-select');
+  const message = document.getElementById('environment-message');
+  const current = await window.piSettings.getEnvironment();
+  
+  select.innerHTML = '';
+  current.profiles.forEach((profile) => {
+    const option = document.createElement('option');
+    option.value = profile.name;
+    option.textContent = profile.label;
+    option.selected = profile.name === current.environment;
+    select.appendChild(option);
+  });
+  
+  let state = `Connected to ${current.label} (${current.apiBaseURL}).`;
+  if (current.source === 'cli' || current.source === 'env') {
+    state += ' Chosen on the command line or with PI_NETWORK_ENV.';
+  }
+  document.getElementById('environment-state').textContent = state;
+  
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    
+    if (select.value === current.environment) {
+      return;
+    }
+    
+    const result = await window.piSettings.setEnvironment(select.value);
+    message.style.color = result.success ? 'green' : 'red';
+    message.textContent = result.success
+      ? (result.message || 'Restarting...')
+      : result.error;
+  });
+}
+
+/**
+ * Show the log level and log file, and change the level on selection
+ */
+async function setupLoggingSettings() {
+  const form = document.getElementById('logging-form');
+  if (!form) {
+    return;
+  }
+  
+  const select = document.getElementById('log-level-select');
+  const message = document.getElementById('logging-message');
+  const current = await window.piSettings.getLogging();
+  
+  select.innerHTML = '';
+  current.levels.forEach((level) => {
+    const option = document.createElement('option');
+    option.value = level;
+    option.textContent = level.charAt(0).toUpperCase() + level.slice(1);
+    option.selected = level === current.level;
+    select.appendChild(option);
+  });
+  
+  document.getElementById('logging-state').textContent = current.file
+    ? `Logs are written to ${current.file}. Passwords and tokens are never logged.`
+    : 'Logs are only written to the console.';
+  
+  select.addEventListener('change', async () => {
+    const result = await window.piSettings.setLogLevel(select.value);
+    message.style.color = result.success ? 'green' : 'red';
+    message.textContent = result.success ? `Log level set to ${result.level}.` : result.error;
+  });
+  
+  document.getElementById('open-log-folder-button').addEventListener('click', async () => {
+    const result = await window.piSettings.openLogFolder();
+    if (!result.success) {
+      message.style.color = 'red';
+      message.textContent = result.error;
+    }
+  });
+}
+
+/**
+ * Show the current app passphrase state and wire up the passphrase form
+ */
+async function setupPassphraseSettings() {
+  const form = document.getElementById('passphrase-form');
+  if (!form) {
+    return;
+  }
+  
+  const removeButton = document.getElementById('remove-passphrase-button');
+  
+  const refreshState = async () => {
+    const status = await window.piVault.getStatus();
+    document.getElementById('passphrase-state').textContent = status.requiresPassphrase
+      ? 'Your stored session is encrypted with your app passphrase. It is asked for on every start.'
+      : 'Your stored session is encrypted with a key generated for this install. Set a passphrase to require it on every start.';
+    document.getElementById('current-passphrase-group').style.display = status.requiresPassphrase ? 'block' : 'none';
+    removeButton.style.display = status.requiresPassphrase ? 'inline-block' : 'none';
+  };
+  
+  const showMessage = (text, isError) => {
+    const message = document.getElementById('passphrase-message');
+    message.textContent = text;
+    message.style.color = isError ? 'red' : 'green';
+  };
+  
+  const resetFields = () => {
+    ['current-passphrase', 'new-passphrase', 'confirm-passphrase'].forEach((id) => {
+      document.getElementById(id).value = '';
+    });
+  };
+  
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    
+    const currentPassphrase = document.getElementById('current-passphrase').value;
+    const newPassphrase = document.getElementById('new-passphrase').value;
+    const confirmPassphrase = document.getElementById('confirm-passphrase').value;
+    
+    if (newPassphrase !== confirmPassphrase) {
+      showMessage('The new passphrases do not match.', true);
+      return;
+    }
+    
+    const result = await window.piVault.setPassphrase(newPassphrase, currentPassphrase);
+    if (result.success) {
+      resetFields();
+      showMessage('Passphrase saved.', false);
+      await refreshState();
+    } else {
+      showMessage(result.error, true);
+    }
+  });
+  
+  removeButton.addEventListener('click', async () => {
+    const currentPassphrase = document.getElementById('current-passphrase').value;
+    
+    const result = await window.piVault.removePassphrase(currentPassphrase);
+    if (result.success) {
+      resetFields();
+      showMessage('Passphrase removed.', false);
+      await refreshState();
+    } else {
+      showMessage(result.error, true);
+    }
+  });
+  
+  await refreshState();
+}
@@ -0,0 +1,284 @@
+/**
+ * Wallet Addresses
+ *
+ * Validation of Pi recipients before anything is sent. Pi wallet addresses are
+ * Stellar StrKey public keys: a version byte, the 32 byte ed25519 key and a
+ * CRC16-XModem checksum, in base32 without padding.
+ *
+ *   G…  56 characters, account address
+ *   M…  69 characters, muxed address: an account address plus a 64 bit id
+ *
+ * A recipient is either such an address or a username. Anything too long to be
+ * a username that starts with G or M is read as an address, so a mistyped
+ * address is reported as such instead of being sent to the server as a
+ * username.
+ *
+ * @module api/address
+ */
+
+const { ValidationError } = require('./errors');
+
+// RFC 4648 base32 alphabet used by StrKey
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// StrKey version bytes, the first character of the encoded key
+const VERSION_BYTES = {
+  address: 6 << 3, // G
+  muxed: 12 << 3, // M
+  secret: 18 << 3 // S
+};
+
+// Encoded lengths of account and muxed addresses
+const ADDRESS_LENGTH = 56;
+const MUXED_ADDRESS_LENGTH = 69;
+
+// Usernames: letters, digits and underscores, optionally written as @name
+const USERNAME_PATTERN = /^[A-Za-z0-9_]{1,32}$/;
+const MAX_USERNAME_LENGTH = 32;
+
+/**
+ * Error raised when a recipient is neither a valid username nor a valid address
+ */
+class AddressError extends ValidationError {
+  /**
+   * @param {string} message - Error message, suitable for display
+   * @param {string} code - 'INVALID_RECIPIENT', 'INVALID_ADDRESS' or 'INVALID_USERNAME'
+   */
+  constructor(message, code) {
+    super(message, { code });
+  }
+}
+
+/**
+ * CRC16-XModem checksum of StrKey
+ *
+ * @param {Buffer} bytes - Version byte and payload
+ * @returns {number} 16 bit checksum
+ */
+const crc16 = (bytes) => {
+  let crc = 0;
+  for (const byte of bytes) {
+    crc ^= byte << 8;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x8000 ? (crc << 1) ^ 0x1021 : crc << 1;
+    }
+  }
+  return crc & 0xffff;
+};
+
+/**
+ * Encode bytes in unpadded base32
+ *
+ * @param {Buffer} bytes - Bytes to encode
+ * @returns {string} Base32 text
+ */
+const base32Encode = (bytes) => {
+  let text = '';
+  let buffer = 0;
+  let bits = 0;
+  for (const byte of bytes) {
+    buffer = (buffer << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      text += BASE32_ALPHABET[(buffer >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    text += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+  }
+  return text;
+};
+
+/**
+ * Decode unpadded base32
+ *
+ * @param {string} text - Base32 text
+ * @returns {Buffer|null} The bytes, or null if the text is not canonical base32
+ */
+const base32Decode = (text) => {
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+  for (const character of text) {
+    const value = BASE32_ALPHABET.indexOf(character);
+    if (value === -1) {
+      return null;
+    }
+    buffer = ((buffer << 5) | value) & 0xfff;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((buffer >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  // Leftover bits must be zero, so every key has a single spelling
+  if (buffer & ((1 << bits) - 1)) {
+    return null;
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Encode a StrKey
+ *
+ * @param {number} version - Version byte
+ * @param {Buffer} payload - Key, and id for muxed addresses
+ * @returns {string} The StrKey
+ */
+const encodeStrKey = (version, payload) => {
+  const data = Buffer.concat([Buffer.from([version]), payload]);
+  const checksum = Buffer.alloc(2);
+  checksum.writeUInt16LE(crc16(data));
+  return base32Encode(Buffer.concat([data, checksum]));
+};
+
+/**
+ * Decode a StrKey and verify its checksum
+ *
+ * @param {string} text - The StrKey
+ * @returns {Object|null} `{ version, payload }`, or null if malformed
+ */
+const decodeStrKey = (text) => {
+  const bytes = base32Decode(text);
+  if (!bytes || bytes.length < 3) {
+    return null;
+  }
+
+  const data = bytes.subarray(0, -2);
+  if (bytes.readUInt16LE(bytes.length - 2) !== crc16(data)) {
+    return null;
+  }
+  return { version: data[0], payload: data.subarray(1) };
+};
+
+/**
+ * Encode a wallet address
+ *
+ * @param {Buffer} publicKey - 32 byte ed25519 public key
+ * @param {string|number|bigint} [muxedId] - Id of a muxed address
+ * @returns {string} G… address, or M… address with a muxed id
+ */
+const encodeAddress = (publicKey, muxedId) => {
+  if (!Buffer.isBuffer(publicKey) || publicKey.length !== 32) {
+    throw new TypeError('A public key has 32 bytes');
+  }
+  if (muxedId === undefined || muxedId === null) {
+    return encodeStrKey(VERSION_BYTES.address, publicKey);
+  }
+
+  const id = Buffer.alloc(8);
+  id.writeBigUInt64BE(BigInt(muxedId));
+  return encodeStrKey(VERSION_BYTES.muxed, Buffer.concat([publicKey, id]));
+};
+
+/**
+ * Decode and verify a wallet address
+ *
+ * @param {string} address - G… or M… address, in capitals
+ * @returns {Object} `{ address, type, publicKey, baseAddress, muxedId }` with
+ *   type 'address' or 'muxed', baseAddress the G… address of the account and
+ *   muxedId a decimal string, or null for account addresses
+ * @throws {AddressError} If the address is malformed or its checksum is wrong
+ */
+const decodeAddress = (address) => {
+  if (typeof address !== 'string' || !/^[GM]/.test(address)) {
+    throw new AddressError('Wallet addresses start with G or M', 'INVALID_ADDRESS');
+  }
+
+  const muxed = address[0] === 'M';
+  const length = muxed ? MUXED_ADDRESS_LENGTH : ADDRESS_LENGTH;
+  if (address.length !== length) {
+    throw new AddressError(
+      `${muxed ? 'Muxed addresses' : 'Wallet addresses'} have ${length} characters, this one has ${address.length}`,
+      'INVALID_ADDRESS'
+    );
+  }
+  if (!/^[A-Z2-7]+$/.test(address)) {
+    throw new AddressError('Wallet addresses only contain the letters A to Z and the digits 2 to 7', 'INVALID_ADDRESS');
+  }
+
+  const decoded = decodeStrKey(address);
+  if (!decoded || decoded.version !== (muxed ? VERSION_BYTES.muxed : VERSION_BYTES.address)) {
+    throw new AddressError('The address checksum does not match, check it for typos', 'INVALID_ADDRESS');
+  }
+
+  const publicKey = decoded.payload.subarray(0, 32);
+  return {
+    address,
+    type: muxed ? 'muxed' : 'address',
+    publicKey,
+    baseAddress: muxed ? encodeAddress(publicKey) : address,
+    muxedId: muxed ? decoded.payload.readBigUInt64BE(32).toString() : null
+  };
+};
+
+/**
+ * Check a wallet address
+ *
+ * @param {string} address - Address to check
+ * @param {Object} [options] - Check options
+ * @param {boolean} [options.muxed=true] - Accept muxed (M…) addresses
+ * @returns {boolean} True if the address is valid
+ */
+const isValidAddress = (address, { muxed = true } = {}) => {
+  try {
+    return decodeAddress(address).type === 'address' || muxed;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Tell whether a recipient is meant as an address rather than a username
+ *
+ * @param {string} value - Trimmed recipient
+ * @returns {boolean} True for anything too long to be a username starting with
+ *   G, M or S
+ */
+const looksLikeAddress = (value) => value.length > MAX_USERNAME_LENGTH && /^[GMS]/i.test(value);
+
+/**
+ * Parse the recipient of a payment
+ *
+ * @param {string} recipient - Username, @username or wallet address
+ * @returns {Object} `{ type: 'username', username }` or, for addresses, the
+ *   result of decodeAddress
+ * @throws {AddressError} If the recipient is neither a username nor a valid address
+ */
+const parseRecipient = (recipient) => {
+  const value = typeof recipient === 'string' ? recipient.trim() : '';
+  if (value === '') {
+    throw new AddressError('Enter a username or a wallet address', 'INVALID_RECIPIENT');
+  }
+
+  if (looksLikeAddress(value)) {
+    const address = value.toUpperCase();
+    if (address[0] === 'S') {
+      const decoded = decodeStrKey(address);
+      if (decoded && decoded.version === VERSION_BYTES.secret) {
+        throw new AddressError('This is a secret key, not an address. Never share it.', 'INVALID_ADDRESS');
+      }
+    }
+    return decodeAddress(address);
+  }
+
+  const username = value.replace(/^@/, '');
+  if (!USERNAME_PATTERN.test(username)) {
+    throw new AddressError(
+      'Usernames only contain letters, digits and underscores, wallet addresses start with G or M',
+      'INVALID_USERNAME'
+    );
+  }
+  return { type: 'username', username };
+};
+
+module.exports = {
+  AddressError,
+  parseRecipient,
+  decodeAddress,
+  encodeAddress,
+  isValidAddress,
+  ADDRESS_LENGTH,
+  MUXED_ADDRESS_LENGTH
+};
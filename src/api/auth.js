@@ -1,268 +1,426 @@
 const axios = require('axios');
-// Ensure this matches the PI_API_BASE_URL in main.js
-const BASE_API_URL = 'https://api.minepi.com/v2';
+// Base URL and timeout come from the shared configuration (see src/config.js)
+const { getConfig } = require('../config');
+const { attachRetry } = require('./retry');
+const { AuthError, SchemaMismatchError, toApiError } = require('./errors');
+const { attachSchemaValidation, validateResponse } = require('./schemas');
+const { createLogger } = require('../logger');
 
-// Debug flag - set to true to enable verbose logging
-const DEBUG = true;
-
-// Debug logger function
-const debugLog = (label, data) => {
-  if (DEBUG) {
-    console.log(`[DEBUG] ${label}:`, typeof data === 'object' ? JSON.stringify(data, null, 2) : data);
-  }
-};
-
-// Local storage/memory management of tokens
-let authToken = null;
-let refreshToken = null;
+/**
+ * Default logger used when a client is created without one (see src/logger.js).
+ * Loggers implement debug(label, data), info, warn and error.
+ */
+const defaultLogger = createLogger('api');
 
 /**
- * Shared, pre-configured Axios client for Pi Network API
- * This client automatically handles:
- * - Adding authorization headers to requests
- * - Refreshing tokens when they expire
- * - Consistent error handling
+ * Whether a refresh failed for good: the server refused the refresh token, or
+ * answered with tokens that cannot be read and may have replaced it. Network
+ * and server errors are not final, the refresh can be tried again later.
+ * @param {Error} error - Error of the refresh
+ * @returns {boolean}
  */
-const authClient = axios.create({
-  baseURL: BASE_API_URL,
-  timeout: 10000,
-  headers: {
-    'Content-Type': 'application/json',
-  }
-});
+const isRefreshRejected = (error) => (
+  error instanceof AuthError || error instanceof SchemaMismatchError || error.status === 400
+);
 
 /**
- * Request interceptor to automatically add authorization token to requests
+ * Create a token store keeping tokens in memory only.
+ * Token stores implement get(), set({ token, refreshToken, expiresIn }) and clear().
+ * @returns {Object} The token store
  */
-authClient.interceptors.request.use(
-  async (config) => {
-    // If we have an auth token, add it to the request header
-    if (authToken) {
-      config.headers['Authorization'] = `Bearer ${authToken}`;
+const createMemoryTokenStore = () => {
+  let tokens = null;
+  
+  return {
+    get: () => tokens,
+    set: ({ token, refreshToken }) => {
+      tokens = { token, refreshToken };
+    },
+    clear: () => {
+      tokens = null;
     }
-    return config;
-  },
-  (error) => {
-    return Promise.reject(error);
-  }
-);
+  };
+};
 
 /**
- * Response interceptor to handle token refresh when authorization fails
+ * Create an isolated authentication context with its own axios client,
+ * tokens, token listeners and refresh state. Separate contexts never share
+ * a session, which allows one API instance per account.
+ * @param {Object} [options] - Context options
+ * @param {string} [options.baseURL] - Base URL of the Pi Network API, defaults to
+ *   the configured environment's (see src/config.js)
+ * @param {number} [options.timeout] - Request timeout in milliseconds, defaults to
+ *   the configured environment's
+ * @param {Object} [options.tokenStore] - Where tokens are kept, in memory by default
+ *   (see createMemoryTokenStore)
+ * @param {Object} [options.logger] - Logger with debug/info/warn/error methods
+ * @param {Object|boolean} [options.retry] - Overrides of the retry policy (see
+ *   src/api/retry.js), or false to disable retries
+ * @returns {Object} The client and authentication methods of the context
  */
-authClient.interceptors.response.use(
-  (response) => {
-    return response;
-  },
-  async (error) => {
-    const originalRequest = error.config;
+const createAuth = ({
+  baseURL = getConfig().apiBaseURL,
+  timeout = getConfig().timeout,
+  tokenStore = createMemoryTokenStore(),
+  logger = defaultLogger,
+  retry
+} = {}) => {
+  // Listeners notified whenever the tokens change (see onTokenChange)
+  const tokenListeners = new Set();
+
+  // Refresh currently in flight, shared by every caller (see refreshSession)
+  let refreshPromise = null;
+
+  /**
+   * Pre-configured Axios client for Pi Network API, shared by every API
+   * module built on this context. This client automatically handles:
+   * - Adding authorization headers to requests
+   * - Refreshing tokens when they expire
+   * - Retrying rate limited and failed requests (see src/api/retry.js)
+   * - Checking responses against the schema of their endpoint (see src/api/schemas.js)
+   * - Consistent error handling: failed requests reject with the typed
+   *   errors of src/api/errors.js
+   */
+  const authClient = axios.create({
+    baseURL,
+    timeout,
+    headers: {
+      'Content-Type': 'application/json',
+    }
+  });
+
+  /**
+   * Request interceptor to automatically add authorization token to requests
+   */
+  authClient.interceptors.request.use(
+    async (config) => {
+      // Requests issued while a refresh is in flight wait for the new token
+      if (refreshPromise) {
+        try {
+          await refreshPromise;
+        } catch (error) {
+          // The refresh failed and cleared the tokens, send without them
+        }
+      }
     
-    // If error is 401 Unauthorized and we haven't already tried to refresh
-    if (error.response && 
-        error.response.status === 401 && 
-        !originalRequest._retry && 
-        refreshToken) {
+      // If we have an auth token, add it to the request header
+      const authToken = getAuthToken();
+      if (authToken) {
+        config.headers['Authorization'] = `Bearer ${authToken}`;
+      }
+      return config;
+    },
+    (error) => {
+      return Promise.reject(error);
+    }
+  );
+
+  /**
+   * Response interceptor to handle token refresh when authorization fails
+   */
+  authClient.interceptors.response.use(
+    (response) => {
+      return response;
+    },
+    async (error) => {
+      const originalRequest = error.config;
+    
+      // If error is 401 Unauthorized and we haven't already tried to refresh
+      if (error.response && 
+          error.response.status === 401 && 
+          !originalRequest._retry && 
+          getRefreshToken()) {
       
-      originalRequest._retry = true;
+        originalRequest._retry = true;
       
-      try {
-        // Attempt to refresh the token
-        const response = await refreshAuthToken();
-        
-        // If successful, update the auth token and retry the original request
-        if (response && response.data && response.data.token) {
-          authToken = response.data.token;
+        // Another request already refreshed the token since this one was sent
+        const authToken = getAuthToken();
+        const sentToken = originalRequest.headers['Authorization'];
+        if (authToken && sentToken !== `Bearer ${authToken}`) {
           originalRequest.headers['Authorization'] = `Bearer ${authToken}`;
           return authClient(originalRequest);
         }
-      } catch (refreshError) {
-        // If refresh fails, clear tokens and reject with original error
-        console.error('Token refresh failed:', refreshError);
-        clearTokens();
-        return Promise.reject(error);
+      
+        try {
+          // Join the in-flight refresh or start one, then retry the original request
+          const token = await refreshSession();
+          originalRequest.headers['Authorization'] = `Bearer ${token}`;
+          return authClient(originalRequest);
+        } catch (refreshError) {
+          logger.error('Token refresh failed:', refreshError.message);
+          // A rejected refresh token already cleared the tokens, so the 401
+          // stands. Otherwise the session is kept and the refresh error tells
+          // why the request could not be sent
+          return Promise.reject(isRefreshRejected(refreshError) ? error : refreshError);
+        }
       }
-    }
     
-    // If not a 401 or we've already tried to refresh, just reject with the error
-    return Promise.reject(error);
-  }
-);
+      // If not a 401 or we've already tried to refresh, just reject with the error
+      return Promise.reject(error);
+    }
+  );
 
-/**
- * Set authentication tokens after successful login
- * @param {string} token - The authentication token
- * @param {string} refresh - The refresh token
- */
-const setTokens = (token, refresh) => {
-  authToken = token;
-  refreshToken = refresh;
-};
+  /**
+   * Response interceptor retrying 429, 5xx and network failures with backoff
+   */
+  attachRetry(authClient, { policy: retry, logger });
 
-/**
- * Clear authentication tokens on logout or auth failure
- */
-const clearTokens = () => {
-  authToken = null;
-  refreshToken = null;
-};
+  /**
+   * Response interceptor rejecting responses that drift from their schema
+   */
+  attachSchemaValidation(authClient, { logger });
 
-/**
- * Get the current authentication token
- * @returns {string|null} The current auth token
- */
-const getAuthToken = () => {
-  return authToken;
-};
+  /**
+   * Response interceptor converting axios errors into typed errors. It runs
+   * last, so the refresh and retry interceptors still see the axios error.
+   */
+  authClient.interceptors.response.use(
+    (response) => response,
+    (error) => Promise.reject(toApiError(error))
+  );
 
-/**
- * Get the current refresh token
- * @returns {string|null} The current refresh token
- */
-const getRefreshToken = () => {
-  return refreshToken;
-};
+  /**
+   * Notify token listeners about a token change
+   * @param {Object|null} tokens - The new tokens, or null when they were cleared
+   * @param {string} reason - Why the tokens changed: 'set', 'refresh', 'clear' or 'expired'
+   */
+  const notifyTokenChange = (tokens, reason) => {
+    tokenListeners.forEach((listener) => {
+      try {
+        listener(tokens, reason);
+      } catch (error) {
+        logger.error('Token change listener failed:', error);
+      }
+    });
+  };
 
-/**
- * Attempt to refresh the authentication token using the refresh token
- * @returns {Promise} The refresh API response
- */
-const refreshAuthToken = async () => {
-  debugLog('Token Refresh Attempt', 'Trying to refresh authentication token');
+  /**
+   * Register a listener for token changes, including the automatic refresh
+   * performed by the response interceptor
+   * @param {Function} listener - Called with `({ token, refreshToken, expiresIn }, reason)`,
+   *   or `(null, reason)` when tokens are cleared. reason is 'set', 'refresh', 'clear' or 'expired'
+   * @returns {Function} Function that removes the listener
+   */
+  const onTokenChange = (listener) => {
+    tokenListeners.add(listener);
+    return () => tokenListeners.delete(listener);
+  };
+
+  /**
+   * Set authentication tokens after successful login
+   * @param {string} token - The authentication token
+   * @param {string} refresh - The refresh token
+   * @param {number} [expiresIn] - Token lifetime in seconds, if known
+   */
+  const setTokens = (token, refresh, expiresIn) => {
+    tokenStore.set({ token, refreshToken: refresh, expiresIn });
+    notifyTokenChange({ token, refreshToken: refresh, expiresIn }, 'set');
+  };
+
+  /**
+   * Clear authentication tokens on logout or auth failure
+   * @param {string} [reason='clear'] - Reason passed to token listeners
+   */
+  const clearTokens = (reason = 'clear') => {
+    tokenStore.clear();
+    notifyTokenChange(null, reason);
+  };
+
+  /**
+   * Get the current authentication token
+   * @returns {string|null} The current auth token
+   */
+  const getAuthToken = () => {
+    const tokens = tokenStore.get();
+    return (tokens && tokens.token) || null;
+  };
+
+  /**
+   * Get the current refresh token
+   * @returns {string|null} The current refresh token
+   */
+  const getRefreshToken = () => {
+    const tokens = tokenStore.get();
+    return (tokens && tokens.refreshToken) || null;
+  };
+
+  /**
+   * Attempt to refresh the authentication token using the refresh token
+   * @returns {Promise} The refresh API response
+   */
+  const refreshAuthToken = async () => {
+    logger.debug('Token Refresh Attempt', 'Trying to refresh authentication token');
   
-  // Verify we have a refresh token
-  if (!refreshToken) {
-    debugLog('Token Refresh Error', 'No refresh token available');
-    throw new Error('No refresh token available for token refresh');
-  }
+    // Verify we have a refresh token
+    const refreshToken = getRefreshToken();
+    if (!refreshToken) {
+      logger.debug('Token Refresh Error', 'No refresh token available');
+      throw new AuthError('No refresh token available for token refresh', { code: 'NO_REFRESH_TOKEN' });
+    }
   
-  try {
-    // Don't use the authClient for token refresh to avoid interceptor loops
-    debugLog('Refresh Request URL', `${BASE_API_URL}/auth/refresh`);
+    try {
+      // Don't use the authClient for token refresh to avoid interceptor loops
+      logger.debug('Refresh Request URL', `${baseURL}/auth/refresh`);
     
-    const response = await axios.post(`${BASE_API_URL}/auth/refresh`, {
-      refreshToken: refreshToken
-    }, {
-      headers: {
-        'Content-Type': 'application/json'
-      }
-    });
+      const response = await axios.post(`${baseURL}/auth/refresh`, {
+        refreshToken: refreshToken
+      }, {
+        timeout,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
     
-    debugLog('Token Refresh Response', {
-      status: response.status,
-      success: !!response.data?.token
-    });
+      logger.debug('Token Refresh Response', {
+        status: response.status,
+        success: !!response.data?.token
+      });
     
-    return response;
-  } catch (error) {
-    debugLog('Token Refresh Failed', 'Error refreshing authentication token');
+      return response;
+    } catch (error) {
+      logger.debug('Token Refresh Failed', 'Error refreshing authentication token');
     
-    if (error.response) {
-      debugLog('Refresh Error
+      if (error.response) {
+        logger.debug('Refresh Error Status', error.response.status);
+        logger.debug('Refresh Error Data', error.response.data);
+      } else {
+        logger.debug('Refresh Error Message', error.message);
+      }
+    
+      throw toApiError(error);
+    }
+  };
 
-/**
- * Login to Pi Network
- * @param {string} username - User's username or email
- * @param {string} password - User's password
- * @returns {Promise} The login API response
- */
-const login = async (username, password) => {
-  debugLog('Login Request', { username, endpoint: `${BASE_API_URL}/auth/login` });
+  /**
+   * Refresh the session, making sure only one refresh runs at a time.
+   * Concurrent callers share the same in-flight promise, so parallel 401s
+   * trigger a single refresh call. Tokens are cleared only if the refresh
+   * failed for good (see isRefreshRejected), network and server errors keep
+   * the session.
+   * @returns {Promise<string>} The new auth token
+   */
+  const refreshSession = () => {
+    if (!refreshPromise) {
+      refreshPromise = refreshAuthToken()
+        .then((response) => {
+          // The refresh bypasses authClient and its schema check
+          validateResponse('post', '/auth/refresh', response.data, logger);
+          const { token, refreshToken: newRefreshToken, expiresIn } = response.data;
+        
+          const tokens = { token, refreshToken: newRefreshToken || getRefreshToken(), expiresIn };
+          tokenStore.set(tokens);
+          notifyTokenChange(tokens, 'refresh');
+          return token;
+        })
+        .catch((error) => {
+          if (isRefreshRejected(error)) {
+            clearTokens('expired');
+          }
+          throw error;
+        })
+        .finally(() => {
+          refreshPromise = null;
+        });
+    }
   
-  try {
-    // Log the request details
-    const requestBody = { username, password: '********' }; // Password obfuscated for security
-    debugLog('Login Request Body', requestBody);
-    
-    const response = await authClient.post('/auth/login', {
-      username,
-      password
-    });
+    return refreshPromise;
+  };
+
+  /**
+   * Login to Pi Network
+   * @param {string} username - User's username or email
+   * @param {string} password - User's password
+   * @returns {Promise} The login API response
+   */
+  const login = async (username, password) => {
+    logger.debug('Login Request', { username, endpoint: `${baseURL}/auth/login` });
+  
+    try {
+      const response = await authClient.post('/auth/login', {
+        username,
+        password
+      });
     
-    // Log successful response (excluding sensitive data)
-    debugLog('Login Response Status', response.status);
-    debugLog('Login Response Headers', response.headers);
+      // Tokens in the response are redacted by the logger
+      logger.debug('Login Response', { status: response.status, data: response.data });
     
-    const sanitizedResponse = { ...response.data };
-    if (sanitizedResponse.token) sanitizedResponse.token = `${sanitizedResponse.token.substring(0, 10)}...`;
-    if (sanitizedResponse.refreshToken) sanitizedResponse.refreshToken = `${sanitizedResponse.refreshToken.substring(0, 10)}...`;
-    debugLog('Login Response Data', sanitizedResponse);
+      // Store tokens if login successful
+      if (response.data && response.data.token && response.data.refreshToken) {
+        logger.debug('Setting Auth Tokens', 'Token received and stored');
+        setTokens(response.data.token, response.data.refreshToken, response.data.expiresIn);
+      } else {
+        logger.debug('Token Warning', 'Response missing expected token data');
+      }
     
-    // Store tokens if login successful
-    if (response.data && response.data.token && response.data.refreshToken) {
-      debugLog('Setting Auth Tokens', 'Token received and stored');
-      setTokens(response.data.token, response.data.refreshToken);
-    } else {
-      debugLog('Token Warning', 'Response missing expected token data');
+      return response.data;
+    } catch (error) {
+      // Enhanced error logging, error is one of the typed errors of errors.js
+      logger.debug('Login Error', 'Authentication request failed');
+      logger.debug('Error Details', {
+        type: error.name,
+        status: error.status,
+        code: error.code,
+        message: error.message
+      });
+      logger.error('Login error:', error.message);
+      throw error;
     }
-    
-    return response.data;
-  } catch (error) {
-    // Enhanced error logging
-    debugLog('Login Error', 'Authentication request failed');
-    
-    if (error.response) {
-      // The request was made and the server responded with a status code
-      // that falls out of the range of 2xx
-      debugLog('Error Status', error.response.status);
-      debugLog('Error Headers', error.response.headers);
-      debugLog('Error Response', error.response.data);
-    } else if (error.request) {
-      // The request was made but no response was received
-      debugLog('Error Request', 'No response received from server');
-      debugLog('Request Details', error.request);
-    } else {
-      // Something happened in setting up the request that triggered an Error
-      debugLog('Error Message', error.message);
+  };
+
+  /**
+   * Logout from Pi Network
+   * @returns {Promise} The logout API response
+   */
+  const logout = async () => {
+    try {
+      const response = await authClient.post('/auth/logout');
+      // Clear tokens regardless of response
+      clearTokens();
+      return response.data;
+    } catch (error) {
+      // Still clear tokens even if the request fails
+      clearTokens();
+      logger.error('Logout error:', error.message);
+      throw error;
     }
-    
-    debugLog('Error Config', error.config);
-    console.error('Login error:', error);
-    throw error;
-  }
-};
+  };
 
-/**
- * Logout from Pi Network
- * @returns {Promise} The logout API response
- */
-const logout = async () => {
-  try {
-    const response = await authClient.post('/auth/logout');
-    // Clear tokens regardless of response
-    clearTokens();
-    return response.data;
-  } catch (error) {
-    // Still clear tokens even if the request fails
-    clearTokens();
-    console.error('Logout error:', error);
-    throw error;
-  }
+  /**
+   * Check authentication status
+   * @returns {Promise} The auth status API response
+   */
+  const checkAuthStatus = async () => {
+    try {
+      const response = await authClient.get('/auth/status');
+      return response.data;
+    } catch (error) {
+      logger.error('Auth status check error:', error.message);
+      throw error;
+    }
+  };
+  
+  return {
+    authClient,
+    login,
+    logout,
+    checkAuthStatus,
+    setTokens,
+    clearTokens,
+    getAuthToken,
+    getRefreshToken,
+    onTokenChange,
+    refreshAuthToken,
+    refreshSession
+  };
 };
 
-/**
- * Check authentication status
- * @returns {Promise} The auth status API response
- */
-const checkAuthStatus = async () => {
-  try {
-    const response = await authClient.get('/auth/status');
-    return response.data;
-  } catch (error) {
-    console.error('Auth status check error:', error);
-    throw error;
-  }
-};
+// Default context shared by the module-level API (see src/api/index.js)
+const defaultAuth = createAuth();
 
 // Export the client and authentication methods
 module.exports = {
-  authClient,
-  login,
-  logout,
-  checkAuthStatus,
-  setTokens,
-  clearTokens,
-  getAuthToken,
-  getRefreshToken,
-  refreshAuthToken,
-  BASE_API_URL
+  ...defaultAuth,
+  createAuth,
+  createMemoryTokenStore,
+  defaultLogger
 };
@@ -0,0 +1,295 @@
+/**
+ * API Errors
+ *
+ * Typed errors thrown by the API client instead of raw axios errors. They are
+ * mapped from the response status and the `code` of the error body, and
+ * serialize to plain objects so they can cross IPC (see serializeError).
+ *
+ *   PiNetworkError
+ *   ├── ApiError                      any other error response
+ *   │   ├── AuthError                 401, 403
+ *   │   ├── NotFoundError             404
+ *   │   ├── RateLimitError            429, with retryAfter
+ *   │   ├── ServerError               5xx
+ *   │   ├── ValidationError           400, 422
+ *   │   │   └── InsufficientFundsError
+ *   │   └── MiningSessionActiveError  409 MINING_SESSION_ACTIVE
+ *   ├── SchemaMismatchError           successful response of an unexpected shape
+ *   └── NetworkError                  no response: offline, refused, timed out
+ *
+ * @module api/errors
+ */
+
+const { parseRetryAfter } = require('./retry');
+
+/**
+ * Base class of every API client error
+ */
+class PiNetworkError extends Error {
+  /**
+   * @param {string} message - Error message, suitable for display
+   * @param {Object} [options] - Error details
+   * @param {string} [options.code] - Machine readable code, e.g. 'INSUFFICIENT_FUNDS'
+   * @param {number} [options.status] - HTTP status of the response, if any
+   * @param {*} [options.details] - Extra details sent by the server
+   * @param {Error} [options.cause] - The underlying error, e.g. the axios error
+   */
+  constructor(message, { code, status, details, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+
+  /**
+   * Plain object form, safe to send across IPC
+   *
+   * @returns {Object} `{ name, message, code, status, details }`
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      message: this.message,
+      code: this.code,
+      status: this.status,
+      details: this.details
+    };
+  }
+}
+
+/**
+ * The server answered with an error status
+ */
+class ApiError extends PiNetworkError {}
+
+/**
+ * The request was not authenticated or not allowed (401, 403)
+ */
+class AuthError extends ApiError {}
+
+/**
+ * The requested resource does not exist (404)
+ */
+class NotFoundError extends ApiError {}
+
+/**
+ * The server had an internal problem (5xx)
+ */
+class ServerError extends ApiError {}
+
+/**
+ * The request was rejected because of invalid input (400, 422)
+ */
+class ValidationError extends ApiError {}
+
+/**
+ * The wallet balance does not cover the amount sent
+ */
+class InsufficientFundsError extends ValidationError {}
+
+/**
+ * A mining session is already running
+ */
+class MiningSessionActiveError extends ApiError {}
+
+/**
+ * Too many requests (429)
+ */
+class RateLimitError extends ApiError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error details, see PiNetworkError
+   * @param {number} [options.retryAfter] - Seconds to wait before trying again
+   */
+  constructor(message, { retryAfter, ...options } = {}) {
+    super(message, options);
+    this.retryAfter = retryAfter;
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), retryAfter: this.retryAfter };
+  }
+}
+
+/**
+ * The server answered, but the response does not match the schema declared
+ * for its endpoint (see src/api/schemas.js). details holds the endpoint and
+ * the problems found.
+ */
+class SchemaMismatchError extends PiNetworkError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error details, see PiNetworkError
+   */
+  constructor(message, options = {}) {
+    super(message, { code: 'SCHEMA_MISMATCH', ...options });
+  }
+}
+
+/**
+ * The server could not be reached or did not answer in time
+ */
+class NetworkError extends PiNetworkError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error details, see PiNetworkError
+   * @param {boolean} [options.timeout=false] - Whether the request timed out
+   */
+  constructor(message, { timeout = false, ...options } = {}) {
+    super(message, options);
+    this.timeout = timeout;
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), timeout: this.timeout };
+  }
+}
+
+// Error classes by name, to rebuild errors from their serialized form
+const ERROR_CLASSES = {
+  PiNetworkError,
+  ApiError,
+  AuthError,
+  NotFoundError,
+  ServerError,
+  ValidationError,
+  InsufficientFundsError,
+  MiningSessionActiveError,
+  RateLimitError,
+  SchemaMismatchError,
+  NetworkError
+};
+
+// Error classes picked by the `code` of the error body, before the status
+const CODE_CLASSES = {
+  INSUFFICIENT_FUNDS: InsufficientFundsError,
+  MINING_SESSION_ACTIVE: MiningSessionActiveError,
+  VALIDATION_ERROR: ValidationError
+};
+
+// Axios error codes of requests that ran out of time
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+
+/**
+ * Pick the error class for a response status
+ *
+ * @param {number} status - HTTP status
+ * @returns {Function} Error class
+ */
+const classForStatus = (status) => {
+  if (status === 400 || status === 422) return ValidationError;
+  if (status === 401 || status === 403) return AuthError;
+  if (status === 404) return NotFoundError;
+  if (status === 429) return RateLimitError;
+  if (status >= 500) return ServerError;
+  return ApiError;
+};
+
+/**
+ * Read the message, code and details of an error response body
+ *
+ * @param {*} data - Response body
+ * @returns {Object} `{ message, code, details }`, each possibly undefined
+ */
+const readErrorBody = (data) => {
+  if (typeof data === 'string') {
+    return { message: data.trim() || undefined };
+  }
+  if (!data || typeof data !== 'object') {
+    return {};
+  }
+
+  return {
+    message: data.error || data.message,
+    code: data.code,
+    details: data.details
+  };
+};
+
+/**
+ * Convert an error thrown by axios into a typed error. Typed errors are
+ * returned unchanged, and so are errors that did not come from a request
+ * and requests cancelled through an AbortSignal (code ERR_CANCELED).
+ *
+ * @param {Error} error - Error to convert
+ * @returns {Error} The typed error
+ */
+const toApiError = (error) => {
+  if (error instanceof PiNetworkError || !error || !error.isAxiosError || error.code === 'ERR_CANCELED') {
+    return error;
+  }
+
+  const { response } = error;
+
+  if (!response) {
+    const timeout = TIMEOUT_CODES.includes(error.code);
+    const message = timeout
+      ? 'The Pi Network servers took too long to respond. Please try again.'
+      : 'Cannot reach the Pi Network servers. Check your internet connection.';
+    return new NetworkError(message, { code: error.code || 'NETWORK_ERROR', timeout, cause: error });
+  }
+
+  const { status } = response;
+  const body = readErrorBody(response.data);
+  const ErrorClass = CODE_CLASSES[body.code] || classForStatus(status);
+  const options = { code: body.code, status, details: body.details, cause: error };
+
+  if (ErrorClass === RateLimitError) {
+    const delay = parseRetryAfter(response.headers?.['retry-after']);
+    const retryAfter = delay === null ? undefined : Math.ceil(delay / 1000);
+    const wait = retryAfter !== undefined ? ` Try again in ${retryAfter} seconds.` : ' Please try again later.';
+    return new RateLimitError(`${(body.message || 'Too many requests').replace(/\.$/, '')}.${wait}`, {
+      ...options,
+      retryAfter
+    });
+  }
+
+  return new ErrorClass(body.message || `Request failed with status code ${status}`, options);
+};
+
+/**
+ * Plain object form of any error, safe to send across IPC
+ *
+ * @param {Error} error - Error to serialize
+ * @returns {Object} `{ name, message, code, status, details, ... }`
+ */
+const serializeError = (error) => {
+  const typed = toApiError(error);
+  if (typed instanceof PiNetworkError) {
+    return typed.toJSON();
+  }
+  return {
+    name: 'Error',
+    message: (typed && typed.message) || String(typed),
+    code: typed && typed.code
+  };
+};
+
+/**
+ * Rebuild a typed error from its serialized form
+ *
+ * @param {Object} data - Output of serializeError
+ * @returns {PiNetworkError} The error
+ */
+const deserializeError = ({ name, message, ...options } = {}) => {
+  const ErrorClass = ERROR_CLASSES[name] || PiNetworkError;
+  return new ErrorClass(message, options);
+};
+
+module.exports = {
+  PiNetworkError,
+  ApiError,
+  AuthError,
+  NotFoundError,
+  ServerError,
+  ValidationError,
+  InsufficientFundsError,
+  MiningSessionActiveError,
+  RateLimitError,
+  SchemaMismatchError,
+  NetworkError,
+  toApiError,
+  serializeError,
+  deserializeError
+};
@@ -12,6 +12,10 @@ const user = require('./user');
 const wallet = require('./wallet');
 const mining = require('./mining');
 const social = require('./social');
+const errors = require('./errors');
+const schemas = require('./schemas');
+const pagination = require('./pagination');
+const address = require('./address');
 
 /**
  * PiNetworkAPI class to interact with the Pi Network API
@@ -19,50 +23,60 @@ const social = require('./social');
 class PiNetworkAPI {
   /**
    * Creates an instance of the Pi Network API client
-   * It uses the shared authClient from auth.js
-   */
-  constructor() {
-    // We no longer need to store the client as each module uses the shared authClient
-    
-    // Bind all API methods
-    this.auth = this._bindMethods(auth);
-    this.user = this._bindMethods(user);
-    this.wallet = this._bindMethods(wallet);
-    this.mining = this._bindMethods(mining);
-    this.social = this._bindMethods(social);
-  }
-  
-  /**
-   * Binds API methods to create a consistent interface
    * 
-   * @private
-   * @param {Object} module - API module with methods
-   * @returns {Object} - Module with bound methods
+   * @param {Object} [options] - Instance options
+   * @param {Object} [options.auth] - Auth context created with auth.createAuth().
+   *   Defaults to the shared module-level context.
+   * @param {Object} [options.logger] - Logger passed to the API modules
    */
-  _bindMethods(module) {
-    const bound = {};
-    Object.keys(module).forEach(key => {
-      if (typeof module[key] === 'function' && key !== 'refreshTokens') {
-        // All modules now use shared authClient, so we don't need to pass the client
-        bound[key] = (...args) => module[key](...args);
-      } else {
-        bound[key] = module[key];
-      }
-    });
-    return bound;
+  constructor({ auth: authContext = auth, logger } = {}) {
+    const client = authContext.authClient;
+    const moduleOptions = { logger };
+    
+    // Every module of this instance uses the client of its auth context
+    this.auth = authContext;
+    this.authClient = client;
+    this.user = user.createUserAPI(client, moduleOptions);
+    this.wallet = wallet.createWalletAPI(client, moduleOptions);
+    this.mining = mining.createMiningAPI(client, moduleOptions);
+    this.social = social.createSocialAPI(client, moduleOptions);
   }
 }
 
+/**
+ * Create an isolated Pi Network API client. Each client has its own axios
+ * instance, tokens and refresh state, and its wallet, mining, user and
+ * social modules are built against that instance. This allows several
+ * accounts, parallel sessions and tests against a local server.
+ * 
+ * @param {Object} [options] - Client options
+ * @param {string} [options.baseURL] - Base URL of the API (defaults to the
+ *   configured environment's, see src/config.js)
+ * @param {number} [options.timeout] - Request timeout in milliseconds
+ * @param {Object} [options.tokenStore] - Token store with get/set/clear, in memory by default
+ * @param {Object} [options.logger] - Logger with debug/info/warn/error methods
+ * @returns {PiNetworkAPI} The client
+ */
+const createClient = (options = {}) => {
+  const { logger } = options;
+  return new PiNetworkAPI({ auth: auth.createAuth(options), logger });
+};
+
 // Export a singleton instance
 const defaultInstance = new PiNetworkAPI();
 
 // Export the class for creating custom instances
 module.exports = {
-  // Default instance
+  // Default instance, using the shared module-level session
   api: defaultInstance,
   
-  // Factory function for creating custom instances
-  createAPI: () => new PiNetworkAPI(),
+  // Client factory, see createClient above
+  createClient,
+  
+  // Kept for existing callers, same as createClient
+  createAPI: createClient,
+  
+  PiNetworkAPI,
   
   // Export individual modules for direct access
   auth,
@@ -71,6 +85,18 @@ module.exports = {
   mining,
   social,
   
+  // Typed errors thrown by every module (AuthError, RateLimitError, ...)
+  errors,
+  
+  // Response schemas checked by every client (see src/api/schemas.js)
+  schemas,
+  
+  // Async iteration across pages, e.g. pagination.collect(client.wallet.iterateTransactions())
+  pagination,
+  
+  // Offline checks of recipients and wallet addresses, e.g. address.parseRecipient('@alice')
+  address,
+  
   // Export the shared authClient for direct use
   authClient: auth.authClient
 };
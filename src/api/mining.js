@@ -5,104 +5,145 @@
  * @module api/mining
  */
 
-const { authClient } = require('./auth');
+const { authClient, defaultLogger } = require('./auth');
+const { iteratePages } = require('./pagination');
 
 /**
- * Start a mining session for the current user
+ * Create the mining API bound to an authenticated client
  * 
- * @async
- * @param {Object} options - Options for starting the mining session
- * @param {number} [options.duration=3600] - Duration of mining session in seconds
- * @param {boolean} [options.enableNotifications=true] - Whether to enable notifications
- * @returns {Promise<Object>} - Information about the started mining session
- * @throws {Error} If the mining session could not be started
+ * @param {Object} client - Axios client of an auth context (see createAuth in auth.js)
+ * @param {Object} [options] - Module options
+ * @param {Object} [options.logger] - Logger with debug/info/warn/error methods
+ * @returns {Object} Mining API functions using that client
  */
-const startMiningSession = async (options = {}) => {
-  try {
-    const { duration = 3600, enableNotifications = true } = options;
+const createMiningAPI = (client, { logger = defaultLogger } = {}) => {
+  /**
+   * Start a mining session for the current user
+   * 
+   * @async
+   * @param {Object} options - Options for starting the mining session
+   * @param {number} [options.duration=3600] - Duration of mining session in seconds
+   * @param {boolean} [options.enableNotifications=true] - Whether to enable notifications
+   * @returns {Promise<Object>} - Information about the started mining session
+   * @throws {Error} If the mining session could not be started
+   */
+  const startMiningSession = async (options = {}) => {
+    try {
+      const { duration = 3600, enableNotifications = true } = options;
     
-    const response = await authClient.post('/mining/start', {
-      duration,
-      enableNotifications
-    });
+      const response = await client.post('/mining/start', {
+        duration,
+        enableNotifications
+      });
     
-    return response.data;
-  } catch (error) {
-    console.error('Failed to start mining session:', error.message);
-    throw error;
-  }
-};
+      return response.data;
+    } catch (error) {
+      logger.error('Failed to start mining session:', error.message);
+      throw error;
+    }
+  };
 
-/**
- * Check the current mining status and accumulated earnings
- * 
- * @async
- * @returns {Promise<Object>} - Current mining status and earnings information
- * @throws {Error} If mining status could not be retrieved
- */
-const checkMiningStatus = async () => {
-  try {
-    const response = await authClient.get('/mining/status');
-    return response.data;
-  } catch (error) {
-    console.error('Failed to check mining status:', error.message);
-    throw error;
-  }
-};
+  /**
+   * Check the current mining status and accumulated earnings
+   * 
+   * @async
+   * @returns {Promise<Object>} - Current mining status and earnings information
+   * @throws {Error} If mining status could not be retrieved
+   */
+  const checkMiningStatus = async () => {
+    try {
+      const response = await client.get('/mining/status');
+      return response.data;
+    } catch (error) {
+      logger.error('Failed to check mining status:', error.message);
+      throw error;
+    }
+  };
 
-/**
- * Get the user's mining history
- * 
- * @async
- * @param {Object} options - Options for fetching mining history
- * @param {number} [options.limit=20] - Maximum number of records to return
- * @param {number} [options.page=1] - Page number for pagination
- * @param {string} [options.startDate] - Start date filter in ISO format
- * @param {string} [options.endDate] - End date filter in ISO format
- * @returns {Promise<Object>} - Mining history with pagination details
- * @throws {Error} If mining history could not be retrieved
- */
-const getMiningHistory = async (options = {}) => {
-  try {
-    const { 
-      limit = 20, 
-      page = 1, 
-      startDate, 
-      endDate 
-    } = options;
+  /**
+   * Get the user's mining history
+   * 
+   * @async
+   * @param {Object} options - Options for fetching mining history
+   * @param {number} [options.limit=20] - Maximum number of records to return
+   * @param {number} [options.page=1] - Page number for pagination
+   * @param {string} [options.startDate] - Start date filter in ISO format
+   * @param {string} [options.endDate] - End date filter in ISO format
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<Object>} - Mining history with pagination details
+   * @throws {Error} If mining history could not be retrieved
+   */
+  const getMiningHistory = async (options = {}) => {
+    try {
+      const { 
+        limit = 20, 
+        page = 1, 
+        startDate, 
+        endDate,
+        signal
+      } = options;
     
-    const params = { limit, page };
-    if (startDate) params.startDate = startDate;
-    if (endDate) params.endDate = endDate;
+      const params = { limit, page };
+      if (startDate) params.startDate = startDate;
+      if (endDate) params.endDate = endDate;
     
-    const response = await authClient.get('/mining/history', { params });
-    return response.data;
-  } catch (error) {
-    console.error('Failed to get mining history:', error.message);
-    throw error;
-  }
-};
+      const response = await client.get('/mining/history', { params, signal });
+      return response.data;
+    } catch (error) {
+      if (!options.signal?.aborted) {
+        logger.error('Failed to get mining history:', error.message);
+      }
+      throw error;
+    }
+  };
 
-/**
- * Get the current mining rate for the user
- * 
- * @async
- * @returns {Promise<Object>} - Mining rate information including base rate and bonuses
- * @throws {Error} If mining rate could not be retrieved
- */
-const getMiningRate = async () => {
-  try {
-    const response = await authClient.get('/mining/rate');
-    return response.data;
-  } catch (error) {
-    console.error('Failed to get mining rate:', error.message);
-    throw error;
-  }
+  /**
+   * Iterate every past mining session, newest first, requesting pages as
+   * needed (see src/api/pagination.js)
+   * 
+   * @param {Object} [options] - Iteration options, see iteratePages
+   * @param {Date|string|number} [options.since] - Only sessions started at or after this date
+   * @param {Date|string|number} [options.until] - Only sessions started at or before this date
+   * @param {number} [options.maxItems] - Stop after this many sessions
+   * @param {AbortSignal} [options.signal] - Cancels the iteration
+   * @returns {AsyncGenerator<Object>} The mining sessions
+   */
+  const iterateMiningHistory = (options = {}) => {
+    return iteratePages(
+      ({ page, limit, signal }) => getMiningHistory({ page, limit, signal }),
+      { itemsKey: 'sessions', dateKey: 'startTime' },
+      options
+    );
+  };
+
+  /**
+   * Get the current mining rate for the user
+   * 
+   * @async
+   * @returns {Promise<Object>} - Mining rate information including base rate and bonuses
+   * @throws {Error} If mining rate could not be retrieved
+   */
+  const getMiningRate = async () => {
+    try {
+      const response = await client.get('/mining/rate');
+      return response.data;
+    } catch (error) {
+      logger.error('Failed to get mining rate:', error.message);
+      throw error;
+    }
+  };
+  
+  return {
+    startMiningSession,
+    checkMiningStatus,
+    getMiningHistory,
+    iterateMiningHistory,
+    getMiningRate
+  };
 };
 
+// Default functions bound to the shared module-level client
 module.exports = {
-  startMiningSession,
-  checkMiningStatus,
-  getMiningHistory,
-  getMiningRate
+  ...createMiningAPI(authClient),
+  createMiningAPI
 };
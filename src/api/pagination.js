@@ -0,0 +1,142 @@
+/**
+ * Pagination
+ *
+ * Walks the paginated list endpoints (transactions, mining history,
+ * invitations) page by page as an async iterator, so callers such as exports
+ * and analytics get every item without re-implementing paging:
+ *
+ *   for await (const transaction of client.wallet.iterateTransactions({ since: '2024-01-01' })) {
+ *     ...
+ *   }
+ *
+ * Iteration stops after the last page, after maxItems items, once the date
+ * cutoff is passed, when the stop predicate returns true, or when the
+ * AbortSignal fires. Breaking out of the loop stops it as well; no further
+ * page is requested.
+ *
+ * @module api/pagination
+ */
+
+// Items requested per page unless the caller chooses a page size
+const DEFAULT_PAGE_SIZE = 50;
+
+/**
+ * Convert a date option to milliseconds since the epoch
+ *
+ * @param {Date|string|number} value - Date, ISO 8601 string or timestamp
+ * @param {string} name - Option name, for the error message
+ * @returns {number|null} The time, or null if not given
+ * @throws {TypeError} If the value is not a valid date
+ */
+const toTime = (value, name) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  const time = value instanceof Date ? value.getTime() : typeof value === 'number' ? value : Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new TypeError(`${name} must be a valid date`);
+  }
+  return time;
+};
+
+/**
+ * Iterate the items of a paginated endpoint across pages
+ *
+ * @param {Function} fetchPage - Called with `({ page, limit, signal })`, resolves to
+ *   a response body with the items and `pagination: { page, pages }`
+ * @param {Object} spec - What the endpoint returns
+ * @param {string} spec.itemsKey - Key of the item list in the body, e.g. 'transactions'
+ * @param {string} spec.dateKey - Key of the date of an item, e.g. 'timestamp'
+ * @param {string} [spec.order='desc'] - Date order of the items, 'desc' or 'asc'
+ * @param {Object} [options] - Iteration options
+ * @param {number} [options.pageSize=50] - Items requested per page
+ * @param {number} [options.startPage=1] - First page to request
+ * @param {number} [options.maxItems] - Stop after yielding this many items
+ * @param {Date|string|number} [options.since] - Only yield items dated at or after this
+ * @param {Date|string|number} [options.until] - Only yield items dated at or before this
+ * @param {Function} [options.stopWhen] - Called with each item before it is yielded;
+ *   returning true ends the iteration without yielding it
+ * @param {AbortSignal} [options.signal] - Cancels the iteration and the request in flight
+ * @yields {Object} The items, in the order of the endpoint
+ * @throws {*} The abort reason when the signal fires
+ */
+async function* iteratePages(fetchPage, { itemsKey, dateKey, order = 'desc' }, options = {}) {
+  const {
+    pageSize = DEFAULT_PAGE_SIZE,
+    startPage = 1,
+    maxItems = Infinity,
+    stopWhen,
+    signal
+  } = options;
+  const since = toTime(options.since, 'since');
+  const until = toTime(options.until, 'until');
+
+  let page = startPage;
+  let yielded = 0;
+
+  while (yielded < maxItems) {
+    signal?.throwIfAborted();
+
+    let body;
+    try {
+      body = await fetchPage({ page, limit: pageSize, signal });
+    } catch (error) {
+      // A cancelled request rejects with its own error, report the abort instead
+      signal?.throwIfAborted();
+      throw error;
+    }
+
+    const items = body?.[itemsKey] || [];
+    for (const item of items) {
+      signal?.throwIfAborted();
+
+      const time = Date.parse(item[dateKey]);
+      if (since !== null && time < since) {
+        // Older items only follow in descending order
+        if (order === 'desc') return;
+        continue;
+      }
+      if (until !== null && time > until) {
+        // Newer items only follow in ascending order
+        if (order === 'asc') return;
+        continue;
+      }
+      if (stopWhen && stopWhen(item)) {
+        return;
+      }
+
+      yield item;
+      yielded += 1;
+      if (yielded >= maxItems) {
+        return;
+      }
+    }
+
+    const pages = body?.pagination?.pages;
+    if (items.length === 0 || !(page < pages)) {
+      return;
+    }
+    page += 1;
+  }
+}
+
+/**
+ * Collect every item of an iterator into an array
+ *
+ * @param {AsyncIterable} iterable - Iterator, e.g. from iterateTransactions()
+ * @returns {Promise<Array>} The items
+ */
+const collect = async (iterable) => {
+  const items = [];
+  for await (const item of iterable) {
+    items.push(item);
+  }
+  return items;
+};
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  iteratePages,
+  collect
+};
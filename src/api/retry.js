@@ -0,0 +1,240 @@
+/**
+ * Request Retry Policy
+ *
+ * Retries failed requests of an axios client with exponential backoff and
+ * jitter. Rate limited responses (429) wait for the server's Retry-After.
+ *
+ * Requests that may create something on the server (POST, PATCH) are only
+ * retried when the server cannot have acted on them: a 429, or a connection
+ * that was never established. Sending Pi or starting a mining session twice
+ * is worse than showing an error. Such calls can opt in with
+ * `retry: { idempotent: true }` or an Idempotency-Key header.
+ *
+ * Each request can override the policy through its axios config:
+ *
+ *   client.get('/wallet/balance', { retry: { retries: 5 } });
+ *   client.get('/auth/status', { retry: false });
+ *
+ * @module api/retry
+ */
+
+/**
+ * Default retry policy
+ */
+const DEFAULT_RETRY_POLICY = {
+  // Retries after the first attempt
+  retries: 3,
+  // Delay before the first retry in milliseconds, doubled for each next one
+  baseDelay: 300,
+  // Upper bound of the backoff delay in milliseconds
+  maxDelay: 5000,
+  // Share of the delay that is randomized (0 = none, 1 = full jitter)
+  jitter: 0.5,
+  // Longest Retry-After honoured in milliseconds. Longer waits fail right away.
+  maxRetryAfter: 30000,
+  // Response statuses worth retrying
+  statuses: [408, 429, 500, 502, 503, 504],
+  // Treat every request as safe to repeat, whatever its method
+  idempotent: false
+};
+
+// Methods that can be repeated without changing the result
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+
+// Errors raised before the connection was established, so nothing reached the server
+const CONNECTION_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH'];
+
+// Network errors worth retrying for idempotent requests
+const NETWORK_ERROR_CODES = [...CONNECTION_ERROR_CODES, 'ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'ERR_NETWORK'];
+
+/**
+ * Parse a Retry-After header, given in seconds or as an HTTP date
+ *
+ * @param {string} [value] - Header value
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {number|null} Delay in milliseconds, or null if absent or invalid
+ */
+const parseRetryAfter = (value, now = Date.now()) => {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return null;
+  }
+
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Math.round(Number(text) * 1000);
+  }
+
+  const date = Date.parse(text);
+  if (Number.isNaN(date)) {
+    return null;
+  }
+  return Math.max(date - now, 0);
+};
+
+/**
+ * Compute the backoff delay before a retry
+ *
+ * @param {number} attempt - Retry number, starting at 1
+ * @param {Object} policy - Retry policy
+ * @param {Function} [random=Math.random] - Random source, returns [0, 1)
+ * @returns {number} Delay in milliseconds
+ */
+const computeDelay = (attempt, policy, random = Math.random) => {
+  const exponential = Math.min(policy.baseDelay * 2 ** (attempt - 1), policy.maxDelay);
+  const jitter = Math.min(Math.max(policy.jitter, 0), 1);
+  return Math.round(exponential * (1 - jitter * random()));
+};
+
+/**
+ * Whether a request can be sent again without side effects
+ *
+ * @param {Object} config - Axios request config
+ * @param {Object} policy - Retry policy of the request
+ * @returns {boolean}
+ */
+const isIdempotent = (config, policy) => {
+  if (policy.idempotent) {
+    return true;
+  }
+
+  const headers = config.headers || {};
+  const idempotencyKey = typeof headers.get === 'function'
+    ? headers.get('Idempotency-Key')
+    : headers['Idempotency-Key'];
+  if (idempotencyKey) {
+    return true;
+  }
+
+  return IDEMPOTENT_METHODS.includes((config.method || 'get').toLowerCase());
+};
+
+/**
+ * Decide whether a failed request should be retried and after how long
+ *
+ * @param {Error} error - Axios error
+ * @param {Object} policy - Retry policy of the request
+ * @param {number} attempt - Retry number this would be, starting at 1
+ * @returns {Object} `{ retry, delay, reason }`
+ */
+const getRetryDecision = (error, policy, attempt) => {
+  const { config, response } = error;
+
+  if (attempt > policy.retries) {
+    return { retry: false, reason: 'retries exhausted' };
+  }
+
+  if (response) {
+    const { status } = response;
+    if (!policy.statuses.includes(status)) {
+      return { retry: false, reason: `status ${status} is not retried` };
+    }
+
+    // A 429 was rejected before being processed, so it is safe for any method
+    if (status !== 429 && !isIdempotent(config, policy)) {
+      return { retry: false, reason: `${config.method.toUpperCase()} is not idempotent` };
+    }
+
+    const retryAfter = parseRetryAfter(response.headers?.['retry-after']);
+    if (retryAfter !== null) {
+      if (retryAfter > policy.maxRetryAfter) {
+        return { retry: false, reason: `Retry-After of ${retryAfter}ms is too long` };
+      }
+      return { retry: true, delay: retryAfter, reason: `status ${status}, Retry-After` };
+    }
+
+    return { retry: true, delay: computeDelay(attempt, policy), reason: `status ${status}` };
+  }
+
+  if (!error.code || !NETWORK_ERROR_CODES.includes(error.code)) {
+    return { retry: false, reason: 'not a network error' };
+  }
+
+  if (!CONNECTION_ERROR_CODES.includes(error.code) && !isIdempotent(config, policy)) {
+    return { retry: false, reason: `${config.method.toUpperCase()} may have reached the server` };
+  }
+
+  return { retry: true, delay: computeDelay(attempt, policy), reason: error.code };
+};
+
+/**
+ * Resolve the policy of a request from the client policy and the request's
+ * `retry` config option
+ *
+ * @param {Object} policy - Client retry policy
+ * @param {Object|boolean} [override] - Request override, false disables retries
+ * @returns {Object} The request's policy
+ */
+const resolvePolicy = (policy, override) => {
+  if (override === false) {
+    return { ...policy, retries: 0 };
+  }
+  return { ...policy, ...(override || {}) };
+};
+
+// Promise resolved after a delay
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Add the retry policy to an axios client, as a response interceptor
+ *
+ * @param {Object} client - Axios client
+ * @param {Object} [options] - Retry options
+ * @param {Object|boolean} [options.policy] - Overrides of DEFAULT_RETRY_POLICY,
+ *   or false to only retry requests that opt in through their config
+ * @param {Object} [options.logger] - Logger with a debug(label, data) method
+ * @returns {number} The interceptor ID
+ */
+const attachRetry = (client, { policy, logger } = {}) => {
+  const clientPolicy = policy === false
+    ? { ...DEFAULT_RETRY_POLICY, retries: 0 }
+    : { ...DEFAULT_RETRY_POLICY, ...(policy || {}) };
+
+  return client.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+      const { config } = error;
+      if (!config) {
+        return Promise.reject(error);
+      }
+
+      const requestPolicy = resolvePolicy(clientPolicy, config.retry);
+      const attempt = (config._retryAttempt || 0) + 1;
+      const decision = getRetryDecision(error, requestPolicy, attempt);
+
+      if (!decision.retry) {
+        if (attempt > 1 && logger) {
+          logger.debug('Request Retry Stopped', {
+            method: config.method,
+            url: config.url,
+            attempts: attempt,
+            reason: decision.reason
+          });
+        }
+        return Promise.reject(error);
+      }
+
+      if (logger) {
+        logger.debug('Request Retry', {
+          method: config.method,
+          url: config.url,
+          attempt,
+          retries: requestPolicy.retries,
+          delay: decision.delay,
+          reason: decision.reason
+        });
+      }
+
+      config._retryAttempt = attempt;
+      await wait(decision.delay);
+      return client(config);
+    }
+  );
+};
+
+module.exports = {
+  DEFAULT_RETRY_POLICY,
+  attachRetry,
+  computeDelay,
+  getRetryDecision,
+  parseRetryAfter
+};
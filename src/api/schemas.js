@@ -0,0 +1,436 @@
+/**
+ * Response Schemas
+ *
+ * Declared shapes of the responses of every endpoint the client calls,
+ * following api-docs/api-endpoints.md. The Pi Network API is undocumented, so
+ * responses are checked before the modules return them: a response that
+ * drifts from its schema rejects with a SchemaMismatchError and is logged,
+ * instead of surfacing later as missing fields in the UI.
+ *
+ * Schemas use a small subset of JSON Schema: `type` (a name or a list of
+ * names, 'integer' and 'null' included), `properties`, `required`,
+ * `additionalProperties` (a schema), `items`, `enum`, `pattern` and
+ * `format: 'date-time'`. Properties that are not declared are allowed, so
+ * fields added by the server do not break the client.
+ *
+ * @module api/schemas
+ */
+
+const { SchemaMismatchError } = require('./errors');
+
+// Amounts of Pi are decimal strings, e.g. '123.45' or '-0.5'
+const DECIMAL = { type: 'string', pattern: /^-?\d+(\.\d+)?$/, description: 'a decimal string' };
+
+// ISO 8601 timestamps
+const DATE_TIME = { type: 'string', format: 'date-time' };
+
+const STRING = { type: 'string' };
+const OPTIONAL_STRING = { type: ['string', 'null'] };
+const BOOLEAN = { type: 'boolean' };
+const INTEGER = { type: 'integer' };
+
+const SUCCESS = {
+  type: 'object',
+  required: ['success'],
+  properties: { success: BOOLEAN }
+};
+
+const PAGINATION = {
+  type: 'object',
+  required: ['total', 'page', 'pages'],
+  properties: { total: INTEGER, page: INTEGER, pages: INTEGER, limit: INTEGER }
+};
+
+const USER = {
+  type: 'object',
+  required: ['id', 'username'],
+  properties: {
+    id: STRING,
+    username: STRING,
+    displayName: OPTIONAL_STRING,
+    balance: DECIMAL,
+    accountType: STRING,
+    memberSince: DATE_TIME
+  }
+};
+
+const TRANSACTION = {
+  type: 'object',
+  required: ['id', 'type', 'amount', 'timestamp', 'status'],
+  properties: {
+    id: STRING,
+    type: STRING,
+    amount: DECIMAL,
+    fee: DECIMAL,
+    counterparty: STRING,
+    address: STRING,
+    memo: OPTIONAL_STRING,
+    timestamp: DATE_TIME,
+    status: STRING
+  }
+};
+
+const MINING_SESSION = {
+  type: 'object',
+  required: ['sessionId', 'startTime', 'endTime', 'earned'],
+  properties: {
+    sessionId: STRING,
+    startTime: DATE_TIME,
+    endTime: DATE_TIME,
+    rate: DECIMAL,
+    earned: DECIMAL
+  }
+};
+
+const PROFILE = {
+  type: 'object',
+  required: ['id', 'username'],
+  properties: {
+    id: STRING,
+    username: STRING,
+    displayName: OPTIONAL_STRING,
+    email: OPTIONAL_STRING,
+    phoneNumber: OPTIONAL_STRING,
+    bio: OPTIONAL_STRING,
+    profilePicture: OPTIONAL_STRING,
+    accountType: STRING,
+    memberSince: DATE_TIME
+  }
+};
+
+const NOTIFICATION_SETTINGS = {
+  type: 'object',
+  additionalProperties: BOOLEAN
+};
+
+const MEMBER = {
+  type: 'object',
+  required: ['id', 'username', 'status'],
+  properties: {
+    id: STRING,
+    username: STRING,
+    displayName: OPTIONAL_STRING,
+    status: STRING
+  }
+};
+
+const SECURITY_CIRCLE = {
+  type: 'object',
+  required: ['members'],
+  properties: {
+    members: { type: 'array', items: MEMBER },
+    maxSize: INTEGER
+  }
+};
+
+const INVITATION = {
+  type: 'object',
+  required: ['id', 'status'],
+  properties: {
+    id: STRING,
+    from: MEMBER,
+    phoneNumber: STRING,
+    message: OPTIONAL_STRING,
+    status: { type: 'string', enum: ['pending', 'accepted', 'rejected'] },
+    createdAt: DATE_TIME,
+    answeredAt: DATE_TIME
+  }
+};
+
+const INVITATION_LIST = {
+  type: 'object',
+  required: ['invitations', 'pagination'],
+  properties: {
+    invitations: { type: 'array', items: INVITATION },
+    pagination: PAGINATION
+  }
+};
+
+/**
+ * Response schemas by endpoint, as 'METHOD /path'. `:name` matches one path
+ * segment.
+ */
+const RESPONSE_SCHEMAS = {
+  // Auth
+  'POST /auth/login': {
+    type: 'object',
+    required: ['token', 'user'],
+    properties: {
+      token: STRING,
+      refreshToken: STRING,
+      expiresIn: { type: 'number' },
+      user: USER
+    }
+  },
+  'POST /auth/refresh': {
+    type: 'object',
+    required: ['token'],
+    properties: {
+      token: STRING,
+      refreshToken: STRING,
+      expiresIn: { type: 'number' }
+    }
+  },
+  'POST /auth/logout': SUCCESS,
+  'GET /auth/status': {
+    type: 'object',
+    required: ['authenticated'],
+    properties: { authenticated: BOOLEAN, user: USER }
+  },
+
+  // Wallet
+  'GET /wallet/balance': {
+    type: 'object',
+    required: ['balance'],
+    properties: { balance: DECIMAL, pending: DECIMAL, totalEarned: DECIMAL }
+  },
+  'GET /wallet/transactions': {
+    type: 'object',
+    required: ['transactions', 'pagination'],
+    properties: {
+      transactions: { type: 'array', items: TRANSACTION },
+      pagination: PAGINATION
+    }
+  },
+  'GET /wallet/transactions/:id': TRANSACTION,
+  'POST /wallet/send': {
+    type: 'object',
+    // The Pi is sent even when the server does not report the transaction
+    required: ['success'],
+    properties: { success: BOOLEAN, transaction: TRANSACTION }
+  },
+  'GET /wallet/address': {
+    type: 'object',
+    required: ['address'],
+    properties: { address: STRING, username: STRING }
+  },
+
+  // Mining
+  'POST /mining/start': {
+    type: 'object',
+    required: ['sessionId', 'rate', 'startTime', 'endTime'],
+    properties: { sessionId: STRING, rate: DECIMAL, startTime: DATE_TIME, endTime: DATE_TIME }
+  },
+  'GET /mining/status': {
+    type: 'object',
+    required: ['active'],
+    properties: {
+      active: BOOLEAN,
+      sessionId: OPTIONAL_STRING,
+      rate: DECIMAL,
+      startTime: DATE_TIME,
+      endTime: DATE_TIME,
+      earned: DECIMAL
+    }
+  },
+  'GET /mining/history': {
+    type: 'object',
+    required: ['sessions', 'pagination'],
+    properties: {
+      sessions: { type: 'array', items: MINING_SESSION },
+      pagination: PAGINATION
+    }
+  },
+  'GET /mining/rate': {
+    type: 'object',
+    required: ['rate'],
+    properties: {
+      rate: DECIMAL,
+      baseRate: DECIMAL,
+      bonuses: { type: 'object', additionalProperties: DECIMAL },
+      unit: STRING
+    }
+  },
+
+  // User
+  'GET /user/profile': PROFILE,
+  'PATCH /user/profile': PROFILE,
+  'POST /user/profile/picture': {
+    type: 'object',
+    required: ['url'],
+    properties: { success: BOOLEAN, url: STRING }
+  },
+  'POST /user/change-password': SUCCESS,
+  'GET /user/verification-status': {
+    type: 'object',
+    required: ['kycStatus'],
+    properties: { kycStatus: STRING, emailVerified: BOOLEAN, phoneVerified: BOOLEAN }
+  },
+  'GET /user/notification-settings': NOTIFICATION_SETTINGS,
+  'PATCH /user/notification-settings': NOTIFICATION_SETTINGS,
+
+  // Social
+  'GET /social/security-circle': SECURITY_CIRCLE,
+  'POST /social/security-circle/add': SECURITY_CIRCLE,
+  'POST /social/security-circle/remove': SECURITY_CIRCLE,
+  'POST /social/invite': {
+    type: 'object',
+    required: ['invitationId'],
+    properties: { success: BOOLEAN, invitationId: STRING }
+  },
+  'GET /social/invitations/sent': INVITATION_LIST,
+  'GET /social/invitations/received': INVITATION_LIST,
+  'POST /social/invitations/accept': {
+    type: 'object',
+    required: ['invitation'],
+    properties: { success: BOOLEAN, invitation: INVITATION }
+  },
+  'POST /social/invitations/reject': {
+    type: 'object',
+    required: ['invitation'],
+    properties: { success: BOOLEAN, invitation: INVITATION }
+  }
+};
+
+// RESPONSE_SCHEMAS keys compiled to patterns matching request paths
+const ROUTES = Object.entries(RESPONSE_SCHEMAS).map(([endpoint, schema]) => {
+  const [method, route] = endpoint.split(' ');
+  const source = route.split('/').map((segment) => {
+    return segment.startsWith(':') ? '[^/]+' : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }).join('/');
+  return { method, pattern: new RegExp(`^${source}/?$`), endpoint, schema };
+});
+
+/**
+ * Find the response schema of a request
+ *
+ * @param {string} method - HTTP method
+ * @param {string} url - Request path, relative to the API base URL
+ * @returns {Object|null} `{ endpoint, schema }`, or null for undeclared endpoints
+ */
+const findSchema = (method, url) => {
+  const upper = String(method || 'get').toUpperCase();
+  const path = String(url || '').split('?')[0];
+  const route = ROUTES.find((item) => item.method === upper && item.pattern.test(path));
+  return route ? { endpoint: route.endpoint, schema: route.schema } : null;
+};
+
+/**
+ * Name the JSON type of a value, telling integers, arrays and null apart
+ *
+ * @param {*} value - Value
+ * @returns {string}
+ */
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+/**
+ * Check whether a value has one of the types of a schema
+ *
+ * @param {*} value - Value
+ * @param {string|Array<string>} types - Type names
+ * @returns {boolean}
+ */
+const hasType = (value, types) => {
+  const actual = typeOf(value);
+  return [].concat(types).some((type) => type === actual || (type === 'number' && actual === 'integer'));
+};
+
+/**
+ * Check a value against a schema
+ *
+ * @param {Object} schema - Schema, see the module description
+ * @param {*} value - Value to check
+ * @param {string} [path='response'] - Name of the value in problem descriptions
+ * @returns {Array<string>} Problems found, empty if the value matches
+ */
+const checkSchema = (schema, value, path = 'response') => {
+  if (schema.type && !hasType(value, schema.type)) {
+    const expected = schema.description || [].concat(schema.type).join(' or ');
+    return [`${path} should be ${expected}, got ${typeOf(value)}`];
+  }
+
+  if (typeof value === 'string') {
+    if (schema.pattern && !schema.pattern.test(value)) {
+      return [`${path} should be ${schema.description || `a string matching ${schema.pattern}`}, got "${value}"`];
+    }
+    if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+      return [`${path} should be a date-time, got "${value}"`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${path} should be one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`];
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    return value.flatMap((item, index) => checkSchema(schema.items, item, `${path}[${index}]`));
+  }
+
+  if (typeOf(value) !== 'object') {
+    return [];
+  }
+
+  const properties = schema.properties || {};
+  const missing = (schema.required || [])
+    .filter((key) => value[key] === undefined)
+    .map((key) => `${path}.${key} is missing`);
+
+  const invalid = Object.entries(value).flatMap(([key, item]) => {
+    const propertySchema = properties[key] || schema.additionalProperties;
+    if (!propertySchema || item === undefined) {
+      return [];
+    }
+    return checkSchema(propertySchema, item, `${path}.${key}`);
+  });
+
+  return [...missing, ...invalid];
+};
+
+/**
+ * Check the body of a response against the schema of its endpoint. A
+ * mismatch is logged before it is thrown.
+ *
+ * @param {string} method - HTTP method
+ * @param {string} url - Request path, relative to the API base URL
+ * @param {*} data - Response body
+ * @param {Object} [logger] - Logger with debug/info/warn/error methods
+ * @throws {SchemaMismatchError} If the body does not match
+ */
+const validateResponse = (method, url, data, logger) => {
+  const match = findSchema(method, url);
+  if (!match) {
+    return;
+  }
+
+  const problems = checkSchema(match.schema, data);
+  if (problems.length === 0) {
+    return;
+  }
+
+  if (logger) {
+    logger.error('Schema Mismatch', { endpoint: match.endpoint, problems });
+  }
+  throw new SchemaMismatchError(
+    `Unexpected response from the Pi Network API (${match.endpoint}): ${problems[0]}`,
+    { details: { endpoint: match.endpoint, problems } }
+  );
+};
+
+/**
+ * Check every successful response of a client against its schema. Responses
+ * that do not match reject with a SchemaMismatchError, which is logged.
+ *
+ * @param {Object} client - Axios client
+ * @param {Object} options - Validation options
+ * @param {Object} options.logger - Logger with debug/info/warn/error methods
+ * @returns {number} ID of the interceptor
+ */
+const attachSchemaValidation = (client, { logger }) => {
+  return client.interceptors.response.use((response) => {
+    validateResponse(response.config.method, response.config.url, response.data, logger);
+    return response;
+  });
+};
+
+module.exports = {
+  RESPONSE_SCHEMAS,
+  findSchema,
+  checkSchema,
+  validateResponse,
+  attachSchemaValidation
+};
@@ -0,0 +1,292 @@
+/**
+ * Transaction Export
+ *
+ * Writes the transaction history for bookkeeping, as CSV, JSON or OFX. The
+ * history is walked across every page with iterateTransactions (see
+ * src/api/pagination.js), restricted to a date range. History items missing
+ * details (counterparty, memo, fee) are completed with getTransactionDetails.
+ *
+ * CSV and JSON contain the selected columns. OFX has a fixed layout: one
+ * statement transaction per transaction, with the counterparty as NAME and
+ * the memo as MEMO. Pi has no ISO 4217 code, so amounts are in XXX.
+ *
+ * @module api/transaction-export
+ */
+
+const { ValidationError } = require('./errors');
+
+// Columns of an export, in order, with their CSV header
+const EXPORT_COLUMNS = {
+  id: 'Transaction ID',
+  timestamp: 'Date',
+  type: 'Type',
+  amount: 'Amount',
+  fee: 'Fee',
+  counterparty: 'Counterparty',
+  address: 'Address',
+  memo: 'Memo',
+  status: 'Status'
+};
+
+// Formats and the extension of their files
+const EXPORT_FORMATS = {
+  csv: 'csv',
+  json: 'json',
+  ofx: 'ofx'
+};
+
+// Fields only getTransactionDetails may return
+const DETAIL_FIELDS = ['counterparty', 'memo', 'fee'];
+
+// Transaction details requested at the same time
+const DETAILS_CONCURRENCY = 4;
+
+// Longest NAME of an OFX transaction
+const OFX_NAME_LENGTH = 32;
+
+/**
+ * Check the options of an export
+ *
+ * @param {Object} options - `{ format, columns, since, until }`
+ * @returns {Object} `{ format, columns }` with the default columns filled in
+ * @throws {ValidationError} If the format, a column or a date is invalid
+ */
+const validateExportOptions = ({ format = 'csv', columns, since, until } = {}) => {
+  if (!EXPORT_FORMATS[format]) {
+    throw new ValidationError(`Unknown export format: ${format}`, { code: 'INVALID_EXPORT' });
+  }
+  [['since', since], ['until', until]].forEach(([name, value]) => {
+    if (value !== undefined && value !== null && Number.isNaN(new Date(value).getTime())) {
+      throw new ValidationError(`${name} must be a valid date`, { code: 'INVALID_EXPORT' });
+    }
+  });
+  if (since && until && new Date(since) > new Date(until)) {
+    throw new ValidationError('The start date is after the end date', { code: 'INVALID_EXPORT' });
+  }
+  if (columns === undefined) {
+    return { format, columns: Object.keys(EXPORT_COLUMNS) };
+  }
+  if (!Array.isArray(columns) || columns.length === 0) {
+    throw new ValidationError('Select at least one column', { code: 'INVALID_EXPORT' });
+  }
+
+  const unknown = columns.find((column) => !EXPORT_COLUMNS[column]);
+  if (unknown !== undefined) {
+    throw new ValidationError(`Unknown column: ${unknown}`, { code: 'INVALID_EXPORT' });
+  }
+  // Keep the order of EXPORT_COLUMNS whatever the order of the selection
+  return { format, columns: Object.keys(EXPORT_COLUMNS).filter((column) => columns.includes(column)) };
+};
+
+/**
+ * Collect the transactions of a date range, with their details
+ *
+ * @param {Object} wallet - Wallet API (see createWalletAPI in src/api/wallet.js)
+ * @param {Object} [options] - Range options
+ * @param {Date|string|number} [options.since] - Only transactions at or after this date
+ * @param {Date|string|number} [options.until] - Only transactions at or before this date
+ * @param {AbortSignal} [options.signal] - Cancels the export
+ * @returns {Promise<Array<Object>>} The transactions, oldest first
+ */
+const collectTransactions = async (wallet, { since, until, signal } = {}) => {
+  const transactions = [];
+  let batch = [];
+
+  // Complete the items missing details, a few requests at a time
+  const flush = async () => {
+    transactions.push(...await Promise.all(batch.map(async (transaction) => {
+      if (DETAIL_FIELDS.every((field) => field in transaction)) {
+        return transaction;
+      }
+      return { ...transaction, ...await wallet.getTransactionDetails(transaction.id) };
+    })));
+    batch = [];
+  };
+
+  for await (const transaction of wallet.iterateTransactions({ sort: 'asc', since, until, signal })) {
+    batch.push(transaction);
+    if (batch.length >= DETAILS_CONCURRENCY) {
+      await flush();
+    }
+  }
+  await flush();
+
+  return transactions;
+};
+
+/**
+ * Quote a CSV field. Text starting like a formula is prefixed with an
+ * apostrophe, so spreadsheets show it instead of evaluating it.
+ *
+ * @param {*} value - Field value
+ * @param {string} column - Column of the value
+ * @returns {string}
+ */
+const toCsvField = (value, column) => {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (column !== 'amount' && column !== 'fee' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write transactions as CSV with a header row
+ *
+ * @param {Array<Object>} transactions - Transactions to write
+ * @param {Array<string>} columns - Columns to include
+ * @returns {string} CSV with CRLF line endings
+ */
+const toCsv = (transactions, columns) => {
+  const rows = [columns.map((column) => EXPORT_COLUMNS[column])];
+  transactions.forEach((transaction) => {
+    rows.push(columns.map((column) => toCsvField(transaction[column], column)));
+  });
+  return rows.map((row) => row.join(',')).join('\r\n') + '\r\n';
+};
+
+/**
+ * Write transactions as JSON
+ *
+ * @param {Array<Object>} transactions - Transactions to write
+ * @param {Array<string>} columns - Columns to include
+ * @param {Object} range - `{ since, until }` of the export, as given
+ * @param {Date} exportedAt - Time of the export
+ * @returns {string}
+ */
+const toJson = (transactions, columns, { since, until }, exportedAt) => {
+  return JSON.stringify({
+    exportedAt: exportedAt.toISOString(),
+    since: since ?? null,
+    until: until ?? null,
+    count: transactions.length,
+    transactions: transactions.map((transaction) => {
+      return Object.fromEntries(columns.map((column) => [column, transaction[column] ?? null]));
+    })
+  }, null, 2);
+};
+
+/**
+ * Format a date as an OFX date time, in UTC
+ *
+ * @param {Date|string|number} value - The date
+ * @returns {string} e.g. 20240131120000[0:GMT]
+ */
+const toOfxDate = (value) => {
+  const iso = new Date(value).toISOString();
+  return `${iso.slice(0, 19).replace(/[-:T]/g, '')}[0:GMT]`;
+};
+
+/**
+ * Write an OFX element, escaping its content
+ *
+ * @param {string} name - Element name, e.g. 'TRNAMT'
+ * @param {*} value - Content
+ * @returns {string} e.g. <TRNAMT>1.5</TRNAMT>
+ */
+const element = (name, value) => {
+  const text = String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  return `<${name}>${text}</${name}>`;
+};
+
+/**
+ * Write transactions as an OFX 2.2 bank statement
+ *
+ * @param {Array<Object>} transactions - Transactions to write, oldest first
+ * @param {Object} statement - `{ account, balance, since, until }`: wallet
+ *   address used as account ID, current balance and range of the export
+ * @param {Date} exportedAt - Time of the export
+ * @returns {string}
+ */
+const toOfx = (transactions, { account, balance, since, until }, exportedAt) => {
+  // Transactions are oldest first
+  const start = since ?? (transactions.length ? transactions[0].timestamp : exportedAt);
+  const end = until ?? (transactions.length ? transactions[transactions.length - 1].timestamp : exportedAt);
+
+  const entries = transactions.map((transaction) => {
+    const lines = [
+      '<STMTTRN>',
+      element('TRNTYPE', String(transaction.amount).startsWith('-') ? 'DEBIT' : 'CREDIT'),
+      element('DTPOSTED', toOfxDate(transaction.timestamp)),
+      element('TRNAMT', transaction.amount),
+      element('FITID', transaction.id)
+    ];
+    if (transaction.counterparty) {
+      lines.push(element('NAME', transaction.counterparty.slice(0, OFX_NAME_LENGTH)));
+    }
+    if (transaction.memo) {
+      lines.push(element('MEMO', transaction.memo));
+    }
+    lines.push('</STMTTRN>');
+    return lines.join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    '<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+    '<OFX>',
+    '<SIGNONMSGSRSV1><SONRS>',
+    '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+    element('DTSERVER', toOfxDate(exportedAt)),
+    '<LANGUAGE>ENG</LANGUAGE>',
+    '</SONRS></SIGNONMSGSRSV1>',
+    '<BANKMSGSRSV1><STMTTRNRS>',
+    '<TRNUID>0</TRNUID>',
+    '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+    '<STMTRS>',
+    '<CURDEF>XXX</CURDEF>',
+    `<BANKACCTFROM>${element('BANKID', 'PI')}${element('ACCTID', account || 'PI-WALLET')}${element('ACCTTYPE', 'CHECKING')}</BANKACCTFROM>`,
+    '<BANKTRANLIST>',
+    element('DTSTART', toOfxDate(start)),
+    element('DTEND', toOfxDate(end)),
+    ...entries,
+    '</BANKTRANLIST>',
+    `<LEDGERBAL>${element('BALAMT', balance ?? '0')}${element('DTASOF', toOfxDate(exportedAt))}</LEDGERBAL>`,
+    '</STMTRS>',
+    '</STMTTRNRS></BANKMSGSRSV1>',
+    '</OFX>',
+    ''
+  ].join('\n');
+};
+
+/**
+ * Export the transactions of a date range
+ *
+ * @param {Object} wallet - Wallet API (see createWalletAPI in src/api/wallet.js)
+ * @param {Object} [options] - Export options
+ * @param {string} [options.format='csv'] - 'csv', 'json' or 'ofx'
+ * @param {Array<string>} [options.columns] - Columns of CSV and JSON exports,
+ *   keys of EXPORT_COLUMNS; all of them by default
+ * @param {Date|string|number} [options.since] - Only transactions at or after this date
+ * @param {Date|string|number} [options.until] - Only transactions at or before this date
+ * @param {string} [options.account] - Wallet address, the account ID of OFX exports
+ * @param {string} [options.balance] - Current balance, the ledger balance of OFX exports
+ * @param {AbortSignal} [options.signal] - Cancels the export
+ * @param {Date} [options.now] - Time of the export, for tests
+ * @returns {Promise<Object>} `{ content, count, format }`
+ * @throws {ValidationError} If the format or a column is unknown
+ */
+const exportTransactions = async (wallet, options = {}) => {
+  const { format, columns } = validateExportOptions(options);
+  const { since, until, account, balance, signal, now = new Date() } = options;
+
+  const transactions = await collectTransactions(wallet, { since, until, signal });
+
+  let content;
+  if (format === 'csv') {
+    content = toCsv(transactions, columns);
+  } else if (format === 'json') {
+    content = toJson(transactions, columns, { since, until }, now);
+  } else {
+    content = toOfx(transactions, { account, balance, since, until }, now);
+  }
+  return { content, count: transactions.length, format };
+};
+
+module.exports = {
+  exportTransactions,
+  collectTransactions,
+  validateExportOptions,
+  EXPORT_COLUMNS,
+  EXPORT_FORMATS
+};
@@ -5,102 +5,166 @@
  * 
  * @module api/wallet
  */
-const { authClient } = require('./auth');
+const crypto = require('crypto');
+const { authClient, defaultLogger } = require('./auth');
+const { iteratePages } = require('./pagination');
+const transactionExport = require('./transaction-export');
 
 /**
- * Get the user's wallet balance
+ * Create the wallet API bound to an authenticated client
  * 
- * @returns {Promise<Object>} Wallet balance information
+ * @param {Object} client - Axios client of an auth context (see createAuth in auth.js)
+ * @param {Object} [options] - Module options
+ * @param {Object} [options.logger] - Logger with debug/info/warn/error methods
+ * @returns {Object} Wallet API functions using that client
  */
-const getBalance = async () => {
-  try {
-    const response = await authClient.get('/wallet/balance');
-    return response.data;
-  } catch (error) {
-    console.error('Failed to get wallet balance:', error.message);
-    throw error;
-  }
-};
+const createWalletAPI = (client, { logger = defaultLogger } = {}) => {
+  /**
+   * Get the user's wallet balance
+   * 
+   * @returns {Promise<Object>} Wallet balance information
+   */
+  const getBalance = async () => {
+    try {
+      const response = await client.get('/wallet/balance');
+      return response.data;
+    } catch (error) {
+      logger.error('Failed to get wallet balance:', error.message);
+      throw error;
+    }
+  };
 
-/**
- * Get the transaction history for the user's wallet
- * 
- * @param {Object} [options] - Query options
- * @param {number} [options.page=1] - Page number
- * @param {number} [options.limit=20] - Number of transactions per page
- * @param {string} [options.sort='desc'] - Sort order ('asc' or 'desc')
- * @returns {Promise<Object>} Transaction history with pagination info
- */
-const getTransactionHistory = async (options = {}) => {
-  try {
-    const { page = 1, limit = 20, sort = 'desc' } = options;
-    const response = await authClient.get('/wallet/transactions', {
-      params: { page, limit, sort }
-    });
-    return response.data;
-  } catch (error) {
-    console.error('Failed to get transaction history:', error.message);
-    throw error;
-  }
-};
+  /**
+   * Get the transaction history for the user's wallet
+   * 
+   * @param {Object} [options] - Query options
+   * @param {number} [options.page=1] - Page number
+   * @param {number} [options.limit=20] - Number of transactions per page
+   * @param {string} [options.sort='desc'] - Sort order ('asc' or 'desc')
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<Object>} Transaction history with pagination info
+   */
+  const getTransactionHistory = async (options = {}) => {
+    try {
+      const { page = 1, limit = 20, sort = 'desc', signal } = options;
+      const response = await client.get('/wallet/transactions', {
+        params: { page, limit, sort },
+        signal
+      });
+      return response.data;
+    } catch (error) {
+      if (!options.signal?.aborted) {
+        logger.error('Failed to get transaction history:', error.message);
+      }
+      throw error;
+    }
+  };
 
-/**
- * Get details for a specific transaction
- * 
- * @param {string} transactionId - The ID of the transaction
- * @returns {Promise<Object>} Transaction details
- */
-const getTransactionDetails = async (transactionId) => {
-  try {
-    const response = await authClient.get(`/wallet/transactions/${transactionId}`);
-    return response.data;
-  } catch (error) {
-    console.error('Failed to get transaction details:', error.message);
-    throw error;
-  }
-};
+  /**
+   * Iterate the whole transaction history, requesting pages as needed
+   * (see src/api/pagination.js)
+   * 
+   * @param {Object} [options] - Iteration options, see iteratePages
+   * @param {string} [options.sort='desc'] - Sort order ('asc' or 'desc')
+   * @param {Date|string|number} [options.since] - Only transactions at or after this date
+   * @param {Date|string|number} [options.until] - Only transactions at or before this date
+   * @param {number} [options.maxItems] - Stop after this many transactions
+   * @param {AbortSignal} [options.signal] - Cancels the iteration
+   * @returns {AsyncGenerator<Object>} The transactions
+   */
+  const iterateTransactions = (options = {}) => {
+    const { sort = 'desc' } = options;
+    return iteratePages(
+      ({ page, limit, signal }) => getTransactionHistory({ page, limit, sort, signal }),
+      { itemsKey: 'transactions', dateKey: 'timestamp', order: sort },
+      options
+    );
+  };
 
-/**
- * Send Pi to another user
- * 
- * @param {string} recipient - Recipient's username or address
- * @param {number} amount - Amount of Pi to send
- * @param {string} [memo] - Optional memo for the transaction
- * @returns {Promise<Object>} Transaction result
- */
-const sendPi = async (recipient, amount, memo = '') => {
-  try {
-    const response = await authClient.post('/wallet/send', {
-      recipient,
-      amount,
-      memo
-    });
-    return response.data;
-  } catch (error) {
-    console.error('Failed to send Pi:', error.message);
-    throw error;
-  }
-};
+  /**
+   * Export the transactions of a date range as CSV, JSON or OFX, walking the
+   * whole history (see src/api/transaction-export.js)
+   * 
+   * @param {Object} [options] - Export options: format, columns, since, until,
+   *   account, balance and signal
+   * @returns {Promise<Object>} `{ content, count, format }`
+   */
+  const exportTransactions = (options) => {
+    return transactionExport.exportTransactions({ iterateTransactions, getTransactionDetails }, options);
+  };
 
-/**
- * Get the user's wallet address
- * 
- * @returns {Promise<Object>} Wallet address information
- */
-const getWalletAddress = async () => {
-  try {
-    const response = await authClient.get('/wallet/address');
-    return response.data;
-  } catch (error) {
-    console.error('Failed to get wallet address:', error.message);
-    throw error;
-  }
+  /**
+   * Get details for a specific transaction
+   * 
+   * @param {string} transactionId - The ID of the transaction
+   * @returns {Promise<Object>} Transaction details
+   */
+  const getTransactionDetails = async (transactionId) => {
+    try {
+      const response = await client.get(`/wallet/transactions/${encodeURIComponent(transactionId)}`);
+      return response.data;
+    } catch (error) {
+      logger.error('Failed to get transaction details:', error.message);
+      throw error;
+    }
+  };
+
+  /**
+   * Send Pi to another user. Every payment carries an Idempotency-Key, so the
+   * server executes it once even if the request is retried after a lost response.
+   * 
+   * @param {string} recipient - Recipient's username or address
+   * @param {number} amount - Amount of Pi to send
+   * @param {string} [memo] - Optional memo for the transaction
+   * @param {Object} [options] - Payment options
+   * @param {string} [options.idempotencyKey] - Key identifying the payment, a new
+   *   random UUID by default. Reuse it only to repeat the same payment.
+   * @returns {Promise<Object>} Transaction result
+   */
+  const sendPi = async (recipient, amount, memo = '', { idempotencyKey = crypto.randomUUID() } = {}) => {
+    try {
+      const response = await client.post('/wallet/send', {
+        recipient,
+        amount,
+        memo
+      }, {
+        headers: { 'Idempotency-Key': idempotencyKey }
+      });
+      return response.data;
+    } catch (error) {
+      logger.error('Failed to send Pi:', error.message);
+      throw error;
+    }
+  };
+
+  /**
+   * Get the user's wallet address
+   * 
+   * @returns {Promise<Object>} Wallet address information
+   */
+  const getWalletAddress = async () => {
+    try {
+      const response = await client.get('/wallet/address');
+      return response.data;
+    } catch (error) {
+      logger.error('Failed to get wallet address:', error.message);
+      throw error;
+    }
+  };
+  
+  return {
+    getBalance,
+    getTransactionHistory,
+    iterateTransactions,
+    exportTransactions,
+    getTransactionDetails,
+    sendPi,
+    getWalletAddress
+  };
 };
 
+// Default functions bound to the shared module-level client
 module.exports = {
-  getBalance,
-  getTransactionHistory,
-  getTransactionDetails,
-  sendPi,
-  getWalletAddress
+  ...createWalletAPI(authClient),
+  createWalletAPI
 };
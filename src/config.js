@@ -0,0 +1,198 @@
+/**
+ * Client Configuration
+ *
+ * Single configuration source shared by the main process, the API modules
+ * and the debug scripts. It picks a named environment profile and the API
+ * base URL, in this order of precedence:
+ *
+ *   1. Command line flags: --env <profile> and --api-url <url>
+ *   2. Environment variables: PI_NETWORK_ENV and PI_API_BASE_URL
+ *   3. Settings saved by the app (see setSettings)
+ *   4. The production profile
+ *
+ * @module config
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Environment profiles. A profile's API base URL can still be overridden
+ * with --api-url, PI_API_BASE_URL or the apiBaseURL setting.
+ */
+const PROFILES = {
+  production: {
+    label: 'Production',
+    apiBaseURL: 'https://api.minepi.com/v2',
+    timeout: 10000
+  },
+  testnet: {
+    label: 'Testnet',
+    apiBaseURL: 'https://api.testnet.minepi.com/v2',
+    timeout: 10000
+  },
+  local: {
+    label: 'Local mock server',
+    apiBaseURL: 'http://127.0.0.1:3000/v2',
+    timeout: 5000
+  }
+};
+
+// Profile used when none is selected
+const DEFAULT_ENVIRONMENT = 'production';
+
+// Credential store of the production profile, named like in the versions
+// that only knew production
+const CREDENTIAL_STORE_NAME = 'pi-network-auth';
+
+// Settings saved by the app, applied below command line flags and environment variables
+let savedSettings = {};
+
+// Resolved configuration, computed on first use
+let currentConfig = null;
+
+/**
+ * Read the value of a command line flag, given as `--name value` or `--name=value`
+ *
+ * @param {Array<string>} argv - Command line arguments
+ * @param {string} name - Flag name without the leading dashes
+ * @returns {string|undefined} The flag value, if present
+ */
+const readFlag = (argv, name) => {
+  const flag = `--${name}`;
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === flag && i + 1 < argv.length) {
+      return argv[i + 1];
+    }
+    if (argv[i].startsWith(`${flag}=`)) {
+      return argv[i].slice(flag.length + 1);
+    }
+  }
+
+  return undefined;
+};
+
+/**
+ * Pick the first value that is set and report where it came from
+ *
+ * @param {Array<Array>} candidates - `[source, value]` pairs in order of precedence
+ * @returns {Array} `[source, value]`, or `[null, undefined]` if none is set
+ */
+const pickFirst = (candidates) => {
+  return candidates.find(([, value]) => value !== undefined && value !== null && value !== '')
+    || [null, undefined];
+};
+
+/**
+ * Resolve the configuration from command line flags, environment variables
+ * and saved settings
+ *
+ * @param {Object} [sources] - Configuration sources
+ * @param {Array<string>} [sources.argv=process.argv] - Command line arguments
+ * @param {Object} [sources.env=process.env] - Environment variables
+ * @param {Object} [sources.settings] - Saved settings `{ environment, apiBaseURL }`
+ * @returns {Object} `{ environment, label, apiBaseURL, apiRootURL, timeout, source }`,
+ *   where source tells where the environment was picked from:
+ *   'cli', 'env', 'settings' or 'default'
+ * @throws {Error} If the selected profile does not exist
+ */
+const resolveConfig = ({ argv = process.argv, env = process.env, settings = savedSettings } = {}) => {
+  const [environmentSource, environment = DEFAULT_ENVIRONMENT] = pickFirst([
+    ['cli', readFlag(argv, 'env')],
+    ['env', env.PI_NETWORK_ENV],
+    ['settings', settings.environment]
+  ]);
+
+  const profile = PROFILES[environment];
+  if (!profile) {
+    throw new Error(`Unknown environment "${environment}". Available environments: ${Object.keys(PROFILES).join(', ')}`);
+  }
+
+  const [, apiBaseURL = profile.apiBaseURL] = pickFirst([
+    ['cli', readFlag(argv, 'api-url')],
+    ['env', env.PI_API_BASE_URL],
+    ['settings', settings.apiBaseURL]
+  ]);
+  const normalizedBaseURL = apiBaseURL.replace(/\/+$/, '');
+
+  return {
+    environment,
+    label: profile.label,
+    apiBaseURL: normalizedBaseURL,
+    // Server root, for the endpoints the debug scripts probe without /v2
+    apiRootURL: normalizedBaseURL.replace(/\/v\d+$/, ''),
+    timeout: profile.timeout,
+    source: environmentSource || 'default'
+  };
+};
+
+/**
+ * Get the current configuration
+ *
+ * @returns {Object} The resolved configuration (see resolveConfig)
+ */
+const getConfig = () => {
+  if (!currentConfig) {
+    currentConfig = resolveConfig();
+  }
+  return currentConfig;
+};
+
+/**
+ * Apply the settings saved by the app. Command line flags and environment
+ * variables still take precedence.
+ *
+ * @param {Object} settings - `{ environment, apiBaseURL }`
+ * @returns {Object} The resolved configuration
+ */
+const setSettings = (settings = {}) => {
+  savedSettings = { ...settings };
+  currentConfig = null;
+  return getConfig();
+};
+
+/**
+ * Name of the credential store of a configuration. Each profile has its own
+ * store, and so does every base URL overriding the profile's, so a session is
+ * only ever sent to the server it was opened with.
+ *
+ * @param {Object} [config] - Resolved configuration, the current one by default
+ * @returns {string} 'pi-network-auth' for the production profile, e.g.
+ *   'pi-network-auth-testnet' for another profile, with a digest of the base
+ *   URL appended when it is overridden
+ */
+const getCredentialStoreName = (config = getConfig()) => {
+  const name = config.environment === DEFAULT_ENVIRONMENT
+    ? CREDENTIAL_STORE_NAME
+    : `${CREDENTIAL_STORE_NAME}-${config.environment}`;
+  if (config.apiBaseURL === PROFILES[config.environment].apiBaseURL) {
+    return name;
+  }
+
+  const digest = crypto.createHash('sha256').update(config.apiBaseURL).digest('hex').slice(0, 12);
+  return `${name}-${digest}`;
+};
+
+/**
+ * List the available environment profiles
+ *
+ * @returns {Array<Object>} `{ name, label, apiBaseURL }` of each profile
+ */
+const listProfiles = () => {
+  return Object.entries(PROFILES).map(([name, profile]) => ({
+    name,
+    label: profile.label,
+    apiBaseURL: profile.apiBaseURL
+  }));
+};
+
+module.exports = {
+  PROFILES,
+  DEFAULT_ENVIRONMENT,
+  CREDENTIAL_STORE_NAME,
+  getConfig,
+  setSettings,
+  resolveConfig,
+  getCredentialStoreName,
+  listProfiles
+};
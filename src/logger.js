@@ -0,0 +1,322 @@
+/**
+ * Logger
+ *
+ * Single logging module for the main process and the API client, built on
+ * winston. Every entry goes through redaction first: values of fields such
+ * as Authorization, password, token and refreshToken are replaced, bearer
+ * tokens inside strings are masked, and errors are reduced to their name,
+ * message, code and status so request configs and sockets are never dumped.
+ *
+ * Entries go to the console and, once enableFileLogging() is called, to
+ * rotating JSON log files. The level can be changed at runtime with setLevel().
+ *
+ *   const log = createLogger('main');
+ *   log.debug('Login Request', { username, password }); // password is redacted
+ *
+ * @module logger
+ */
+
+const path = require('path');
+const winston = require('winston');
+
+// Levels from most to least severe
+const LEVELS = ['error', 'warn', 'info', 'debug'];
+
+// Level used until setLevel() is called
+const DEFAULT_LEVEL = 'info';
+
+// Key of the formatted entry, set by the transport formats
+const MESSAGE = Symbol.for('message');
+
+// Replacement of redacted values
+const REDACTED = '[REDACTED]';
+
+// Field names whose values are never logged, compared in lower case
+const SENSITIVE_KEYS = new Set([
+  'authorization',
+  'proxy-authorization',
+  'cookie',
+  'set-cookie',
+  'password',
+  'currentpassword',
+  'newpassword',
+  'passphrase',
+  'token',
+  'accesstoken',
+  'refreshtoken',
+  'idempotency-key',
+  'secret',
+  'encryptionkey'
+]);
+
+// Depth below which nested objects are summarized
+const MAX_DEPTH = 6;
+
+// Log file name and rotation defaults
+const LOG_FILE_NAME = 'pi-network.log';
+const DEFAULT_MAX_SIZE = 1024 * 1024;
+const DEFAULT_MAX_FILES = 5;
+
+/**
+ * Mask bearer tokens and key=value secrets inside a string
+ *
+ * @param {string} text - Text to clean
+ * @returns {string}
+ */
+const redactString = (text) => {
+  return text
+    .replace(/(Bearer\s+)[^\s"',]+/gi, `$1${REDACTED}`)
+    .replace(/((?:password|token|refreshToken|passphrase)=)[^&\s]+/gi, `$1${REDACTED}`);
+};
+
+/**
+ * Copy a value with its sensitive fields redacted. Errors are reduced to
+ * their useful fields and class instances other than plain objects and
+ * arrays are summarized, so large objects such as sockets are never copied.
+ *
+ * @param {*} value - Value to redact
+ * @param {number} [depth=0] - Current depth
+ * @param {WeakSet} [seen] - Objects already visited, to stop at cycles
+ * @returns {*} The redacted copy
+ */
+const redact = (value, depth = 0, seen = new WeakSet()) => {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  if (depth >= MAX_DEPTH) {
+    return Array.isArray(value) ? '[Array]' : '[Object]';
+  }
+  seen.add(value);
+
+  if (value instanceof Error) {
+    const summary = { name: value.name, message: redactString(String(value.message)) };
+    ['code', 'status', 'retryAfter'].forEach((key) => {
+      if (value[key] !== undefined) {
+        summary[key] = value[key];
+      }
+    });
+    // Axios errors: keep where the request went, never its headers or body
+    if (value.isAxiosError) {
+      summary.status = value.response?.status;
+      summary.method = value.config?.method;
+      summary.url = value.config?.url;
+    }
+    return summary;
+  }
+
+  if (Buffer.isBuffer(value) || ArrayBuffer.isView(value) || value instanceof ArrayBuffer) {
+    return `[Binary ${value.byteLength} bytes]`;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1, seen));
+  }
+
+  const prototype = Object.getPrototypeOf(value);
+  if (prototype !== Object.prototype && prototype !== null) {
+    // Dates, AxiosHeaders and the like know their own plain form
+    if (typeof value.toJSON === 'function') {
+      return redact(value.toJSON(), depth, seen);
+    }
+    return `[${value.constructor?.name || 'Object'}]`;
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => {
+    if (SENSITIVE_KEYS.has(key.toLowerCase())) {
+      return [key, item === undefined || item === null ? item : REDACTED];
+    }
+    return [key, redact(item, depth + 1, seen)];
+  }));
+};
+
+/**
+ * winston format redacting the message and data of every entry
+ */
+const redactFormat = winston.format((info) => {
+  if (typeof info.message === 'string') {
+    info.message = redactString(info.message);
+  }
+  if (info.data !== undefined) {
+    info.data = redact(info.data);
+  }
+  return info;
+});
+
+// Console line: time, level, scope, message and data
+const consoleFormat = winston.format.printf(({ timestamp, level, scope, message, data }) => {
+  const details = data === undefined ? '' : ` ${JSON.stringify(data, null, 2)}`;
+  return `${timestamp} ${level.toUpperCase()} [${scope}] ${message}${details}`;
+});
+
+/**
+ * Console transport looking up console.* on every entry, so entries show in
+ * DevTools and tests can silence them by mocking console methods. winston's
+ * own Console transport binds the methods once, when it is created.
+ */
+class ConsoleTransport extends winston.Transport {
+  log(info, callback) {
+    const method = info.level === 'error' || info.level === 'warn' ? info.level : 'log';
+    console[method](info[MESSAGE]);
+    this.emit('logged', info);
+    callback();
+  }
+}
+
+// Shared winston logger behind every scoped logger
+const rootLogger = winston.createLogger({
+  level: DEFAULT_LEVEL,
+  levels: winston.config.npm.levels,
+  format: winston.format.combine(
+    redactFormat(),
+    winston.format.timestamp()
+  ),
+  transports: [
+    new ConsoleTransport({ format: consoleFormat })
+  ]
+});
+
+// File transport added by enableFileLogging
+let fileTransport = null;
+
+/**
+ * Turn the arguments of a log call into a message and data. Primitive
+ * arguments are appended to the message, like console.log does, and
+ * objects become the entry's data.
+ *
+ * @param {Array} args - Arguments after the message
+ * @returns {Object} `{ text, data }`
+ */
+const splitArguments = (args) => {
+  const text = [];
+  const data = [];
+
+  args.forEach((arg) => {
+    if (arg === null || arg === undefined || typeof arg !== 'object') {
+      text.push(String(arg));
+    } else {
+      data.push(arg);
+    }
+  });
+
+  return {
+    text: text.join(' '),
+    data: data.length === 0 ? undefined : data.length === 1 ? data[0] : data
+  };
+};
+
+/**
+ * Create a logger for a part of the app
+ *
+ * @param {string} scope - Name shown with each entry, e.g. 'main' or 'api'
+ * @returns {Object} Logger with debug, info, warn and error methods, each
+ *   taking a message followed by any values to log
+ */
+const createLogger = (scope) => {
+  const log = (level) => (message, ...args) => {
+    if (!rootLogger.isLevelEnabled(level)) {
+      return;
+    }
+
+    const { text, data } = splitArguments(args);
+    const base = message instanceof Error ? message.message : String(message);
+    rootLogger.log({
+      level,
+      scope,
+      message: text ? `${base} ${text}` : base,
+      data: message instanceof Error ? message : data
+    });
+  };
+
+  return {
+    debug: log('debug'),
+    info: log('info'),
+    warn: log('warn'),
+    error: log('error'),
+    // Logger for a part of this scope, e.g. 'api:auth'
+    child: (name) => createLogger(`${scope}:${name}`)
+  };
+};
+
+/**
+ * Change the level of every logger
+ *
+ * @param {string} level - One of LEVELS
+ * @throws {Error} If the level is unknown
+ */
+const setLevel = (level) => {
+  if (!LEVELS.includes(level)) {
+    throw new Error(`Unknown log level "${level}". Use one of: ${LEVELS.join(', ')}`);
+  }
+  rootLogger.level = level;
+};
+
+/**
+ * Get the current level
+ *
+ * @returns {string}
+ */
+const getLevel = () => rootLogger.level;
+
+/**
+ * Also write entries as JSON lines to a log file, rotated by size. Calling
+ * it again replaces the previous file settings.
+ *
+ * @param {Object} options - File options
+ * @param {string} options.directory - Directory of the log files, e.g. userData/logs
+ * @param {number} [options.maxSize=1 MiB] - Size at which the file is rotated
+ * @param {number} [options.maxFiles=5] - Files kept, the current one included
+ * @returns {Object} The winston file transport
+ */
+const enableFileLogging = ({ directory, maxSize = DEFAULT_MAX_SIZE, maxFiles = DEFAULT_MAX_FILES }) => {
+  disableFileLogging();
+
+  fileTransport = new winston.transports.File({
+    filename: path.join(directory, LOG_FILE_NAME),
+    format: winston.format.json(),
+    maxsize: maxSize,
+    maxFiles,
+    // The current file keeps its name, older ones are numbered
+    tailable: true
+  });
+  rootLogger.add(fileTransport);
+  return fileTransport;
+};
+
+/**
+ * Stop writing to the log file
+ */
+const disableFileLogging = () => {
+  if (fileTransport) {
+    rootLogger.remove(fileTransport);
+    fileTransport.close?.();
+    fileTransport = null;
+  }
+};
+
+/**
+ * Path of the current log file, if file logging is enabled
+ *
+ * @returns {string|null}
+ */
+const getLogFile = () => {
+  return fileTransport ? path.join(fileTransport.dirname, fileTransport.filename) : null;
+};
+
+module.exports = {
+  LEVELS,
+  DEFAULT_LEVEL,
+  createLogger,
+  setLevel,
+  getLevel,
+  enableFileLogging,
+  disableFileLogging,
+  getLogFile,
+  redact
+};
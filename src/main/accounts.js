@@ -0,0 +1,373 @@
+/**
+ * Account Manager
+ *
+ * Keeps several named Pi Network accounts in the credential store. Each
+ * account has its own tokens and cached user object, its own SessionManager,
+ * response cache, transaction index, address book and isolated API client (see createClient in
+ * src/api/index.js), so sessions never leak between accounts. One account is active at a time and
+ * serves the renderer's IPC calls.
+ *
+ * Store layout:
+ *   accounts.<id> = { id, name, createdAt, lastUsedAt, lastLoginAt, authToken, refreshToken, tokenExpiry, user, cache, transactionIndex, addressBook }
+ *   activeAccountId = <id>
+ *
+ * @module main/accounts
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { SessionManager, createPersistentTokenStore } = require('./session');
+const { ResponseCache } = require('./cache');
+const { AddressBook } = require('./address-book');
+const { TransactionIndex } = require('./transaction-index');
+
+// Session keys stored per account (and at the top level by older versions)
+const SESSION_KEYS = ['authToken', 'refreshToken', 'tokenExpiry', 'user'];
+
+/**
+ * Create a store view that reads and writes the keys of one account
+ *
+ * @param {Object} store - The credential store
+ * @param {string} accountId - Account ID
+ * @returns {Object} Store with get/set/delete/has scoped to the account
+ */
+const createAccountStore = (store, accountId) => {
+  const keyFor = (key) => `accounts.${accountId}.${key}`;
+
+  return {
+    get: (key) => store.get(keyFor(key)),
+    set: (key, value) => store.set(keyFor(key), value),
+    delete: (key) => store.delete(keyFor(key)),
+    has: (key) => store.has(keyFor(key))
+  };
+};
+
+/**
+ * AccountManager owns one session and API instance per stored account
+ *
+ * @fires AccountManager#status-change
+ * @fires AccountManager#cache-update
+ * @fires AccountManager#active-change
+ */
+class AccountManager extends EventEmitter {
+  /**
+   * Creates an account manager
+   *
+   * @param {Object} options - Manager options
+   * @param {Object} options.store - Credential store (see src/main/vault.js)
+   * @param {Function} options.createClient - Client factory (see createClient in
+   *   src/api/index.js), called with the account's token store
+   */
+  constructor({ store, createClient }) {
+    super();
+    this.store = store;
+    this.createClient = createClient;
+
+    // accountId -> { session, api, cache, transactionIndex, addressBook }
+    this.contexts = new Map();
+
+    // Whether the API is reachable, see setOnline()
+    this._online = true;
+  }
+
+  /**
+   * Load every stored account and restore its session. Call once the
+   * credential store is readable. A single-account store written by older
+   * versions is converted into the first account.
+   */
+  load() {
+    this._migrateSingleAccount();
+
+    Object.keys(this.store.get('accounts') || {}).forEach((accountId) => {
+      this._getContext(accountId).session.restore();
+    });
+
+    // Make sure there is always an active account to log in to
+    if (!this._exists(this.store.get('activeAccountId'))) {
+      const [first] = this.list();
+      if (first) {
+        this.store.set('activeAccountId', first.id);
+      } else {
+        this.add();
+      }
+    }
+  }
+
+  /**
+   * Stop all session timers. Call when the app is shutting down.
+   */
+  dispose() {
+    this.contexts.forEach(({ session }) => session.dispose());
+  }
+
+  /**
+   * Pause or resume the polling of every account (token renewal and cache
+   * refreshes) while the API is unreachable
+   *
+   * @param {boolean} online - Whether the API is reachable
+   */
+  setOnline(online) {
+    this._online = online;
+    this.contexts.forEach(({ session, cache }) => {
+      session.setOnline(online);
+      cache.setOnline(online);
+    });
+  }
+
+  /**
+   * List the stored accounts, most recently used first
+   *
+   * @returns {Array<Object>} `{ id, name, username, isAuthenticated, isActive, lastUsedAt }`
+   */
+  list() {
+    const accounts = this.store.get('accounts') || {};
+    const activeAccountId = this.store.get('activeAccountId');
+
+    return Object.values(accounts)
+      .map((account) => ({
+        id: account.id,
+        name: account.name || account.user?.username || 'New account',
+        username: account.user?.username || null,
+        isAuthenticated: !!account.authToken,
+        isActive: account.id === activeAccountId,
+        lastUsedAt: account.lastUsedAt || account.createdAt
+      }))
+      .sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+  }
+
+  /**
+   * Get the active account ID
+   *
+   * @returns {string|null}
+   */
+  getActiveId() {
+    return this.store.get('activeAccountId') || null;
+  }
+
+  /**
+   * Get the session, API instance, response cache, transaction index and
+   * address book of the active account
+   *
+   * @returns {Object} `{ id, session, api, cache, transactionIndex, addressBook }`
+   */
+  getActive() {
+    const id = this.getActiveId();
+    return { id, ...this._getContext(id) };
+  }
+
+  /**
+   * Get the session, API instance, response cache, transaction index and
+   * address book of an account, e.g. the one a payment was sent from
+   *
+   * @param {string} accountId - Account ID
+   * @returns {Object|null} `{ id, session, api, cache, transactionIndex, addressBook }`,
+   *   null if the account was removed
+   */
+  get(accountId) {
+    if (!this._exists(accountId)) {
+      return null;
+    }
+    return { id: accountId, ...this._getContext(accountId) };
+  }
+
+  /**
+   * Add an empty account and make it active, ready for a login
+   *
+   * @param {string} [name] - Display name of the account
+   * @returns {string} The new account ID
+   */
+  add(name) {
+    const id = crypto.randomUUID();
+    const now = Date.now();
+
+    this.store.set(`accounts.${id}`, {
+      id,
+      name: name || null,
+      createdAt: now,
+      lastUsedAt: now
+    });
+
+    this.switchTo(id);
+    return id;
+  }
+
+  /**
+   * Make an account the active one. An account added but never logged in to
+   * is dropped when switching away from it.
+   *
+   * @param {string} accountId - Account ID
+   */
+  switchTo(accountId) {
+    this._assertExists(accountId);
+
+    const previousId = this.getActiveId();
+    if (previousId && previousId !== accountId && this._isUnused(previousId)) {
+      this._getContext(previousId).session.dispose();
+      this.contexts.delete(previousId);
+      this.store.delete(`accounts.${previousId}`);
+    }
+
+    this.store.set('activeAccountId', accountId);
+    this.store.set(`accounts.${accountId}.lastUsedAt`, Date.now());
+
+    /**
+     * Active account change event
+     *
+     * @event AccountManager#active-change
+     * @type {string}
+     */
+    this.emit('active-change', accountId);
+  }
+
+  /**
+   * Rename an account
+   *
+   * @param {string} accountId - Account ID
+   * @param {string} name - New display name
+   */
+  rename(accountId, name) {
+    this._assertExists(accountId);
+    this.store.set(`accounts.${accountId}.name`, name);
+  }
+
+  /**
+   * Log an account out and remove it. If it was active, the most recently
+   * used remaining account becomes active.
+   *
+   * @param {string} accountId - Account ID
+   * @returns {Promise<void>}
+   */
+  async remove(accountId) {
+    this._assertExists(accountId);
+
+    const context = this._getContext(accountId);
+    await context.session.logout();
+    context.session.dispose();
+    this.contexts.delete(accountId);
+    this.store.delete(`accounts.${accountId}`);
+
+    if (this.getActiveId() === accountId) {
+      const [next] = this.list();
+      if (next) {
+        this.switchTo(next.id);
+      } else {
+        this.add();
+      }
+    }
+  }
+
+  /**
+   * Get or create the session, API instance, response cache, transaction
+   * index and address book of an account
+   *
+   * @private
+   * @param {string} accountId - Account ID
+   * @returns {Object} `{ session, api, cache, transactionIndex, addressBook }`
+   */
+  _getContext(accountId) {
+    if (!this.contexts.has(accountId)) {
+      const accountStore = createAccountStore(this.store, accountId);
+      const api = this.createClient({ tokenStore: createPersistentTokenStore(accountStore) });
+      const cache = new ResponseCache({ store: accountStore });
+      const transactionIndex = new TransactionIndex({ store: accountStore, wallet: api.wallet });
+      const session = new SessionManager({ store: accountStore, auth: api.auth, cache, transactionIndex });
+      session.setOnline(this._online);
+      cache.setOnline(this._online);
+
+      session.on('status-change', (status) => {
+        if (status.reason === 'login') {
+          this.store.set(`accounts.${accountId}.lastLoginAt`, Date.now());
+        }
+
+        /**
+         * Session status change of one of the accounts
+         *
+         * @event AccountManager#status-change
+         * @type {Object}
+         * @property {string} accountId - Account the status belongs to
+         */
+        this.emit('status-change', { ...status, accountId });
+      });
+
+      cache.on('update', (update) => {
+        /**
+         * A stale cached response of one of the accounts was refreshed
+         *
+         * @event AccountManager#cache-update
+         * @type {Object}
+         * @property {string} accountId - Account the response belongs to
+         */
+        this.emit('cache-update', { ...update, accountId });
+      });
+
+      const addressBook = new AddressBook({ store: accountStore });
+      this.contexts.set(accountId, { session, api, cache, transactionIndex, addressBook });
+    }
+
+    return this.contexts.get(accountId);
+  }
+
+  /**
+   * Convert the top-level session of older versions into an account
+   *
+   * @private
+   */
+  _migrateSingleAccount() {
+    if (!this.store.get('authToken')) {
+      return;
+    }
+
+    const id = crypto.randomUUID();
+    const now = Date.now();
+    const account = { id, name: null, createdAt: now, lastUsedAt: now, lastLoginAt: now };
+
+    SESSION_KEYS.forEach((key) => {
+      if (this.store.has(key)) {
+        account[key] = this.store.get(key);
+        this.store.delete(key);
+      }
+    });
+
+    this.store.set(`accounts.${id}`, account);
+    this.store.set('activeAccountId', id);
+  }
+
+  /**
+   * Whether an account was added but never logged in to
+   *
+   * @private
+   * @param {string} accountId - Account ID
+   * @returns {boolean}
+   */
+  _isUnused(accountId) {
+    const account = this.store.get(`accounts.${accountId}`);
+    return !!account && !account.lastLoginAt && !account.authToken && !account.name;
+  }
+
+  /**
+   * Whether an account exists
+   *
+   * @private
+   * @param {string} accountId - Account ID
+   * @returns {boolean}
+   */
+  _exists(accountId) {
+    return !!accountId && this.store.has(`accounts.${accountId}`);
+  }
+
+  /**
+   * Throw if an account does not exist
+   *
+   * @private
+   * @param {string} accountId - Account ID
+   */
+  _assertExists(accountId) {
+    if (!this._exists(accountId)) {
+      throw new Error(`Unknown account: ${accountId}`);
+    }
+  }
+}
+
+module.exports = {
+  AccountManager
+};
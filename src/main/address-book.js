@@ -0,0 +1,472 @@
+/**
+ * Address Book
+ *
+ * Saved recipients of one account: a label, a username or wallet address,
+ * notes and when they were last paid. Recipients are checked with the address
+ * validator (see src/api/address.js) before they are saved or imported, so
+ * the send form can trust them.
+ *
+ * Entries live in the store of their account (see createAccountStore in
+ * src/main/accounts.js), under the addressBook key:
+ *   { [id]: { id, label, recipient, type, notes, createdAt, updatedAt, lastUsedAt } }
+ *
+ * The book can be exported and imported as JSON or vCard. In vCards the label
+ * is FN, the notes NOTE, and the recipient X-PI-USERNAME or X-PI-ADDRESS.
+ *
+ * @module main/address-book
+ */
+
+const crypto = require('crypto');
+const { ValidationError } = require('../api/errors');
+const { parseRecipient } = require('../api/address');
+
+// Limits of an entry
+const MAX_LABEL_LENGTH = 64;
+const MAX_NOTES_LENGTH = 500;
+
+// Entries an address book holds
+const MAX_ENTRIES = 1000;
+
+// Suggestions returned by search() unless a limit is given
+const DEFAULT_SEARCH_LIMIT = 8;
+
+// Version of the JSON export
+const EXPORT_VERSION = 1;
+
+/**
+ * Error raised when an entry is invalid, a duplicate or unknown
+ */
+class AddressBookError extends ValidationError {
+  /**
+   * @param {string} message - Error message, suitable for display
+   * @param {string} code - 'INVALID_ENTRY', 'DUPLICATE_ENTRY', 'ENTRY_NOT_FOUND',
+   *   'ADDRESS_BOOK_FULL' or 'INVALID_IMPORT'
+   */
+  constructor(message, code) {
+    super(message, { code });
+  }
+}
+
+/**
+ * Key telling two recipients apart: usernames ignore case, addresses are
+ * already in capitals
+ *
+ * @param {Object} parsed - Result of parseRecipient
+ * @returns {string}
+ */
+const recipientKey = (parsed) => {
+  return parsed.type === 'username' ? `@${parsed.username.toLowerCase()}` : parsed.address;
+};
+
+/**
+ * Validate and normalize the fields of an entry
+ *
+ * @param {Object} fields - `{ label, recipient, notes }`
+ * @returns {Object} `{ label, recipient, type, notes }` with the recipient
+ *   normalized like the send flow does
+ * @throws {AddressBookError} If a field is invalid
+ * @throws {AddressError} If the recipient is not a valid username or address
+ */
+const validateEntry = ({ label, recipient, notes = '' }) => {
+  if (typeof label !== 'string' || label.trim() === '') {
+    throw new AddressBookError('Enter a label', 'INVALID_ENTRY');
+  }
+  if (label.trim().length > MAX_LABEL_LENGTH) {
+    throw new AddressBookError(`Labels are limited to ${MAX_LABEL_LENGTH} characters`, 'INVALID_ENTRY');
+  }
+  if (typeof notes !== 'string' || notes.length > MAX_NOTES_LENGTH) {
+    throw new AddressBookError(`Notes are limited to ${MAX_NOTES_LENGTH} characters`, 'INVALID_ENTRY');
+  }
+
+  const parsed = parseRecipient(recipient);
+  return {
+    label: label.trim(),
+    recipient: parsed.type === 'username' ? parsed.username : parsed.address,
+    type: parsed.type,
+    notes: notes.trim()
+  };
+};
+
+/**
+ * Escape a vCard property value
+ *
+ * @param {string} value - Text to escape
+ * @returns {string}
+ */
+const escapeVCardValue = (value) => {
+  return value.replace(/\\/g, '\\\\').replace(/\r?\n/g, '\\n').replace(/([,;])/g, '\\$1');
+};
+
+/**
+ * Unescape a vCard property value
+ *
+ * @param {string} value - Escaped text
+ * @returns {string}
+ */
+const unescapeVCardValue = (value) => {
+  return value.replace(/\\([\\,;nN])/g, (match, character) => (character.toLowerCase() === 'n' ? '\n' : character));
+};
+
+/**
+ * Write entries as vCard 3.0
+ *
+ * @param {Array<Object>} entries - Address book entries
+ * @returns {string} vCard text with CRLF line endings
+ */
+const toVCard = (entries) => {
+  return entries.map((entry) => {
+    const lines = [
+      'BEGIN:VCARD',
+      'VERSION:3.0',
+      `FN:${escapeVCardValue(entry.label)}`,
+      entry.type === 'username'
+        ? `X-PI-USERNAME:${entry.recipient}`
+        : `X-PI-ADDRESS:${entry.recipient}`
+    ];
+    if (entry.notes) {
+      lines.push(`NOTE:${escapeVCardValue(entry.notes)}`);
+    }
+    lines.push('END:VCARD');
+    return lines.join('\r\n');
+  }).join('\r\n') + '\r\n';
+};
+
+/**
+ * Read the entries of vCard text. Cards without a Pi username or address are
+ * returned without recipient, so they are reported as skipped.
+ *
+ * @param {string} text - vCard text, version 3.0 or 4.0
+ * @returns {Array<Object>} `{ label, recipient, notes }`
+ */
+const parseVCard = (text) => {
+  // Long lines are folded onto lines starting with a space or a tab
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const cards = [];
+  let card = null;
+
+  lines.forEach((line) => {
+    const separator = line.indexOf(':');
+    if (separator === -1) {
+      return;
+    }
+    // Property names may carry parameters (NOTE;CHARSET=UTF-8) and a group (item1.NOTE)
+    const name = line.slice(0, separator).split(';')[0].split('.').pop().toUpperCase();
+    const value = line.slice(separator + 1);
+
+    if (name === 'BEGIN' && value.toUpperCase() === 'VCARD') {
+      card = {};
+    } else if (name === 'END' && card) {
+      cards.push(card);
+      card = null;
+    } else if (card && !(name in card)) {
+      card[name] = unescapeVCardValue(value);
+    }
+  });
+
+  return cards.map((fields) => ({
+    label: fields.FN || fields.NICKNAME || '',
+    recipient: fields['X-PI-ADDRESS'] || fields['X-PI-USERNAME'],
+    notes: fields.NOTE || ''
+  }));
+};
+
+/**
+ * Read the entries of a JSON export
+ *
+ * @param {string} text - JSON written by AddressBook#export, or an array of entries
+ * @returns {Array<Object>} `{ label, recipient, notes }`
+ * @throws {AddressBookError} If the text is not an address book export
+ */
+const parseJson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new AddressBookError('The file is not valid JSON', 'INVALID_IMPORT');
+  }
+
+  const entries = Array.isArray(data) ? data : data?.entries;
+  if (!Array.isArray(entries)) {
+    throw new AddressBookError('The file contains no address book entries', 'INVALID_IMPORT');
+  }
+  return entries.map((entry) => ({
+    label: entry?.label,
+    recipient: entry?.recipient,
+    notes: entry?.notes || ''
+  }));
+};
+
+/**
+ * AddressBook keeps the saved recipients of one account
+ */
+class AddressBook {
+  /**
+   * Creates an address book
+   *
+   * @param {Object} options - Address book options
+   * @param {Object} options.store - Store of the account, with get/set/delete
+   * @param {Function} [options.now=Date.now] - Clock, for tests
+   */
+  constructor({ store, now = Date.now }) {
+    this.store = store;
+    this.now = now;
+  }
+
+  /**
+   * List the entries, most recently used first, then by label
+   *
+   * @returns {Array<Object>} The entries
+   */
+  list() {
+    return Object.values(this._entries()).sort((a, b) => {
+      return (b.lastUsedAt || 0) - (a.lastUsedAt || 0) || a.label.localeCompare(b.label);
+    });
+  }
+
+  /**
+   * Get an entry
+   *
+   * @param {string} id - Entry ID
+   * @returns {Object} The entry
+   * @throws {AddressBookError} If there is no such entry
+   */
+  get(id) {
+    const entry = this._entries()[id];
+    if (!entry) {
+      throw new AddressBookError('Address book entry not found', 'ENTRY_NOT_FOUND');
+    }
+    return entry;
+  }
+
+  /**
+   * Suggest entries for the recipient field of the send form
+   *
+   * @param {string} query - Text typed so far, matched against labels and recipients
+   * @param {number} [limit] - Most suggestions returned
+   * @returns {Array<Object>} Matching entries, those starting with the query first
+   */
+  search(query, limit = DEFAULT_SEARCH_LIMIT) {
+    const text = typeof query === 'string' ? query.trim().replace(/^@/, '').toLowerCase() : '';
+    if (text === '') {
+      return this.list().slice(0, limit);
+    }
+
+    const rank = (entry) => {
+      const fields = [entry.label.toLowerCase(), entry.recipient.toLowerCase()];
+      if (fields.some((field) => field.startsWith(text))) {
+        return 0;
+      }
+      return fields.some((field) => field.includes(text)) ? 1 : -1;
+    };
+
+    return this.list()
+      .map((entry) => ({ entry, rank: rank(entry) }))
+      .filter(({ rank: value }) => value >= 0)
+      .sort((a, b) => a.rank - b.rank)
+      .slice(0, limit)
+      .map(({ entry }) => entry);
+  }
+
+  /**
+   * Save a recipient
+   *
+   * @param {Object} fields - `{ label, recipient, notes }`
+   * @returns {Object} The new entry
+   * @throws {AddressBookError} If the entry is invalid, a duplicate or the book is full
+   * @throws {AddressError} If the recipient is not a valid username or address
+   */
+  add(fields) {
+    const entries = { ...this._entries() };
+    const saved = this._addTo(entries, fields);
+    this._save(entries);
+    return saved;
+  }
+
+  /**
+   * Change the label, recipient or notes of an entry
+   *
+   * @param {string} id - Entry ID
+   * @param {Object} changes - Some of `{ label, recipient, notes }`
+   * @returns {Object} The updated entry
+   * @throws {AddressBookError} If there is no such entry or the changes are invalid
+   * @throws {AddressError} If the new recipient is not a valid username or address
+   */
+  update(id, changes) {
+    const current = this.get(id);
+    const entry = validateEntry({
+      label: changes?.label ?? current.label,
+      recipient: changes?.recipient ?? current.recipient,
+      notes: changes?.notes ?? current.notes
+    });
+    const { [id]: omitted, ...others } = this._entries();
+    this._assertUnique(others, entry);
+
+    const updated = { ...current, ...entry, updatedAt: this.now() };
+    this._save({ ...others, [id]: updated });
+    return updated;
+  }
+
+  /**
+   * Delete an entry
+   *
+   * @param {string} id - Entry ID
+   * @throws {AddressBookError} If there is no such entry
+   */
+  remove(id) {
+    this.get(id);
+    const { [id]: omitted, ...others } = this._entries();
+    this._save(others);
+  }
+
+  /**
+   * Record a payment to a recipient, moving its entry up the list
+   *
+   * @param {string} recipient - Recipient paid, as sent
+   * @returns {boolean} True if the recipient is in the address book
+   */
+  markUsed(recipient) {
+    let key;
+    try {
+      key = recipientKey(parseRecipient(recipient));
+    } catch (error) {
+      return false;
+    }
+
+    const entries = this._entries();
+    const entry = Object.values(entries).find((item) => recipientKey(parseRecipient(item.recipient)) === key);
+    if (!entry) {
+      return false;
+    }
+    this._save({ ...entries, [entry.id]: { ...entry, lastUsedAt: this.now() } });
+    return true;
+  }
+
+  /**
+   * Write the address book in a file format
+   *
+   * @param {string} format - 'json' or 'vcard'
+   * @returns {string} The file contents
+   */
+  export(format) {
+    const entries = this.list();
+    if (format === 'vcard') {
+      return toVCard(entries);
+    }
+    if (format !== 'json') {
+      throw new TypeError(`Unknown address book format: ${format}`);
+    }
+
+    return JSON.stringify({
+      version: EXPORT_VERSION,
+      exportedAt: new Date(this.now()).toISOString(),
+      entries: entries.map(({ label, recipient, notes, lastUsedAt }) => ({ label, recipient, notes, lastUsedAt }))
+    }, null, 2);
+  }
+
+  /**
+   * Save several recipients. Entries that are invalid or already saved are
+   * skipped, the others are added.
+   *
+   * @param {Array<Object>} entries - `{ label, recipient, notes }`
+   * @returns {Object} `{ added, skipped }`: the entries added, and
+   *   `{ label, recipient, error }` for each entry skipped
+   */
+  addAll(entries) {
+    const saved = { ...this._entries() };
+    const added = [];
+    const skipped = [];
+    entries.forEach((entry) => {
+      try {
+        added.push(this._addTo(saved, entry));
+      } catch (error) {
+        skipped.push({ label: entry.label, recipient: entry.recipient, error: error.message });
+      }
+    });
+
+    // One write for the whole import, the store is encrypted as a whole
+    if (added.length > 0) {
+      this._save(saved);
+    }
+    return { added, skipped };
+  }
+
+  /**
+   * Add the entries of an exported file, see addAll()
+   *
+   * @param {string} text - File contents
+   * @param {string} format - 'json' or 'vcard'
+   * @returns {Object} `{ added, skipped }`
+   * @throws {AddressBookError} If the file cannot be read at all
+   */
+  import(text, format) {
+    if (typeof text !== 'string') {
+      throw new AddressBookError('The file is empty', 'INVALID_IMPORT');
+    }
+    return this.addAll(format === 'vcard' ? parseVCard(text) : parseJson(text));
+  }
+
+  /**
+   * Stored entries by ID
+   *
+   * @private
+   * @returns {Object}
+   */
+  _entries() {
+    return this.store.get('addressBook') || {};
+  }
+
+  /**
+   * Add an entry to entries by ID, without saving them
+   *
+   * @private
+   * @param {Object} entries - Entries by ID, changed in place
+   * @param {Object} fields - `{ label, recipient, notes }`
+   * @returns {Object} The new entry
+   * @throws {AddressBookError} If the entry is invalid, a duplicate or the book is full
+   * @throws {AddressError} If the recipient is not a valid username or address
+   */
+  _addTo(entries, fields) {
+    const entry = validateEntry(fields);
+    this._assertUnique(entries, entry);
+    if (Object.keys(entries).length >= MAX_ENTRIES) {
+      throw new AddressBookError(`The address book holds at most ${MAX_ENTRIES} entries`, 'ADDRESS_BOOK_FULL');
+    }
+
+    const now = this.now();
+    const saved = { id: crypto.randomUUID(), ...entry, createdAt: now, updatedAt: now, lastUsedAt: null };
+    entries[saved.id] = saved;
+    return saved;
+  }
+
+  /**
+   * Replace the stored entries
+   *
+   * @private
+   * @param {Object} entries - Entries by ID
+   */
+  _save(entries) {
+    this.store.set('addressBook', entries);
+  }
+
+  /**
+   * Throw if a recipient is already saved
+   *
+   * @private
+   * @param {Object} entries - Entries by ID to compare with
+   * @param {Object} entry - Validated entry
+   */
+  _assertUnique(entries, entry) {
+    const key = recipientKey(parseRecipient(entry.recipient));
+    const existing = Object.values(entries).find((item) => recipientKey(parseRecipient(item.recipient)) === key);
+    if (existing) {
+      throw new AddressBookError(`${entry.recipient} is already saved as ${existing.label}`, 'DUPLICATE_ENTRY');
+    }
+  }
+}
+
+module.exports = {
+  AddressBook,
+  AddressBookError,
+  MAX_LABEL_LENGTH,
+  MAX_NOTES_LENGTH
+};
@@ -0,0 +1,334 @@
+/**
+ * API IPC Handlers
+ *
+ * Registers the ipcMain handlers that expose the wallet, mining, user and
+ * social API modules to the renderer. Arguments coming from the renderer are
+ * validated here, and every handler resolves to the same envelope:
+ * `{ success, data, error, errorType, errorCode, details, statusCode }`.
+ *
+ * The reads shown by the UI go through the account's response cache (see
+ * src/main/cache.js). Their envelope also tells whether the data came from
+ * the cache: `{ cached, stale, cachedAt }`. Successful writes mark the
+ * cached responses they change as stale.
+ *
+ * @module main/api-handlers
+ */
+
+const { File } = require('buffer');
+const { ValidationError, serializeError } = require('../api/errors');
+const { createLogger } = require('../logger');
+
+const log = createLogger('main').child('ipc');
+
+/**
+ * Error thrown when a renderer passes invalid arguments to a handler
+ */
+class ArgumentError extends ValidationError {
+  constructor(message) {
+    super(message, { code: 'INVALID_ARGUMENT' });
+  }
+}
+
+/**
+ * Assert that a value is a non-empty string
+ *
+ * @param {*} value - Value to check
+ * @param {string} name - Argument name used in the error message
+ */
+const requireString = (value, name) => {
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw new ArgumentError(`${name} must be a non-empty string`);
+  }
+};
+
+/**
+ * Assert that a value is a positive, finite number
+ *
+ * @param {*} value - Value to check
+ * @param {string} name - Argument name used in the error message
+ */
+const requirePositiveNumber = (value, name) => {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+    throw new ArgumentError(`${name} must be a positive number`);
+  }
+};
+
+/**
+ * Assert that a value is a plain object (or undefined when optional)
+ *
+ * @param {*} value - Value to check
+ * @param {string} name - Argument name used in the error message
+ * @param {boolean} [optional=false] - Whether undefined is allowed
+ */
+const requireObject = (value, name, optional = false) => {
+  if (optional && value === undefined) return;
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new ArgumentError(`${name} must be an object`);
+  }
+};
+
+/**
+ * Validate pagination options ({ page, limit })
+ *
+ * @param {Object} [options] - Pagination options
+ */
+const validatePagination = (options) => {
+  requireObject(options, 'options', true);
+  if (!options) return;
+
+  ['page', 'limit'].forEach((key) => {
+    if (options[key] !== undefined && (!Number.isInteger(options[key]) || options[key] < 1)) {
+      throw new ArgumentError(`options.${key} must be a positive integer`);
+    }
+  });
+};
+
+/**
+ * Build a failed result envelope from an error. The typed error (see
+ * src/api/errors.js) is flattened so the renderer can pick a message by
+ * errorType or errorCode.
+ *
+ * @param {Error} error - The error to convert
+ * @param {string} fallbackMessage - Message used for errors that are not API errors
+ * @returns {Object} `{ success: false, data: null, error, errorType, errorCode,
+ *   details, statusCode, retryAfter }`
+ */
+const toErrorResult = (error, fallbackMessage) => {
+  const serialized = serializeError(error);
+  const isApiError = serialized.name !== 'Error';
+
+  return {
+    success: false,
+    data: null,
+    error: isApiError ? serialized.message : fallbackMessage,
+    errorType: serialized.name,
+    errorCode: serialized.code,
+    details: serialized.details,
+    statusCode: serialized.status,
+    retryAfter: serialized.retryAfter
+  };
+};
+
+/**
+ * Wrap an API call into an IPC handler returning the result envelope
+ *
+ * @param {string} description - Human readable action, used in error messages
+ * @param {Function} validate - Throws ArgumentError for invalid arguments
+ * @param {Function} call - Performs the API call with the validated arguments
+ * @returns {Function} ipcMain.handle listener
+ */
+const createHandler = (description, validate, call) => async (event, ...args) => {
+  try {
+    validate(...args);
+    const data = await call(...args);
+    return {
+      success: true,
+      data,
+      error: null,
+      statusCode: 200
+    };
+  } catch (error) {
+    return toHandlerError(description, error);
+  }
+};
+
+/**
+ * Wrap an API read into an IPC handler served through the response cache
+ *
+ * @param {string} description - Human readable action, used in error messages
+ * @param {Function} validate - Throws ArgumentError for invalid arguments
+ * @param {string} endpoint - Endpoint read by the call, e.g. '/wallet/balance'
+ * @param {Function} call - Performs the API call with the validated arguments
+ * @param {Function} getCache - Returns the response cache serving the call, if any
+ * @returns {Function} ipcMain.handle listener resolving to the envelope plus
+ *   `{ cached, stale, cachedAt }`
+ */
+const createCachedHandler = (description, validate, endpoint, call, getCache) => async (event, ...args) => {
+  try {
+    validate(...args);
+    const cache = getCache();
+    const { data, cached, stale, cachedAt } = cache
+      ? await cache.read(endpoint, args, () => call(...args))
+      : { data: await call(...args), cached: false, stale: false, cachedAt: null };
+    return {
+      success: true,
+      data,
+      error: null,
+      statusCode: 200,
+      cached,
+      stale,
+      cachedAt
+    };
+  } catch (error) {
+    return toHandlerError(description, error);
+  }
+};
+
+/**
+ * Log a failed handler call and build its result envelope
+ *
+ * @param {string} description - Human readable action
+ * @param {Error} error - The error thrown
+ * @returns {Object} The failed result envelope
+ */
+const toHandlerError = (description, error) => {
+  if (!(error instanceof ArgumentError)) {
+    log.error(`IPC ${description} failed:`, error.message);
+  }
+  return toErrorResult(error, `Failed to ${description}`);
+};
+
+// No arguments expected
+const noArgs = () => {};
+
+/**
+ * Build the handler table
+ *
+ * @param {Function} getApi - Returns the PiNetworkAPI instance (see
+ *   src/api/index.js) serving the call, e.g. the active account's instance
+ * @param {Object} [options] - Handler options
+ * @param {Function} [options.getCache] - Returns the response cache of the
+ *   same account (see src/main/cache.js); reads are not cached without it
+ * @param {Object} [options.payments] - PaymentService validating, authorizing
+ *   and confirming payments (see src/main/payments.js); without it wallet-send
+ *   sends right away
+ * @returns {Object} Map of IPC channel to handler
+ */
+const buildHandlers = (getApi, { getCache = () => null, payments = null } = {}) => {
+  const cached = (description, validate, endpoint, call) =>
+    createCachedHandler(description, validate, endpoint, call, getCache);
+
+  // Mark the cached responses of endpoints as stale once the call succeeded
+  const invalidating = (endpoints, call) => async (...args) => {
+    const data = await call(...args);
+    getCache()?.invalidate(endpoints);
+    return data;
+  };
+
+  return {
+    // Wallet
+    'wallet-get-balance': cached('get wallet balance', noArgs, '/wallet/balance',
+      () => getApi().wallet.getBalance()),
+    'wallet-get-transactions': cached('get transaction history', validatePagination, '/wallet/transactions',
+      (options) => getApi().wallet.getTransactionHistory(options)),
+    'wallet-get-transaction': createHandler('get transaction details',
+      (transactionId) => requireString(transactionId, 'transactionId'),
+      (transactionId) => getApi().wallet.getTransactionDetails(transactionId)),
+    'wallet-send': createHandler('send Pi',
+      (recipient, amount, memo, options) => {
+        requireString(recipient, 'recipient');
+        requirePositiveNumber(amount, 'amount');
+        if (memo !== undefined && typeof memo !== 'string') {
+          throw new ArgumentError('memo must be a string');
+        }
+        requireObject(options, 'options', true);
+        if (options?.passphrase !== undefined && typeof options.passphrase !== 'string') {
+          throw new ArgumentError('options.passphrase must be a string');
+        }
+        if (options?.typedAmount !== undefined && typeof options.typedAmount !== 'string') {
+          throw new ArgumentError('options.typedAmount must be a string');
+        }
+      },
+      invalidating(['/wallet/balance', '/wallet/transactions'], (recipient, amount, memo, options) => (payments
+        ? payments.send({ recipient, amount, memo }, options)
+        : getApi().wallet.sendPi(recipient.trim(), amount, memo)))),
+    'wallet-get-address': createHandler('get wallet address', noArgs,
+      () => getApi().wallet.getWalletAddress()),
+
+    // Mining
+    'mining-start': createHandler('start mining session',
+      (options) => {
+        requireObject(options, 'options', true);
+        if (options?.duration !== undefined) {
+          requirePositiveNumber(options.duration, 'options.duration');
+        }
+      },
+      invalidating(['/mining/status'], (options) => getApi().mining.startMiningSession(options))),
+    'mining-get-status': cached('check mining status', noArgs, '/mining/status',
+      () => getApi().mining.checkMiningStatus()),
+    'mining-get-history': createHandler('get mining history', validatePagination,
+      (options) => getApi().mining.getMiningHistory(options)),
+    'mining-get-rate': cached('get mining rate', noArgs, '/mining/rate',
+      () => getApi().mining.getMiningRate()),
+
+    // User
+    'user-get-profile': cached('get user profile', noArgs, '/user/profile',
+      () => getApi().user.getProfile()),
+    'user-update-profile': createHandler('update profile',
+      (profileData) => requireObject(profileData, 'profileData'),
+      invalidating(['/user/profile'], (profileData) => getApi().user.updateProfile(profileData))),
+    'user-upload-picture': createHandler('upload profile picture',
+      (image) => {
+        requireObject(image, 'image');
+        requireString(image.name, 'image.name');
+        requireString(image.type, 'image.type');
+        if (!(image.data instanceof ArrayBuffer) && !ArrayBuffer.isView(image.data)) {
+          throw new ArgumentError('image.data must be an ArrayBuffer');
+        }
+      },
+      invalidating(['/user/profile'],
+        (image) => getApi().user.uploadProfilePicture(new File([image.data], image.name, { type: image.type })))),
+    'user-change-password': createHandler('change password',
+      (currentPassword, newPassword) => {
+        requireString(currentPassword, 'currentPassword');
+        requireString(newPassword, 'newPassword');
+      },
+      (currentPassword, newPassword) => getApi().user.changePassword(currentPassword, newPassword)),
+    'user-get-verification-status': createHandler('get verification status', noArgs,
+      () => getApi().user.getVerificationStatus()),
+    'user-get-notification-settings': createHandler('get notification settings', noArgs,
+      () => getApi().user.getNotificationSettings()),
+    'user-update-notification-settings': createHandler('update notification settings',
+      (settings) => requireObject(settings, 'settings'),
+      (settings) => getApi().user.updateNotificationSettings(settings)),
+
+    // Social
+    'social-get-security-circle': cached('get security circle', noArgs, '/social/security-circle',
+      () => getApi().social.getSecurityCircle()),
+    'social-add-to-circle': createHandler('add user to security circle',
+      (userId) => requireString(userId, 'userId'),
+      invalidating(['/social/security-circle'], (userId) => getApi().social.addToSecurityCircle(userId))),
+    'social-remove-from-circle': createHandler('remove user from security circle',
+      (userId) => requireString(userId, 'userId'),
+      invalidating(['/social/security-circle'], (userId) => getApi().social.removeFromSecurityCircle(userId))),
+    'social-invite': createHandler('send invitation',
+      (invitation) => {
+        requireObject(invitation, 'invitation');
+        requireString(invitation.phoneNumber, 'invitation.phoneNumber');
+      },
+      (invitation) => getApi().social.inviteUser(invitation)),
+    'social-get-sent-invitations': createHandler('get sent invitations', validatePagination,
+      (options) => getApi().social.getSentInvitations(options)),
+    'social-get-received-invitations': createHandler('get received invitations', validatePagination,
+      (options) => getApi().social.getReceivedInvitations(options)),
+    'social-accept-invitation': createHandler('accept invitation',
+      (invitationId) => requireString(invitationId, 'invitationId'),
+      (invitationId) => getApi().social.acceptInvitation(invitationId)),
+    'social-reject-invitation': createHandler('reject invitation',
+      (invitationId) => requireString(invitationId, 'invitationId'),
+      (invitationId) => getApi().social.rejectInvitation(invitationId))
+  };
+};
+
+/**
+ * Register the API handlers on ipcMain
+ *
+ * @param {Object} ipcMain - Electron's ipcMain
+ * @param {Function} getApi - Returns the PiNetworkAPI instance serving each call
+ * @param {Object} [options] - Handler options (see buildHandlers)
+ * @returns {Object} The registered handler table, keyed by channel
+ */
+const registerApiHandlers = (ipcMain, getApi, options) => {
+  const handlers = buildHandlers(getApi, options);
+  Object.entries(handlers).forEach(([channel, handler]) => {
+    ipcMain.handle(channel, handler);
+  });
+  return handlers;
+};
+
+module.exports = {
+  registerApiHandlers,
+  buildHandlers,
+  toErrorResult,
+  ArgumentError
+};
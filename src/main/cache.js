@@ -0,0 +1,252 @@
+/**
+ * Response Cache
+ *
+ * Persistent read cache of the GET endpoints shown by the UI, kept per
+ * account in the credential store so the app has something to show when the
+ * network is down. Reads follow stale-while-revalidate:
+ *
+ * - nothing cached: the API is called and the response cached
+ * - cached and younger than the endpoint's TTL: the cached data is returned
+ * - cached but older: the cached data is returned right away, marked stale,
+ *   and a background refresh runs. Its result is cached and emitted as an
+ *   `update` event, so the UI can replace the stale data.
+ *
+ * While the API is unreachable, stale data is served without refreshing.
+ * The cache is cleared together with the tokens on logout or when the
+ * session expires (see SessionManager).
+ *
+ * Store layout:
+ *   cache.<key> = { data, cachedAt }
+ *
+ * @module main/cache
+ */
+
+const { EventEmitter } = require('events');
+const { createLogger } = require('../logger');
+
+const log = createLogger('main').child('cache');
+
+const SECOND_MS = 1000;
+const MINUTE_MS = 60 * SECOND_MS;
+
+// Time after which a cached response is refreshed, by endpoint
+const CACHE_TTLS = {
+  '/wallet/balance': 30 * SECOND_MS,
+  '/wallet/transactions': MINUTE_MS,
+  '/mining/status': 15 * SECOND_MS,
+  '/mining/rate': 5 * MINUTE_MS,
+  '/user/profile': 10 * MINUTE_MS,
+  '/social/security-circle': 5 * MINUTE_MS
+};
+
+/**
+ * Build the cache key of a request from its endpoint and arguments
+ *
+ * @param {string} endpoint - Endpoint path, e.g. '/wallet/transactions'
+ * @param {Array} [args] - Arguments of the call, e.g. the paging options
+ * @returns {string}
+ */
+const cacheKey = (endpoint, args = []) => {
+  const defined = args.filter((arg) => arg !== undefined);
+  return defined.length === 0 ? endpoint : `${endpoint}?${JSON.stringify(defined)}`;
+};
+
+/**
+ * ResponseCache keeps the responses of one account
+ *
+ * @fires ResponseCache#update
+ */
+class ResponseCache extends EventEmitter {
+  /**
+   * Creates a response cache
+   *
+   * @param {Object} options - Cache options
+   * @param {Object} options.store - Store with get/set/delete, e.g. an account's
+   *   view of the credential store
+   * @param {Object} [options.ttls] - TTL in milliseconds by endpoint, CACHE_TTLS by default
+   * @param {Function} [options.now] - Clock, Date.now by default
+   */
+  constructor({ store, ttls = CACHE_TTLS, now = Date.now }) {
+    super();
+    this.store = store;
+    this.ttls = ttls;
+    this.now = now;
+
+    // Background refreshes in flight, by key
+    this._refreshing = new Map();
+
+    // Bumped by clear(), so refreshes started before it are dropped
+    this._generation = 0;
+
+    // Whether the API is reachable, see setOnline()
+    this._online = true;
+  }
+
+  /**
+   * Pause or resume the background refreshes while the API is unreachable
+   *
+   * @param {boolean} online - Whether the API is reachable
+   */
+  setOnline(online) {
+    this._online = online;
+  }
+
+  /**
+   * Whether responses of an endpoint are cached
+   *
+   * @param {string} endpoint - Endpoint path
+   * @returns {boolean}
+   */
+  handles(endpoint) {
+    return this.ttls[endpoint] !== undefined;
+  }
+
+  /**
+   * Get a cached response
+   *
+   * @param {string} key - Cache key (see cacheKey)
+   * @returns {Object|null} `{ data, cachedAt }`
+   */
+  get(key) {
+    return this._entries()[key] || null;
+  }
+
+  /**
+   * Cache a response
+   *
+   * @param {string} key - Cache key (see cacheKey)
+   * @param {*} data - Response data
+   * @returns {number} When it was cached
+   */
+  set(key, data) {
+    const cachedAt = this.now();
+    this.store.set('cache', { ...this._entries(), [key]: { data, cachedAt } });
+    return cachedAt;
+  }
+
+  /**
+   * Mark the responses of endpoints as outdated, e.g. after sending Pi.
+   * They stay available and are refreshed on the next read.
+   *
+   * @param {Array<string>} endpoints - Endpoint paths
+   */
+  invalidate(endpoints) {
+    const entries = this._entries();
+    Object.keys(entries).forEach((key) => {
+      if (endpoints.some((endpoint) => key === endpoint || key.startsWith(`${endpoint}?`))) {
+        entries[key] = { ...entries[key], cachedAt: 0 };
+      }
+    });
+    this.store.set('cache', entries);
+  }
+
+  /**
+   * Remove every cached response and drop the refreshes in flight
+   */
+  clear() {
+    this._generation += 1;
+    this._refreshing.clear();
+    this.store.delete('cache');
+  }
+
+  /**
+   * Read an endpoint through the cache (stale-while-revalidate, see the
+   * module description)
+   *
+   * @param {string} endpoint - Endpoint path, one of the TTL keys
+   * @param {Array} args - Arguments of the call, part of the cache key
+   * @param {Function} load - Calls the API, resolves to the response data
+   * @returns {Promise<Object>} `{ data, cached, stale, cachedAt }`
+   */
+  async read(endpoint, args, load) {
+    const key = cacheKey(endpoint, args);
+    const entry = this.get(key);
+
+    if (!entry) {
+      const data = await load();
+      return { data, cached: false, stale: false, cachedAt: this.set(key, data) };
+    }
+
+    const stale = this.now() - entry.cachedAt >= this.ttls[endpoint];
+    if (stale && this._online) {
+      this._refresh(endpoint, args, load);
+    }
+    return { data: entry.data, cached: true, stale, cachedAt: entry.cachedAt };
+  }
+
+  /**
+   * Refresh a cached response in the background, once per key at a time
+   *
+   * @private
+   * @param {string} endpoint - Endpoint path
+   * @param {Array} args - Arguments of the call
+   * @param {Function} load - Calls the API
+   * @returns {Promise<void>}
+   */
+  _refresh(endpoint, args, load) {
+    const key = cacheKey(endpoint, args);
+    if (this._refreshing.has(key)) {
+      return this._refreshing.get(key);
+    }
+
+    const generation = this._generation;
+    const refresh = Promise.resolve()
+      .then(load)
+      .then((data) => {
+        if (generation !== this._generation) {
+          return;
+        }
+
+        const cachedAt = this.set(key, data);
+
+        /**
+         * A stale response was refreshed in the background
+         *
+         * @event ResponseCache#update
+         * @type {Object}
+         * @property {string} endpoint - Endpoint path
+         * @property {Array} args - Arguments of the call, e.g. the paging options
+         * @property {*} data - The fresh data
+         * @property {number} cachedAt - When it was cached
+         */
+        this.emit('update', { endpoint, args, data, cachedAt });
+      })
+      .catch((error) => {
+        // Offline or failing: keep serving the stale data
+        log.warn(`Background refresh of ${key} failed:`, error.message);
+      })
+      .finally(() => {
+        if (this._refreshing.get(key) === refresh) {
+          this._refreshing.delete(key);
+        }
+      });
+
+    this._refreshing.set(key, refresh);
+    return refresh;
+  }
+
+  /**
+   * Wait for the background refreshes in flight
+   *
+   * @returns {Promise<void>}
+   */
+  async settle() {
+    await Promise.all([...this._refreshing.values()]);
+  }
+
+  /**
+   * All cached entries
+   *
+   * @private
+   * @returns {Object} Entries by key
+   */
+  _entries() {
+    return { ...(this.store.get('cache') || {}) };
+  }
+}
+
+module.exports = {
+  ResponseCache,
+  CACHE_TTLS,
+  cacheKey
+};
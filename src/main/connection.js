@@ -0,0 +1,253 @@
+/**
+ * Connection Monitor
+ *
+ * Probes the Pi Network API at regular intervals from the main process and
+ * reports whether it is reachable, along with the latency of the last probe
+ * and the number of consecutive failures. The status is pushed to the
+ * windows on the pi-network-status channel (see main.js).
+ *
+ * While the machine is offline no probe is sent; the monitor only checks
+ * whether the network came back, and the accounts pause their own polling
+ * (token renewal and cache refreshes) until the API is reachable again.
+ *
+ * @module main/connection
+ */
+
+const { EventEmitter } = require('events');
+const axios = require('axios');
+const { createLogger } = require('../logger');
+
+const log = createLogger('main').child('connection');
+
+// Time between probes while the API is reachable
+const DEFAULT_INTERVAL_MS = 30 * 1000;
+
+// Time between probes while it is not, or between network checks while offline
+const DEFAULT_RETRY_INTERVAL_MS = 10 * 1000;
+
+// Consecutive failed probes before a connected API is reported as unreachable
+const DEFAULT_FAILURE_THRESHOLD = 2;
+
+/**
+ * Create a probe of an API server. Any HTTP answer below 500 means the
+ * server is reachable, including 401 for a request without a session.
+ *
+ * @param {Object} options - Probe options
+ * @param {string} options.baseURL - Base URL of the API
+ * @param {number} [options.timeout=5000] - Probe timeout in milliseconds
+ * @returns {Function} Resolves when the server answered, rejects otherwise
+ */
+const createApiProbe = ({ baseURL, timeout = 5000 }) => async () => {
+  await axios.get(`${baseURL}/auth/status`, {
+    timeout,
+    validateStatus: (status) => status < 500
+  });
+};
+
+/**
+ * ConnectionMonitor tracks the reachability of the API
+ *
+ * @fires ConnectionMonitor#status
+ */
+class ConnectionMonitor extends EventEmitter {
+  /**
+   * Creates a connection monitor
+   *
+   * @param {Object} options - Monitor options
+   * @param {Function} options.probe - Resolves when the API answered (see createApiProbe)
+   * @param {string} options.server - Server name reported with the status, e.g. its host
+   * @param {Function} [options.isOnline] - Whether the machine is online, e.g. Electron's net.isOnline
+   * @param {number} [options.interval] - Time between probes while connected, in milliseconds
+   * @param {number} [options.retryInterval] - Time between probes while not connected, in milliseconds
+   * @param {number} [options.failureThreshold] - Consecutive failures before reporting a disconnect
+   * @param {Function} [options.now] - Clock, Date.now by default
+   */
+  constructor({
+    probe,
+    server,
+    isOnline = () => true,
+    interval = DEFAULT_INTERVAL_MS,
+    retryInterval = DEFAULT_RETRY_INTERVAL_MS,
+    failureThreshold = DEFAULT_FAILURE_THRESHOLD,
+    now = Date.now
+  }) {
+    super();
+    this.probe = probe;
+    this.isOnline = isOnline;
+    this.interval = interval;
+    this.retryInterval = retryInterval;
+    this.failureThreshold = failureThreshold;
+    this.now = now;
+
+    this.status = {
+      connected: false,
+      online: true,
+      server,
+      latency: null,
+      consecutiveFailures: 0,
+      checkedAt: null,
+      error: null
+    };
+
+    this._timer = null;
+    this._checking = null;
+    this._running = false;
+  }
+
+  /**
+   * Start probing, with a first probe right away
+   *
+   * @returns {Promise<Object>} The status after the first probe
+   */
+  start() {
+    this._running = true;
+    return this.check();
+  }
+
+  /**
+   * Stop probing. Call when the app is shutting down.
+   */
+  stop() {
+    this._running = false;
+    this._cancelTimer();
+  }
+
+  /**
+   * Get the last reported status
+   *
+   * @returns {Object} `{ connected, online, server, latency, consecutiveFailures, checkedAt, error }`
+   */
+  getStatus() {
+    return { ...this.status };
+  }
+
+  /**
+   * Probe now, e.g. when the renderer saw the network come back. A check
+   * already in progress is shared.
+   *
+   * @returns {Promise<Object>} The new status
+   */
+  check() {
+    if (!this._checking) {
+      this._checking = this._check().finally(() => {
+        this._checking = null;
+        this._scheduleCheck();
+      });
+    }
+    return this._checking;
+  }
+
+  /**
+   * Run one check and report its status
+   *
+   * @private
+   * @returns {Promise<Object>} The new status
+   */
+  async _check() {
+    this._cancelTimer();
+
+    if (!this.isOnline()) {
+      // No probe while offline, it could only fail
+      return this._report({
+        connected: false,
+        online: false,
+        latency: null,
+        error: 'The network is offline'
+      });
+    }
+
+    const startedAt = this.now();
+    try {
+      await this.probe();
+      return this._report({
+        connected: true,
+        online: true,
+        latency: this.now() - startedAt,
+        consecutiveFailures: 0,
+        error: null
+      });
+    } catch (error) {
+      const consecutiveFailures = this.status.consecutiveFailures + 1;
+      log.debug('Probe failed', { consecutiveFailures, error: error.message });
+      return this._report({
+        // A single failure does not end a working connection
+        connected: this.status.connected && consecutiveFailures < this.failureThreshold,
+        online: true,
+        latency: null,
+        consecutiveFailures,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Update the status and emit it
+   *
+   * @private
+   * @param {Object} changes - Changed status fields
+   * @returns {Object} The new status
+   */
+  _report(changes) {
+    const wasConnected = this.status.connected;
+    this.status = { ...this.status, ...changes, checkedAt: this.now() };
+
+    if (wasConnected !== this.status.connected) {
+      log.info(this.status.connected ? 'API reachable' : 'API unreachable', {
+        server: this.status.server,
+        error: this.status.error
+      });
+    }
+
+    /**
+     * Status after every check
+     *
+     * @event ConnectionMonitor#status
+     * @type {Object}
+     * @property {boolean} connected - Whether the API answered
+     * @property {boolean} online - Whether the machine is online
+     * @property {string} server - Server name
+     * @property {number|null} latency - Duration of the last successful probe in milliseconds
+     * @property {number} consecutiveFailures - Failed probes since the last success
+     * @property {number} checkedAt - When the check ran
+     * @property {string|null} error - Why the last check failed
+     */
+    this.emit('status', this.getStatus());
+    return this.getStatus();
+  }
+
+  /**
+   * Schedule the next check
+   *
+   * @private
+   */
+  _scheduleCheck() {
+    this._cancelTimer();
+    if (!this._running) {
+      return;
+    }
+
+    const delay = this.status.connected ? this.interval : this.retryInterval;
+    this._timer = setTimeout(() => this.check(), delay);
+    // Don't keep the process alive just for the monitor
+    if (this._timer.unref) {
+      this._timer.unref();
+    }
+  }
+
+  /**
+   * Cancel the scheduled check
+   *
+   * @private
+   */
+  _cancelTimer() {
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+  }
+}
+
+module.exports = {
+  ConnectionMonitor,
+  createApiProbe
+};
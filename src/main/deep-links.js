@@ -0,0 +1,92 @@
+/**
+ * Deep Links
+ *
+ * The app is the handler of `pi:` links on Linux. A link opened while the app
+ * runs is passed to the running instance, which shows it once the active
+ * account is authenticated. Links either request a payment (see
+ * src/main/payment-request.js) or name a screen:
+ *
+ *   pi:alice?amount=1.5&memo=Lunch      pay alice, reviewed in the send form
+ *   pi://profile/alice                  profile of alice
+ *   pi://invitation/inv-alice-pioneer   accept an invitation to a security circle
+ *
+ * Usernames and wallet addresses never contain a slash, so `pi://profile`
+ * alone is still a payment request to the user named profile, and links with
+ * a path naming another screen are refused.
+ *
+ * @module main/deep-links
+ */
+
+const { ValidationError } = require('../api/errors');
+const { parsePaymentRequest, PAYMENT_REQUEST_SCHEME } = require('./payment-request');
+
+// Screens a link can name, with the pattern of their parameter
+const LINK_TARGETS = {
+  profile: /^@?[A-Za-z0-9_]{1,32}$/,
+  invitation: /^[A-Za-z0-9_-]{1,64}$/
+};
+
+/**
+ * Error raised when a link names a screen but cannot be read
+ */
+class DeepLinkError extends ValidationError {
+  /**
+   * @param {string} message - Error message, suitable for display
+   */
+  constructor(message) {
+    super(message, { code: 'INVALID_DEEP_LINK' });
+  }
+}
+
+/**
+ * Find the link passed on a command line, e.g. by the desktop file
+ *
+ * @param {string[]} argv - Command line of the app
+ * @returns {string|null} The first `pi:` argument
+ */
+const findDeepLink = (argv = []) => {
+  const prefix = `${PAYMENT_REQUEST_SCHEME}:`;
+  const link = argv.find((arg) => typeof arg === 'string' && arg.toLowerCase().startsWith(prefix));
+  return link || null;
+};
+
+/**
+ * Read a link opened with the app
+ *
+ * @param {string} uri - e.g. 'pi://profile/alice'
+ * @returns {Object} `{ type: 'payment', uri, request }`,
+ *   `{ type: 'profile', uri, username }` or `{ type: 'invitation', uri, invitationId }`
+ * @throws {DeepLinkError} If a link naming a screen is malformed or names an unknown one
+ * @throws {PaymentRequestError|PaymentError|AddressError} If a payment request is invalid
+ */
+const parseDeepLink = (uri) => {
+  const match = typeof uri === 'string' && /^pi:(?:\/\/)?([a-z]+)\/([^?#]*)/i.exec(uri.trim());
+  const type = match && match[1].toLowerCase();
+  if (!match || (!LINK_TARGETS[type] && !match[2])) {
+    return { type: 'payment', uri, request: parsePaymentRequest(uri) };
+  }
+  if (!LINK_TARGETS[type]) {
+    throw new DeepLinkError('This link cannot be opened by the app');
+  }
+
+  let value;
+  try {
+    value = decodeURIComponent(match[2]).replace(/\/$/, '');
+  } catch (error) {
+    throw new DeepLinkError('The link is damaged');
+  }
+  if (!LINK_TARGETS[type].test(value)) {
+    throw new DeepLinkError(`Invalid ${type} in the link: ${value}`);
+  }
+
+  if (type === 'profile') {
+    return { type, uri, username: value.replace(/^@/, '') };
+  }
+  return { type, uri, invitationId: value };
+};
+
+module.exports = {
+  findDeepLink,
+  parseDeepLink,
+  DeepLinkError
+};
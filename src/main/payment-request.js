@@ -0,0 +1,120 @@
+/**
+ * Payment Requests
+ *
+ * A payment request tells a payer whom to pay, and optionally how much and
+ * with which memo, as a `pi:` URI shown as a link and a QR code:
+ *
+ *   pi:alice?amount=1.5&memo=Lunch%20on%20Friday
+ *   pi:GB57VOJWIMXMNJ7HR3GWGTPMSBJJTJOTDKLX6T4VHKX5KWLUEAGJEINF?amount=10
+ *
+ * The recipient is a username or a wallet address, the amount a decimal
+ * number of Pi and the memo percent-encoded UTF-8. Requests are checked like
+ * payments (see validatePayment in src/main/payments.js) when they are built
+ * and when they are opened, so a link with a mistyped address or a memo too
+ * long for the send form is refused. Unknown parameters are ignored.
+ *
+ * @module main/payment-request
+ */
+
+const { ValidationError } = require('../api/errors');
+const { validatePayment } = require('./payments');
+
+// Scheme of payment request URIs
+const PAYMENT_REQUEST_SCHEME = 'pi';
+
+// Longest URI accepted, far above any valid request
+const MAX_URI_LENGTH = 512;
+
+// Amounts of a URI: a decimal number, without sign or exponent
+const AMOUNT_PATTERN = /^\d+(\.\d+)?$/;
+
+/**
+ * Error raised when a payment request URI cannot be read
+ */
+class PaymentRequestError extends ValidationError {
+  /**
+   * @param {string} message - Error message, suitable for display
+   */
+  constructor(message) {
+    super(message, { code: 'INVALID_PAYMENT_REQUEST' });
+  }
+}
+
+/**
+ * Write an amount without exponent, e.g. 0.0000001 instead of 1e-7
+ *
+ * @param {number} amount - Amount in Pi, at most 7 decimals
+ * @returns {string}
+ */
+const formatAmount = (amount) => amount.toFixed(7).replace(/(\.\d*?)0+$/, '$1').replace(/\.$/, '');
+
+/**
+ * Build the URI of a payment request
+ *
+ * @param {Object} request - `{ recipient, amount, memo }`; amount and memo are optional
+ * @returns {Object} `{ uri, recipient, amount, memo }`, checked and normalized
+ * @throws {PaymentError} If the amount or the memo is invalid
+ * @throws {AddressError} If the recipient is not a valid username or address
+ */
+const createPaymentRequest = ({ recipient, amount = null, memo = '' }) => {
+  const request = validatePayment({ recipient, amount, memo }, { amountRequired: false });
+
+  const params = [];
+  if (request.amount !== null) {
+    params.push(`amount=${formatAmount(request.amount)}`);
+  }
+  if (request.memo) {
+    params.push(`memo=${encodeURIComponent(request.memo)}`);
+  }
+
+  const query = params.length ? `?${params.join('&')}` : '';
+  return { uri: `${PAYMENT_REQUEST_SCHEME}:${request.recipient}${query}`, ...request };
+};
+
+/**
+ * Read a payment request URI. `pi://recipient` is accepted as well.
+ *
+ * @param {string} uri - e.g. 'pi:alice?amount=1.5&memo=Lunch'
+ * @returns {Object} `{ uri, recipient, amount, memo }`, checked and
+ *   normalized, amount null when the request leaves it to the payer
+ * @throws {PaymentRequestError} If the text is not a payment request URI
+ * @throws {PaymentError} If the amount or the memo is invalid
+ * @throws {AddressError} If the recipient is not a valid username or address
+ */
+const parsePaymentRequest = (uri) => {
+  if (typeof uri !== 'string' || uri.trim().length > MAX_URI_LENGTH) {
+    throw new PaymentRequestError('This is not a Pi payment link');
+  }
+
+  const match = /^pi:(?:\/\/)?([^?#]*)(?:\?([^#]*))?/i.exec(uri.trim());
+  if (!match || !match[1]) {
+    throw new PaymentRequestError('This is not a Pi payment link');
+  }
+
+  let recipient;
+  let params;
+  try {
+    recipient = decodeURIComponent(match[1]).replace(/\/$/, '');
+    params = new URLSearchParams(match[2] || '');
+  } catch (error) {
+    throw new PaymentRequestError('The payment link is damaged');
+  }
+
+  const amount = params.get('amount');
+  if (amount !== null && !AMOUNT_PATTERN.test(amount)) {
+    throw new PaymentRequestError(`Invalid amount in the payment link: ${amount}`);
+  }
+
+  return createPaymentRequest({
+    recipient,
+    amount: amount === null ? null : Number(amount),
+    memo: params.get('memo') || ''
+  });
+};
+
+module.exports = {
+  createPaymentRequest,
+  parsePaymentRequest,
+  PaymentRequestError,
+  PAYMENT_REQUEST_SCHEME
+};
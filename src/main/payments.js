@@ -0,0 +1,351 @@
+/**
+ * Payments
+ *
+ * Safeguarded sending of Pi for the wallet-send IPC handler. Before anything
+ * reaches the API, a payment is:
+ *
+ * 1. validated: username or address with a valid checksum (see
+ *    src/api/address.js), amount with at most 7 decimals, memo of at most 28 bytes
+ * 2. authorized: amounts from LARGE_PAYMENT_AMOUNT up need the app passphrase,
+ *    or the amount typed again by the user when no passphrase is set
+ * 3. confirmed: the main process shows the exact request payload in a dialog
+ *
+ * It is then sent with a client-generated Idempotency-Key, so a retried
+ * POST /wallet/send cannot pay twice. Its progress (pending, then completed,
+ * failed or unverified) is emitted as `update` events, pushed to the windows
+ * on the transaction-update channel. Transactions the server reports as
+ * pending are polled until they settle.
+ *
+ * @module main/payments
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { ValidationError, SchemaMismatchError } = require('../api/errors');
+const { parseRecipient } = require('../api/address');
+const { createLogger } = require('../logger');
+
+const log = createLogger('main').child('payments');
+
+// Amounts from which the app passphrase must be re-entered, in Pi
+const LARGE_PAYMENT_AMOUNT = 100;
+
+// Smallest unit of Pi is 0.0000001
+const AMOUNT_DECIMALS = 7;
+
+// Memos are Stellar text memos, limited to 28 bytes
+const MAX_MEMO_BYTES = 28;
+
+// Time between checks of a pending transaction, and how many checks are made
+const PENDING_POLL_INTERVAL_MS = 5 * 1000;
+const MAX_PENDING_CHECKS = 60;
+
+/**
+ * Error raised when a payment is invalid, not authorized or not confirmed
+ */
+class PaymentError extends ValidationError {
+  /**
+   * @param {string} message - Error message, suitable for display
+   * @param {string} code - 'INVALID_PAYMENT', 'PASSPHRASE_REQUIRED',
+   *   'INVALID_PASSPHRASE', 'AMOUNT_NOT_CONFIRMED' or 'PAYMENT_CANCELLED'
+   */
+  constructor(message, code) {
+    super(message, { code });
+  }
+}
+
+/**
+ * Validate and normalize a payment
+ *
+ * @param {Object} payment - `{ recipient, amount, memo }`
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.amountRequired=true] - False to accept payments
+ *   without amount, e.g. payment requests leaving it to the payer
+ * @returns {Object} `{ recipient, amount, memo }` with the recipient
+ *   normalized: username without @, address in capitals. The amount is null
+ *   when none was given.
+ * @throws {PaymentError} If the payment is invalid
+ * @throws {AddressError} If the recipient is not a valid username or address
+ */
+const validatePayment = ({ recipient, amount, memo = '' }, { amountRequired = true } = {}) => {
+  if (typeof recipient !== 'string' || recipient.trim() === '') {
+    throw new PaymentError('Enter a recipient', 'INVALID_PAYMENT');
+  }
+  const hasAmount = amount !== undefined && amount !== null;
+  if ((hasAmount || amountRequired) && (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0)) {
+    throw new PaymentError('Enter an amount greater than 0', 'INVALID_PAYMENT');
+  }
+  if (hasAmount && Number(amount.toFixed(AMOUNT_DECIMALS)) !== amount) {
+    throw new PaymentError(`Amounts have at most ${AMOUNT_DECIMALS} decimals`, 'INVALID_PAYMENT');
+  }
+  if (typeof memo !== 'string' || Buffer.byteLength(memo, 'utf8') > MAX_MEMO_BYTES) {
+    throw new PaymentError(`The memo is limited to ${MAX_MEMO_BYTES} bytes`, 'INVALID_PAYMENT');
+  }
+
+  const parsed = parseRecipient(recipient);
+  return { recipient: parsed.type === 'username' ? parsed.username : parsed.address, amount: hasAmount ? amount : null, memo };
+};
+
+/**
+ * PaymentService sends Pi for the active account
+ *
+ * @fires PaymentService#update
+ */
+class PaymentService extends EventEmitter {
+  /**
+   * Creates a payment service
+   *
+   * @param {Object} options - Service options
+   * @param {Function} options.getApi - Returns the PiNetworkAPI instance paying
+   * @param {Function} [options.getAccountId] - Returns the ID of the account
+   *   paying, reported in the update events
+   * @param {Function} options.confirm - Called with `{ payment, request, accountId }`,
+   *   resolves to true if the user confirmed the payment
+   * @param {Object} options.vault - Credential vault checking the app passphrase
+   *   (see src/main/vault.js)
+   * @param {number} [options.largeAmount] - Amount from which the passphrase, or
+   *   the typed amount, is needed
+   * @param {number} [options.pollInterval] - Time between checks of a pending transaction
+   */
+  constructor({
+    getApi,
+    getAccountId = () => null,
+    confirm,
+    vault,
+    largeAmount = LARGE_PAYMENT_AMOUNT,
+    pollInterval = PENDING_POLL_INTERVAL_MS
+  }) {
+    super();
+    this.getApi = getApi;
+    this.getAccountId = getAccountId;
+    this.confirm = confirm;
+    this.vault = vault;
+    this.largeAmount = largeAmount;
+    this.pollInterval = pollInterval;
+
+    // Payments not settled yet, by Idempotency-Key
+    this.pending = new Map();
+
+    // Timers polling pending transactions
+    this._timers = new Set();
+  }
+
+  /**
+   * What the send form needs to know before a payment
+   *
+   * @returns {Object} `{ largeAmount, passphraseSet, maxMemoBytes }`
+   */
+  getPolicy() {
+    return {
+      largeAmount: this.largeAmount,
+      passphraseSet: this.vault.requiresPassphrase(),
+      maxMemoBytes: MAX_MEMO_BYTES
+    };
+  }
+
+  /**
+   * Validate, authorize, confirm and send a payment
+   *
+   * @param {Object} payment - `{ recipient, amount, memo }`
+   * @param {Object} [options] - Authorization
+   * @param {string} [options.passphrase] - App passphrase, needed for large
+   *   amounts once one is set
+   * @param {string} [options.typedAmount] - Amount typed again by the user,
+   *   needed for large amounts while no passphrase is set
+   * @returns {Promise<Object>} The API response `{ success, transaction }`, or
+   *   `{ success: true, transaction: null, unverified: true }` when the server
+   *   accepted the payment with a response that could not be read
+   * @throws {PaymentError} If the payment is invalid, not authorized or cancelled
+   */
+  async send(payment, { passphrase, typedAmount } = {}) {
+    const { recipient, amount, memo } = validatePayment(payment);
+
+    if (amount >= this.largeAmount) {
+      if (this.vault.requiresPassphrase()) {
+        await this._verifyPassphrase(passphrase);
+      } else {
+        this._verifyTypedAmount(typedAmount, amount);
+      }
+    }
+
+    // The payment is sent from the account shown in the confirmation, even if
+    // another one becomes active while it is open
+    const api = this.getApi();
+    const accountId = this.getAccountId();
+
+    const idempotencyKey = crypto.randomUUID();
+    const request = {
+      method: 'POST',
+      path: '/wallet/send',
+      headers: { 'Idempotency-Key': idempotencyKey },
+      body: { recipient, amount, memo }
+    };
+    const confirmed = await this.confirm({ payment: { recipient, amount, memo }, request, accountId });
+    if (!confirmed) {
+      throw new PaymentError('Payment cancelled', 'PAYMENT_CANCELLED');
+    }
+
+    const entry = {
+      id: idempotencyKey,
+      accountId,
+      recipient,
+      amount,
+      memo,
+      status: 'pending',
+      transaction: null,
+      error: null
+    };
+    this.pending.set(idempotencyKey, entry);
+    this._update(entry);
+
+    try {
+      const result = await api.wallet.sendPi(recipient, amount, memo, { idempotencyKey });
+      this._settle(api, entry, result.transaction);
+      return result;
+    } catch (error) {
+      this.pending.delete(idempotencyKey);
+
+      // The server accepted the payment but its answer could not be read, so
+      // the Pi was sent and the payment must not be reported as failed
+      if (error instanceof SchemaMismatchError) {
+        log.warn('Payment sent with an unexpected response', { id: idempotencyKey, problems: error.details?.problems });
+        this._update({ ...entry, status: 'unverified' });
+        return { success: true, transaction: null, unverified: true };
+      }
+
+      this._update({ ...entry, status: 'failed', error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Stop polling pending transactions. Call when the app is shutting down.
+   */
+  dispose() {
+    this._timers.forEach((timer) => clearTimeout(timer));
+    this._timers.clear();
+  }
+
+  /**
+   * Check the app passphrase for a large payment
+   *
+   * @private
+   * @param {string} [passphrase] - App passphrase
+   * @returns {Promise<void>}
+   * @throws {PaymentError} If the passphrase is missing or wrong
+   */
+  async _verifyPassphrase(passphrase) {
+    if (typeof passphrase !== 'string' || passphrase === '') {
+      throw new PaymentError(`Enter your app passphrase to send ${this.largeAmount} π or more`, 'PASSPHRASE_REQUIRED');
+    }
+
+    try {
+      await this.vault.verifyPassphrase(passphrase);
+    } catch (error) {
+      throw new PaymentError('Invalid passphrase', 'INVALID_PASSPHRASE');
+    }
+  }
+
+  /**
+   * Check the amount typed again for a large payment while no app passphrase
+   * is set, so that sending it takes more than a click
+   *
+   * @private
+   * @param {string} [typedAmount] - Amount typed by the user
+   * @param {number} amount - Amount of the payment
+   * @throws {PaymentError} If the typed amount is missing or differs
+   */
+  _verifyTypedAmount(typedAmount, amount) {
+    const typed = typeof typedAmount === 'string' ? typedAmount.trim() : '';
+    if (typed === '' || Number(typed) !== amount) {
+      throw new PaymentError(
+        `Type the amount of ${amount} π again to send ${this.largeAmount} π or more without an app passphrase`,
+        'AMOUNT_NOT_CONFIRMED'
+      );
+    }
+  }
+
+  /**
+   * Record the transaction of a payment, and poll it while it is pending
+   *
+   * @private
+   * @param {Object} api - PiNetworkAPI instance that sent the payment
+   * @param {Object} entry - Pending payment
+   * @param {Object} [transaction] - Transaction reported by the server
+   * @param {number} [checks=0] - Checks made so far
+   */
+  _settle(api, entry, transaction, checks = 0) {
+    // The server accepted the payment without saying which transaction it
+    // made, so there is nothing to follow
+    if (!transaction || !transaction.id || !transaction.status) {
+      log.warn('Payment sent without a transaction in the response', { id: entry.id });
+      this.pending.delete(entry.id);
+      this._update({ ...entry, status: 'completed', transaction: transaction || null });
+      return;
+    }
+
+    const updated = { ...entry, status: transaction.status, transaction };
+
+    if (transaction.status !== 'pending') {
+      this.pending.delete(entry.id);
+      this._update(updated);
+      return;
+    }
+
+    this.pending.set(entry.id, updated);
+    if (checks === 0) {
+      this._update(updated);
+    }
+    if (checks >= MAX_PENDING_CHECKS) {
+      log.warn('Stopped following pending transaction', { transactionId: transaction.id });
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      this._timers.delete(timer);
+      try {
+        this._settle(api, updated, await api.wallet.getTransactionDetails(transaction.id), checks + 1);
+      } catch (error) {
+        log.warn('Checking pending transaction failed:', error.message);
+        this._settle(api, updated, transaction, checks + 1);
+      }
+    }, this.pollInterval);
+    // Don't keep the process alive just for the polling
+    if (timer.unref) {
+      timer.unref();
+    }
+    this._timers.add(timer);
+  }
+
+  /**
+   * Emit the progress of a payment
+   *
+   * @private
+   * @param {Object} entry - The payment
+   */
+  _update({ id, accountId, recipient, amount, memo, status, transaction, error }) {
+    /**
+     * Progress of a payment
+     *
+     * @event PaymentService#update
+     * @type {Object}
+     * @property {string} id - Idempotency-Key of the payment
+     * @property {string|null} accountId - Account the payment was sent from
+     * @property {string} status - 'pending', 'completed' or 'failed', 'unverified'
+     *   when the server accepted the payment with a response that could not be
+     *   read, or another transaction status reported by the server
+     * @property {Object|null} transaction - Transaction reported by the server,
+     *   null if it reported none
+     * @property {string|null} error - Why the payment failed
+     */
+    this.emit('update', { id, accountId, recipient, amount, memo, status, transaction, error });
+  }
+}
+
+module.exports = {
+  PaymentService,
+  PaymentError,
+  validatePayment,
+  LARGE_PAYMENT_AMOUNT,
+  MAX_MEMO_BYTES
+};
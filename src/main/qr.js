@@ -0,0 +1,44 @@
+/**
+ * QR Codes
+ *
+ * Encodes text, e.g. a wallet address, into a QR code in the main process.
+ * The renderer gets the module matrix and draws it on a canvas itself, so
+ * nothing is sent to a QR service and the CSP needs no data: images.
+ *
+ * @module main/qr
+ */
+
+const QRCode = require('qrcode');
+
+// Longest text accepted, far more than an address or a payment request needs
+const MAX_QR_TEXT_LENGTH = 1024;
+
+/**
+ * Encode text into a QR code
+ *
+ * @param {string} text - Text to encode
+ * @param {Object} [options] - Encoding options
+ * @param {string} [options.errorCorrectionLevel='M'] - 'L', 'M', 'Q' or 'H'
+ * @returns {Object} `{ size, modules }`, modules holding size × size values,
+ *   row by row, 1 for a dark module and 0 for a light one
+ * @throws {TypeError} If the text is empty or too long
+ */
+const encodeQr = (text, { errorCorrectionLevel = 'M' } = {}) => {
+  if (typeof text !== 'string' || text === '') {
+    throw new TypeError('text must be a non-empty string');
+  }
+  if (text.length > MAX_QR_TEXT_LENGTH) {
+    throw new TypeError(`text must be at most ${MAX_QR_TEXT_LENGTH} characters`);
+  }
+
+  const { modules } = QRCode.create(text, { errorCorrectionLevel });
+  return {
+    size: modules.size,
+    modules: Uint8Array.from(modules.data)
+  };
+};
+
+module.exports = {
+  MAX_QR_TEXT_LENGTH,
+  encodeQr
+};
@@ -0,0 +1,371 @@
+/**
+ * Session Manager
+ *
+ * Owns the authentication session of the Electron main process. The API
+ * client reads and writes its tokens through a persistent token store (see
+ * createPersistentTokenStore), so that logging in through the UI
+ * authenticates every API module (wallet, mining, user, social) and tokens
+ * renewed by the client survive a restart.
+ *
+ * The manager renews the token shortly before it expires and emits a
+ * `status-change` event when the session is established, renewed or ended.
+ *
+ * @module main/session
+ */
+
+const { EventEmitter } = require('events');
+const { createLogger } = require('../logger');
+
+const log = createLogger('main').child('session');
+
+// Consider the token expired 5 minutes before its actual expiry to be safe
+const EXPIRY_MARGIN_MS = 5 * 60 * 1000;
+
+// Largest delay setTimeout supports (~24.8 days)
+const MAX_TIMER_DELAY_MS = 2147483647;
+
+/**
+ * Create a token store for src/api clients that keeps the tokens in an
+ * electron-store, under the authToken, refreshToken and tokenExpiry keys
+ *
+ * @param {Object} store - Store with get/set/delete
+ * @returns {Object} Token store with get/set/clear
+ */
+const createPersistentTokenStore = (store) => ({
+  get: () => {
+    const token = store.get('authToken');
+    return token ? { token, refreshToken: store.get('refreshToken') || null } : null;
+  },
+  set: ({ token, refreshToken, expiresIn }) => {
+    store.set('authToken', token);
+    if (refreshToken) {
+      store.set('refreshToken', refreshToken);
+    }
+    if (expiresIn) {
+      store.set('tokenExpiry', Date.now() + (expiresIn * 1000));
+    }
+  },
+  clear: () => {
+    store.delete('authToken');
+    store.delete('refreshToken');
+    store.delete('tokenExpiry');
+  }
+});
+
+/**
+ * SessionManager tracks the session of an API client and renews its tokens
+ *
+ * @fires SessionManager#status-change
+ */
+class SessionManager extends EventEmitter {
+  /**
+   * Creates a session manager
+   *
+   * @param {Object} options - Session options
+   * @param {Object} options.store - electron-store instance holding the session
+   * @param {Object} options.auth - Auth context of the API client, whose token
+   *   store writes to the same store (see createPersistentTokenStore)
+   * @param {Object} [options.cache] - Response cache of the account (see
+   *   src/main/cache.js), cleared on login and together with the tokens
+   * @param {Object} [options.transactionIndex] - Transaction index of the account
+   *   (see src/main/transaction-index.js), wiped like the cache
+   */
+  constructor({ store, auth, cache = null, transactionIndex = null }) {
+    super();
+    this.store = store;
+    this.auth = auth;
+    this.cache = cache;
+    this.transactionIndex = transactionIndex;
+    this._renewalTimer = null;
+
+    // Whether the API is reachable, renewals wait until it is
+    this._online = true;
+
+    // Follow every token change made by the API layer, including the
+    // automatic refresh done by the authClient response interceptor
+    this.auth.onTokenChange((tokens, reason) => {
+      if (tokens) {
+        if (reason === 'set') {
+          // A new login: nothing cached by an earlier session may show up
+          this.cache?.clear();
+          this.transactionIndex?.clear();
+        }
+        this._scheduleRenewal();
+        if (reason === 'refresh') {
+          this._emitStatus('refreshed');
+        }
+      } else {
+        this.store.delete('user');
+        this.cache?.clear();
+        this.transactionIndex?.clear();
+        this._cancelRenewal();
+        if (reason === 'expired') {
+          this._emitStatus('expired');
+        }
+      }
+    });
+  }
+
+  /**
+   * Resume the persisted session and schedule its renewal. Call once on startup.
+   *
+   * @returns {boolean} Whether a stored session was found
+   */
+  restore() {
+    if (!this.auth.getAuthToken()) {
+      return false;
+    }
+
+    this._scheduleRenewal();
+    return true;
+  }
+
+  /**
+   * Stop the renewal timer. Call when the app is shutting down.
+   */
+  dispose() {
+    this._cancelRenewal();
+  }
+
+  /**
+   * Whether a session token is currently stored
+   *
+   * @returns {boolean}
+   */
+  isAuthenticated() {
+    return !!this.auth.getAuthToken();
+  }
+
+  /**
+   * Get the cached user object of the current session
+   *
+   * @returns {Object|null}
+   */
+  getUser() {
+    return this.store.get('user') || null;
+  }
+
+  /**
+   * Check whether the stored token is expired or about to expire
+   *
+   * @returns {boolean}
+   */
+  isTokenExpired() {
+    const expiryTime = this.store.get('tokenExpiry');
+    if (!expiryTime) return true;
+
+    return Date.now() >= (expiryTime - EXPIRY_MARGIN_MS);
+  }
+
+  /**
+   * Log in and persist the new session
+   *
+   * @param {string} username - User's username or email
+   * @param {string} password - User's password
+   * @returns {Promise<Object|null>} The login response data, or null if it
+   *   did not contain the expected tokens
+   */
+  async login(username, password) {
+    const data = await this.auth.login(username, password);
+
+    if (!data || !data.token || !data.refreshToken) {
+      return null;
+    }
+
+    if (data.user) {
+      this.store.set('user', data.user);
+    }
+
+    this._emitStatus('login');
+    return data;
+  }
+
+  /**
+   * Refresh the session tokens using the stored refresh token. Joins a
+   * refresh already in flight instead of starting a second one.
+   * The session is cleared only if the server rejects the refresh token.
+   *
+   * @returns {Promise<string>} The new auth token
+   */
+  async refresh() {
+    try {
+      return await this.auth.refreshSession();
+    } catch (error) {
+      log.error('Token refresh failed:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a valid auth token, refreshing it first if necessary
+   *
+   * @returns {Promise<string>} A valid auth token
+   */
+  async getValidToken() {
+    if (this.isTokenExpired()) {
+      return await this.refresh();
+    }
+    return this.auth.getAuthToken();
+  }
+
+  /**
+   * Verify the session with the server and update the cached user
+   *
+   * @returns {Promise<Object>} `{ isAuthenticated, user }`
+   */
+  async checkStatus() {
+    if (!this.isAuthenticated()) {
+      return { isAuthenticated: false, user: null };
+    }
+
+    await this.getValidToken();
+    const status = await this.auth.checkAuthStatus();
+
+    if (status && status.user) {
+      this.store.set('user', status.user);
+    }
+
+    return { isAuthenticated: true, user: this.getUser() };
+  }
+
+  /**
+   * Log out from Pi Network and clear the local session. The local session
+   * is cleared even if the logout API call fails.
+   *
+   * @returns {Promise<void>}
+   */
+  async logout() {
+    if (this.auth.getAuthToken()) {
+      try {
+        await this.auth.logout();
+      } catch (apiError) {
+        log.warn('Error calling logout API:', apiError.message);
+      }
+    }
+
+    this.clear();
+    this._emitStatus('logout');
+  }
+
+  /**
+   * Pause or resume the token renewal while the API is unreachable. A
+   * renewal attempted offline would fail and end the session.
+   *
+   * @param {boolean} online - Whether the API is reachable
+   */
+  setOnline(online) {
+    if (online === this._online) {
+      return;
+    }
+
+    this._online = online;
+    if (online && this.auth.getAuthToken()) {
+      // Renew right away if the token expired in the meantime
+      this._scheduleRenewal();
+    }
+  }
+
+  /**
+   * Clear the session from the API layer and the store
+   */
+  clear() {
+    // The token listener removes the cached user
+    this.auth.clearTokens();
+  }
+
+  /**
+   * Schedule a token renewal shortly before the stored expiry
+   *
+   * @private
+   */
+  _scheduleRenewal() {
+    this._cancelRenewal();
+
+    const expiryTime = this.store.get('tokenExpiry');
+    if (!expiryTime || !this.auth.getRefreshToken()) {
+      return;
+    }
+
+    const delay = Math.min(
+      Math.max(expiryTime - EXPIRY_MARGIN_MS - Date.now(), 0),
+      MAX_TIMER_DELAY_MS
+    );
+
+    this._renewalTimer = setTimeout(() => this._renew(), delay);
+    // Don't keep the process alive just for the renewal
+    if (this._renewalTimer.unref) {
+      this._renewalTimer.unref();
+    }
+  }
+
+  /**
+   * Cancel a scheduled token renewal
+   *
+   * @private
+   */
+  _cancelRenewal() {
+    if (this._renewalTimer) {
+      clearTimeout(this._renewalTimer);
+      this._renewalTimer = null;
+    }
+  }
+
+  /**
+   * Timer callback renewing the token. A rejected refresh token clears the
+   * session, which emits the forced logout through the token listener. After
+   * other failures the next request or setOnline() tries the refresh again.
+   *
+   * @private
+   */
+  async _renew() {
+    this._renewalTimer = null;
+
+    // Rescheduled by setOnline() once the API is reachable again
+    if (!this._online) {
+      return;
+    }
+
+    // The timer delay is capped, so it may fire long before the expiry
+    if (!this.isTokenExpired()) {
+      this._scheduleRenewal();
+      return;
+    }
+
+    try {
+      await this.refresh();
+    } catch (error) {
+      log.error('Scheduled token renewal failed:', error.message);
+    }
+  }
+
+  /**
+   * Emit the current session status
+   *
+   * @private
+   * @param {string} reason - 'login', 'refreshed', 'logout' or 'expired'
+   */
+  _emitStatus(reason) {
+    const isAuthenticated = this.isAuthenticated();
+
+    /**
+     * Session status change event
+     *
+     * @event SessionManager#status-change
+     * @type {Object}
+     * @property {boolean} isAuthenticated - Whether a session is active
+     * @property {Object|null} user - Cached user of the session
+     * @property {string} reason - 'login', 'refreshed', 'logout' or 'expired'
+     */
+    this.emit('status-change', {
+      isAuthenticated,
+      user: isAuthenticated ? this.getUser() : null,
+      reason
+    });
+  }
+}
+
+module.exports = {
+  SessionManager,
+  createPersistentTokenStore,
+  EXPIRY_MARGIN_MS
+};
@@ -0,0 +1,327 @@
+/**
+ * Transaction Index
+ *
+ * Local copy of the transaction history of one account, so the wallet can
+ * search memos and counterparties and filter by direction, amount, date and
+ * status without a request, offline included. The API only pages the
+ * history, it cannot search it.
+ *
+ * sync() walks the history newest first (see iterateTransactions in
+ * src/api/wallet.js) and stops at the newest transaction indexed already, so
+ * only the transactions made since the last sync are requested. Indexed
+ * transactions still pending are requested again until they settle: the walk
+ * goes on until it is past the oldest of them. A sync
+ * is saved once it completes, so an interrupted sync leaves no gap behind.
+ *
+ * The index lives in the store of its account (see createAccountStore in
+ * src/main/accounts.js), under the transactionIndex key:
+ *   { transactions: [newest first], syncedAt }
+ * It is wiped together with the tokens on logout or when the session
+ * expires (see SessionManager).
+ *
+ * @module main/transaction-index
+ */
+
+const { ValidationError } = require('../api/errors');
+const { createLogger } = require('../logger');
+
+const log = createLogger('main').child('transaction-index');
+
+// Transactions requested per page while syncing
+const SYNC_PAGE_SIZE = 100;
+
+// Results per page of a search unless a limit is given
+const DEFAULT_SEARCH_LIMIT = 10;
+
+// Directions of a transaction, by the sign of its amount
+const DIRECTIONS = ['in', 'out'];
+
+/**
+ * Convert a date filter to milliseconds since the epoch
+ *
+ * @param {Date|string|number} value - Date, ISO 8601 string or timestamp
+ * @param {string} name - Filter name, for the error message
+ * @returns {number|null} The time, or null if not given
+ * @throws {ValidationError} If the value is not a valid date
+ */
+const toTime = (value, name) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const time = new Date(value).getTime();
+  if (Number.isNaN(time)) {
+    throw new ValidationError(`${name} must be a valid date`, { code: 'INVALID_FILTER' });
+  }
+  return time;
+};
+
+/**
+ * Convert an amount filter to a number
+ *
+ * @param {string|number} value - Amount in Pi
+ * @param {string} name - Filter name, for the error message
+ * @returns {number|null} The amount, or null if not given
+ * @throws {ValidationError} If the value is not a positive number
+ */
+const toAmount = (value, name) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount < 0) {
+    throw new ValidationError(`${name} must be a positive number`, { code: 'INVALID_FILTER' });
+  }
+  return amount;
+};
+
+/**
+ * Check the filters of a search and convert them for matching
+ *
+ * @param {Object} filters - See TransactionIndex#search
+ * @returns {Object} `{ terms, direction, minAmount, maxAmount, since, until, status }`
+ * @throws {ValidationError} If a filter is invalid
+ */
+const parseFilters = ({ query, direction, minAmount, maxAmount, since, until, status } = {}) => {
+  if (direction && !DIRECTIONS.includes(direction)) {
+    throw new ValidationError(`Unknown direction: ${direction}`, { code: 'INVALID_FILTER' });
+  }
+
+  const parsed = {
+    terms: String(query || '').toLowerCase().split(/\s+/).filter(Boolean),
+    direction: direction || null,
+    minAmount: toAmount(minAmount, 'minAmount'),
+    maxAmount: toAmount(maxAmount, 'maxAmount'),
+    since: toTime(since, 'since'),
+    until: toTime(until, 'until'),
+    status: status || null
+  };
+  if (parsed.minAmount !== null && parsed.maxAmount !== null && parsed.minAmount > parsed.maxAmount) {
+    throw new ValidationError('The minimum amount is above the maximum amount', { code: 'INVALID_FILTER' });
+  }
+  if (parsed.since !== null && parsed.until !== null && parsed.since > parsed.until) {
+    throw new ValidationError('The start date is after the end date', { code: 'INVALID_FILTER' });
+  }
+  return parsed;
+};
+
+/**
+ * Index entry of a transaction: the transaction with what searches compare
+ *
+ * @param {Object} transaction - Transaction of the history
+ * @returns {Object} `{ transaction, text, time, amount }`
+ */
+const toEntry = (transaction) => {
+  return {
+    transaction,
+    // Memo, counterparty and address are searched, whatever their case
+    text: [transaction.memo, transaction.counterparty, transaction.address]
+      .filter(Boolean)
+      .join('\n')
+      .toLowerCase(),
+    time: Date.parse(transaction.timestamp),
+    amount: Number(transaction.amount)
+  };
+};
+
+/**
+ * Whether an index entry matches parsed filters
+ *
+ * @param {Object} entry - Index entry (see toEntry)
+ * @param {Object} filters - Result of parseFilters
+ * @returns {boolean}
+ */
+const matches = ({ transaction, text, time, amount }, filters) => {
+  if (filters.direction === 'in' && amount < 0) return false;
+  if (filters.direction === 'out' && amount >= 0) return false;
+  // Amount ranges compare the value moved, whatever its direction
+  if (filters.minAmount !== null && Math.abs(amount) < filters.minAmount) return false;
+  if (filters.maxAmount !== null && Math.abs(amount) > filters.maxAmount) return false;
+  if (filters.since !== null && time < filters.since) return false;
+  if (filters.until !== null && time > filters.until) return false;
+  if (filters.status !== null && transaction.status !== filters.status) return false;
+  return filters.terms.every((term) => text.includes(term));
+};
+
+/**
+ * TransactionIndex keeps the transaction history of one account
+ */
+class TransactionIndex {
+  /**
+   * Creates a transaction index
+   *
+   * @param {Object} options - Index options
+   * @param {Object} options.store - Store with get/set/delete, e.g. an account's
+   *   view of the credential store
+   * @param {Object} options.wallet - Wallet API of the account (see
+   *   createWalletAPI in src/api/wallet.js)
+   * @param {number} [options.pageSize] - Transactions requested per page while syncing
+   * @param {Function} [options.now] - Clock, Date.now by default
+   */
+  constructor({ store, wallet, pageSize = SYNC_PAGE_SIZE, now = Date.now }) {
+    this.store = store;
+    this.wallet = wallet;
+    this.pageSize = pageSize;
+    this.now = now;
+
+    // Entries loaded from the store, newest first (see toEntry)
+    this._entries = null;
+
+    // Sync in flight, shared by the callers of sync()
+    this._syncing = null;
+
+    // Bumped by clear(), so syncs started before it are dropped
+    this._generation = 0;
+  }
+
+  /**
+   * Request the transactions made since the last sync and add them to the
+   * index. Calls made while a sync runs share its result.
+   *
+   * @param {Object} [options] - Sync options
+   * @param {AbortSignal} [options.signal] - Cancels the sync
+   * @returns {Promise<Object>} `{ added, updated, total, syncedAt }`
+   */
+  sync({ signal } = {}) {
+    if (!this._syncing) {
+      const syncing = this._sync(signal).finally(() => {
+        if (this._syncing === syncing) {
+          this._syncing = null;
+        }
+      });
+      this._syncing = syncing;
+    }
+    return this._syncing;
+  }
+
+  /**
+   * Search the indexed transactions. Every word of the query must appear in
+   * the memo, the counterparty or the address.
+   *
+   * @param {Object} [filters] - Search filters, all optional
+   * @param {string} [filters.query] - Words to look for, case insensitive
+   * @param {string} [filters.direction] - 'in' (received and mined) or 'out' (sent)
+   * @param {string|number} [filters.minAmount] - Smallest amount moved, in Pi
+   * @param {string|number} [filters.maxAmount] - Largest amount moved, in Pi
+   * @param {Date|string|number} [filters.since] - Only transactions at or after this date
+   * @param {Date|string|number} [filters.until] - Only transactions at or before this date
+   * @param {string} [filters.status] - e.g. 'completed', 'pending' or 'failed'
+   * @param {number} [filters.page=1] - Page of the results
+   * @param {number} [filters.limit=10] - Results per page
+   * @returns {Object} `{ transactions, pagination: { page, limit, total, pages }, syncedAt }`,
+   *   newest first, like a page of GET /wallet/transactions
+   * @throws {ValidationError} If a filter is invalid
+   */
+  search(filters = {}) {
+    const parsed = parseFilters(filters);
+    const limit = Math.max(1, Math.floor(filters.limit) || DEFAULT_SEARCH_LIMIT);
+    const found = this._load().filter((entry) => matches(entry, parsed));
+    const pages = Math.ceil(found.length / limit);
+    const page = Math.min(Math.max(1, Math.floor(filters.page) || 1), Math.max(pages, 1));
+
+    return {
+      transactions: found.slice((page - 1) * limit, page * limit).map((entry) => entry.transaction),
+      pagination: { page, limit, total: found.length, pages },
+      syncedAt: this.getSyncedAt()
+    };
+  }
+
+  /**
+   * Every indexed transaction
+   *
+   * @returns {Array<Object>} The transactions, newest first
+   */
+  list() {
+    return this._load().map((entry) => entry.transaction);
+  }
+
+  /**
+   * When the last sync completed
+   *
+   * @returns {number|null}
+   */
+  getSyncedAt() {
+    return this.store.get('transactionIndex')?.syncedAt || null;
+  }
+
+  /**
+   * Remove every indexed transaction and drop the sync in flight
+   */
+  clear() {
+    this._generation += 1;
+    this._syncing = null;
+    this._entries = null;
+    this.store.delete('transactionIndex');
+  }
+
+  /**
+   * Walk the history down to the newest settled transaction indexed
+   * already, or further down to the oldest pending one
+   *
+   * @private
+   * @param {AbortSignal} [signal] - Cancels the sync
+   * @returns {Promise<Object>} `{ added, updated, total, syncedAt }`
+   */
+  async _sync(signal) {
+    const generation = this._generation;
+    const indexed = new Map(this._load().map((entry) => [entry.transaction.id, entry.transaction]));
+
+    // The walk goes on below settled transactions until it is past the
+    // oldest pending one, which may sit under newer settled ones
+    const oldestPending = this._load()
+      .filter((entry) => entry.transaction.status === 'pending')
+      .reduce((oldest, entry) => Math.min(oldest, entry.time), Infinity);
+
+    // Offset paging yields a transaction twice when new ones arrive during
+    // the walk, so the transactions are kept by ID
+    const fresh = new Map();
+    for await (const transaction of this.wallet.iterateTransactions({
+      sort: 'desc',
+      pageSize: this.pageSize,
+      signal,
+      stopWhen: (item) => indexed.has(item.id)
+        && indexed.get(item.id).status !== 'pending'
+        && Date.parse(item.timestamp) < oldestPending
+    })) {
+      if (!fresh.has(transaction.id)) {
+        fresh.set(transaction.id, transaction);
+      }
+    }
+
+    if (generation !== this._generation) {
+      // Cleared meanwhile, e.g. logged out: the transactions belong to nobody
+      return { added: 0, updated: 0, total: 0, syncedAt: null };
+    }
+
+    const transactions = [...fresh.values(), ...this.list().filter((transaction) => !fresh.has(transaction.id))]
+      .sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp));
+    const syncedAt = this.now();
+    this.store.set('transactionIndex', { transactions, syncedAt });
+    this._entries = transactions.map(toEntry);
+
+    const updated = [...fresh.keys()].filter((id) => indexed.has(id)).length;
+    const result = { added: fresh.size - updated, updated, total: transactions.length, syncedAt };
+    if (fresh.size > 0) {
+      log.debug('Transactions indexed', result);
+    }
+    return result;
+  }
+
+  /**
+   * The index entries, loaded from the store once
+   *
+   * @private
+   * @returns {Array<Object>} Entries, newest first (see toEntry)
+   */
+  _load() {
+    if (!this._entries) {
+      const { transactions = [] } = this.store.get('transactionIndex') || {};
+      this._entries = transactions.map(toEntry);
+    }
+    return this._entries;
+  }
+}
+
+module.exports = {
+  TransactionIndex,
+  DIRECTIONS
+};
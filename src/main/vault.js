@@ -0,0 +1,456 @@
+/**
+ * Credential Vault
+ *
+ * Encrypted electron-store whose key is never part of the source code.
+ * Without an app passphrase the key is a random per-install key kept next to
+ * the store. With a passphrase, the key is derived with scrypt from the
+ * passphrase and a per-install salt, and the store cannot be read until the
+ * vault is unlocked.
+ *
+ * Stores written by older versions with a hard-coded key are migrated to the
+ * vault on first unlock.
+ *
+ * A new key is committed in two steps: the new metadata and the store
+ * encrypted with the new key are written to temporary files, then the
+ * metadata file is moved into place, which commits the key, and the store
+ * file after it. A vault interrupted before the commit keeps its old key, one
+ * interrupted after it has its store moved into place when it is opened.
+ *
+ * @module main/vault
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const Store = require('electron-store');
+const { createLogger } = require('../logger');
+
+const log = createLogger('main').child('vault');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Version of the vault metadata layout
+const VAULT_VERSION = 1;
+
+// scrypt cost parameters (N=2^15 needs 32 MiB, maxmem leaves headroom)
+const KDF_PARAMS = {
+  N: 2 ** 15,
+  r: 8,
+  p: 1,
+  keylen: 32,
+  maxmem: 64 * 1024 * 1024
+};
+
+// Minimum accepted passphrase length
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// Label authenticated with the key to verify it before opening the store
+const VERIFIER_LABEL = 'pi-network-vault-verifier';
+
+/**
+ * Error raised by vault operations
+ */
+class VaultError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {string} code - One of 'LOCKED', 'PASSPHRASE_REQUIRED',
+   *   'INVALID_PASSPHRASE', 'WEAK_PASSPHRASE' or 'NO_PASSPHRASE'
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = 'VaultError';
+    this.code = code;
+  }
+}
+
+/**
+ * Compute the verifier for a key
+ *
+ * @param {Buffer} key - Encryption key
+ * @returns {string} Hex encoded verifier
+ */
+const computeVerifier = (key) => {
+  return crypto.createHmac('sha256', key).update(VERIFIER_LABEL).digest('hex');
+};
+
+/**
+ * CredentialVault wraps an encrypted electron-store with a managed key.
+ * Once unlocked it exposes the usual get/set/delete/has/clear methods.
+ */
+class CredentialVault {
+  /**
+   * Creates a credential vault
+   *
+   * @param {Object} options - Vault options
+   * @param {string} options.name - Name of the encrypted store
+   * @param {Object} [options.schema] - electron-store schema of the encrypted store
+   * @param {string} [options.legacyEncryptionKey] - Hard-coded key used by
+   *   older versions, used once to migrate an existing store
+   * @param {string} [options.cwd] - Directory holding the store files
+   *   (defaults to electron-store's default, the app's userData directory)
+   */
+  constructor({ name, schema, legacyEncryptionKey, cwd }) {
+    this.name = name;
+    this.schema = schema;
+    this.legacyEncryptionKey = legacyEncryptionKey;
+    this.cwd = cwd;
+    this.store = null;
+
+    // Unencrypted metadata: salt, KDF parameters and key verifier
+    this.meta = new Store({ name: `${name}-vault`, cwd });
+
+    this._recoverCommit();
+  }
+
+  /**
+   * Whether the vault has been set up on this install
+   *
+   * @returns {boolean}
+   */
+  isInitialized() {
+    return this.meta.has('verifier');
+  }
+
+  /**
+   * Whether an app passphrase is needed to unlock the vault
+   *
+   * @returns {boolean}
+   */
+  requiresPassphrase() {
+    return !!this.meta.get('passphraseEnabled');
+  }
+
+  /**
+   * Whether the vault is unlocked and its store readable
+   *
+   * @returns {boolean}
+   */
+  isUnlocked() {
+    return !!this.store;
+  }
+
+  /**
+   * Unlock the vault. On first use this sets the vault up and migrates a
+   * store written with the legacy hard-coded key.
+   *
+   * @param {string} [passphrase] - App passphrase, if one is set
+   * @returns {Promise<void>}
+   * @throws {VaultError} If the passphrase is missing or wrong
+   */
+  async unlock(passphrase) {
+    if (!this.isInitialized()) {
+      await this._initialize();
+      return;
+    }
+
+    const key = await this._deriveKey(passphrase);
+    this.store = this._openStore(key);
+  }
+
+  /**
+   * Check the app passphrase, e.g. before a sensitive action
+   *
+   * @param {string} passphrase - App passphrase
+   * @returns {Promise<void>}
+   * @throws {VaultError} If no passphrase is set, or it is missing or wrong
+   */
+  async verifyPassphrase(passphrase) {
+    if (!this.requiresPassphrase()) {
+      throw new VaultError('No app passphrase is set', 'NO_PASSPHRASE');
+    }
+    await this._deriveKey(passphrase);
+  }
+
+  /**
+   * Lock the vault, dropping the decrypted store from memory
+   */
+  lock() {
+    this.store = null;
+  }
+
+  /**
+   * Set, change or remove the app passphrase and re-encrypt the store
+   *
+   * @param {string|null} newPassphrase - New passphrase, or null to remove it
+   * @param {string} [currentPassphrase] - Current passphrase, required if one is set
+   * @returns {Promise<void>}
+   * @throws {VaultError} If the vault is locked or a passphrase is rejected
+   */
+  async setPassphrase(newPassphrase, currentPassphrase) {
+    this._assertUnlocked();
+
+    if (newPassphrase !== null && (typeof newPassphrase !== 'string' || newPassphrase.length < MIN_PASSPHRASE_LENGTH)) {
+      throw new VaultError(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`, 'WEAK_PASSPHRASE');
+    }
+
+    // Re-entering the current passphrase is required to change it
+    if (this.requiresPassphrase()) {
+      await this._deriveKey(currentPassphrase);
+    }
+
+    const data = this.store.store;
+    const salt = crypto.randomBytes(16).toString('hex');
+    const key = newPassphrase === null
+      ? crypto.randomBytes(KDF_PARAMS.keylen)
+      : await this._scrypt(newPassphrase, salt);
+
+    this._commitKey(data, key, salt, newPassphrase !== null);
+  }
+
+  /**
+   * Get a value from the store
+   *
+   * @param {string} key - Store key
+   * @returns {*} The stored value
+   */
+  get(key) {
+    this._assertUnlocked();
+    return this.store.get(key);
+  }
+
+  /**
+   * Set a value in the store
+   *
+   * @param {string} key - Store key
+   * @param {*} value - Value to store
+   */
+  set(key, value) {
+    this._assertUnlocked();
+    this.store.set(key, value);
+  }
+
+  /**
+   * Check whether a key exists in the store
+   *
+   * @param {string} key - Store key
+   * @returns {boolean}
+   */
+  has(key) {
+    this._assertUnlocked();
+    return this.store.has(key);
+  }
+
+  /**
+   * Delete a value from the store
+   *
+   * @param {string} key - Store key
+   */
+  delete(key) {
+    this._assertUnlocked();
+    this.store.delete(key);
+  }
+
+  /**
+   * Remove every value from the store
+   */
+  clear() {
+    this._assertUnlocked();
+    this.store.clear();
+  }
+
+  /**
+   * Set the vault up with a per-install key and migrate the legacy store
+   *
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _initialize() {
+    const data = this._readLegacyStore();
+    const salt = crypto.randomBytes(16).toString('hex');
+    const key = crypto.randomBytes(KDF_PARAMS.keylen);
+
+    // If this is interrupted before the commit, the vault is still
+    // uninitialized and the legacy store untouched, so it is set up again on
+    // the next start
+    this._commitKey(data, key, salt, false);
+  }
+
+  /**
+   * Read the store written by older versions with the hard-coded key
+   *
+   * @private
+   * @returns {Object} The legacy store contents, empty if there are none
+   */
+  _readLegacyStore() {
+    if (!this.legacyEncryptionKey) {
+      return {};
+    }
+
+    try {
+      const legacy = new Store({
+        name: this.name,
+        cwd: this.cwd,
+        encryptionKey: this.legacyEncryptionKey
+      });
+      return legacy.store;
+    } catch (error) {
+      log.warn('Could not migrate existing credential store:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Derive the store key and check it against the stored verifier
+   *
+   * @private
+   * @param {string} [passphrase] - App passphrase, if one is set
+   * @returns {Promise<Buffer>} The verified key
+   */
+  async _deriveKey(passphrase) {
+    let key;
+
+    if (this.requiresPassphrase()) {
+      if (typeof passphrase !== 'string' || passphrase === '') {
+        throw new VaultError('A passphrase is required to unlock the vault', 'PASSPHRASE_REQUIRED');
+      }
+      key = await this._scrypt(passphrase, this.meta.get('salt'), this.meta.get('kdf'));
+    } else {
+      key = Buffer.from(this.meta.get('installKey'), 'hex');
+    }
+
+    const expected = Buffer.from(this.meta.get('verifier'), 'hex');
+    const actual = Buffer.from(computeVerifier(key), 'hex');
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw new VaultError('Invalid passphrase', 'INVALID_PASSPHRASE');
+    }
+
+    return key;
+  }
+
+  /**
+   * Derive a key from a passphrase with scrypt
+   *
+   * @private
+   * @param {string} passphrase - App passphrase
+   * @param {string} salt - Hex encoded salt
+   * @param {Object} [params=KDF_PARAMS] - scrypt parameters
+   * @returns {Promise<Buffer>} The derived key
+   */
+  _scrypt(passphrase, salt, params = KDF_PARAMS) {
+    const { keylen, ...options } = params;
+    return scrypt(passphrase.normalize('NFKC'), Buffer.from(salt, 'hex'), keylen, options);
+  }
+
+  /**
+   * Paths of the store files and of the temporary files of a key commit
+   *
+   * @private
+   * @returns {Object} `{ store, meta, pendingStore, pendingMeta }`
+   */
+  _paths() {
+    const directory = path.dirname(this.meta.path);
+    return {
+      store: path.join(directory, `${this.name}.json`),
+      meta: this.meta.path,
+      pendingStore: path.join(directory, `${this.name}.tmp.json`),
+      pendingMeta: path.join(directory, `${this.name}-vault.tmp.json`)
+    };
+  }
+
+  /**
+   * Re-encrypt the store with a new key and save the metadata of the key.
+   * Moving the metadata file into place is the commit point, see
+   * _recoverCommit() for interruptions.
+   *
+   * @private
+   * @param {Object} data - Store contents
+   * @param {Buffer} key - New encryption key
+   * @param {string} salt - Hex encoded salt used to derive the key
+   * @param {boolean} passphraseEnabled - Whether the key comes from a passphrase
+   */
+  _commitKey(data, key, salt, passphraseEnabled) {
+    const paths = this._paths();
+
+    // The metadata first: a pending store without pending metadata is committed
+    const pendingMeta = new Store({ name: `${this.name}-vault.tmp`, cwd: this.cwd });
+    pendingMeta.store = this._buildMeta(key, salt, passphraseEnabled);
+    const pendingStore = new Store({
+      name: `${this.name}.tmp`,
+      cwd: this.cwd,
+      encryptionKey: key.toString('hex')
+    });
+    pendingStore.store = data;
+
+    fs.renameSync(paths.pendingMeta, paths.meta);
+    fs.renameSync(paths.pendingStore, paths.store);
+
+    this.store = this._openStore(key);
+  }
+
+  /**
+   * Finish or roll back a key commit interrupted by a crash
+   *
+   * @private
+   */
+  _recoverCommit() {
+    const paths = this._paths();
+
+    if (fs.existsSync(paths.pendingMeta)) {
+      // Not committed: the store and the metadata still match
+      fs.rmSync(paths.pendingMeta, { force: true });
+      fs.rmSync(paths.pendingStore, { force: true });
+      log.warn('Rolled back an interrupted change of the vault key');
+    } else if (fs.existsSync(paths.pendingStore)) {
+      // Committed: the metadata is for the key of the pending store
+      fs.renameSync(paths.pendingStore, paths.store);
+      log.warn('Completed an interrupted change of the vault key');
+    }
+  }
+
+  /**
+   * Open the encrypted store with a verified key
+   *
+   * @private
+   * @param {Buffer} key - Encryption key
+   * @returns {Store}
+   */
+  _openStore(key) {
+    return new Store({
+      name: this.name,
+      cwd: this.cwd,
+      encryptionKey: key.toString('hex'),
+      schema: this.schema
+    });
+  }
+
+  /**
+   * Build the vault metadata for a key
+   *
+   * @private
+   * @param {Buffer} key - Encryption key
+   * @param {string} salt - Hex encoded salt used to derive the key
+   * @param {boolean} passphraseEnabled - Whether the key comes from a passphrase
+   * @returns {Object} The metadata, with the key itself when no passphrase protects it
+   */
+  _buildMeta(key, salt, passphraseEnabled) {
+    const meta = {
+      version: VAULT_VERSION,
+      salt,
+      kdf: { ...KDF_PARAMS },
+      passphraseEnabled,
+      verifier: computeVerifier(key)
+    };
+    if (!passphraseEnabled) {
+      meta.installKey = key.toString('hex');
+    }
+    return meta;
+  }
+
+  /**
+   * Throw if the vault is locked
+   *
+   * @private
+   */
+  _assertUnlocked() {
+    if (!this.store) {
+      throw new VaultError('The credential vault is locked', 'LOCKED');
+    }
+  }
+}
+
+module.exports = {
+  CredentialVault,
+  VaultError,
+  MIN_PASSPHRASE_LENGTH
+};
@@ -0,0 +1,364 @@
+/**
+ * Wallet Analytics
+ *
+ * Daily balance and cash flow of the active account for the analytics view
+ * of the wallet, computed locally from data the app has already:
+ *
+ * - the transaction history of the transaction index (see
+ *   src/main/transaction-index.js), synced first when the API is reachable
+ * - the mining sessions of getMiningHistory, for earnings the history does
+ *   not list as mining rewards
+ * - the current balance
+ *
+ * The balance at the end of each day is rebuilt backwards from the current
+ * balance, taking off the amounts of the transactions made since. Amounts
+ * are signed balance changes; only completed transactions count. Days, weeks
+ * (from Monday) and months are in UTC. Sums are made in units of 0.0000001 π,
+ * so no rounding error builds up.
+ *
+ * The series can be exported as CSV or JSON, for spreadsheets.
+ *
+ * @module main/wallet-analytics
+ */
+
+const { ValidationError } = require('../api/errors');
+const { collect } = require('../api/pagination');
+const { cacheKey } = require('./cache');
+const { createLogger } = require('../logger');
+
+const log = createLogger('main').child('wallet-analytics');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Smallest unit of Pi is 0.0000001
+const UNITS_PER_PI = 10 ** 7;
+
+// Days shown unless the caller chooses
+const DEFAULT_DAYS = 90;
+
+// Longest range of days, about ten years
+const MAX_DAYS = 3660;
+
+// Time a mining reward may be credited after the end of its session
+const REWARD_DELAY_MS = 60 * 60 * 1000;
+
+// Series of the analytics, with the columns of their exports
+const ANALYTICS_SERIES = {
+  daily: ['date', 'balance', 'inflow', 'outflow'],
+  weekly: ['period', 'start', 'inflow', 'outflow', 'net'],
+  monthly: ['period', 'start', 'inflow', 'outflow', 'net']
+};
+
+// Formats of the exports
+const ANALYTICS_FORMATS = ['csv', 'json'];
+
+/**
+ * Convert an amount to units of 0.0000001 π
+ *
+ * @param {string|number} amount - Amount in Pi, e.g. '-1.5'
+ * @returns {number}
+ */
+const toUnits = (amount) => Math.round(Number(amount) * UNITS_PER_PI) || 0;
+
+/**
+ * Format units of 0.0000001 π as an amount string, like the API does
+ *
+ * @param {number} units - Units
+ * @returns {string} e.g. '1.5'
+ */
+const formatUnits = (units) => {
+  const fixed = (units / UNITS_PER_PI).toFixed(7).replace(/(\.\d*?)0+$/, '$1').replace(/\.$/, '');
+  return fixed === '-0' ? '0' : fixed;
+};
+
+/**
+ * Day of a time, in UTC
+ *
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {string} e.g. '2024-01-31'
+ */
+const toDay = (time) => new Date(time).toISOString().slice(0, 10);
+
+/**
+ * ISO 8601 week of a day: weeks start on Monday and belong to the year of
+ * their Thursday
+ *
+ * @param {string} day - Day, e.g. '2024-01-31'
+ * @returns {Object} `{ period, start }`, e.g. `{ period: '2024-W05', start: '2024-01-29' }`
+ */
+const toWeek = (day) => {
+  const time = Date.parse(day);
+  const weekday = (new Date(time).getUTCDay() + 6) % 7;
+  const start = time - weekday * DAY_MS;
+  const thursday = new Date(start + 3 * DAY_MS);
+  const year = thursday.getUTCFullYear();
+  const week = Math.floor((thursday - Date.UTC(year, 0, 1)) / (7 * DAY_MS)) + 1;
+  return { period: `${year}-W${String(week).padStart(2, '0')}`, start: toDay(start) };
+};
+
+/**
+ * Month of a day
+ *
+ * @param {string} day - Day, e.g. '2024-01-31'
+ * @returns {Object} `{ period, start }`, e.g. `{ period: '2024-01', start: '2024-01-01' }`
+ */
+const toMonth = (day) => ({ period: day.slice(0, 7), start: `${day.slice(0, 7)}-01` });
+
+/**
+ * Check the number of days of the analytics
+ *
+ * @param {number|null} [days=90] - Days up to today, null for the whole history
+ * @returns {number|null}
+ * @throws {ValidationError} If days is not a whole number from 1 to MAX_DAYS
+ */
+const validateDays = (days = DEFAULT_DAYS) => {
+  if (days !== null && (!Number.isInteger(days) || days < 1 || days > MAX_DAYS)) {
+    throw new ValidationError(`days must be a whole number from 1 to ${MAX_DAYS}`, { code: 'INVALID_RANGE' });
+  }
+  return days;
+};
+
+/**
+ * Find the mining reward of the history that credited a mining session: a
+ * reward of the amount earned, credited during the session or shortly after
+ * it ended. The history does not name the session of its rewards.
+ *
+ * @param {Object} session - Mining session
+ * @param {Array<Object>} rewards - Mining rewards of the history not matched yet
+ * @returns {Object|undefined} The reward
+ */
+const findSessionReward = (session, rewards) => {
+  const start = Date.parse(session.startTime);
+  const end = Date.parse(session.endTime);
+  const units = toUnits(session.earned);
+
+  return rewards.find((reward) => {
+    const time = Date.parse(reward.timestamp);
+    return toUnits(reward.amount) === units && time >= start && time <= end + REWARD_DELAY_MS;
+  });
+};
+
+/**
+ * Balance changes of the history and of the mining sessions it does not list
+ *
+ * @param {Array<Object>} transactions - Transaction history
+ * @param {Array<Object>} sessions - Mining sessions
+ * @returns {Array<Object>} `{ time, units }`
+ */
+const toBalanceChanges = (transactions, sessions) => {
+  // Each reward credits one session at most
+  const rewards = transactions.filter((transaction) => transaction.type === 'mining_reward');
+  const unlisted = sessions.filter((session) => {
+    if (!session.endTime) {
+      return false;
+    }
+    const reward = findSessionReward(session, rewards);
+    if (reward) {
+      rewards.splice(rewards.indexOf(reward), 1);
+    }
+    return !reward;
+  });
+
+  return [
+    ...transactions
+      .filter((transaction) => transaction.status === 'completed')
+      .map((transaction) => ({ time: Date.parse(transaction.timestamp), units: toUnits(transaction.amount) })),
+    ...unlisted.map((session) => ({ time: Date.parse(session.endTime), units: toUnits(session.earned) }))
+  ].filter((change) => !Number.isNaN(change.time));
+};
+
+/**
+ * Add up the days of a daily series by period
+ *
+ * @param {Array<Object>} daily - Daily series, in units, oldest first
+ * @param {Function} toPeriod - toWeek or toMonth
+ * @returns {Array<Object>} `{ period, start, inflow, outflow, net }`, oldest first
+ */
+const sumByPeriod = (daily, toPeriod) => {
+  const periods = new Map();
+  daily.forEach(({ date, inflow, outflow }) => {
+    const { period, start } = toPeriod(date);
+    const sum = periods.get(period) || { period, start, inflow: 0, outflow: 0 };
+    sum.inflow += inflow;
+    sum.outflow += outflow;
+    periods.set(period, sum);
+  });
+
+  return [...periods.values()].map(({ period, start, inflow, outflow }) => ({
+    period,
+    start,
+    inflow: formatUnits(inflow),
+    outflow: formatUnits(outflow),
+    net: formatUnits(inflow - outflow)
+  }));
+};
+
+/**
+ * Build the daily balance and the weekly and monthly cash flow
+ *
+ * @param {Object} data - What the analytics are built from
+ * @param {Array<Object>} data.transactions - Transaction history, in any order
+ * @param {Array<Object>} [data.sessions] - Mining sessions of getMiningHistory
+ * @param {string} data.balance - Current balance
+ * @param {number|null} [data.days=90] - Days up to today, null for the whole
+ *   history, at most MAX_DAYS either way
+ * @param {number} [data.now] - Current time, Date.now() by default
+ * @returns {Object} `{ balance, from, to, daily, weekly, monthly }`. Daily
+ *   entries are `{ date, balance, inflow, outflow }`, the balance being the
+ *   one at the end of the day; weekly and monthly entries are
+ *   `{ period, start, inflow, outflow, net }`. Outflows are positive.
+ * @throws {ValidationError} If days is invalid
+ */
+const buildWalletAnalytics = ({ transactions, sessions = [], balance, days, now = Date.now() }) => {
+  const range = validateDays(days);
+  const changes = toBalanceChanges(transactions, sessions);
+
+  // Flows of each day
+  const flows = new Map();
+  changes.forEach(({ time, units }) => {
+    const day = toDay(time);
+    const flow = flows.get(day) || { inflow: 0, outflow: 0 };
+    if (units >= 0) {
+      flow.inflow += units;
+    } else {
+      flow.outflow -= units;
+    }
+    flows.set(day, flow);
+  });
+
+  const today = Date.parse(toDay(now));
+  // The whole history is cut to MAX_DAYS as well
+  const first = Math.max(
+    range === null
+      ? Date.parse(toDay(changes.reduce((earliest, change) => Math.min(earliest, change.time), now)))
+      : today - (range - 1) * DAY_MS,
+    today - (MAX_DAYS - 1) * DAY_MS
+  );
+
+  // Walk back from the current balance, one day at a time
+  const daily = [];
+  let units = toUnits(balance);
+  for (let time = today; time >= first; time -= DAY_MS) {
+    const date = toDay(time);
+    const { inflow, outflow } = flows.get(date) || { inflow: 0, outflow: 0 };
+    daily.push({ date, balance: units, inflow, outflow });
+    units -= inflow - outflow;
+  }
+  daily.reverse();
+
+  return {
+    balance: formatUnits(toUnits(balance)),
+    from: daily[0].date,
+    to: daily[daily.length - 1].date,
+    daily: daily.map((day) => ({
+      date: day.date,
+      balance: formatUnits(day.balance),
+      inflow: formatUnits(day.inflow),
+      outflow: formatUnits(day.outflow)
+    })),
+    weekly: sumByPeriod(daily, toWeek),
+    monthly: sumByPeriod(daily, toMonth)
+  };
+};
+
+/**
+ * Load the analytics of an account: sync its transaction index, then read
+ * the mining sessions and the balance. Offline, the analytics are built from
+ * the transactions synced earlier and the cached balance, and marked partial.
+ *
+ * @param {Object} account - Context of the account (see AccountManager#getActive):
+ *   `{ api, cache, transactionIndex }`
+ * @param {Object} [options] - Analytics options
+ * @param {number|null} [options.days=90] - Days up to today, null for the whole history
+ * @param {number} [options.now] - Current time, Date.now() by default
+ * @returns {Promise<Object>} The result of buildWalletAnalytics with
+ *   `{ syncedAt, partial }`
+ * @throws {ValidationError} If days is invalid
+ * @throws {*} The error of getBalance when no balance is cached either
+ */
+const loadWalletAnalytics = async ({ api, cache, transactionIndex }, { days, now = Date.now() } = {}) => {
+  const range = validateDays(days);
+
+  // Sessions ending in the range may have started the day before
+  const since = range === null ? undefined : new Date(Date.parse(toDay(now)) - range * DAY_MS).toISOString();
+  const [synced, sessions, balance] = await Promise.allSettled([
+    transactionIndex.sync(),
+    collect(api.mining.iterateMiningHistory({ since })),
+    api.wallet.getBalance()
+  ]);
+
+  [synced, sessions].filter((result) => result.status === 'rejected').forEach(({ reason }) => {
+    log.warn('Analytics built from local data only:', reason.message);
+  });
+
+  let current = balance.value;
+  if (balance.status === 'rejected') {
+    current = cache.get(cacheKey('/wallet/balance'))?.data;
+    if (!current) {
+      throw balance.reason;
+    }
+  }
+
+  return {
+    ...buildWalletAnalytics({
+      transactions: transactionIndex.list(),
+      sessions: sessions.value || [],
+      balance: current.balance,
+      days: range,
+      now
+    }),
+    syncedAt: transactionIndex.getSyncedAt(),
+    partial: [synced, sessions, balance].some((result) => result.status === 'rejected')
+  };
+};
+
+/**
+ * Check the options of an export
+ *
+ * @param {Object} options - `{ series, format }`
+ * @throws {ValidationError} If the series or the format is unknown
+ */
+const validateExportOptions = ({ series, format = 'csv' }) => {
+  if (!ANALYTICS_SERIES[series]) {
+    throw new ValidationError(`Unknown series: ${series}`, { code: 'INVALID_EXPORT' });
+  }
+  if (!ANALYTICS_FORMATS.includes(format)) {
+    throw new ValidationError(`Unknown export format: ${format}`, { code: 'INVALID_EXPORT' });
+  }
+};
+
+/**
+ * Write a series of the analytics as CSV or JSON
+ *
+ * @param {Object} analytics - Result of buildWalletAnalytics
+ * @param {Object} options - Export options
+ * @param {string} options.series - 'daily', 'weekly' or 'monthly'
+ * @param {string} [options.format='csv'] - 'csv' or 'json'
+ * @returns {string}
+ * @throws {ValidationError} If the series or the format is unknown
+ */
+const exportWalletAnalytics = (analytics, { series, format = 'csv' }) => {
+  validateExportOptions({ series, format });
+
+  const columns = ANALYTICS_SERIES[series];
+  const rows = analytics[series];
+  if (format === 'json') {
+    const { balance, from, to } = analytics;
+    return JSON.stringify({ series, balance, from, to, points: rows }, null, 2);
+  }
+  return [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((row) => row.join(','))
+    .join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  buildWalletAnalytics,
+  loadWalletAnalytics,
+  exportWalletAnalytics,
+  validateExportOptions,
+  validateDays,
+  ANALYTICS_SERIES,
+  ANALYTICS_FORMATS,
+  DEFAULT_DAYS,
+  MAX_DAYS
+};
@@ -0,0 +1,240 @@
+// Address book of index.html: saved recipients of the active account, with
+// add, edit, delete, import and export, and the suggestions of the recipient
+// field of the send form. renderer.js calls setupAddressBook() on start and
+// refreshAddressBook() once the user is authenticated.
+
+const addressBookState = {
+  // Entry being edited, null when adding
+  editingId: null
+};
+
+/**
+ * Bind the address book controls and the recipient suggestions
+ */
+function setupAddressBook() {
+  if (!document.getElementById('address-book-section')) {
+    return;
+  }
+
+  document.getElementById('address-book-form').addEventListener('submit', (event) => {
+    event.preventDefault();
+    saveAddressBookEntry();
+  });
+  document.getElementById('address-book-cancel-button').addEventListener('click', resetAddressBookForm);
+  document.getElementById('address-book-circle-button').addEventListener('click', addSecurityCircle);
+  document.getElementById('address-book-import-button').addEventListener('click', importAddressBook);
+  document.getElementById('address-book-export-button').addEventListener('click', exportAddressBook);
+
+  const recipient = document.getElementById('send-recipient');
+  if (recipient) {
+    recipient.addEventListener('input', () => suggestRecipients(recipient.value));
+  }
+
+  // Payments move their recipient up the list
+  window.api.on('transaction-update', (update) => {
+    if (update && update.status === 'completed') {
+      refreshAddressBook();
+    }
+  });
+}
+
+/**
+ * Show a message of the address book, or clear it
+ */
+function showAddressBookMessage(text, color = 'red') {
+  const message = document.getElementById('address-book-message');
+  message.textContent = text || '';
+  message.style.color = color;
+}
+
+/**
+ * Load and show the saved recipients
+ */
+async function refreshAddressBook() {
+  const result = await window.piAddressBook.list();
+  if (!result.success) {
+    showAddressBookMessage(result.error);
+    return;
+  }
+
+  const list = document.getElementById('address-book-list');
+  list.innerHTML = '';
+
+  if (result.data.length === 0) {
+    const cell = list.insertRow().insertCell();
+    cell.colSpan = 5;
+    cell.textContent = 'No saved recipients yet.';
+  }
+
+  result.data.forEach((entry) => {
+    const row = list.insertRow();
+    row.insertCell().textContent = entry.label;
+    const recipient = row.insertCell();
+    recipient.textContent = entry.type === 'username' ? `@${entry.recipient}` : entry.recipient;
+    recipient.style.wordBreak = 'break-all';
+    row.insertCell().textContent = entry.notes || '-';
+    row.insertCell().textContent = entry.lastUsedAt ? new Date(entry.lastUsedAt).toLocaleDateString() : '-';
+
+    const actions = row.insertCell();
+    [
+      ['Pay', () => payAddressBookEntry(entry)],
+      ['Edit', () => editAddressBookEntry(entry)],
+      ['Delete', () => removeAddressBookEntry(entry)]
+    ].forEach(([label, action]) => {
+      const button = document.createElement('button');
+      button.className = 'secondary-button';
+      button.textContent = label;
+      button.addEventListener('click', action);
+      actions.appendChild(button);
+    });
+  });
+}
+
+/**
+ * Fill the send form with a saved recipient
+ */
+function payAddressBookEntry(entry) {
+  const recipient = document.getElementById('send-recipient');
+  if (!recipient) {
+    return;
+  }
+  recipient.value = entry.recipient;
+  document.getElementById('send-amount').focus();
+}
+
+/**
+ * Load an entry into the form for editing
+ */
+function editAddressBookEntry(entry) {
+  addressBookState.editingId = entry.id;
+  document.getElementById('address-book-form-title').textContent = 'Edit Recipient';
+  document.getElementById('address-book-label').value = entry.label;
+  document.getElementById('address-book-recipient').value = entry.recipient;
+  document.getElementById('address-book-notes').value = entry.notes || '';
+  document.getElementById('address-book-cancel-button').style.display = 'inline-block';
+}
+
+/**
+ * Empty the form and go back to adding entries
+ */
+function resetAddressBookForm() {
+  addressBookState.editingId = null;
+  document.getElementById('address-book-form').reset();
+  document.getElementById('address-book-form-title').textContent = 'Add Recipient';
+  document.getElementById('address-book-cancel-button').style.display = 'none';
+}
+
+/**
+ * Add or update the entry of the form. The recipient is checked in the main process.
+ */
+async function saveAddressBookEntry() {
+  const entry = {
+    label: document.getElementById('address-book-label').value,
+    recipient: document.getElementById('address-book-recipient').value,
+    notes: document.getElementById('address-book-notes').value
+  };
+
+  const result = addressBookState.editingId
+    ? await window.piAddressBook.update(addressBookState.editingId, entry)
+    : await window.piAddressBook.add(entry);
+  if (!result.success) {
+    showAddressBookMessage(result.error);
+    return;
+  }
+
+  resetAddressBookForm();
+  showAddressBookMessage(`Saved ${result.data.label}`, 'green');
+  await refreshAddressBook();
+}
+
+/**
+ * Delete an entry after confirmation
+ */
+async function removeAddressBookEntry(entry) {
+  if (!window.confirm(`Delete ${entry.label} from the address book?`)) {
+    return;
+  }
+
+  const result = await window.piAddressBook.remove(entry.id);
+  if (!result.success) {
+    showAddressBookMessage(result.error);
+    return;
+  }
+  if (addressBookState.editingId === entry.id) {
+    resetAddressBookForm();
+  }
+  showAddressBookMessage('');
+  await refreshAddressBook();
+}
+
+/**
+ * Describe the outcome of an import, e.g. "Added 3 recipients, skipped 1"
+ */
+function describeAddedEntries({ added, skipped }) {
+  let text = `Added ${added.length} recipient${added.length === 1 ? '' : 's'}`;
+  if (skipped.length > 0) {
+    text += `, skipped ${skipped.length}: ${skipped.map((entry) => `${entry.label || entry.recipient} (${entry.error})`).join('; ')}`;
+  }
+  return text;
+}
+
+/**
+ * Save every member of the security circle in one click
+ */
+async function addSecurityCircle() {
+  const result = await window.piAddressBook.addFromSecurityCircle();
+  if (!result.success) {
+    showAddressBookMessage(result.error);
+    return;
+  }
+  showAddressBookMessage(describeAddedEntries(result.data), 'green');
+  await refreshAddressBook();
+}
+
+/**
+ * Import a JSON or vCard file
+ */
+async function importAddressBook() {
+  const result = await window.piAddressBook.importFrom();
+  if (!result.success) {
+    showAddressBookMessage(result.error);
+    return;
+  }
+  if (result.data.canceled) {
+    return;
+  }
+  showAddressBookMessage(describeAddedEntries(result.data), 'green');
+  await refreshAddressBook();
+}
+
+/**
+ * Export the address book in the chosen format
+ */
+async function exportAddressBook() {
+  const format = document.getElementById('address-book-export-format').value;
+  const result = await window.piAddressBook.exportTo(format);
+  if (!result.success) {
+    showAddressBookMessage(result.error);
+  } else if (!result.data.canceled) {
+    showAddressBookMessage(`Exported ${result.data.count} recipients to ${result.data.filePath}`, 'green');
+  }
+}
+
+/**
+ * Offer saved recipients matching the text of the recipient field
+ */
+async function suggestRecipients(query) {
+  const result = await window.piAddressBook.list(query);
+  const suggestions = document.getElementById('send-recipient-suggestions');
+  suggestions.innerHTML = '';
+  if (!result.success) {
+    return;
+  }
+
+  result.data.forEach((entry) => {
+    const option = document.createElement('option');
+    option.value = entry.recipient;
+    option.label = entry.label;
+    suggestions.appendChild(option);
+  });
+}
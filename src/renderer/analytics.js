@@ -0,0 +1,115 @@
+// Wallet analytics of index.html: daily balance and weekly or monthly cash
+// flow, built by the main process from the synced transaction history and the
+// mining sessions (see src/main/wallet-analytics.js) and drawn by charts.js.
+// renderer.js calls setupWalletAnalytics() on start and refreshWalletAnalytics()
+// once the user is authenticated.
+
+const ANALYTICS_COLORS = {
+  balance: '#5c2d91',
+  inflow: 'green',
+  outflow: '#b00020'
+};
+
+const analyticsState = {
+  // Last analytics shown, redrawn when the cash flow period changes
+  data: null
+};
+
+/**
+ * Bind the analytics controls
+ */
+function setupWalletAnalytics() {
+  if (!document.getElementById('analytics-section')) {
+    return;
+  }
+
+  document.getElementById('analytics-days').addEventListener('change', refreshWalletAnalytics);
+  document.getElementById('cash-flow-period').addEventListener('change', drawWalletAnalytics);
+  document.getElementById('analytics-export-button').addEventListener('click', exportWalletAnalytics);
+
+  // Payments change the balance and the cash flow
+  window.api.on('transaction-update', (update) => {
+    if (update && update.status === 'completed') {
+      refreshWalletAnalytics();
+    }
+  });
+  // The canvases follow the width of the window
+  window.addEventListener('resize', drawWalletAnalytics);
+}
+
+/**
+ * Show a message of the analytics, or clear it
+ */
+function showAnalyticsMessage(text, color = 'red') {
+  const message = document.getElementById('analytics-message');
+  message.textContent = text || '';
+  message.style.color = color;
+}
+
+/**
+ * Days chosen in the period select, null for the whole history
+ */
+function readAnalyticsDays() {
+  const value = document.getElementById('analytics-days').value;
+  return value === 'all' ? null : Number(value);
+}
+
+/**
+ * Load and draw the analytics of the chosen period
+ */
+async function refreshWalletAnalytics() {
+  const result = await window.piWallet.getAnalytics({ days: readAnalyticsDays() });
+  if (!result.success) {
+    showAnalyticsMessage(result.error);
+    return;
+  }
+
+  analyticsState.data = result.data;
+  showAnalyticsMessage('');
+  document.getElementById('analytics-age').textContent = result.data.partial && result.data.syncedAt
+    ? `Offline, transactions synced ${new Date(result.data.syncedAt).toLocaleString()}`
+    : '';
+  drawWalletAnalytics();
+}
+
+/**
+ * Draw the balance and cash flow charts of the last analytics loaded
+ */
+function drawWalletAnalytics() {
+  const { data } = analyticsState;
+  if (!data) {
+    return;
+  }
+
+  drawLineChart(
+    document.getElementById('balance-chart'),
+    data.daily.map((day) => ({ label: day.date.slice(5), value: Number(day.balance) })),
+    ANALYTICS_COLORS.balance
+  );
+
+  const series = document.getElementById('cash-flow-period').value;
+  drawBarChart(
+    document.getElementById('cash-flow-chart'),
+    data[series].map((period) => ({
+      label: series === 'weekly' ? period.start.slice(5) : period.period,
+      values: [Number(period.inflow), Number(period.outflow)]
+    })),
+    [ANALYTICS_COLORS.inflow, ANALYTICS_COLORS.outflow]
+  );
+}
+
+/**
+ * Export the chosen series to a file picked in a save dialog
+ */
+async function exportWalletAnalytics() {
+  const result = await window.piWallet.exportAnalytics({
+    series: document.getElementById('analytics-export-series').value,
+    format: document.getElementById('analytics-export-format').value,
+    days: readAnalyticsDays()
+  });
+  if (!result.success) {
+    showAnalyticsMessage(result.error);
+  } else if (!result.data.canceled) {
+    showAnalyticsMessage(`Exported ${result.data.count} rows to ${result.data.filePath}`, 'green');
+  }
+}
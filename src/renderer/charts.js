@@ -0,0 +1,159 @@
+// Chart drawing for the renderer: line and grouped bar charts on a canvas.
+// Everything is drawn here, no chart service is contacted and the CSP stays
+// unchanged. Used by analytics.js.
+
+// Room around the plot for the axis labels, in CSS pixels
+const CHART_PADDING = { top: 10, right: 10, bottom: 24, left: 64 };
+
+// Horizontal grid lines of the value axis
+const CHART_GRID_LINES = 4;
+
+// Labels of the date axis, at most
+const CHART_MAX_LABELS = 6;
+
+const CHART_FONT = '11px sans-serif';
+const CHART_AXIS_COLOR = '#888';
+const CHART_GRID_COLOR = '#eee';
+
+/**
+ * Size a canvas to its CSS box and the pixel ratio of the screen, and clear it
+ *
+ * @returns {Object} `{ context, plot }` with plot the area inside the padding
+ */
+function prepareChart(canvas) {
+  const width = canvas.clientWidth || 600;
+  const height = canvas.clientHeight || 240;
+  const ratio = window.devicePixelRatio || 1;
+  canvas.width = Math.round(width * ratio);
+  canvas.height = Math.round(height * ratio);
+
+  const context = canvas.getContext('2d');
+  context.setTransform(ratio, 0, 0, ratio, 0, 0);
+  context.clearRect(0, 0, width, height);
+  context.font = CHART_FONT;
+
+  return {
+    context,
+    plot: {
+      left: CHART_PADDING.left,
+      top: CHART_PADDING.top,
+      width: width - CHART_PADDING.left - CHART_PADDING.right,
+      height: height - CHART_PADDING.top - CHART_PADDING.bottom
+    }
+  };
+}
+
+/**
+ * Range of the value axis, with zero included and some room above
+ */
+function chartRange(values) {
+  const min = Math.min(0, ...values);
+  const max = Math.max(0, ...values);
+  const span = max - min || 1;
+  return { min: min < 0 ? min - span * 0.05 : min, max: max + span * 0.05 };
+}
+
+/**
+ * Draw the grid, the value labels and the labels of some points
+ *
+ * @param {Array<string>} labels - Label of each point, left to right
+ * @param {Function} xOf - Position of a point by index
+ */
+function drawChartAxes(context, plot, range, labels, xOf) {
+  const yOf = (value) => plot.top + plot.height - ((value - range.min) / (range.max - range.min)) * plot.height;
+
+  context.lineWidth = 1;
+  context.fillStyle = CHART_AXIS_COLOR;
+  context.textAlign = 'right';
+  context.textBaseline = 'middle';
+  for (let line = 0; line <= CHART_GRID_LINES; line++) {
+    const value = range.min + ((range.max - range.min) * line) / CHART_GRID_LINES;
+    const y = Math.round(yOf(value)) + 0.5;
+    context.strokeStyle = CHART_GRID_COLOR;
+    context.beginPath();
+    context.moveTo(plot.left, y);
+    context.lineTo(plot.left + plot.width, y);
+    context.stroke();
+    context.fillText(value.toFixed(2), plot.left - 6, y);
+  }
+
+  // Zero line, darker when negative values are shown
+  if (range.min < 0) {
+    const y = Math.round(yOf(0)) + 0.5;
+    context.strokeStyle = CHART_AXIS_COLOR;
+    context.beginPath();
+    context.moveTo(plot.left, y);
+    context.lineTo(plot.left + plot.width, y);
+    context.stroke();
+  }
+
+  context.textAlign = 'center';
+  context.textBaseline = 'top';
+  const step = Math.max(1, Math.ceil(labels.length / CHART_MAX_LABELS));
+  for (let index = 0; index < labels.length; index += step) {
+    context.fillText(labels[index], xOf(index), plot.top + plot.height + 6);
+  }
+
+  return yOf;
+}
+
+/**
+ * Draw a line chart
+ *
+ * @param {HTMLCanvasElement} canvas - Canvas to draw on, sized by CSS
+ * @param {Array<Object>} points - `{ label, value }`, left to right
+ * @param {string} color - Color of the line
+ */
+function drawLineChart(canvas, points, color) {
+  const { context, plot } = prepareChart(canvas);
+  if (points.length === 0) {
+    return;
+  }
+
+  const range = chartRange(points.map((point) => point.value));
+  const xOf = (index) => plot.left + (points.length === 1 ? plot.width / 2 : (index * plot.width) / (points.length - 1));
+  const yOf = drawChartAxes(context, plot, range, points.map((point) => point.label), xOf);
+
+  context.strokeStyle = color;
+  context.lineWidth = 2;
+  context.lineJoin = 'round';
+  context.beginPath();
+  points.forEach((point, index) => {
+    if (index === 0) {
+      context.moveTo(xOf(index), yOf(point.value));
+    } else {
+      context.lineTo(xOf(index), yOf(point.value));
+    }
+  });
+  context.stroke();
+}
+
+/**
+ * Draw a bar chart with a group of bars per point, e.g. inflow and outflow
+ *
+ * @param {HTMLCanvasElement} canvas - Canvas to draw on, sized by CSS
+ * @param {Array<Object>} groups - `{ label, values }`, left to right
+ * @param {Array<string>} colors - Color of each bar of a group
+ */
+function drawBarChart(canvas, groups, colors) {
+  const { context, plot } = prepareChart(canvas);
+  if (groups.length === 0) {
+    return;
+  }
+
+  const range = chartRange(groups.flatMap((group) => group.values));
+  const slot = plot.width / groups.length;
+  const xOf = (index) => plot.left + slot * (index + 0.5);
+  const yOf = drawChartAxes(context, plot, range, groups.map((group) => group.label), xOf);
+
+  // Bars fill 80% of their slot, side by side
+  const barWidth = (slot * 0.8) / colors.length;
+  groups.forEach((group, index) => {
+    group.values.forEach((value, bar) => {
+      const top = yOf(Math.max(value, 0));
+      const bottom = yOf(Math.min(value, 0));
+      context.fillStyle = colors[bar];
+      context.fillRect(xOf(index) - slot * 0.4 + bar * barWidth, top, Math.max(barWidth - 1, 1), Math.max(bottom - top, 1));
+    });
+  });
+}
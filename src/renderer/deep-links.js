@@ -0,0 +1,77 @@
+// pi: links opened with the app (see src/main/deep-links.js), shown on the
+// matching screen once the user is authenticated: payment requests in the
+// send form, profiles in the address book form, and invitations to a security
+// circle after a confirmation. renderer.js calls setupDeepLinks() on start and
+// openDeepLink() once the user is authenticated.
+
+/**
+ * Open the links arriving while the app page is shown
+ */
+function setupDeepLinks() {
+  window.api.on('deep-link', () => {
+    openDeepLink().catch((error) => {
+      console.error('Error opening the link:', error);
+    });
+  });
+}
+
+/**
+ * Show a message about the last link opened, or clear it
+ */
+function showDeepLinkMessage(text, color = 'red') {
+  const message = document.getElementById('deep-link-message');
+  message.textContent = text || '';
+  message.style.color = color;
+}
+
+/**
+ * Take the link waiting in the main process, if any, and show its screen
+ */
+async function openDeepLink() {
+  const result = await window.api.takeDeepLink();
+  if (!result.success) {
+    showDeepLinkMessage(result.error);
+    return;
+  }
+
+  const link = result.data;
+  if (!link) {
+    return;
+  }
+
+  showDeepLinkMessage('');
+  if (link.type === 'payment') {
+    await openPaymentRequest(link.uri);
+  } else if (link.type === 'profile') {
+    openProfileLink(link.username);
+  } else if (link.type === 'invitation') {
+    await acceptInvitationLink(link.invitationId);
+  }
+}
+
+/**
+ * Offer to save a profile in the address book, from where it can be paid
+ */
+function openProfileLink(username) {
+  resetAddressBookForm();
+  document.getElementById('address-book-label').value = username;
+  document.getElementById('address-book-recipient').value = username;
+  document.getElementById('address-book-form').scrollIntoView();
+  showAddressBookMessage(`Save ${username} to pay them from the Send Pi form`, 'orange');
+}
+
+/**
+ * Accept an invitation to a security circle once the user confirms it
+ */
+async function acceptInvitationLink(invitationId) {
+  if (!window.confirm(`Accept the invitation ${invitationId} to join a security circle?`)) {
+    return;
+  }
+
+  const result = await window.piSocial.acceptInvitation(invitationId);
+  if (!result.success) {
+    showDeepLinkMessage(result.error);
+    return;
+  }
+  showDeepLinkMessage('Invitation accepted', 'green');
+}
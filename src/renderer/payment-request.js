@@ -0,0 +1,120 @@
+// Payment requests of the wallet section: a pi: link to the username or the
+// wallet address of the account, with an optional amount and memo, shown as
+// a copyable link and a QR code drawn by qr.js. Payment links pasted in the
+// send form are read by the main process (see src/main/payment-request.js)
+// and fill the form for review. renderer.js calls setupPaymentRequests() on
+// start.
+
+const paymentRequestState = {
+  // URI of the request shown
+  uri: null
+};
+
+/**
+ * Bind the request form and the payment link field of the send form
+ */
+function setupPaymentRequests() {
+  if (!document.getElementById('request-form')) {
+    return;
+  }
+
+  document.getElementById('request-form').addEventListener('submit', (event) => {
+    event.preventDefault();
+    createPaymentRequest();
+  });
+  document.getElementById('copy-request-button').addEventListener('click', copyPaymentRequest);
+  document.getElementById('open-request-form').addEventListener('submit', (event) => {
+    event.preventDefault();
+    const link = document.getElementById('open-request-link');
+    openPaymentRequest(link.value).then((opened) => {
+      if (opened) {
+        link.value = '';
+      }
+    });
+  });
+}
+
+/**
+ * Show a message of the request form, or clear it
+ */
+function showRequestMessage(text, color = 'red') {
+  const message = document.getElementById('request-message');
+  message.textContent = text || '';
+  message.style.color = color;
+}
+
+/**
+ * Build the request of the form and show its link and QR code
+ */
+async function createPaymentRequest() {
+  showRequestMessage('');
+  const amount = document.getElementById('request-amount').value;
+  const result = await window.piWallet.createPaymentRequest({
+    payTo: document.getElementById('request-pay-to').value,
+    amount: amount ? Number(amount) : null,
+    memo: document.getElementById('request-memo').value
+  });
+  if (!result.success) {
+    showRequestMessage(result.error);
+    return;
+  }
+
+  paymentRequestState.uri = result.data.uri;
+  document.getElementById('request-link').textContent = result.data.uri;
+  try {
+    await drawQrCode(document.getElementById('request-qr'), result.data.uri);
+  } catch (error) {
+    showRequestMessage(`Could not create the QR code: ${error.message}`);
+  }
+  document.getElementById('request-result').style.display = 'block';
+}
+
+/**
+ * Copy the link of the request shown to the clipboard
+ */
+async function copyPaymentRequest() {
+  if (!paymentRequestState.uri) {
+    return;
+  }
+
+  const button = document.getElementById('copy-request-button');
+  try {
+    await navigator.clipboard.writeText(paymentRequestState.uri);
+    button.textContent = 'Copied';
+    setTimeout(() => {
+      button.textContent = 'Copy Link';
+    }, 2000);
+  } catch (error) {
+    showRequestMessage('Could not copy the link');
+  }
+}
+
+/**
+ * Fill the send form with a payment link, and review the payment when the
+ * link has an amount. Nothing is sent before the review.
+ *
+ * @param {string} uri - pi: payment request URI
+ * @returns {Promise<boolean>} Whether the link could be read
+ */
+async function openPaymentRequest(uri) {
+  const result = await window.piWallet.parsePaymentRequest(uri);
+  if (!result.success) {
+    showSendMessage(result.error);
+    return false;
+  }
+
+  hidePaymentReview();
+  const { recipient, amount, memo } = result.data;
+  document.getElementById('send-recipient').value = recipient;
+  document.getElementById('send-amount').value = amount === null ? '' : amount;
+  document.getElementById('send-memo').value = memo;
+  document.getElementById('send-form').scrollIntoView();
+
+  if (amount === null) {
+    showSendMessage('Enter the amount to pay', 'orange');
+    document.getElementById('send-amount').focus();
+  } else {
+    await reviewPayment();
+  }
+  return true;
+}
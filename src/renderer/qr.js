@@ -0,0 +1,43 @@
+// QR code drawing for the renderer. The main process encodes the text (see
+// src/main/qr.js), this script draws the modules on a canvas.
+
+// Pixels per QR module
+const QR_MODULE_PIXELS = 4;
+
+// Light border around the code, in modules, so scanners find its edges
+const QR_QUIET_ZONE = 4;
+
+/**
+ * Draw the QR code of a text on a canvas
+ *
+ * @param {HTMLCanvasElement} canvas - Canvas to draw on, resized to the code
+ * @param {string} text - Text to encode, e.g. a wallet address
+ */
+async function drawQrCode(canvas, text) {
+  const qr = await window.api.encodeQr(text);
+  if (!qr.success) {
+    throw new Error(qr.error);
+  }
+
+  const dimension = (qr.size + QR_QUIET_ZONE * 2) * QR_MODULE_PIXELS;
+  canvas.width = dimension;
+  canvas.height = dimension;
+
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, dimension, dimension);
+  context.fillStyle = '#000000';
+
+  for (let row = 0; row < qr.size; row++) {
+    for (let column = 0; column < qr.size; column++) {
+      if (qr.modules[row * qr.size + column]) {
+        context.fillRect(
+          (column + QR_QUIET_ZONE) * QR_MODULE_PIXELS,
+          (row + QR_QUIET_ZONE) * QR_MODULE_PIXELS,
+          QR_MODULE_PIXELS,
+          QR_MODULE_PIXELS
+        );
+      }
+    }
+  }
+}
@@ -0,0 +1,222 @@
+// Send form of the wallet section: the payment is checked here first, then
+// reviewed, with the app passphrase asked for large amounts once one is set
+// (the amount typed again stands in for it otherwise). The main process
+// validates it again and shows the final confirmation dialog (see
+// src/main/payments.js). Progress of the payments sent is pushed on the
+// transaction-update channel.
+
+// Payments listed under the form
+const MAX_LISTED_PAYMENTS = 5;
+
+// Labels of the payment statuses
+const PAYMENT_STATUS_LABELS = {
+  pending: 'Pending',
+  completed: 'Completed',
+  failed: 'Failed',
+  unverified: 'Sent, not confirmed'
+};
+
+const sendState = {
+  policy: null,
+  payment: null,
+  // Payments of this session by id, in the order they were sent
+  payments: new Map()
+};
+
+/**
+ * Bind the send form and follow the progress of the payments
+ */
+function setupSendForm() {
+  if (!document.getElementById('send-form')) {
+    return;
+  }
+
+  document.getElementById('send-form').addEventListener('submit', (event) => {
+    event.preventDefault();
+    reviewPayment();
+  });
+  document.getElementById('send-confirm-form').addEventListener('submit', (event) => {
+    event.preventDefault();
+    sendPayment();
+  });
+  document.getElementById('edit-send-button').addEventListener('click', hidePaymentReview);
+
+  window.api.on('transaction-update', (update) => {
+    if (!update || !update.id) {
+      return;
+    }
+    sendState.payments.delete(update.id);
+    sendState.payments.set(update.id, update);
+    renderPayments();
+  });
+}
+
+/**
+ * Show a message of the send form, or clear it
+ */
+function showSendMessage(text, color = 'red') {
+  const message = document.getElementById('send-message');
+  message.textContent = text || '';
+  message.style.color = color;
+}
+
+/**
+ * Read the payment of the form, checking it before the main process does
+ *
+ * @returns {Object|null} `{ recipient, amount, memo }`, or null if invalid
+ */
+function readPayment() {
+  const recipient = document.getElementById('send-recipient').value.trim();
+  const amount = Number(document.getElementById('send-amount').value);
+  const memo = document.getElementById('send-memo').value;
+
+  if (!recipient) {
+    showSendMessage('Enter a recipient');
+    return null;
+  }
+  if (!Number.isFinite(amount) || amount <= 0) {
+    showSendMessage('Enter an amount greater than 0');
+    return null;
+  }
+  if (new TextEncoder().encode(memo).length > sendState.policy.maxMemoBytes) {
+    showSendMessage(`The memo is limited to ${sendState.policy.maxMemoBytes} bytes`);
+    return null;
+  }
+
+  return { recipient, amount, memo };
+}
+
+/**
+ * Show the review step of the payment entered in the form
+ */
+async function reviewPayment() {
+  showSendMessage('');
+
+  sendState.policy = await window.piWallet.getSendPolicy();
+
+  const payment = readPayment();
+  if (!payment) {
+    return;
+  }
+
+  // Typos in addresses are caught here, before anything reaches the API
+  const recipient = await window.piWallet.checkRecipient(payment.recipient);
+  if (!recipient.success) {
+    showSendMessage(recipient.error);
+    return;
+  }
+  payment.recipient = recipient.data.type === 'username' ? recipient.data.username : recipient.data.address;
+  sendState.payment = payment;
+
+  const fields = document.getElementById('send-review-fields');
+  fields.innerHTML = '';
+  [
+    ['Recipient', payment.recipient],
+    ...(recipient.data.muxedId ? [['Muxed account ID', recipient.data.muxedId]] : []),
+    ['Amount', `${payment.amount} π`],
+    ['Memo', payment.memo || '-']
+  ].forEach(([label, value]) => {
+    const term = document.createElement('dt');
+    term.textContent = label;
+    const description = document.createElement('dd');
+    description.textContent = value;
+    fields.append(term, description);
+  });
+
+  // Large amounts need the app passphrase or, when none is set, the amount typed again
+  const large = payment.amount >= sendState.policy.largeAmount;
+  const protectedPayment = large && sendState.policy.passphraseSet;
+  const passphrase = document.getElementById('send-passphrase');
+  const typedAmount = document.getElementById('send-typed-amount');
+  passphrase.value = '';
+  typedAmount.value = '';
+  document.getElementById('send-passphrase-label').textContent =
+    `App passphrase (required from ${sendState.policy.largeAmount} π)`;
+  document.getElementById('send-passphrase-group').style.display = protectedPayment ? 'block' : 'none';
+  document.getElementById('send-typed-amount-group').style.display = large && !protectedPayment ? 'block' : 'none';
+  if (large && !protectedPayment) {
+    showSendMessage(
+      `No app passphrase is set: type the amount again to send ${sendState.policy.largeAmount} π or more`,
+      'orange'
+    );
+  }
+
+  document.getElementById('send-form').style.display = 'none';
+  document.getElementById('send-review').style.display = 'block';
+  if (protectedPayment) {
+    passphrase.focus();
+  } else if (large) {
+    typedAmount.focus();
+  }
+}
+
+/**
+ * Go back from the review step to the form
+ */
+function hidePaymentReview() {
+  sendState.payment = null;
+  document.getElementById('send-passphrase').value = '';
+  document.getElementById('send-typed-amount').value = '';
+  document.getElementById('send-review').style.display = 'none';
+  document.getElementById('send-form').style.display = 'block';
+}
+
+/**
+ * Send the reviewed payment. The main process asks for a last confirmation.
+ */
+async function sendPayment() {
+  if (!sendState.payment) {
+    return;
+  }
+
+  const { recipient, amount, memo } = sendState.payment;
+  const passphrase = document.getElementById('send-passphrase').value;
+  const typedAmount = document.getElementById('send-typed-amount').value;
+  const button = document.querySelector('#send-confirm-form button[type="submit"]');
+  button.disabled = true;
+  showSendMessage('Waiting for confirmation...', 'orange');
+
+  try {
+    const result = await window.piWallet.sendPi(recipient, amount, memo, { passphrase, typedAmount });
+
+    if (result.success) {
+      hidePaymentReview();
+      document.getElementById('send-form').reset();
+      if (result.data && result.data.unverified) {
+        showSendMessage(`Sent ${amount} π to ${recipient}, but the server did not confirm it. Check the transaction history`, 'orange');
+      } else {
+        showSendMessage(`Sent ${amount} π to ${recipient}`, 'green');
+      }
+    } else if (result.errorCode === 'PAYMENT_CANCELLED') {
+      showSendMessage('Payment cancelled, nothing was sent', 'orange');
+    } else {
+      showSendMessage(result.error);
+    }
+  } finally {
+    document.getElementById('send-passphrase').value = '';
+    document.getElementById('send-typed-amount').value = '';
+    button.disabled = false;
+  }
+}
+
+/**
+ * List the latest payments of the session with their status
+ */
+function renderPayments() {
+  const list = document.getElementById('payment-list');
+  list.innerHTML = '';
+
+  Array.from(sendState.payments.values())
+    .slice(-MAX_LISTED_PAYMENTS)
+    .reverse()
+    .forEach((payment) => {
+      const item = document.createElement('li');
+      const status = PAYMENT_STATUS_LABELS[payment.status] || payment.status;
+      item.textContent = `${payment.amount} π to ${payment.recipient}: ${status}`;
+      if (payment.error) {
+        item.textContent += ` (${payment.error})`;
+      }
+      item.className = payment.status === 'failed' ? 'amount-out' : '';
+      list.appendChild(item);
+    });
+}
@@ -0,0 +1,113 @@
+// Search and filters of the transaction history of index.html. The main
+// process syncs the history into a local index (see
+// src/main/transaction-index.js) and searches it there, so results show up as
+// you type, offline too. While a filter is set, the history table and its
+// pager show the results instead of the pages of the server. wallet.js calls
+// setupTransactionSearch() on start and syncTransactionIndex() on every
+// refresh of the wallet.
+
+// Time to wait after the last change of a filter before searching
+const SEARCH_DELAY_MS = 200;
+
+const transactionSearchState = {
+  // Filters of the results shown, null when the server pages are shown
+  filters: null,
+  timer: null
+};
+
+/**
+ * Bind the search field and the filters
+ */
+function setupTransactionSearch() {
+  const form = document.getElementById('transaction-search-form');
+  if (!form) {
+    return;
+  }
+
+  form.addEventListener('input', scheduleTransactionSearch);
+  form.addEventListener('submit', (event) => {
+    event.preventDefault();
+    searchTransactions(1);
+  });
+  document.getElementById('transaction-search-clear-button').addEventListener('click', () => {
+    form.reset();
+    searchTransactions(1);
+  });
+}
+
+/**
+ * Whether the history table shows search results
+ */
+function isTransactionSearchActive() {
+  return transactionSearchState.filters !== null;
+}
+
+/**
+ * Read the filters of the form, null when none is set
+ */
+function readTransactionFilters() {
+  const value = (id) => document.getElementById(id).value.trim();
+  const since = value('transaction-since');
+  const until = value('transaction-until');
+
+  // Whole days in local time, the end date included
+  const filters = {
+    query: value('transaction-search'),
+    direction: value('transaction-direction'),
+    minAmount: value('transaction-min-amount'),
+    maxAmount: value('transaction-max-amount'),
+    since: since ? new Date(`${since}T00:00:00`).toISOString() : '',
+    until: until ? new Date(`${until}T23:59:59.999`).toISOString() : '',
+    status: value('transaction-status')
+  };
+  return Object.values(filters).some(Boolean) ? filters : null;
+}
+
+/**
+ * Search once the filters stop changing
+ */
+function scheduleTransactionSearch() {
+  clearTimeout(transactionSearchState.timer);
+  transactionSearchState.timer = setTimeout(() => searchTransactions(1), SEARCH_DELAY_MS);
+}
+
+/**
+ * Show a page of the transactions matching the filters, or the pages of the
+ * server when no filter is set
+ */
+async function searchTransactions(page) {
+  clearTimeout(transactionSearchState.timer);
+  transactionSearchState.filters = readTransactionFilters();
+  if (!isTransactionSearchActive()) {
+    await loadTransactions(1);
+    return;
+  }
+
+  const result = await window.piWallet.searchTransactions({
+    ...transactionSearchState.filters,
+    page,
+    limit: TRANSACTIONS_PER_PAGE
+  });
+  if (!result.success) {
+    showWalletMessage(result.error);
+    return;
+  }
+
+  showWalletMessage('');
+  renderTransactions(result.data, {});
+
+  const { pagination: { total }, syncedAt } = result.data;
+  document.getElementById('wallet-transactions-age').textContent =
+    `${total} found, ${syncedAt ? `synced ${new Date(syncedAt).toLocaleString()}` : 'syncing...'}`;
+}
+
+/**
+ * Add the transactions made since the last sync to the index, and update the
+ * results shown. Offline, the transactions synced earlier stay searchable.
+ */
+async function syncTransactionIndex() {
+  const result = await window.piWallet.syncTransactions();
+  if (isTransactionSearchActive() && result.success) {
+    await searchTransactions(walletState.page);
+  }
+}
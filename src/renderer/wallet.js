@@ -0,0 +1,369 @@
+// Wallet dashboard of index.html: live balance, wallet address with copy and
+// QR code, paginated transaction history with search and filters (see
+// transaction-search.js), transaction details and the export of the history
+// to CSV, JSON or OFX. renderer.js calls setupWalletDashboard() on start and
+// refreshWallet() once the user is authenticated.
+
+// Transactions per page of the history
+const TRANSACTIONS_PER_PAGE = 10;
+
+// Labels of the transaction types
+const TRANSACTION_TYPE_LABELS = {
+  mining_reward: 'Mining reward',
+  transfer_in: 'Received',
+  transfer_out: 'Sent'
+};
+
+// Fields of the detail panel, in display order
+const TRANSACTION_DETAIL_FIELDS = [
+  ['id', 'Transaction ID'],
+  ['type', 'Type'],
+  ['amount', 'Amount'],
+  ['fee', 'Fee'],
+  ['counterparty', 'Counterparty'],
+  ['address', 'Address'],
+  ['memo', 'Memo'],
+  ['status', 'Status'],
+  ['timestamp', 'Date']
+];
+
+const walletState = {
+  page: 1,
+  pages: 1,
+  address: null,
+  selectedTransactionId: null
+};
+
+/**
+ * Bind the wallet controls and follow the updates pushed by the main process
+ */
+function setupWalletDashboard() {
+  if (!document.getElementById('wallet-section')) {
+    return;
+  }
+
+  document.getElementById('copy-address-button').addEventListener('click', copyWalletAddress);
+  document.getElementById('show-qr-button').addEventListener('click', toggleWalletQrCode);
+  document.getElementById('transactions-previous-button').addEventListener('click', () => {
+    loadTransactions(walletState.page - 1);
+  });
+  document.getElementById('transactions-next-button').addEventListener('click', () => {
+    loadTransactions(walletState.page + 1);
+  });
+  document.getElementById('close-transaction-detail-button').addEventListener('click', hideTransactionDetails);
+  setupTransactionSearch();
+  setupTransactionExport();
+
+  // Sent, received or settled transactions change the balance and the history
+  window.api.on('transaction-update', () => {
+    refreshWallet();
+  });
+
+  // Stale cached data shown earlier was refreshed in the background
+  window.api.on('api-cache-update', ({ endpoint, args, data, cachedAt }) => {
+    const fresh = { stale: false, cachedAt };
+    if (endpoint === '/wallet/balance') {
+      renderBalance(data, fresh);
+    } else if (endpoint === '/wallet/transactions' && args[0]?.page === walletState.page && !isTransactionSearchActive()) {
+      renderTransactions(data, fresh);
+    }
+  });
+}
+
+/**
+ * Reload the balance, the address and the current page of transactions, and
+ * sync the transaction index
+ */
+async function refreshWallet() {
+  await Promise.all([
+    loadBalance(),
+    loadWalletAddress(),
+    loadTransactions(walletState.page),
+    syncTransactionIndex(),
+    walletState.selectedTransactionId ? showTransactionDetails(walletState.selectedTransactionId) : null
+  ]);
+}
+
+/**
+ * Show an error of the wallet section, or clear it
+ */
+function showWalletMessage(text) {
+  const message = document.getElementById('wallet-message');
+  message.textContent = text || '';
+  message.style.color = 'red';
+}
+
+/**
+ * Describe how old the data of a result is, for results served from the cache
+ */
+function describeDataAge(result) {
+  if (!result.stale || !result.cachedAt) {
+    return '';
+  }
+  return `Saved ${new Date(result.cachedAt).toLocaleString()}, updating...`;
+}
+
+/**
+ * Load and show the balance
+ */
+async function loadBalance() {
+  const result = await window.piWallet.getBalance();
+  if (result.success) {
+    renderBalance(result.data, result);
+  } else {
+    showWalletMessage(result.error);
+  }
+}
+
+/**
+ * Show the balance
+ */
+function renderBalance(balance, result) {
+  document.getElementById('wallet-balance').textContent = balance.balance;
+  document.getElementById('wallet-pending').textContent = balance.pending || '0';
+  document.getElementById('wallet-balance-age').textContent = describeDataAge(result);
+}
+
+/**
+ * Load and show the wallet address
+ */
+async function loadWalletAddress() {
+  const result = await window.piWallet.getWalletAddress();
+  if (!result.success) {
+    showWalletMessage(result.error);
+    return;
+  }
+
+  walletState.address = result.data.address;
+  document.getElementById('wallet-address').textContent = walletState.address;
+
+  // Keep a visible QR code in line with the address
+  const canvas = document.getElementById('wallet-qr');
+  if (canvas.style.display !== 'none') {
+    await drawQrCode(canvas, walletState.address);
+  }
+}
+
+/**
+ * Copy the wallet address to the clipboard
+ */
+async function copyWalletAddress() {
+  if (!walletState.address) {
+    return;
+  }
+
+  const button = document.getElementById('copy-address-button');
+  try {
+    await navigator.clipboard.writeText(walletState.address);
+    button.textContent = 'Copied';
+    setTimeout(() => {
+      button.textContent = 'Copy';
+    }, 2000);
+  } catch (error) {
+    showWalletMessage('Could not copy the address');
+  }
+}
+
+/**
+ * Show or hide the QR code of the wallet address
+ */
+async function toggleWalletQrCode() {
+  const canvas = document.getElementById('wallet-qr');
+  const button = document.getElementById('show-qr-button');
+
+  if (canvas.style.display !== 'none') {
+    canvas.style.display = 'none';
+    button.textContent = 'Show QR Code';
+    return;
+  }
+  if (!walletState.address) {
+    return;
+  }
+
+  try {
+    await drawQrCode(canvas, walletState.address);
+    canvas.style.display = 'block';
+    button.textContent = 'Hide QR Code';
+  } catch (error) {
+    showWalletMessage(`Could not create the QR code: ${error.message}`);
+  }
+}
+
+/**
+ * Load and show a page of the transaction history, or of the search results
+ */
+async function loadTransactions(page) {
+  if (page < 1 || page > walletState.pages) {
+    return;
+  }
+  if (isTransactionSearchActive()) {
+    await searchTransactions(page);
+    return;
+  }
+
+  const result = await window.piWallet.getTransactionHistory({ page, limit: TRANSACTIONS_PER_PAGE });
+  if (result.success) {
+    renderTransactions(result.data, result);
+  } else {
+    showWalletMessage(result.error);
+  }
+}
+
+/**
+ * Show a page of the transaction history
+ */
+function renderTransactions({ transactions, pagination }, result) {
+  walletState.page = pagination.page;
+  walletState.pages = Math.max(pagination.pages, 1);
+
+  const list = document.getElementById('transaction-list');
+  list.innerHTML = '';
+
+  if (transactions.length === 0) {
+    const row = list.insertRow();
+    const cell = row.insertCell();
+    cell.colSpan = 5;
+    cell.textContent = isTransactionSearchActive() ? 'No matching transactions.' : 'No transactions yet.';
+  }
+
+  transactions.forEach((transaction) => {
+    const row = list.insertRow();
+    row.dataset.transactionId = transaction.id;
+    row.classList.toggle('selected', transaction.id === walletState.selectedTransactionId);
+
+    row.insertCell().textContent = new Date(transaction.timestamp).toLocaleString();
+    row.insertCell().textContent = describeTransactionType(transaction.type);
+    row.insertCell().textContent = transaction.counterparty || '-';
+
+    const amount = row.insertCell();
+    amount.textContent = `${transaction.amount} π`;
+    amount.className = transaction.amount.startsWith('-') ? 'amount-out' : 'amount-in';
+
+    row.insertCell().textContent = transaction.status;
+    row.addEventListener('click', () => showTransactionDetails(transaction.id));
+  });
+
+  document.getElementById('transactions-page').textContent = `Page ${walletState.page} of ${walletState.pages}`;
+  document.getElementById('transactions-previous-button').disabled = walletState.page <= 1;
+  document.getElementById('transactions-next-button').disabled = walletState.page >= walletState.pages;
+  document.getElementById('wallet-transactions-age').textContent = describeDataAge(result);
+}
+
+/**
+ * Human readable transaction type
+ */
+function describeTransactionType(type) {
+  return TRANSACTION_TYPE_LABELS[type] || type.replace(/_/g, ' ');
+}
+
+/**
+ * Load and show the details of a transaction
+ */
+async function showTransactionDetails(transactionId) {
+  const result = await window.piWallet.getTransactionDetails(transactionId);
+  if (!result.success) {
+    showWalletMessage(result.error);
+    return;
+  }
+
+  walletState.selectedTransactionId = transactionId;
+  document.querySelectorAll('#transaction-list tr').forEach((row) => {
+    row.classList.toggle('selected', row.dataset.transactionId === transactionId);
+  });
+
+  const fields = document.getElementById('transaction-detail-fields');
+  fields.innerHTML = '';
+  TRANSACTION_DETAIL_FIELDS.forEach(([key, label]) => {
+    const value = result.data[key];
+    if (value === undefined || value === null || value === '') {
+      return;
+    }
+
+    const term = document.createElement('dt');
+    term.textContent = label;
+    const description = document.createElement('dd');
+    if (key === 'timestamp') {
+      description.textContent = new Date(value).toLocaleString();
+    } else if (key === 'type') {
+      description.textContent = describeTransactionType(value);
+    } else if (key === 'amount' || key === 'fee') {
+      description.textContent = `${value} π`;
+    } else {
+      description.textContent = value;
+    }
+    fields.append(term, description);
+  });
+
+  document.getElementById('transaction-detail').style.display = 'block';
+}
+
+/**
+ * Close the detail panel
+ */
+function hideTransactionDetails() {
+  walletState.selectedTransactionId = null;
+  document.getElementById('transaction-detail').style.display = 'none';
+  document.querySelectorAll('#transaction-list tr.selected').forEach((row) => {
+    row.classList.remove('selected');
+  });
+}
+
+/**
+ * Offer the transaction fields as export columns, all selected
+ */
+function setupTransactionExport() {
+  const columns = document.getElementById('export-columns');
+  TRANSACTION_DETAIL_FIELDS.forEach(([key, label]) => {
+    const option = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = key;
+    checkbox.checked = true;
+    option.append(checkbox, ` ${label}`);
+    columns.appendChild(option);
+  });
+
+  document.getElementById('export-format').addEventListener('change', (event) => {
+    // OFX statements have a fixed layout
+    columns.disabled = event.target.value === 'ofx';
+  });
+  document.getElementById('export-form').addEventListener('submit', (event) => {
+    event.preventDefault();
+    exportTransactions();
+  });
+}
+
+/**
+ * Export the transactions of the chosen dates to a file picked in a save dialog
+ */
+async function exportTransactions() {
+  const since = document.getElementById('export-since').value;
+  const until = document.getElementById('export-until').value;
+  const message = document.getElementById('wallet-message');
+  const button = document.querySelector('#export-form button[type="submit"]');
+
+  // Whole days in local time, the end date included
+  const options = {
+    format: document.getElementById('export-format').value,
+    columns: Array.from(document.querySelectorAll('#export-columns input:checked')).map((input) => input.value),
+    since: since ? new Date(`${since}T00:00:00`).toISOString() : undefined,
+    until: until ? new Date(`${until}T23:59:59.999`).toISOString() : undefined
+  };
+
+  button.disabled = true;
+  message.textContent = 'Exporting transactions...';
+  message.style.color = 'orange';
+  try {
+    const result = await window.piWallet.exportTransactions(options);
+    if (!result.success) {
+      showWalletMessage(result.error);
+    } else if (result.data.canceled) {
+      showWalletMessage('');
+    } else {
+      message.textContent = `Exported ${result.data.count} transactions to ${result.data.filePath}`;
+      message.style.color = 'green';
+    }
+  } finally {
+    button.disabled = false;
+  }
+}
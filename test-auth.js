@@ -9,10 +9,12 @@
  * 
  * Usage:
  *   node test-auth.js --username yourusername --password yourpassword
+ *   node test-auth.js --username yourusername --password yourpassword --env local
  */
 
 const axios = require('axios');
 const { program } = require('commander');
+const { getConfig } = require('./src/config');
 const util = require('util');
 
 // Setup command line arguments
@@ -22,20 +24,24 @@ program
   .requiredOption('-u, --username <username>', 'Pi Network username or email')
   .requiredOption('-p, --password <password>', 'Pi Network password')
   .option('-v, --verbose', 'Enable verbose output')
+  .option('--env <name>', 'Environment profile: production, testnet or local')
+  .option('--api-url <url>', 'Override the API base URL of the environment')
   .parse(process.argv);
 
 const options = program.opts();
 
-// Configure API endpoints to test
+// Configure API endpoints to test, for the environment selected with --env,
+// --api-url, PI_NETWORK_ENV or PI_API_BASE_URL (see src/config.js)
+const config = getConfig();
 const endpoints = [
   {
     name: 'v2 endpoint',
-    url: 'https://api.minepi.com/v2/auth/login',
+    url: `${config.apiBaseURL}/auth/login`,
     description: 'Using /v2/auth/login path'
   },
   {
     name: 'direct endpoint', 
-    url: 'https://api.minepi.com/auth/login',
+    url: `${config.apiRootURL}/auth/login`,
     description: 'Using /auth/login path (without /v2)'
   }
 ];
@@ -179,6 +185,7 @@ async function main() {
   logger.info('Pi Network Authentication Endpoint Test');
   logger.info('--------------------------------------');
   logger.info(`Testing with username: ${options.username}`);
+  logger.info(`Environment: ${config.label} (${config.apiBaseURL})`);
   
   try {
     const results = [];
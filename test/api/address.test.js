@@ -0,0 +1,99 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  AddressError,
+  parseRecipient,
+  decodeAddress,
+  encodeAddress,
+  isValidAddress
+} = require('../../src/api/address');
+
+const ALICE = 'GB57VOJWIMXMNJ7HR3GWGTPMSBJJTJOTDKLX6T4VHKX5KWLUEAGJEINF';
+
+// Muxed address test vector of SEP-23
+const MUXED = 'MA7QYNF7SOWQ3GLR2BGMZEHXAVIRZA4KVWLTJJFC7MGXUA74P7UJVAAAAAAAAAAAAAJLK';
+const MUXED_BASE = 'GA7QYNF7SOWQ3GLR2BGMZEHXAVIRZA4KVWLTJJFC7MGXUA74P7UJVSGZ';
+
+describe('address', () => {
+  describe('decodeAddress', () => {
+    it('decodes account addresses', () => {
+      const decoded = decodeAddress(ALICE);
+
+      assert.equal(decoded.type, 'address');
+      assert.equal(decoded.publicKey.length, 32);
+      assert.equal(decoded.baseAddress, ALICE);
+      assert.equal(decoded.muxedId, null);
+      assert.equal(encodeAddress(decoded.publicKey), ALICE);
+    });
+
+    it('decodes muxed addresses into their account and id', () => {
+      const decoded = decodeAddress(MUXED);
+
+      assert.equal(decoded.type, 'muxed');
+      assert.equal(decoded.baseAddress, MUXED_BASE);
+      assert.equal(decoded.muxedId, '9223372036854775808');
+      assert.equal(encodeAddress(decoded.publicKey, decoded.muxedId), MUXED);
+    });
+
+    it('rejects typos, wrong lengths and foreign characters', () => {
+      const invalid = [
+        [`${ALICE.slice(0, -1)}E`, 'The address checksum does not match, check it for typos'],
+        [`${ALICE.slice(0, 10)}${ALICE[11]}${ALICE[10]}${ALICE.slice(12)}`, 'The address checksum does not match, check it for typos'],
+        [ALICE.slice(0, -1), 'Wallet addresses have 56 characters, this one has 55'],
+        [`${MUXED}A`, 'Muxed addresses have 69 characters, this one has 70'],
+        [ALICE.replace('O', '0'), 'Wallet addresses only contain the letters A to Z and the digits 2 to 7']
+      ];
+
+      invalid.forEach(([address, message]) => {
+        assert.throws(() => decodeAddress(address), { name: 'AddressError', code: 'INVALID_ADDRESS', message });
+      });
+    });
+
+    it('rejects an account address carrying the muxed version byte', () => {
+      const publicKey = decodeAddress(ALICE).publicKey;
+      const forged = `M${encodeAddress(publicKey).slice(1)}`;
+
+      assert.throws(() => decodeAddress(forged), { code: 'INVALID_ADDRESS' });
+    });
+  });
+
+  it('checks addresses with or without muxed ones', () => {
+    assert.equal(isValidAddress(ALICE), true);
+    assert.equal(isValidAddress(MUXED), true);
+    assert.equal(isValidAddress(MUXED, { muxed: false }), false);
+    assert.equal(isValidAddress('alice'), false);
+    assert.equal(isValidAddress(null), false);
+  });
+
+  describe('parseRecipient', () => {
+    it('tells usernames from addresses', () => {
+      assert.deepEqual(parseRecipient(' @alice '), { type: 'username', username: 'alice' });
+      assert.equal(parseRecipient(ALICE).type, 'address');
+      assert.equal(parseRecipient(` ${ALICE.toLowerCase()} `).address, ALICE);
+      assert.equal(parseRecipient(MUXED).muxedId, '9223372036854775808');
+      // Short names starting with G or M remain usernames
+      assert.equal(parseRecipient('GB57VOJ').type, 'username');
+    });
+
+    it('reports mistyped addresses instead of taking them for usernames', () => {
+      assert.throws(() => parseRecipient(ALICE.slice(0, 40)), (error) => {
+        assert.ok(error instanceof AddressError);
+        assert.equal(error.message, 'Wallet addresses have 56 characters, this one has 40');
+        return true;
+      });
+    });
+
+    it('refuses secret keys', () => {
+      assert.throws(() => parseRecipient('SBU2RRGLXH3E5CQHTD3ODLDF2BWDCYUSSBLLZ5GNW7JXHDIYKXZWHOKR'), {
+        code: 'INVALID_ADDRESS',
+        message: 'This is a secret key, not an address. Never share it.'
+      });
+    });
+
+    it('rejects invalid usernames and empty recipients', () => {
+      assert.throws(() => parseRecipient('   '), { code: 'INVALID_RECIPIENT' });
+      assert.throws(() => parseRecipient('alice smith'), { code: 'INVALID_USERNAME' });
+      assert.throws(() => parseRecipient(undefined), { code: 'INVALID_RECIPIENT' });
+    });
+  });
+});
@@ -0,0 +1,306 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockServer, createTestClient } = require('../helpers');
+const { createMemoryTokenStore } = require('../../src/api/auth');
+const { AuthError, NetworkError } = require('../../src/api/errors');
+
+describe('auth', () => {
+  let mock;
+  // Requests seen by the mock server, as "METHOD /path STATUS"
+  let requests = [];
+
+  before(async () => {
+    mock = await startMockServer({ log: (line) => requests.push(line) });
+  });
+
+  after(() => mock.close());
+
+  beforeEach(() => {
+    mock.state.reset();
+    mock.clearFaults();
+    requests = [];
+  });
+
+  const countRequests = (pattern) => requests.filter((line) => line.startsWith(pattern)).length;
+
+  describe('login', () => {
+    it('stores the tokens and returns the response data', async () => {
+      const client = await createTestClient(mock);
+      const changes = [];
+      client.auth.onTokenChange((tokens, reason) => changes.push(reason));
+
+      const data = await client.auth.login('pioneer', 'password123');
+
+      assert.equal(data.user.username, 'pioneer');
+      assert.equal(client.auth.getAuthToken(), data.token);
+      assert.equal(client.auth.getRefreshToken(), data.refreshToken);
+      assert.deepEqual(changes, ['set']);
+    });
+
+    it('rejects invalid credentials without storing tokens', async () => {
+      const client = await createTestClient(mock);
+
+      await assert.rejects(client.auth.login('pioneer', 'wrong'), (error) => {
+        assert.ok(error instanceof AuthError);
+        assert.equal(error.status, 401);
+        return true;
+      });
+      assert.equal(client.auth.getAuthToken(), null);
+    });
+
+    it('writes the tokens to the given token store', async () => {
+      const tokenStore = createMemoryTokenStore();
+      const client = await createTestClient(mock, { tokenStore, username: 'alice' });
+
+      assert.equal(tokenStore.get().token, client.auth.getAuthToken());
+    });
+  });
+
+  describe('request interceptor', () => {
+    it('sends the bearer token', async () => {
+      const client = await createTestClient(mock, { username: 'pioneer' });
+
+      const status = await client.auth.checkAuthStatus();
+
+      assert.equal(status.authenticated, true);
+      assert.equal(status.user.username, 'pioneer');
+    });
+
+    it('sends no token before login', async () => {
+      const client = await createTestClient(mock);
+
+      await assert.rejects(client.auth.checkAuthStatus(), (error) => {
+        assert.equal(error.code, 'UNAUTHORIZED');
+        return true;
+      });
+    });
+
+    it('waits for a refresh in flight before sending', async () => {
+      const client = await createTestClient(mock, { username: 'pioneer' });
+      mock.state.expireTokens();
+
+      const refresh = client.auth.refreshSession();
+      const status = await client.auth.checkAuthStatus();
+
+      assert.equal(status.authenticated, true);
+      assert.equal(await refresh, client.auth.getAuthToken());
+      assert.equal(countRequests('GET /v2/auth/status 401'), 0);
+    });
+  });
+
+  describe('response interceptor', () => {
+    it('refreshes the token on a 401 and retries the request', async () => {
+      const client = await createTestClient(mock, { username: 'pioneer' });
+      const oldToken = client.auth.getAuthToken();
+      const changes = [];
+      client.auth.onTokenChange((tokens, reason) => changes.push(reason));
+      mock.injectFault({ status: 401, path: '/wallet/balance' });
+
+      const balance = await client.wallet.getBalance();
+
+      assert.equal(balance.balance, '123.45');
+      assert.notEqual(client.auth.getAuthToken(), oldToken);
+      assert.deepEqual(changes, ['refresh']);
+      assert.equal(countRequests('POST /v2/auth/refresh 200'), 1);
+      assert.equal(countRequests('GET /v2/wallet/balance'), 2);
+    });
+
+    it('refreshes once for parallel 401 responses', async () => {
+      const client = await createTestClient(mock, { username: 'pioneer' });
+      mock.state.expireTokens();
+
+      const results = await Promise.all([
+        client.wallet.getBalance(),
+        client.wallet.getWalletAddress(),
+        client.mining.getMiningRate(),
+        client.user.getProfile(),
+        client.social.getSecurityCircle()
+      ]);
+
+      assert.equal(results.length, 5);
+      assert.equal(countRequests('POST /v2/auth/refresh'), 1);
+    });
+
+    it('retries without refreshing when the token changed meanwhile', async () => {
+      const client = await createTestClient(mock, { username: 'pioneer' });
+      const staleToken = client.auth.getAuthToken();
+      await client.auth.refreshSession();
+      mock.state.expireToken(staleToken);
+
+      // Send a request with the stale token, as if it had been queued before the refresh
+      const response = await client.auth.authClient.get('/wallet/balance', {
+        headers: { Authorization: `Bearer ${staleToken}` }
+      });
+
+      assert.equal(response.status, 200);
+      assert.equal(countRequests('POST /v2/auth/refresh'), 1);
+    });
+
+    it('does not retry a second time', async () => {
+      const client = await createTestClient(mock, { username: 'pioneer' });
+      mock.injectFault({ status: 401, path: '/wallet/balance', count: 2 });
+
+      await assert.rejects(client.wallet.getBalance(), (error) => {
+        assert.equal(error.status, 401);
+        return true;
+      });
+      assert.equal(countRequests('POST /v2/auth/refresh'), 1);
+    });
+
+    it('clears the tokens when the refresh fails', async () => {
+      const client = await createTestClient(mock, { username: 'pioneer' });
+      const changes = [];
+      client.auth.onTokenChange((tokens, reason) => changes.push([tokens, reason]));
+      mock.state.expireTokens();
+      mock.state.refreshTokens.clear();
+
+      await assert.rejects(client.wallet.getBalance(), (error) => {
+        assert.equal(error.status, 401);
+        return true;
+      });
+      assert.equal(client.auth.getAuthToken(), null);
+      assert.equal(client.auth.getRefreshToken(), null);
+      assert.deepEqual(changes, [[null, 'expired']]);
+    });
+
+    it('keeps the session when the refresh fails on the server', async () => {
+      const client = await createTestClient(mock, { username: 'pioneer' });
+      const refreshToken = client.auth.getRefreshToken();
+      mock.state.expireTokens();
+      mock.injectFault({ status: 500, path: '/auth/refresh' });
+
+      await assert.rejects(client.wallet.getBalance(), (error) => {
+        assert.equal(error.status, 500);
+        return true;
+      });
+      assert.equal(client.auth.getRefreshToken(), refreshToken);
+
+      // The next 401 refreshes again and the request goes through
+      const balance = await client.wallet.getBalance();
+      assert.equal(balance.balance, '123.45');
+    });
+
+    it('passes other errors through', async () => {
+      const client = await createTestClient(mock, { username: 'pioneer' });
+      mock.injectFault({ status: 500, path: '/wallet/balance' });
+
+      await assert.rejects(client.wallet.getBalance(), (error) => {
+        assert.equal(error.status, 500);
+        return true;
+      });
+      assert.equal(countRequests('POST /v2/auth/refresh'), 0);
+    });
+  });
+
+  describe('refreshSession', () => {
+    it('fails and clears the session without a refresh token', async () => {
+      const client = await createTestClient(mock);
+      client.auth.setTokens('token-only', null);
+
+      await assert.rejects(client.auth.refreshSession(), (error) => {
+        assert.ok(error instanceof AuthError);
+        assert.equal(error.code, 'NO_REFRESH_TOKEN');
+        return true;
+      });
+      assert.equal(client.auth.getAuthToken(), null);
+    });
+
+    it('keeps the tokens when the refresh fails on the server', async () => {
+      const client = await createTestClient(mock, { username: 'pioneer' });
+      const authToken = client.auth.getAuthToken();
+      const refreshToken = client.auth.getRefreshToken();
+      const changes = [];
+      client.auth.onTokenChange((tokens, reason) => changes.push(reason));
+      mock.injectFault({ status: 500, path: '/auth/refresh' });
+
+      await assert.rejects(client.auth.refreshSession(), (error) => {
+        assert.equal(error.status, 500);
+        return true;
+      });
+      assert.equal(client.auth.getAuthToken(), authToken);
+      assert.equal(client.auth.getRefreshToken(), refreshToken);
+      assert.deepEqual(changes, []);
+
+      assert.notEqual(await client.auth.refreshSession(), authToken);
+    });
+
+    it('keeps the tokens when the refresh times out', async () => {
+      const client = await createTestClient(mock, { username: 'pioneer', timeout: 50 });
+      const refreshToken = client.auth.getRefreshToken();
+      mock.setOptions({ latency: 200 });
+
+      try {
+        await assert.rejects(client.auth.refreshSession(), (error) => {
+          assert.ok(error instanceof NetworkError);
+          return true;
+        });
+        assert.equal(client.auth.getRefreshToken(), refreshToken);
+      } finally {
+        mock.setOptions({ latency: 0 });
+      }
+    });
+
+    it('keeps the refresh token when the response has none', async () => {
+      const client = await createTestClient(mock, { username: 'pioneer' });
+      const refreshToken = client.auth.getRefreshToken();
+      mock.state.refresh = () => ({ token: 'new-token', expiresIn: 60 });
+
+      try {
+        assert.equal(await client.auth.refreshSession(), 'new-token');
+        assert.equal(client.auth.getRefreshToken(), refreshToken);
+      } finally {
+        delete mock.state.refresh;
+      }
+    });
+  });
+
+  describe('logout', () => {
+    it('invalidates the session on the server and clears the tokens', async () => {
+      const client = await createTestClient(mock, { username: 'pioneer' });
+      const token = client.auth.getAuthToken();
+
+      await client.auth.logout();
+
+      assert.equal(client.auth.getAuthToken(), null);
+      assert.throws(() => mock.state.authenticate(token), /Invalid or missing token/);
+    });
+
+    it('clears the tokens even if the request fails', async () => {
+      const client = await createTestClient(mock, { username: 'pioneer' });
+      mock.injectFault({ status: 500, path: '/auth/logout' });
+
+      await assert.rejects(client.auth.logout());
+      assert.equal(client.auth.getAuthToken(), null);
+    });
+  });
+
+  describe('createClient', () => {
+    it('keeps the sessions of separate clients apart', async () => {
+      const first = await createTestClient(mock, { username: 'pioneer' });
+      const second = await createTestClient(mock, { username: 'alice' });
+
+      const [firstProfile, secondProfile] = await Promise.all([
+        first.user.getProfile(),
+        second.user.getProfile()
+      ]);
+
+      assert.equal(firstProfile.username, 'pioneer');
+      assert.equal(secondProfile.username, 'alice');
+    });
+
+    it('applies the timeout option', async () => {
+      const client = await createTestClient(mock, { username: 'pioneer', timeout: 50 });
+      mock.setOptions({ latency: 200 });
+
+      try {
+        await assert.rejects(client.wallet.getBalance(), (error) => {
+          assert.ok(error instanceof NetworkError);
+          assert.equal(error.timeout, true);
+          return true;
+        });
+      } finally {
+        mock.setOptions({ latency: 0 });
+      }
+    });
+  });
+});
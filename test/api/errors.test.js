@@ -0,0 +1,132 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  ApiError,
+  AuthError,
+  NotFoundError,
+  ServerError,
+  ValidationError,
+  InsufficientFundsError,
+  MiningSessionActiveError,
+  RateLimitError,
+  NetworkError,
+  toApiError,
+  serializeError,
+  deserializeError
+} = require('../../src/api/errors');
+
+// Minimal axios error for a response
+const responseError = (status, data, headers = {}) => ({
+  isAxiosError: true,
+  message: `Request failed with status code ${status}`,
+  response: { status, data, headers }
+});
+
+describe('errors', () => {
+  describe('toApiError', () => {
+    const cases = [
+      [400, { error: 'Bad input' }, ValidationError],
+      [422, { error: 'Bad input' }, ValidationError],
+      [401, { error: 'Token expired', code: 'TOKEN_EXPIRED' }, AuthError],
+      [403, { error: 'Forbidden' }, AuthError],
+      [404, { error: 'Not found' }, NotFoundError],
+      [409, { error: 'Conflict' }, ApiError],
+      [500, { error: 'Oops' }, ServerError],
+      [503, 'Service unavailable', ServerError],
+      [400, { error: 'Insufficient balance', code: 'INSUFFICIENT_FUNDS' }, InsufficientFundsError],
+      [409, { error: 'Already mining', code: 'MINING_SESSION_ACTIVE' }, MiningSessionActiveError]
+    ];
+
+    cases.forEach(([status, body, ErrorClass]) => {
+      it(`maps ${status} ${JSON.stringify(body)} to ${ErrorClass.name}`, () => {
+        const error = toApiError(responseError(status, body));
+
+        assert.ok(error instanceof ErrorClass);
+        assert.equal(error.name, ErrorClass.name);
+        assert.equal(error.status, status);
+      });
+    });
+
+    it('keeps the message, code and details of the body', () => {
+      const cause = responseError(400, { error: 'Bad input', code: 'VALIDATION_ERROR', details: { field: 'amount' } });
+
+      const error = toApiError(cause);
+
+      assert.equal(error.message, 'Bad input');
+      assert.equal(error.code, 'VALIDATION_ERROR');
+      assert.deepEqual(error.details, { field: 'amount' });
+      assert.equal(error.cause, cause);
+    });
+
+    it('falls back to a generic message for empty bodies', () => {
+      assert.equal(toApiError(responseError(502, '')).message, 'Request failed with status code 502');
+    });
+
+    it('reads Retry-After on 429', () => {
+      const error = toApiError(responseError(429, { error: 'Too many requests' }, { 'retry-after': '12' }));
+
+      assert.ok(error instanceof RateLimitError);
+      assert.equal(error.retryAfter, 12);
+      assert.equal(error.message, 'Too many requests. Try again in 12 seconds.');
+      assert.equal(toApiError(responseError(429, {})).message, 'Too many requests. Please try again later.');
+    });
+
+    it('maps requests without a response to NetworkError', () => {
+      const refused = toApiError({ isAxiosError: true, code: 'ECONNREFUSED', message: 'connect ECONNREFUSED' });
+      const timedOut = toApiError({ isAxiosError: true, code: 'ECONNABORTED', message: 'timeout of 10ms exceeded' });
+
+      assert.ok(refused instanceof NetworkError);
+      assert.equal(refused.code, 'ECONNREFUSED');
+      assert.equal(refused.timeout, false);
+      assert.equal(timedOut.timeout, true);
+    });
+
+    it('leaves other errors unchanged', () => {
+      const typed = new AuthError('Nope');
+      const plain = new TypeError('x is undefined');
+
+      const canceled = { isAxiosError: true, code: 'ERR_CANCELED', message: 'canceled' };
+
+      assert.equal(toApiError(typed), typed);
+      assert.equal(toApiError(plain), plain);
+      assert.equal(toApiError(canceled), canceled);
+    });
+  });
+
+  describe('serialization', () => {
+    it('survives a structured clone, like IPC', () => {
+      const error = toApiError(responseError(429, { error: 'Slow down', code: 'RATE_LIMITED' }, { 'retry-after': '3' }));
+
+      const serialized = structuredClone(serializeError(error));
+      const rebuilt = deserializeError(serialized);
+
+      assert.deepEqual(serialized, {
+        name: 'RateLimitError',
+        message: 'Slow down. Try again in 3 seconds.',
+        code: 'RATE_LIMITED',
+        status: 429,
+        details: undefined,
+        retryAfter: 3
+      });
+      assert.ok(rebuilt instanceof RateLimitError);
+      assert.equal(rebuilt.retryAfter, 3);
+    });
+
+    it('does not include the axios error', () => {
+      const serialized = serializeError(toApiError(responseError(500, { error: 'Oops' })));
+
+      assert.equal(JSON.stringify(serialized).includes('isAxiosError'), false);
+    });
+
+    it('serializes unexpected errors by message', () => {
+      assert.deepEqual(serializeError(new Error('Boom')), { name: 'Error', message: 'Boom', code: undefined });
+    });
+
+    it('rebuilds unknown names as the base class', () => {
+      const error = deserializeError({ name: 'SomethingElse', message: 'Hmm' });
+
+      assert.equal(error.name, 'PiNetworkError');
+      assert.equal(error.message, 'Hmm');
+    });
+  });
+});
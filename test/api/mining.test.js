@@ -0,0 +1,103 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockServer, createTestClient } = require('../helpers');
+const { MiningSessionActiveError } = require('../../src/api/errors');
+
+describe('mining', () => {
+  let mock;
+  let client;
+
+  before(async () => {
+    mock = await startMockServer();
+  });
+
+  after(() => mock.close());
+
+  beforeEach(async () => {
+    mock.state.reset();
+    mock.clearFaults();
+    client = await createTestClient(mock, { username: 'pioneer' });
+  });
+
+  describe('startMiningSession', () => {
+    it('starts a session with the default duration', async () => {
+      const session = await client.mining.startMiningSession();
+
+      assert.ok(session.sessionId);
+      assert.equal(Date.parse(session.endTime) - Date.parse(session.startTime), 3600 * 1000);
+    });
+
+    it('passes the duration', async () => {
+      const session = await client.mining.startMiningSession({ duration: 60 });
+
+      assert.equal(Date.parse(session.endTime) - Date.parse(session.startTime), 60 * 1000);
+    });
+
+    it('rejects a second session while one is active', async () => {
+      await client.mining.startMiningSession();
+
+      await assert.rejects(client.mining.startMiningSession(), (error) => {
+        assert.ok(error instanceof MiningSessionActiveError);
+        assert.equal(error.status, 409);
+        assert.equal(error.code, 'MINING_SESSION_ACTIVE');
+        return true;
+      });
+    });
+  });
+
+  describe('checkMiningStatus', () => {
+    it('reports no session before mining starts', async () => {
+      const status = await client.mining.checkMiningStatus();
+
+      assert.equal(status.active, false);
+    });
+
+    it('reports the active session', async () => {
+      const { sessionId } = await client.mining.startMiningSession();
+
+      const status = await client.mining.checkMiningStatus();
+
+      assert.equal(status.active, true);
+      assert.equal(status.sessionId, sessionId);
+    });
+  });
+
+  describe('getMiningHistory', () => {
+    it('returns past sessions, newest first', async () => {
+      const { sessions, pagination } = await client.mining.getMiningHistory();
+
+      assert.equal(pagination.total, 45);
+      assert.equal(sessions[0].sessionId, 'session-pioneer-1');
+    });
+
+    it('passes the paging and date filters', async () => {
+      const endDate = new Date().toISOString();
+      const startDate = new Date(Date.now() - 3.5 * 24 * 60 * 60 * 1000).toISOString();
+
+      const { sessions, pagination } = await client.mining.getMiningHistory({ startDate, endDate, limit: 2, page: 2 });
+
+      assert.equal(pagination.total, 3);
+      assert.equal(pagination.page, 2);
+      assert.deepEqual(sessions.map((session) => session.sessionId), ['session-pioneer-3']);
+    });
+  });
+
+  describe('getMiningRate', () => {
+    it('includes the security circle bonus', async () => {
+      const rate = await client.mining.getMiningRate();
+
+      assert.equal(rate.baseRate, '0.25');
+      assert.equal(rate.bonuses.securityCircle, '0.04');
+      assert.equal(rate.rate, '0.29');
+    });
+
+    it('rethrows request errors', async () => {
+      mock.injectFault({ status: 503, path: '/mining/rate' });
+
+      await assert.rejects(client.mining.getMiningRate(), (error) => {
+        assert.equal(error.status, 503);
+        return true;
+      });
+    });
+  });
+});
@@ -0,0 +1,159 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockServer, createTestClient } = require('../helpers');
+const { iteratePages, collect } = require('../../src/api/pagination');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('pagination', () => {
+  let mock;
+  let client;
+  const requests = [];
+
+  // Paths of the list requests made since the test started
+  const pageRequests = (path) => requests.filter((line) => line.startsWith(`GET /v2${path}?`));
+
+  before(async () => {
+    mock = await startMockServer({ log: (line) => requests.push(line) });
+  });
+
+  after(() => mock.close());
+
+  beforeEach(async () => {
+    mock.state.reset();
+    mock.clearFaults();
+    client = await createTestClient(mock, { username: 'pioneer' });
+    requests.length = 0;
+  });
+
+  describe('iterateTransactions', () => {
+    it('yields every transaction across pages, newest first', async () => {
+      const transactions = await collect(client.wallet.iterateTransactions({ pageSize: 20 }));
+
+      assert.equal(transactions.length, 45);
+      assert.equal(new Set(transactions.map((transaction) => transaction.id)).size, 45);
+      assert.ok(Date.parse(transactions[0].timestamp) > Date.parse(transactions[44].timestamp));
+      assert.equal(pageRequests('/wallet/transactions').length, 3);
+    });
+
+    it('stops at the date cutoff without fetching older pages', async () => {
+      const since = new Date(Date.now() - 10.5 * DAY_MS);
+
+      const transactions = await collect(client.wallet.iterateTransactions({ since, pageSize: 5 }));
+
+      assert.equal(transactions.length, 11);
+      assert.ok(transactions.every((transaction) => Date.parse(transaction.timestamp) >= since.getTime()));
+      assert.equal(pageRequests('/wallet/transactions').length, 3);
+    });
+
+    it('skips transactions after until, in ascending order too', async () => {
+      const until = new Date(Date.now() - 40.5 * DAY_MS).toISOString();
+
+      const newest = await collect(client.wallet.iterateTransactions({ until }));
+      const oldest = await collect(client.wallet.iterateTransactions({ until, sort: 'asc', pageSize: 2 }));
+
+      assert.equal(newest.length, 4);
+      assert.deepEqual(oldest.map((transaction) => transaction.id), newest.map((transaction) => transaction.id).reverse());
+      assert.equal(pageRequests('/wallet/transactions').length, 1 + 3);
+    });
+
+    it('stops after maxItems', async () => {
+      const transactions = await collect(client.wallet.iterateTransactions({ maxItems: 7, pageSize: 5 }));
+
+      assert.equal(transactions.length, 7);
+      assert.equal(pageRequests('/wallet/transactions').length, 2);
+    });
+
+    it('stops when stopWhen returns true', async () => {
+      const seen = await collect(client.wallet.iterateTransactions({
+        stopWhen: (transaction) => transaction.id === 'tx-pioneer-4'
+      }));
+
+      assert.deepEqual(seen.map((transaction) => transaction.id), ['tx-pioneer-1', 'tx-pioneer-2', 'tx-pioneer-3']);
+    });
+
+    it('requests no further page when the loop breaks', async () => {
+      for await (const transaction of client.wallet.iterateTransactions({ pageSize: 5 })) {
+        if (transaction.id === 'tx-pioneer-2') {
+          break;
+        }
+      }
+
+      assert.equal(pageRequests('/wallet/transactions').length, 1);
+    });
+
+    it('rejects invalid dates', async () => {
+      await assert.rejects(collect(client.wallet.iterateTransactions({ since: 'last week' })), {
+        name: 'TypeError',
+        message: 'since must be a valid date'
+      });
+    });
+  });
+
+  describe('cancellation', () => {
+    it('stops with the abort reason when the signal fires between items', async () => {
+      const controller = new AbortController();
+      const seen = [];
+
+      await assert.rejects(async () => {
+        for await (const transaction of client.wallet.iterateTransactions({ pageSize: 10, signal: controller.signal })) {
+          seen.push(transaction);
+          if (seen.length === 3) {
+            controller.abort();
+          }
+        }
+      }, { name: 'AbortError' });
+
+      assert.equal(seen.length, 3);
+      assert.equal(pageRequests('/wallet/transactions').length, 1);
+    });
+
+    it('cancels the request in flight', async (t) => {
+      mock.setOptions({ latency: 200 });
+      t.after(() => mock.setOptions({ latency: 0 }));
+      const controller = new AbortController();
+      setTimeout(() => controller.abort(new Error('Export cancelled')), 20);
+
+      await assert.rejects(collect(client.mining.iterateMiningHistory({ signal: controller.signal })), {
+        message: 'Export cancelled'
+      });
+    });
+
+    it('does not start when the signal already fired', async () => {
+      await assert.rejects(collect(client.wallet.iterateTransactions({ signal: AbortSignal.abort() })), { name: 'AbortError' });
+
+      assert.equal(pageRequests('/wallet/transactions').length, 0);
+    });
+  });
+
+  describe('other endpoints', () => {
+    it('iterateMiningHistory yields past sessions', async () => {
+      const sessions = await collect(client.mining.iterateMiningHistory({ since: Date.now() - 5.5 * DAY_MS }));
+
+      assert.equal(sessions.length, 5);
+      assert.equal(sessions[0].sessionId, 'session-pioneer-1');
+    });
+
+    it('iterates sent and received invitations', async () => {
+      await client.social.inviteUser({ phoneNumber: '+1 555 0100' });
+      await client.social.inviteUser({ phoneNumber: '+1 555 0101' });
+
+      const sent = await collect(client.social.iterateSentInvitations({ pageSize: 1 }));
+      const received = await collect(client.social.iterateReceivedInvitations());
+
+      assert.deepEqual(sent.map((invitation) => invitation.phoneNumber), ['+1 555 0101', '+1 555 0100']);
+      assert.deepEqual(received.map((invitation) => invitation.id), ['inv-dave-pioneer', 'inv-alice-pioneer']);
+    });
+  });
+
+  it('iteratePages ends on an empty page', async () => {
+    const pages = [];
+    const fetchPage = async ({ page }) => {
+      pages.push(page);
+      return { items: [], pagination: { page, pages: 10 } };
+    };
+
+    assert.deepEqual(await collect(iteratePages(fetchPage, { itemsKey: 'items', dateKey: 'date' })), []);
+    assert.deepEqual(pages, [1]);
+  });
+});
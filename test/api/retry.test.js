@@ -0,0 +1,216 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockServer, createTestClient, quietLogger } = require('../helpers');
+const { computeDelay, getRetryDecision, parseRetryAfter, DEFAULT_RETRY_POLICY } = require('../../src/api/retry');
+
+// Fast policy so the tests don't wait for real backoff delays
+const FAST_RETRY = { baseDelay: 1, maxDelay: 5 };
+
+describe('retry', () => {
+  let mock;
+  let requests = [];
+
+  before(async () => {
+    mock = await startMockServer({ log: (line) => requests.push(line) });
+  });
+
+  after(() => mock.close());
+
+  beforeEach(() => {
+    mock.state.reset();
+    mock.clearFaults();
+    requests = [];
+  });
+
+  const countRequests = (pattern) => requests.filter((line) => line.startsWith(pattern)).length;
+
+  describe('parseRetryAfter', () => {
+    it('reads seconds', () => {
+      assert.equal(parseRetryAfter('2'), 2000);
+      assert.equal(parseRetryAfter('0.5'), 500);
+    });
+
+    it('reads HTTP dates', () => {
+      const now = Date.parse('2024-01-01T00:00:00Z');
+
+      assert.equal(parseRetryAfter('Mon, 01 Jan 2024 00:00:03 GMT', now), 3000);
+      assert.equal(parseRetryAfter('Sun, 31 Dec 2023 23:59:00 GMT', now), 0);
+    });
+
+    it('ignores missing and invalid values', () => {
+      assert.equal(parseRetryAfter(undefined), null);
+      assert.equal(parseRetryAfter(''), null);
+      assert.equal(parseRetryAfter('soon'), null);
+    });
+  });
+
+  describe('computeDelay', () => {
+    const policy = { ...DEFAULT_RETRY_POLICY, baseDelay: 100, maxDelay: 1000, jitter: 0.5 };
+
+    it('doubles the delay for each retry up to the maximum', () => {
+      const noJitter = () => 0;
+
+      assert.deepEqual([1, 2, 3, 4, 5].map((attempt) => computeDelay(attempt, policy, noJitter)), [100, 200, 400, 800, 1000]);
+    });
+
+    it('randomizes the jitter share of the delay', () => {
+      assert.equal(computeDelay(2, policy, () => 0.999), 100);
+      assert.equal(computeDelay(2, { ...policy, jitter: 0 }, () => 0.999), 200);
+    });
+  });
+
+  describe('getRetryDecision', () => {
+    const policy = { ...DEFAULT_RETRY_POLICY };
+    const responseError = (method, status, headers = {}) => ({
+      config: { method, headers: {} },
+      response: { status, headers }
+    });
+
+    it('retries idempotent requests on 5xx', () => {
+      assert.equal(getRetryDecision(responseError('get', 503), policy, 1).retry, true);
+      assert.equal(getRetryDecision(responseError('post', 503), policy, 1).retry, false);
+    });
+
+    it('retries any request on 429', () => {
+      const decision = getRetryDecision(responseError('post', 429, { 'retry-after': '2' }), policy, 1);
+
+      assert.deepEqual(decision, { retry: true, delay: 2000, reason: 'status 429, Retry-After' });
+    });
+
+    it('gives up when Retry-After is too long', () => {
+      assert.equal(getRetryDecision(responseError('get', 429, { 'retry-after': '120' }), policy, 1).retry, false);
+    });
+
+    it('treats requests with an Idempotency-Key as idempotent', () => {
+      const error = responseError('post', 502);
+      error.config.headers['Idempotency-Key'] = 'key-1';
+
+      assert.equal(getRetryDecision(error, policy, 1).retry, true);
+    });
+
+    it('retries POST only when the connection was never made', () => {
+      const networkError = (code) => ({ code, config: { method: 'post', headers: {} } });
+
+      assert.equal(getRetryDecision(networkError('ECONNREFUSED'), policy, 1).retry, true);
+      assert.equal(getRetryDecision(networkError('ECONNRESET'), policy, 1).retry, false);
+      assert.equal(getRetryDecision(networkError('ECONNABORTED'), policy, 1).retry, false);
+    });
+
+    it('stops after the configured retries', () => {
+      assert.equal(getRetryDecision(responseError('get', 500), policy, policy.retries + 1).retry, false);
+    });
+  });
+
+  describe('client', () => {
+    it('retries a GET on 5xx until it succeeds', async () => {
+      const client = await createTestClient(mock, { username: 'pioneer', retry: FAST_RETRY });
+      mock.injectFault({ status: 503, path: '/wallet/balance', count: 2 });
+
+      const balance = await client.wallet.getBalance();
+
+      assert.equal(balance.balance, '123.45');
+      assert.equal(countRequests('GET /v2/wallet/balance'), 3);
+    });
+
+    it('fails once the retries are used up', async () => {
+      const client = await createTestClient(mock, { username: 'pioneer', retry: { ...FAST_RETRY, retries: 2 } });
+      mock.injectFault({ status: 500, path: '/mining/rate', count: 5 });
+
+      await assert.rejects(client.mining.getMiningRate(), (error) => {
+        assert.equal(error.status, 500);
+        return true;
+      });
+      assert.equal(countRequests('GET /v2/mining/rate'), 3);
+    });
+
+    it('retries sending Pi after a server error, as it carries an Idempotency-Key', async () => {
+      const client = await createTestClient(mock, { username: 'pioneer', retry: FAST_RETRY });
+      mock.injectFault({ status: 500, path: '/wallet/send' });
+
+      const result = await client.wallet.sendPi('alice', 1);
+
+      assert.equal(result.success, true);
+      assert.equal(countRequests('POST /v2/wallet/send'), 2);
+      assert.equal(mock.state.inspect('alice').balance, '43.5');
+    });
+
+    it('pays once when a payment is repeated with its Idempotency-Key', async () => {
+      const client = await createTestClient(mock, { username: 'pioneer', retry: FAST_RETRY });
+
+      const first = await client.wallet.sendPi('alice', 1, 'Lunch', { idempotencyKey: 'payment-1' });
+      const second = await client.wallet.sendPi('alice', 1, 'Lunch', { idempotencyKey: 'payment-1' });
+
+      assert.equal(second.transaction.id, first.transaction.id);
+      assert.equal(mock.state.inspect('alice').balance, '43.5');
+      await assert.rejects(client.wallet.sendPi('alice', 2, 'Lunch', { idempotencyKey: 'payment-1' }), {
+        name: 'ValidationError',
+        code: 'IDEMPOTENCY_CONFLICT'
+      });
+    });
+
+    it('never retries starting a mining session after a server error', async () => {
+      const client = await createTestClient(mock, { username: 'pioneer', retry: FAST_RETRY });
+      mock.injectFault({ status: 502, path: '/mining/start' });
+
+      await assert.rejects(client.mining.startMiningSession());
+      assert.equal(countRequests('POST /v2/mining/start'), 1);
+    });
+
+    it('retries a rate limited send after Retry-After', async () => {
+      const client = await createTestClient(mock, { username: 'pioneer', retry: FAST_RETRY });
+      mock.injectFault({ status: 429, path: '/wallet/send', retryAfter: 0 });
+
+      const result = await client.wallet.sendPi('alice', 1);
+
+      assert.equal(result.success, true);
+      assert.equal(countRequests('POST /v2/wallet/send'), 2);
+      assert.equal(mock.state.inspect('alice').balance, '43.5');
+    });
+
+    it('retries PATCH calls marked idempotent', async () => {
+      const client = await createTestClient(mock, { username: 'pioneer', retry: FAST_RETRY });
+      mock.injectFault({ status: 503, path: '/user/profile', method: 'PATCH' });
+
+      const profile = await client.user.updateProfile({ bio: 'Retried' });
+
+      assert.equal(profile.bio, 'Retried');
+    });
+
+    it('lets a request override the policy', async () => {
+      const client = await createTestClient(mock, { username: 'pioneer', retry: FAST_RETRY });
+      mock.injectFault({ status: 503, path: '/wallet/balance' });
+
+      await assert.rejects(client.auth.authClient.get('/wallet/balance', { retry: false }));
+      assert.equal(countRequests('GET /v2/wallet/balance'), 1);
+    });
+
+    it('retries network failures', async () => {
+      const client = await createTestClient({ url: 'http://127.0.0.1:9/v2' }, { retry: { ...FAST_RETRY, retries: 2 } });
+      const attempts = [];
+      client.auth.authClient.interceptors.request.use((config) => {
+        attempts.push(config.url);
+        return config;
+      });
+
+      await assert.rejects(client.auth.checkAuthStatus(), (error) => {
+        assert.equal(error.code, 'ECONNREFUSED');
+        return true;
+      });
+      assert.equal(attempts.length, 3);
+    });
+
+    it('logs each retry', async () => {
+      const entries = [];
+      const logger = { ...quietLogger, debug: (label, data) => entries.push([label, data]) };
+      const client = await createTestClient(mock, { username: 'pioneer', retry: FAST_RETRY, logger });
+      mock.injectFault({ status: 500, path: '/wallet/address' });
+
+      await client.wallet.getWalletAddress();
+
+      const retries = entries.filter(([label]) => label === 'Request Retry');
+      assert.equal(retries.length, 1);
+      assert.equal(retries[0][1].attempt, 1);
+      assert.equal(retries[0][1].reason, 'status 500');
+    });
+  });
+});
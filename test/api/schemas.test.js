@@ -0,0 +1,122 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createTestClient } = require('../helpers');
+const { SchemaMismatchError, deserializeError, serializeError } = require('../../src/api/errors');
+const { RESPONSE_SCHEMAS, findSchema, checkSchema } = require('../../src/api/schemas');
+
+// Server answering each 'METHOD /path' with a fixed status and body
+const startFakeApi = async (routes) => {
+  const server = http.createServer((req, res) => {
+    const [status, body] = routes[`${req.method} ${req.url.split('?')[0]}`] || [404, { error: 'Not found' }];
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/v2`,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+};
+
+describe('schemas', () => {
+  describe('checkSchema', () => {
+    const balance = RESPONSE_SCHEMAS['GET /wallet/balance'];
+
+    it('accepts a documented response and extra fields', () => {
+      assert.deepEqual(checkSchema(balance, { balance: '123.45', pending: '0.5', totalEarned: '150.0', locked: '1' }), []);
+    });
+
+    it('reports missing fields and wrong types with their path', () => {
+      assert.deepEqual(checkSchema(balance, { amount: '1.0' }), ['response.balance is missing']);
+      assert.deepEqual(checkSchema(balance, { balance: 123.45 }), ['response.balance should be a decimal string, got number']);
+      assert.deepEqual(checkSchema(balance, { balance: '1e-7' }), ['response.balance should be a decimal string, got "1e-7"']);
+      assert.deepEqual(checkSchema(balance, []), ['response should be object, got array']);
+    });
+
+    it('checks array items, nullable fields, enums and dates', () => {
+      const schema = RESPONSE_SCHEMAS['GET /social/invitations/received'];
+      const problems = checkSchema(schema, {
+        invitations: [
+          { id: 'inv-1', status: 'pending', message: null, createdAt: '2024-01-01T00:00:00Z' },
+          { id: 'inv-2', status: 'expired', createdAt: 'yesterday' }
+        ],
+        pagination: { total: 2, page: 1, pages: 1.5 }
+      });
+
+      assert.deepEqual(problems, [
+        'response.invitations[1].status should be one of pending, accepted, rejected, got "expired"',
+        'response.invitations[1].createdAt should be a date-time, got "yesterday"',
+        'response.pagination.pages should be integer, got number'
+      ]);
+    });
+
+    it('checks the values of maps', () => {
+      const schema = RESPONSE_SCHEMAS['GET /user/notification-settings'];
+
+      assert.deepEqual(checkSchema(schema, { mining: true, social: 'yes' }), ['response.social should be boolean, got string']);
+    });
+  });
+
+  describe('findSchema', () => {
+    it('matches path parameters and ignores the query string', () => {
+      assert.equal(findSchema('get', '/wallet/transactions/tx-1').endpoint, 'GET /wallet/transactions/:id');
+      assert.equal(findSchema('get', '/wallet/transactions?page=2').endpoint, 'GET /wallet/transactions');
+    });
+
+    it('tells methods apart and skips undeclared endpoints', () => {
+      assert.equal(findSchema('patch', '/user/profile').endpoint, 'PATCH /user/profile');
+      assert.equal(findSchema('delete', '/user/profile'), null);
+      assert.equal(findSchema('get', '/unknown'), null);
+    });
+  });
+
+  describe('client', () => {
+    let api;
+
+    before(async () => {
+      api = await startFakeApi({
+        'POST /v2/auth/login': [200, { token: 'at-1', refreshToken: 'rt-1', user: { id: 'user-1', username: 'pioneer' } }],
+        'GET /v2/wallet/balance': [200, { amount: 12.5 }],
+        'POST /v2/auth/refresh': [200, { accessToken: 'at-2' }]
+      });
+    });
+
+    after(() => api.close());
+
+    it('rejects responses that drift from their schema and logs them', async () => {
+      const entries = [];
+      const logger = { debug() {}, info() {}, warn() {}, error: (label, data) => entries.push({ label, data }) };
+      const client = await createTestClient(api, { username: 'pioneer', logger });
+
+      await assert.rejects(client.wallet.getBalance(), (error) => {
+        assert.ok(error instanceof SchemaMismatchError);
+        assert.equal(error.code, 'SCHEMA_MISMATCH');
+        assert.equal(error.message, 'Unexpected response from the Pi Network API (GET /wallet/balance): response.balance is missing');
+        assert.deepEqual(error.details.problems, ['response.balance is missing']);
+        return true;
+      });
+      assert.deepEqual(entries[0], {
+        label: 'Schema Mismatch',
+        data: { endpoint: 'GET /wallet/balance', problems: ['response.balance is missing'] }
+      });
+    });
+
+    it('checks the refresh response and ends the session on a mismatch', async () => {
+      const client = await createTestClient(api, { username: 'pioneer' });
+
+      await assert.rejects(client.auth.refreshSession(), SchemaMismatchError);
+      assert.equal(client.auth.getAuthToken(), null);
+    });
+
+    it('serializes across IPC', () => {
+      const error = new SchemaMismatchError('Unexpected response', { details: { endpoint: 'GET /wallet/balance', problems: [] } });
+
+      const rebuilt = deserializeError(structuredClone(serializeError(error)));
+
+      assert.ok(rebuilt instanceof SchemaMismatchError);
+      assert.equal(rebuilt.code, 'SCHEMA_MISMATCH');
+      assert.equal(rebuilt.details.endpoint, 'GET /wallet/balance');
+    });
+  });
+});
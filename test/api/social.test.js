@@ -0,0 +1,107 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockServer, createTestClient } = require('../helpers');
+
+describe('social', () => {
+  let mock;
+  let client;
+
+  before(async () => {
+    mock = await startMockServer();
+  });
+
+  after(() => mock.close());
+
+  beforeEach(async () => {
+    mock.state.reset();
+    mock.clearFaults();
+    client = await createTestClient(mock, { username: 'pioneer' });
+  });
+
+  const memberNames = (circle) => circle.members.map((member) => member.username);
+
+  describe('security circle', () => {
+    it('lists the members', async () => {
+      const circle = await client.social.getSecurityCircle();
+
+      assert.deepEqual(memberNames(circle), ['alice', 'bob']);
+      assert.equal(circle.maxSize, 5);
+    });
+
+    it('adds a member', async () => {
+      const result = await client.social.addToSecurityCircle('user-carol');
+
+      assert.equal(result.success, true);
+      assert.deepEqual(memberNames(result), ['alice', 'bob', 'carol']);
+    });
+
+    it('rejects a member already in the circle', async () => {
+      await assert.rejects(client.social.addToSecurityCircle('user-alice'), (error) => {
+        assert.equal(error.status, 409);
+        assert.equal(error.code, 'ALREADY_MEMBER');
+        return true;
+      });
+    });
+
+    it('removes a member', async () => {
+      const result = await client.social.removeFromSecurityCircle('user-bob');
+
+      assert.deepEqual(memberNames(result), ['alice']);
+    });
+
+    it('rejects removing someone outside the circle', async () => {
+      await assert.rejects(client.social.removeFromSecurityCircle('user-dave'), (error) => {
+        assert.equal(error.status, 404);
+        return true;
+      });
+    });
+  });
+
+  describe('invitations', () => {
+    it('invites a user and lists the sent invitation', async () => {
+      const { invitationId } = await client.social.inviteUser({ phoneNumber: '+1 555 0100', message: 'Join me' });
+
+      const { invitations } = await client.social.getSentInvitations();
+
+      assert.equal(invitations.length, 1);
+      assert.equal(invitations[0].id, invitationId);
+      assert.equal(invitations[0].status, 'pending');
+    });
+
+    it('rejects an invitation without a valid phone number', async () => {
+      await assert.rejects(client.social.inviteUser({ email: 'friend@example.com' }), (error) => {
+        assert.equal(error.code, 'VALIDATION_ERROR');
+        return true;
+      });
+    });
+
+    it('lists received invitations with paging', async () => {
+      const { invitations, pagination } = await client.social.getReceivedInvitations({ limit: 1, page: 2 });
+
+      assert.equal(invitations.length, 1);
+      assert.equal(pagination.total, 2);
+    });
+
+    it('accepts an invitation and adds the inviter to the circle', async () => {
+      const { invitation } = await client.social.acceptInvitation('inv-dave-pioneer');
+
+      assert.equal(invitation.status, 'accepted');
+      assert.ok(memberNames(await client.social.getSecurityCircle()).includes('dave'));
+    });
+
+    it('rejects an invitation', async () => {
+      const { invitation } = await client.social.rejectInvitation('inv-alice-pioneer');
+
+      assert.equal(invitation.status, 'rejected');
+    });
+
+    it('does not answer an invitation twice', async () => {
+      await client.social.rejectInvitation('inv-alice-pioneer');
+
+      await assert.rejects(client.social.acceptInvitation('inv-alice-pioneer'), (error) => {
+        assert.equal(error.code, 'INVITATION_CLOSED');
+        return true;
+      });
+    });
+  });
+});
@@ -0,0 +1,85 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockServer, createTestClient } = require('../helpers');
+const { validateExportOptions } = require('../../src/api/transaction-export');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('transaction export', () => {
+  let mock;
+  let client;
+  const requests = [];
+
+  // Detail requests made since the test started
+  const detailRequests = () => requests.filter((line) => line.startsWith('GET /v2/wallet/transactions/'));
+
+  before(async () => {
+    mock = await startMockServer({ log: (line) => requests.push(line) });
+  });
+
+  after(() => mock.close());
+
+  beforeEach(async () => {
+    mock.state.reset();
+    // bob has 5 mining rewards, one per day
+    client = await createTestClient(mock, { username: 'bob' });
+    await client.wallet.sendPi('alice', 1.5, '=SUM(A1), "lunch"');
+    requests.length = 0;
+  });
+
+  it('writes every transaction as CSV, oldest first, with their details', async () => {
+    const { content, count, format } = await client.wallet.exportTransactions({ format: 'csv' });
+    const lines = content.trimEnd().split('\r\n');
+
+    assert.equal(format, 'csv');
+    assert.equal(count, 6);
+    assert.equal(lines[0], 'Transaction ID,Date,Type,Amount,Fee,Counterparty,Address,Memo,Status');
+    assert.match(lines[1], /^tx-bob-5,.*,mining_reward,[\d.]+,,,,,completed$/);
+    assert.match(lines[6], /,transfer_out,-1\.5,0\.01,alice,GB57VOJ\w+,"'=SUM\(A1\), ""lunch""",completed$/);
+    // Every mining reward lacks details, the transfer has them
+    assert.equal(detailRequests().length, 5);
+  });
+
+  it('keeps the selected columns and the date range', async () => {
+    const now = Date.now();
+    const { content, count } = await client.wallet.exportTransactions({
+      format: 'json',
+      columns: ['amount', 'id'],
+      since: new Date(now - 3.5 * DAY_MS).toISOString(),
+      until: new Date(now - 1.5 * DAY_MS).toISOString()
+    });
+    const exported = JSON.parse(content);
+
+    assert.equal(count, 2);
+    assert.deepEqual(exported.transactions.map((transaction) => Object.keys(transaction)), [['id', 'amount'], ['id', 'amount']]);
+    assert.deepEqual(exported.transactions.map((transaction) => transaction.id), ['tx-bob-4', 'tx-bob-3']);
+  });
+
+  it('writes an OFX bank statement', async () => {
+    const { content } = await client.wallet.exportTransactions({
+      format: 'ofx',
+      account: 'GAOIIITGUOECKPVVPHUIO7PO5HVC52EUFJ3L6TLCILHSRQYQSXU2NBLZ',
+      balance: '5.75',
+      now: new Date('2024-06-01T12:00:00Z')
+    });
+
+    assert.match(content, /^<\?xml version="1\.0"/);
+    assert.match(content, /<\?OFX OFXHEADER="200" VERSION="220"/);
+    assert.match(content, /<ACCTID>GAOIIITGUOECKPVVPHUIO7PO5HVC52EUFJ3L6TLCILHSRQYQSXU2NBLZ<\/ACCTID>/);
+    assert.match(content, /<LEDGERBAL><BALAMT>5\.75<\/BALAMT><DTASOF>20240601120000\[0:GMT\]<\/DTASOF><\/LEDGERBAL>/);
+    assert.equal(content.match(/<STMTTRN>/g).length, 6);
+    assert.match(content, /<TRNTYPE>DEBIT<\/TRNTYPE>\n<DTPOSTED>\d{14}\[0:GMT\]<\/DTPOSTED>\n<TRNAMT>-1\.5<\/TRNAMT>/);
+    assert.match(content, /<NAME>alice<\/NAME>\n<MEMO>=SUM\(A1\), "lunch"<\/MEMO>/);
+  });
+
+  it('rejects unknown formats, columns and dates', () => {
+    assert.throws(() => validateExportOptions({ format: 'xlsx' }), { code: 'INVALID_EXPORT', message: 'Unknown export format: xlsx' });
+    assert.throws(() => validateExportOptions({ columns: ['id', 'balance'] }), { message: 'Unknown column: balance' });
+    assert.throws(() => validateExportOptions({ columns: [] }), { message: 'Select at least one column' });
+    assert.throws(() => validateExportOptions({ since: 'yesterday' }), { message: 'since must be a valid date' });
+    assert.throws(() => validateExportOptions({ since: '2024-02-01', until: '2024-01-01' }), {
+      message: 'The start date is after the end date'
+    });
+    assert.deepEqual(validateExportOptions({ columns: ['status', 'id'] }), { format: 'csv', columns: ['id', 'status'] });
+  });
+});
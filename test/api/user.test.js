@@ -0,0 +1,106 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockServer, createTestClient } = require('../helpers');
+
+describe('user', () => {
+  let mock;
+  let client;
+
+  before(async () => {
+    mock = await startMockServer();
+  });
+
+  after(() => mock.close());
+
+  beforeEach(async () => {
+    mock.state.reset();
+    mock.clearFaults();
+    client = await createTestClient(mock, { username: 'pioneer' });
+  });
+
+  describe('getProfile', () => {
+    it('returns the profile', async () => {
+      const profile = await client.user.getProfile();
+
+      assert.equal(profile.username, 'pioneer');
+      assert.equal(profile.displayName, 'Pi Pioneer');
+      assert.equal(profile.accountType, 'Verified');
+    });
+  });
+
+  describe('updateProfile', () => {
+    it('saves the changes', async () => {
+      const profile = await client.user.updateProfile({ displayName: 'Pioneer One', bio: 'Mining daily' });
+
+      assert.equal(profile.displayName, 'Pioneer One');
+      assert.equal((await client.user.getProfile()).bio, 'Mining daily');
+    });
+
+    it('rejects fields that cannot be changed', async () => {
+      await assert.rejects(client.user.updateProfile({ username: 'someone' }), (error) => {
+        assert.equal(error.status, 400);
+        assert.equal(error.code, 'VALIDATION_ERROR');
+        return true;
+      });
+    });
+  });
+
+  describe('uploadProfilePicture', () => {
+    it('uploads the image as multipart form data', async () => {
+      const image = new Blob([Buffer.from('89504e47', 'hex')], { type: 'image/png' });
+
+      const result = await client.user.uploadProfilePicture(image);
+
+      assert.equal(result.success, true);
+      assert.equal((await client.user.getProfile()).profilePicture, result.url);
+    });
+  });
+
+  describe('changePassword', () => {
+    it('changes the password', async () => {
+      const result = await client.user.changePassword('password123', 'new-password');
+
+      assert.equal(result.success, true);
+      await assert.doesNotReject(client.auth.login('pioneer', 'new-password'));
+    });
+
+    it('rejects a wrong current password', async () => {
+      await assert.rejects(client.user.changePassword('wrong', 'new-password'), (error) => {
+        assert.equal(error.code, 'INVALID_PASSWORD');
+        return true;
+      });
+    });
+  });
+
+  describe('getVerificationStatus', () => {
+    it('returns the KYC status', async () => {
+      const status = await client.user.getVerificationStatus();
+
+      assert.equal(status.kycStatus, 'verified');
+      assert.equal(status.emailVerified, true);
+    });
+  });
+
+  describe('notification settings', () => {
+    it('returns the settings', async () => {
+      const settings = await client.user.getNotificationSettings();
+
+      assert.equal(settings.mining, true);
+      assert.equal(settings.marketing, false);
+    });
+
+    it('updates the settings', async () => {
+      const settings = await client.user.updateNotificationSettings({ marketing: true });
+
+      assert.equal(settings.marketing, true);
+      assert.equal((await client.user.getNotificationSettings()).marketing, true);
+    });
+
+    it('rejects unknown settings', async () => {
+      await assert.rejects(client.user.updateNotificationSettings({ sms: true }), (error) => {
+        assert.equal(error.status, 400);
+        return true;
+      });
+    });
+  });
+});
@@ -0,0 +1,128 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockServer, createTestClient } = require('../helpers');
+const { SEED_ACCOUNTS } = require('../../mock-server/state');
+const { InsufficientFundsError, NotFoundError } = require('../../src/api/errors');
+
+describe('wallet', () => {
+  let mock;
+  let client;
+
+  before(async () => {
+    mock = await startMockServer();
+  });
+
+  after(() => mock.close());
+
+  beforeEach(async () => {
+    mock.state.reset();
+    mock.clearFaults();
+    client = await createTestClient(mock, { username: 'pioneer' });
+  });
+
+  describe('getBalance', () => {
+    it('returns the balance', async () => {
+      const balance = await client.wallet.getBalance();
+
+      assert.equal(balance.balance, '123.45');
+      assert.ok('pending' in balance);
+      assert.ok('totalEarned' in balance);
+    });
+
+    it('rethrows request errors', async () => {
+      mock.injectFault({ status: 500, path: '/wallet/balance' });
+
+      await assert.rejects(client.wallet.getBalance(), (error) => {
+        assert.equal(error.status, 500);
+        return true;
+      });
+    });
+  });
+
+  describe('getTransactionHistory', () => {
+    it('returns the first page, newest first, by default', async () => {
+      const { transactions, pagination } = await client.wallet.getTransactionHistory();
+
+      assert.equal(transactions.length, 20);
+      assert.equal(pagination.page, 1);
+      assert.equal(pagination.total, 45);
+      assert.ok(Date.parse(transactions[0].timestamp) > Date.parse(transactions[19].timestamp));
+    });
+
+    it('passes page, limit and sort', async () => {
+      const { transactions, pagination } = await client.wallet.getTransactionHistory({ page: 3, limit: 10, sort: 'asc' });
+
+      assert.equal(transactions.length, 10);
+      assert.equal(pagination.page, 3);
+      assert.ok(Date.parse(transactions[0].timestamp) < Date.parse(transactions[9].timestamp));
+    });
+  });
+
+  describe('getTransactionDetails', () => {
+    it('returns a transaction', async () => {
+      const transaction = await client.wallet.getTransactionDetails('tx-pioneer-1');
+
+      assert.equal(transaction.id, 'tx-pioneer-1');
+      assert.equal(transaction.type, 'mining_reward');
+    });
+
+    it('rejects an unknown transaction', async () => {
+      await assert.rejects(client.wallet.getTransactionDetails('tx-missing'), (error) => {
+        assert.ok(error instanceof NotFoundError);
+        assert.equal(error.status, 404);
+        return true;
+      });
+    });
+
+    it('keeps the transaction ID within its path segment', async () => {
+      await assert.rejects(client.wallet.getTransactionDetails('../balance'), NotFoundError);
+      await assert.rejects(client.wallet.getTransactionDetails('tx-pioneer-1?x=1'), NotFoundError);
+    });
+  });
+
+  describe('sendPi', () => {
+    it('sends Pi to a username and credits the recipient', async () => {
+      const result = await client.wallet.sendPi('alice', 3.5, 'Coffee');
+
+      assert.equal(result.success, true);
+      assert.equal(result.transaction.amount, '-3.5');
+      assert.equal(result.transaction.memo, 'Coffee');
+      assert.equal(mock.state.inspect('alice').balance, '46');
+      assert.equal((await client.wallet.getBalance()).balance, '119.95');
+    });
+
+    it('sends Pi to an address', async () => {
+      const { address } = SEED_ACCOUNTS.find((account) => account.username === 'bob');
+
+      const result = await client.wallet.sendPi(address, 1);
+
+      assert.equal(result.transaction.counterparty, 'bob');
+      assert.equal(result.transaction.memo, '');
+    });
+
+    it('rejects an amount above the balance', async () => {
+      await assert.rejects(client.wallet.sendPi('alice', 1000), (error) => {
+        assert.ok(error instanceof InsufficientFundsError);
+        assert.equal(error.status, 400);
+        assert.equal(error.code, 'INSUFFICIENT_FUNDS');
+        return true;
+      });
+    });
+
+    it('rejects an unknown recipient', async () => {
+      await assert.rejects(client.wallet.sendPi('nobody', 1), (error) => {
+        assert.equal(error.code, 'RECIPIENT_NOT_FOUND');
+        return true;
+      });
+    });
+  });
+
+  describe('getWalletAddress', () => {
+    it('returns the address', async () => {
+      const result = await client.wallet.getWalletAddress();
+
+      assert.equal(result.username, 'pioneer');
+      assert.match(result.address, /^G[A-Z2-7]{55}$/);
+    });
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Test Helpers
+ *
+ * Shared setup for the test suite: an in-process mock Pi Network API
+ * server (see mock-server/server.js), API clients pointed at it, and a
+ * stand-in for the `electron` module so main process code can run in Node.
+ *
+ * @module test/helpers
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Module = require('module');
+const { createMockServer } = require('../mock-server/server');
+const { createClient } = require('../src/api');
+
+// Logger discarding everything, keeps the test output readable
+const quietLogger = {
+  debug: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+/**
+ * Start a mock API server on a free port
+ *
+ * @param {Object} [options] - Options passed to createMockServer
+ * @returns {Promise<Object>} The mock server with its API base URL as `url`
+ */
+const startMockServer = async (options = {}) => {
+  const mock = createMockServer(options);
+  const { url } = await mock.listen();
+  return { ...mock, url };
+};
+
+/**
+ * Create an API client for the mock server, optionally logged in.
+ * Retries are off unless a retry policy is given, so injected faults reach the caller.
+ *
+ * @param {Object} mock - Mock server from startMockServer
+ * @param {Object} [options] - Client options
+ * @param {string} [options.username] - Seeded account to log in as
+ * @returns {Promise<Object>} The client
+ */
+const createTestClient = async (mock, { username, ...options } = {}) => {
+  const client = createClient({ baseURL: mock.url, logger: quietLogger, retry: false, ...options });
+  if (username) {
+    await client.auth.login(username, 'password123');
+  }
+  return client;
+};
+
+/**
+ * Create a temporary directory removed when the test ends
+ *
+ * @param {Object} t - node:test context
+ * @returns {string} Directory path
+ */
+const createTempDir = (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pi-network-test-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  return directory;
+};
+
+/**
+ * Replace the `electron` module with a stand-in recording ipcMain handlers.
+ * Anything required afterwards that requires 'electron' gets the stand-in.
+ *
+ * @param {Object} options - Stand-in options
+ * @param {string} options.userData - Directory returned by app.getPath()
+ * @returns {Object} `{ electron, handlers, invoke, emitApp, restore }`
+ */
+const stubElectron = ({ userData }) => {
+  const handlers = new Map();
+  const appListeners = [];
+
+  const electron = {
+    app: {
+      getPath: () => userData,
+      getVersion: () => '0.0.0-test',
+      on: (name, listener) => appListeners.push([name, listener]),
+      relaunch: () => {},
+      quit: () => {},
+      exit: () => {},
+      requestSingleInstanceLock: () => true,
+      setAsDefaultProtocolClient: () => true
+    },
+    ipcMain: {
+      handle: (channel, handler) => handlers.set(channel, handler),
+      on: () => {}
+    },
+    BrowserWindow: {
+      getAllWindows: () => [],
+      getFocusedWindow: () => null,
+      fromWebContents: () => null
+    },
+    shell: {
+      openExternal: async () => {}
+    },
+    net: {
+      isOnline: () => true
+    },
+    dialog: {
+      // Confirms, i.e. picks the second button
+      showMessageBox: async () => ({ response: 1 }),
+      // File dialogs are cancelled unless a test mocks them
+      showSaveDialog: async () => ({ canceled: true }),
+      showOpenDialog: async () => ({ canceled: true, filePaths: [] })
+    }
+  };
+
+  const originalLoad = Module._load;
+  Module._load = function (request, ...args) {
+    if (request === 'electron') {
+      return electron;
+    }
+    return originalLoad.call(this, request, ...args);
+  };
+
+  return {
+    electron,
+    handlers,
+    // Call an ipcMain handler like ipcRenderer.invoke would
+    invoke: (channel, ...args) => {
+      const handler = handlers.get(channel);
+      if (!handler) {
+        throw new Error(`No handler registered for ${channel}`);
+      }
+      return handler({ sender: null }, ...args);
+    },
+    // Emit an app event, e.g. 'will-quit'
+    emitApp: (name, ...args) => {
+      appListeners
+        .filter(([listenerName]) => listenerName === name)
+        .forEach(([, listener]) => listener(...args));
+    },
+    restore: () => {
+      Module._load = originalLoad;
+    }
+  };
+};
+
+/**
+ * Silence console output for the rest of a test or suite
+ *
+ * @param {Object} t - node:test context
+ */
+const silenceConsole = (t) => {
+  ['log', 'info', 'warn', 'error'].forEach((method) => {
+    t.mock.method(console, method, () => {});
+  });
+};
+
+module.exports = {
+  quietLogger,
+  startMockServer,
+  createTestClient,
+  createTempDir,
+  stubElectron,
+  silenceConsole
+};
@@ -0,0 +1,155 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { AddressBook } = require('../../src/main/address-book');
+
+const ALICE_ADDRESS = 'GB57VOJWIMXMNJ7HR3GWGTPMSBJJTJOTDKLX6T4VHKX5KWLUEAGJEINF';
+
+// In-memory stand-in for an account store
+const createMemoryStore = () => {
+  const values = new Map();
+  return {
+    get: (key) => values.get(key),
+    set: (key, value) => values.set(key, value),
+    delete: (key) => values.delete(key),
+    has: (key) => values.has(key)
+  };
+};
+
+describe('AddressBook', () => {
+  let store;
+  let now;
+  let book;
+
+  beforeEach(() => {
+    store = createMemoryStore();
+    now = 1000000;
+    book = new AddressBook({ store, now: () => now });
+  });
+
+  it('saves normalized recipients under the account store', () => {
+    const entry = book.add({ label: ' Alice ', recipient: ' @alice ', notes: 'Lunch buddy' });
+
+    assert.deepEqual(entry, {
+      id: entry.id,
+      label: 'Alice',
+      recipient: 'alice',
+      type: 'username',
+      notes: 'Lunch buddy',
+      createdAt: now,
+      updatedAt: now,
+      lastUsedAt: null
+    });
+    assert.deepEqual(store.get('addressBook'), { [entry.id]: entry });
+    assert.equal(book.add({ label: 'Wallet', recipient: ALICE_ADDRESS.toLowerCase() }).recipient, ALICE_ADDRESS);
+  });
+
+  it('checks recipients with the address validator', () => {
+    assert.throws(() => book.add({ label: 'Typo', recipient: `${ALICE_ADDRESS.slice(0, -1)}E` }), {
+      name: 'AddressError',
+      code: 'INVALID_ADDRESS'
+    });
+    assert.throws(() => book.add({ label: ' ', recipient: 'alice' }), { name: 'AddressBookError', code: 'INVALID_ENTRY' });
+    assert.deepEqual(book.list(), []);
+  });
+
+  it('rejects recipients saved already, whatever their case', () => {
+    book.add({ label: 'Alice', recipient: 'alice' });
+
+    assert.throws(() => book.add({ label: 'Again', recipient: '@Alice' }), {
+      code: 'DUPLICATE_ENTRY',
+      message: 'Alice is already saved as Alice'
+    });
+  });
+
+  it('updates and removes entries', () => {
+    const alice = book.add({ label: 'Alice', recipient: 'alice' });
+    const bob = book.add({ label: 'Bob', recipient: 'bob' });
+    now += 1000;
+
+    const updated = book.update(alice.id, { notes: 'Neighbour' });
+    assert.equal(updated.notes, 'Neighbour');
+    assert.equal(updated.recipient, 'alice');
+    assert.equal(updated.updatedAt, now);
+    assert.throws(() => book.update(alice.id, { recipient: 'bob' }), { code: 'DUPLICATE_ENTRY' });
+
+    book.remove(bob.id);
+    assert.deepEqual(book.list().map((entry) => entry.label), ['Alice']);
+    assert.throws(() => book.remove(bob.id), { code: 'ENTRY_NOT_FOUND' });
+  });
+
+  it('lists recently paid recipients first and suggests matches', () => {
+    book.add({ label: 'Carol', recipient: 'carol' });
+    book.add({ label: 'Alice', recipient: 'alice' });
+    book.add({ label: 'Bob', recipient: 'bob', notes: 'Lives with Alice' });
+    book.add({ label: 'Shop', recipient: ALICE_ADDRESS });
+
+    now += 1000;
+    assert.equal(book.markUsed('@Carol'), true);
+    assert.equal(book.markUsed('dave'), false);
+
+    assert.deepEqual(book.list().map((entry) => entry.label), ['Carol', 'Alice', 'Bob', 'Shop']);
+    assert.deepEqual(book.search('al').map((entry) => entry.label), ['Alice']);
+    assert.deepEqual(book.search('gb57').map((entry) => entry.label), ['Shop']);
+    assert.deepEqual(book.search('@b').map((entry) => entry.label), ['Bob', 'Shop']);
+    assert.equal(book.search('', 2).length, 2);
+  });
+
+  describe('import and export', () => {
+    beforeEach(() => {
+      book.add({ label: 'Alice', recipient: 'alice', notes: 'Lunch; every Friday,\nat noon' });
+      book.add({ label: 'Shop', recipient: ALICE_ADDRESS });
+    });
+
+    it('round-trips through JSON in one write', (t) => {
+      const exported = JSON.parse(book.export('json'));
+      assert.equal(exported.version, 1);
+      assert.equal(exported.entries.length, 2);
+
+      const copyStore = createMemoryStore();
+      const write = t.mock.method(copyStore, 'set');
+      const copy = new AddressBook({ store: copyStore });
+      const { added, skipped } = copy.import(book.export('json'), 'json');
+      assert.equal(added.length, 2);
+      assert.deepEqual(skipped, []);
+      assert.equal(write.mock.callCount(), 1);
+      assert.deepEqual(copy.list().map(({ label, recipient, notes }) => ({ label, recipient, notes })), [
+        { label: 'Alice', recipient: 'alice', notes: 'Lunch; every Friday,\nat noon' },
+        { label: 'Shop', recipient: ALICE_ADDRESS, notes: '' }
+      ]);
+    });
+
+    it('round-trips through vCard', () => {
+      const vcard = book.export('vcard');
+      assert.match(vcard, /^BEGIN:VCARD\r\nVERSION:3\.0\r\nFN:Alice\r\nX-PI-USERNAME:alice\r\nNOTE:Lunch\\; every Friday\\,\\nat noon\r\nEND:VCARD\r\n/);
+      assert.match(vcard, new RegExp(`X-PI-ADDRESS:${ALICE_ADDRESS}`));
+
+      const copy = new AddressBook({ store: createMemoryStore() });
+      copy.import(vcard, 'vcard');
+      assert.deepEqual(copy.list().map(({ label, recipient, notes }) => ({ label, recipient, notes })), [
+        { label: 'Alice', recipient: 'alice', notes: 'Lunch; every Friday,\nat noon' },
+        { label: 'Shop', recipient: ALICE_ADDRESS, notes: '' }
+      ]);
+    });
+
+    it('skips invalid and known entries of an import', () => {
+      const vcard = [
+        'BEGIN:VCARD', 'VERSION:4.0', 'FN:Bob', 'item1.X-PI-USERNAME:bob', 'NOTE;CHARSET=UTF-8:Met at the', '  meetup', 'END:VCARD',
+        'BEGIN:VCARD', 'VERSION:3.0', 'FN:No Pi', 'TEL:+15550100', 'END:VCARD',
+        'BEGIN:VCARD', 'VERSION:3.0', 'FN:Alice again', 'X-PI-USERNAME:alice', 'END:VCARD',
+        'BEGIN:VCARD', 'VERSION:3.0', 'FN:Bob again', 'X-PI-USERNAME:Bob', 'END:VCARD',
+        'BEGIN:VCARD', 'VERSION:3.0', 'FN:Typo', `X-PI-ADDRESS:${ALICE_ADDRESS.slice(0, 50)}`, 'END:VCARD'
+      ].join('\n');
+
+      const { added, skipped } = book.import(vcard, 'vcard');
+
+      assert.deepEqual(added.map((entry) => [entry.label, entry.notes]), [['Bob', 'Met at the meetup']]);
+      assert.deepEqual(skipped.map((entry) => entry.label), ['No Pi', 'Alice again', 'Bob again', 'Typo']);
+      assert.equal(skipped[1].error, 'alice is already saved as Alice');
+    });
+
+    it('rejects files that are not address books', () => {
+      assert.throws(() => book.import('{', 'json'), { code: 'INVALID_IMPORT', message: 'The file is not valid JSON' });
+      assert.throws(() => book.import('{"accounts": []}', 'json'), { code: 'INVALID_IMPORT' });
+    });
+  });
+});
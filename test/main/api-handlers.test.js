@@ -0,0 +1,220 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockServer, createTestClient, silenceConsole } = require('../helpers');
+const { buildHandlers, registerApiHandlers, toErrorResult } = require('../../src/main/api-handlers');
+const { ResponseCache } = require('../../src/main/cache');
+
+describe('API IPC handlers', () => {
+  let mock;
+  let client;
+  let handlers;
+
+  // Call a handler the way ipcMain would
+  const invoke = (channel, ...args) => handlers[channel]({ sender: null }, ...args);
+
+  before(async () => {
+    mock = await startMockServer();
+    handlers = buildHandlers(() => client);
+  });
+
+  after(() => mock.close());
+
+  beforeEach(async (t) => {
+    silenceConsole(t);
+    mock.state.reset();
+    mock.clearFaults();
+    client = await createTestClient(mock, { username: 'pioneer' });
+  });
+
+  it('wraps results in a success envelope', async () => {
+    const result = await invoke('wallet-get-balance');
+
+    assert.equal(result.success, true);
+    assert.equal(result.error, null);
+    assert.equal(result.statusCode, 200);
+    assert.equal(result.data.balance, '123.45');
+  });
+
+  it('wraps API errors with the server message and status', async () => {
+    const result = await invoke('wallet-send', 'alice', 1000);
+
+    assert.deepEqual(result, {
+      success: false,
+      data: null,
+      error: 'Insufficient balance',
+      errorType: 'InsufficientFundsError',
+      errorCode: 'INSUFFICIENT_FUNDS',
+      details: undefined,
+      statusCode: 400,
+      retryAfter: undefined
+    });
+  });
+
+  it('reports network errors', async () => {
+    const offline = await createTestClient({ url: 'http://127.0.0.1:9/v2' });
+    const offlineHandlers = buildHandlers(() => offline);
+
+    const result = await offlineHandlers['mining-get-rate']({ sender: null });
+
+    assert.equal(result.success, false);
+    assert.equal(result.errorType, 'NetworkError');
+    assert.equal(result.errorCode, 'ECONNREFUSED');
+    assert.match(result.error, /Check your internet connection/);
+    assert.equal(result.statusCode, undefined);
+  });
+
+  it('calls the API of the current account', async () => {
+    client = await createTestClient(mock, { username: 'alice' });
+
+    const result = await invoke('user-get-profile');
+
+    assert.equal(result.data.username, 'alice');
+  });
+
+  describe('argument validation', () => {
+    const invalidCalls = [
+      ['wallet-get-transactions', [{ page: 0 }], 'options.page must be a positive integer'],
+      ['wallet-get-transactions', ['page 2'], 'options must be an object'],
+      ['wallet-get-transaction', [''], 'transactionId must be a non-empty string'],
+      ['wallet-send', [' ', 1], 'recipient must be a non-empty string'],
+      ['wallet-send', ['alice', '1'], 'amount must be a positive number'],
+      ['wallet-send', ['alice', -1], 'amount must be a positive number'],
+      ['wallet-send', ['alice', 1, 42], 'memo must be a string'],
+      ['mining-start', [{ duration: 0 }], 'options.duration must be a positive number'],
+      ['mining-get-history', [{ limit: 1.5 }], 'options.limit must be a positive integer'],
+      ['user-update-profile', [null], 'profileData must be an object'],
+      ['user-upload-picture', [{ name: 'a.png', type: 'image/png', data: 'abc' }], 'image.data must be an ArrayBuffer'],
+      ['user-change-password', ['password123'], 'newPassword must be a non-empty string'],
+      ['user-update-notification-settings', [[]], 'settings must be an object'],
+      ['social-add-to-circle', [42], 'userId must be a non-empty string'],
+      ['social-invite', [{ email: 'friend@example.com' }], 'invitation.phoneNumber must be a non-empty string'],
+      ['social-accept-invitation', [], 'invitationId must be a non-empty string']
+    ];
+
+    invalidCalls.forEach(([channel, args, message]) => {
+      it(`${channel} rejects ${JSON.stringify(args)}`, async () => {
+        const result = await invoke(channel, ...args);
+
+        assert.equal(result.success, false);
+        assert.equal(result.error, message);
+        assert.equal(result.errorType, 'ArgumentError');
+        assert.equal(result.errorCode, 'INVALID_ARGUMENT');
+        assert.equal(result.statusCode, undefined);
+      });
+    });
+  });
+
+  describe('channels', () => {
+    it('wallet-get-transactions passes the options', async () => {
+      const result = await invoke('wallet-get-transactions', { page: 2, limit: 5 });
+
+      assert.equal(result.data.pagination.page, 2);
+      assert.equal(result.data.transactions.length, 5);
+    });
+
+    it('wallet-send trims the recipient', async () => {
+      const result = await invoke('wallet-send', '  alice ', 1, 'Thanks');
+
+      assert.equal(result.data.transaction.counterparty, 'alice');
+    });
+
+    it('user-upload-picture sends the image bytes', async () => {
+      const data = new Uint8Array([0x89, 0x50, 0x4e, 0x47]).buffer;
+
+      const result = await invoke('user-upload-picture', { name: 'avatar.png', type: 'image/png', data });
+
+      assert.equal(result.success, true);
+      assert.ok(result.data.url);
+    });
+
+    it('mining-start starts a session', async () => {
+      const result = await invoke('mining-start', { duration: 60 });
+      const status = await invoke('mining-get-status');
+
+      assert.equal(status.data.sessionId, result.data.sessionId);
+    });
+
+    it('social-accept-invitation answers the invitation', async () => {
+      const result = await invoke('social-accept-invitation', 'inv-alice-pioneer');
+
+      assert.equal(result.data.invitation.status, 'accepted');
+    });
+  });
+
+  describe('response cache', () => {
+    let cache;
+    let cachedHandlers;
+
+    // Call a handler served through the cache
+    const invokeCached = (channel, ...args) => cachedHandlers[channel]({ sender: null }, ...args);
+
+    beforeEach(() => {
+      const values = new Map();
+      const store = {
+        get: (key) => values.get(key),
+        set: (key, value) => values.set(key, value),
+        delete: (key) => values.delete(key)
+      };
+      cache = new ResponseCache({ store });
+      cachedHandlers = buildHandlers(() => client, { getCache: () => cache });
+    });
+
+    it('serves repeated reads from the cache', async () => {
+      const first = await invokeCached('wallet-get-balance');
+      mock.injectFault({ status: 503, path: '/wallet/balance' });
+      const second = await invokeCached('wallet-get-balance');
+
+      assert.equal(first.cached, false);
+      assert.equal(second.success, true);
+      assert.equal(second.cached, true);
+      assert.equal(second.stale, false);
+      assert.equal(second.cachedAt, first.cachedAt);
+      assert.equal(second.data.balance, '123.45');
+    });
+
+    it('marks the balance stale after sending Pi', async () => {
+      await invokeCached('wallet-get-balance');
+
+      await invokeCached('wallet-send', 'alice', 1);
+      const result = await invokeCached('wallet-get-balance');
+      await cache.settle();
+
+      assert.equal(result.stale, true);
+      assert.equal(result.data.balance, '123.45');
+      assert.equal((await invokeCached('wallet-get-balance')).data.balance, '122.45');
+    });
+
+    it('does not cache other reads', async () => {
+      const result = await invokeCached('wallet-get-address');
+
+      assert.equal(result.cached, undefined);
+    });
+  });
+
+  it('registerApiHandlers registers every handler on ipcMain', () => {
+    const registered = new Map();
+    const ipcMain = { handle: (channel, handler) => registered.set(channel, handler) };
+
+    const table = registerApiHandlers(ipcMain, () => client);
+
+    assert.deepEqual([...registered.keys()], Object.keys(table));
+    assert.ok(registered.has('social-reject-invitation'));
+  });
+
+  it('reports rate limits with the time to wait', async () => {
+    mock.injectFault({ status: 429, path: '/wallet/balance', retryAfter: 7 });
+
+    const result = await invoke('wallet-get-balance');
+
+    assert.equal(result.errorType, 'RateLimitError');
+    assert.equal(result.retryAfter, 7);
+    assert.equal(result.error, 'Too many requests. Try again in 7 seconds.');
+  });
+
+  it('toErrorResult uses the fallback message for unexpected errors', () => {
+    const result = toErrorResult(new TypeError('x is undefined'), 'Failed to do it');
+
+    assert.equal(result.error, 'Failed to do it');
+    assert.equal(result.errorType, 'Error');
+  });
+});
@@ -0,0 +1,127 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { silenceConsole } = require('../helpers');
+const { ResponseCache, cacheKey } = require('../../src/main/cache');
+
+// In-memory stand-in for an account store
+const createMemoryStore = () => {
+  const values = new Map();
+  return {
+    get: (key) => values.get(key),
+    set: (key, value) => values.set(key, value),
+    delete: (key) => values.delete(key),
+    has: (key) => values.has(key)
+  };
+};
+
+describe('ResponseCache', () => {
+  let store;
+  let now;
+  let cache;
+
+  beforeEach((t) => {
+    silenceConsole(t);
+    store = createMemoryStore();
+    now = 1000000;
+    cache = new ResponseCache({ store, now: () => now });
+  });
+
+  it('loads and caches a response on the first read', async () => {
+    const result = await cache.read('/wallet/balance', [], async () => ({ balance: '1' }));
+
+    assert.deepEqual(result, { data: { balance: '1' }, cached: false, stale: false, cachedAt: now });
+    assert.deepEqual(store.get('cache'), { '/wallet/balance': { data: { balance: '1' }, cachedAt: now } });
+  });
+
+  it('serves a fresh response without calling the API', async () => {
+    await cache.read('/wallet/balance', [], async () => ({ balance: '1' }));
+    now += 29 * 1000;
+
+    const result = await cache.read('/wallet/balance', [], () => assert.fail('should not load'));
+
+    assert.deepEqual(result, { data: { balance: '1' }, cached: true, stale: false, cachedAt: now - 29 * 1000 });
+  });
+
+  it('serves a stale response and refreshes it in the background', async () => {
+    const cachedAt = now;
+    await cache.read('/wallet/balance', [], async () => ({ balance: '1' }));
+    now += 30 * 1000;
+    const updates = [];
+    cache.on('update', (update) => updates.push(update));
+    let loads = 0;
+    const load = async () => {
+      loads += 1;
+      return { balance: '2' };
+    };
+
+    const first = await cache.read('/wallet/balance', [], load);
+    const second = await cache.read('/wallet/balance', [], load);
+    await cache.settle();
+
+    assert.deepEqual(first, { data: { balance: '1' }, cached: true, stale: true, cachedAt });
+    assert.equal(second.stale, true);
+    assert.equal(loads, 1);
+    assert.deepEqual(updates, [{ endpoint: '/wallet/balance', args: [], data: { balance: '2' }, cachedAt: now }]);
+    assert.deepEqual(cache.get('/wallet/balance'), { data: { balance: '2' }, cachedAt: now });
+  });
+
+  it('keeps the stale response when the refresh fails', async () => {
+    await cache.read('/mining/rate', [], async () => ({ rate: '0.25' }));
+    now += 5 * 60 * 1000;
+
+    const result = await cache.read('/mining/rate', [], async () => {
+      throw new Error('Network Error');
+    });
+    await cache.settle();
+
+    assert.equal(result.data.rate, '0.25');
+    assert.equal(cache.get('/mining/rate').data.rate, '0.25');
+  });
+
+  it('does not refresh while the API is unreachable', async () => {
+    await cache.read('/mining/status', [], async () => ({ active: false }));
+    now += 15 * 1000;
+    cache.setOnline(false);
+
+    const result = await cache.read('/mining/status', [], () => assert.fail('should not load'));
+    await cache.settle();
+
+    assert.equal(result.stale, true);
+    assert.equal(result.data.active, false);
+  });
+
+  it('caches each set of arguments separately', async () => {
+    await cache.read('/wallet/transactions', [{ page: 1 }], async () => ({ page: 1 }));
+    await cache.read('/wallet/transactions', [{ page: 2 }], async () => ({ page: 2 }));
+
+    assert.equal(cache.get(cacheKey('/wallet/transactions', [{ page: 2 }])).data.page, 2);
+    assert.equal(cacheKey('/wallet/transactions', [undefined]), '/wallet/transactions');
+  });
+
+  it('invalidate marks the responses of an endpoint stale', async () => {
+    await cache.read('/wallet/transactions', [{ page: 2 }], async () => ({ page: 2 }));
+    await cache.read('/wallet/balance', [], async () => ({ balance: '1' }));
+
+    cache.invalidate(['/wallet/transactions']);
+
+    assert.equal((await cache.read('/wallet/transactions', [{ page: 2 }], async () => ({}))).stale, true);
+    assert.equal((await cache.read('/wallet/balance', [], async () => ({}))).stale, false);
+  });
+
+  it('clear drops the responses and the refreshes in flight', async () => {
+    await cache.read('/wallet/balance', [], async () => ({ balance: '1' }));
+    now += 60 * 1000;
+    let resolveLoad;
+    await cache.read('/wallet/balance', [], () => new Promise((resolve) => {
+      resolveLoad = resolve;
+    }));
+
+    const refresh = cache.settle();
+    cache.clear();
+    resolveLoad({ balance: '2' });
+    await refresh;
+
+    assert.equal(store.has('cache'), false);
+    assert.equal(cache.get('/wallet/balance'), null);
+  });
+});
@@ -0,0 +1,56 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { PROFILES, CREDENTIAL_STORE_NAME, resolveConfig, getCredentialStoreName } = require('../../src/config');
+
+describe('config', () => {
+  describe('resolveConfig', () => {
+    it('picks the profile and base URL by precedence', () => {
+      const config = resolveConfig({
+        argv: ['--api-url=http://127.0.0.1:4000/v2/'],
+        env: { PI_NETWORK_ENV: 'testnet', PI_API_BASE_URL: 'http://127.0.0.1:5000/v2' },
+        settings: { environment: 'local' }
+      });
+
+      assert.equal(config.environment, 'testnet');
+      assert.equal(config.source, 'env');
+      assert.equal(config.apiBaseURL, 'http://127.0.0.1:4000/v2');
+      assert.equal(config.apiRootURL, 'http://127.0.0.1:4000');
+    });
+
+    it('defaults to the production profile', () => {
+      const config = resolveConfig({ argv: [], env: {}, settings: {} });
+
+      assert.equal(config.environment, 'production');
+      assert.equal(config.source, 'default');
+      assert.equal(config.apiBaseURL, PROFILES.production.apiBaseURL);
+    });
+
+    it('rejects unknown profiles', () => {
+      assert.throws(() => resolveConfig({ argv: ['--env', 'staging'], env: {}, settings: {} }), /Unknown environment "staging"/);
+    });
+  });
+
+  describe('getCredentialStoreName', () => {
+    const storeName = (argv, env = {}) => getCredentialStoreName(resolveConfig({ argv, env, settings: {} }));
+
+    it('names a store per profile', () => {
+      assert.equal(storeName([]), CREDENTIAL_STORE_NAME);
+      assert.equal(storeName(['--env', 'testnet']), `${CREDENTIAL_STORE_NAME}-testnet`);
+      assert.equal(storeName([], { PI_NETWORK_ENV: 'local' }), `${CREDENTIAL_STORE_NAME}-local`);
+      // The profile's own URL, given explicitly, is still the profile
+      assert.equal(storeName(['--api-url', `${PROFILES.production.apiBaseURL}/`]), CREDENTIAL_STORE_NAME);
+    });
+
+    it('never opens the production store for an overridden base URL', () => {
+      const fromFlag = storeName(['--api-url', 'https://pi.example.com/v2']);
+      const fromEnv = storeName([], { PI_API_BASE_URL: 'https://pi.example.com/v2' });
+      const otherServer = storeName([], { PI_API_BASE_URL: 'https://other.example.com/v2' });
+
+      assert.notEqual(fromFlag, CREDENTIAL_STORE_NAME);
+      assert.match(fromFlag, /^pi-network-auth-[0-9a-f]{12}$/);
+      assert.equal(fromEnv, fromFlag);
+      assert.notEqual(otherServer, fromFlag);
+      assert.match(storeName(['--env', 'local', '--api-url', 'http://127.0.0.1:4000/v2']), /^pi-network-auth-local-[0-9a-f]{12}$/);
+    });
+  });
+});
@@ -0,0 +1,120 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockServer, silenceConsole } = require('../helpers');
+const { ConnectionMonitor, createApiProbe } = require('../../src/main/connection');
+
+describe('ConnectionMonitor', () => {
+  let mock;
+
+  before(async () => {
+    mock = await startMockServer();
+  });
+
+  after(() => mock.close());
+
+  beforeEach((t) => {
+    silenceConsole(t);
+    mock.clearFaults();
+  });
+
+  it('reports the API as connected with the probe latency', async () => {
+    let now = 1000;
+    const monitor = new ConnectionMonitor({
+      probe: async () => {
+        now += 42;
+      },
+      server: 'api.example.com',
+      now: () => now
+    });
+    const statuses = [];
+    monitor.on('status', (status) => statuses.push(status));
+
+    const status = await monitor.check();
+
+    assert.deepEqual(status, {
+      connected: true,
+      online: true,
+      server: 'api.example.com',
+      latency: 42,
+      consecutiveFailures: 0,
+      checkedAt: 1042,
+      error: null
+    });
+    assert.deepEqual(statuses, [status]);
+  });
+
+  it('tolerates a single failure of a working connection', async () => {
+    let fail = false;
+    const monitor = new ConnectionMonitor({
+      probe: async () => {
+        if (fail) throw new Error('timeout of 5000ms exceeded');
+      },
+      server: 'api.example.com'
+    });
+    await monitor.check();
+    fail = true;
+
+    const first = await monitor.check();
+    const second = await monitor.check();
+
+    assert.equal(first.connected, true);
+    assert.equal(first.consecutiveFailures, 1);
+    assert.equal(second.connected, false);
+    assert.equal(second.consecutiveFailures, 2);
+    assert.equal(second.error, 'timeout of 5000ms exceeded');
+    assert.equal(second.latency, null);
+  });
+
+  it('does not probe while offline', async () => {
+    let probes = 0;
+    const monitor = new ConnectionMonitor({
+      probe: async () => {
+        probes += 1;
+      },
+      server: 'api.example.com',
+      isOnline: () => false
+    });
+
+    const status = await monitor.check();
+
+    assert.equal(probes, 0);
+    assert.equal(status.connected, false);
+    assert.equal(status.online, false);
+  });
+
+  it('shares a check in progress and probes again on schedule', async () => {
+    let probes = 0;
+    const monitor = new ConnectionMonitor({
+      probe: async () => {
+        probes += 1;
+      },
+      server: 'api.example.com',
+      interval: 10
+    });
+
+    await Promise.all([monitor.start(), monitor.check()]);
+    assert.equal(probes, 1);
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    monitor.stop();
+    const seen = probes;
+    await new Promise((resolve) => setTimeout(resolve, 30));
+
+    assert.ok(seen > 1);
+    assert.equal(probes, seen);
+  });
+
+  describe('createApiProbe', () => {
+    it('treats any answer below 500 as reachable', async () => {
+      // /auth/status answers 401 without a session
+      await createApiProbe({ baseURL: mock.url })();
+    });
+
+    it('fails on server errors and unreachable servers', async () => {
+      mock.injectFault({ status: 503, path: '/auth/status' });
+
+      await assert.rejects(createApiProbe({ baseURL: mock.url })());
+      await assert.rejects(createApiProbe({ baseURL: 'http://127.0.0.1:9/v2' })());
+    });
+  });
+});
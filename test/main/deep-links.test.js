@@ -0,0 +1,40 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { findDeepLink, parseDeepLink } = require('../../src/main/deep-links');
+
+describe('deep links', () => {
+  it('finds the link on a command line', () => {
+    assert.equal(findDeepLink(['/opt/pi-network/pi-network-linux', '--no-sandbox', 'PI:alice?amount=1']), 'PI:alice?amount=1');
+    assert.equal(findDeepLink(['/opt/pi-network/pi-network-linux', '--pi:alice']), null);
+    assert.equal(findDeepLink(), null);
+  });
+
+  it('reads payment requests, profiles and invitations', () => {
+    assert.deepEqual(parseDeepLink('pi:alice?amount=1.5').request, {
+      uri: 'pi:alice?amount=1.5',
+      recipient: 'alice',
+      amount: 1.5,
+      memo: ''
+    });
+    assert.deepEqual(parseDeepLink('pi://profile/@alice/'), { type: 'profile', uri: 'pi://profile/@alice/', username: 'alice' });
+    assert.deepEqual(parseDeepLink('pi:invitation/inv-alice-pioneer'), {
+      type: 'invitation',
+      uri: 'pi:invitation/inv-alice-pioneer',
+      invitationId: 'inv-alice-pioneer'
+    });
+    // A user named profile
+    assert.equal(parseDeepLink('pi://profile').request.recipient, 'profile');
+  });
+
+  it('refuses malformed links', () => {
+    assert.throws(() => parseDeepLink('pi://profile/al ice'), {
+      name: 'DeepLinkError',
+      code: 'INVALID_DEEP_LINK',
+      message: 'Invalid profile in the link: al ice'
+    });
+    assert.throws(() => parseDeepLink('pi://invitation/'), { code: 'INVALID_DEEP_LINK' });
+    assert.throws(() => parseDeepLink('pi://invitation/%E0%A4%A'), { message: 'The link is damaged' });
+    assert.throws(() => parseDeepLink('pi://settings/logs'), { message: 'This link cannot be opened by the app' });
+    assert.throws(() => parseDeepLink('https://example.com'), { code: 'INVALID_PAYMENT_REQUEST' });
+  });
+});
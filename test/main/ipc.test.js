@@ -0,0 +1,519 @@
+const { describe, it, before, after, beforeEach, mock: testMock } = require('node:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('node:assert/strict');
+const { startMockServer, stubElectron, silenceConsole } = require('../helpers');
+const { DEFAULT_LEVEL, getLevel, setLevel, disableFileLogging } = require('../../src/logger');
+
+// Loads main.js against a stand-in electron module and a mock API server,
+// then drives it through its ipcMain handlers
+describe('main process IPC', () => {
+  let mock;
+  let electron;
+  let userData;
+  const environment = {};
+
+  before(async () => {
+    // Hooks have no test context, so use the module level mock
+    silenceConsole({ mock: testMock });
+    mock = await startMockServer();
+    userData = fs.mkdtempSync(path.join(os.tmpdir(), 'pi-network-test-'));
+
+    // main.js resolves its configuration when it is loaded
+    ['PI_NETWORK_ENV', 'PI_API_BASE_URL'].forEach((name) => {
+      environment[name] = process.env[name];
+    });
+    process.env.PI_NETWORK_ENV = 'local';
+    process.env.PI_API_BASE_URL = mock.url;
+
+    electron = stubElectron({ userData });
+    require('../../main.js');
+
+    const unlocked = await electron.invoke('vault-unlock');
+    assert.equal(unlocked.success, true);
+  });
+
+  after(async () => {
+    // Stops the token renewal timers
+    electron.emitApp('will-quit');
+    electron.restore();
+    testMock.restoreAll();
+    // main.js writes its log file to userData/logs
+    disableFileLogging();
+    setLevel(DEFAULT_LEVEL);
+    fs.rmSync(userData, { recursive: true, force: true });
+    Object.entries(environment).forEach(([name, value]) => {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    });
+    await mock.close();
+  });
+
+  beforeEach((t) => silenceConsole(t));
+
+  it('get-app-version returns the app version', () => {
+    assert.equal(electron.invoke('get-app-version'), '0.0.0-test');
+  });
+
+  it('settings-get-environment reports the environment from PI_NETWORK_ENV', () => {
+    const result = electron.invoke('settings-get-environment');
+
+    assert.equal(result.environment, 'local');
+    assert.equal(result.source, 'env');
+    assert.equal(result.apiBaseURL, mock.url);
+    assert.deepEqual(result.profiles.map((profile) => profile.name), ['production', 'testnet', 'local']);
+  });
+
+  it('settings-set-environment saves without restarting while PI_NETWORK_ENV is set', () => {
+    assert.equal(electron.invoke('settings-set-environment', 'nowhere').success, false);
+
+    const result = electron.invoke('settings-set-environment', 'testnet');
+
+    assert.equal(result.success, true);
+    assert.equal(result.restarting, false);
+  });
+
+  it('settings-get-logging reports the level and the log file under userData', () => {
+    const result = electron.invoke('settings-get-logging');
+
+    assert.equal(result.level, DEFAULT_LEVEL);
+    assert.deepEqual(result.levels, ['error', 'warn', 'info', 'debug']);
+    assert.equal(result.file, path.join(userData, 'logs', 'pi-network.log'));
+  });
+
+  it('settings-set-log-level changes the level', () => {
+    assert.equal(electron.invoke('settings-set-log-level', 'verbose').success, false);
+
+    const result = electron.invoke('settings-set-log-level', 'debug');
+
+    assert.deepEqual(result, { success: true, level: 'debug' });
+    assert.equal(getLevel(), 'debug');
+    electron.invoke('settings-set-log-level', DEFAULT_LEVEL);
+  });
+
+  it('open-external-link only opens https links', (t) => {
+    const openExternal = t.mock.method(electron.electron.shell, 'openExternal', async () => {});
+
+    assert.equal(electron.invoke('open-external-link', 'https://minepi.com'), true);
+    assert.equal(electron.invoke('open-external-link', 'file:///etc/passwd'), false);
+    assert.equal(openExternal.mock.callCount(), 1);
+  });
+
+  it('connection-check probes the configured API server', async () => {
+    const status = await electron.invoke('connection-check');
+
+    assert.equal(status.connected, true);
+    assert.equal(status.server, new URL(mock.url).host);
+    assert.deepEqual(electron.invoke('connection-get-status'), status);
+  });
+
+  it('qr-encode returns the modules of a QR code', () => {
+    const qr = electron.invoke('qr-encode', 'GB57VOJWIMXMNJ7HR3GWGTPMSBJJTJOTDKLX6T4VHKX5KWLUEAGJEINF');
+
+    assert.equal(qr.success, true);
+    assert.equal(qr.modules.length, qr.size * qr.size);
+    assert.deepEqual(electron.invoke('qr-encode', 42), { success: false, error: 'text must be a non-empty string' });
+  });
+
+  it('wallet-check-recipient tells usernames from addresses offline', () => {
+    assert.deepEqual(electron.invoke('wallet-check-recipient', '@alice').data, {
+      type: 'username',
+      username: 'alice',
+      address: undefined,
+      baseAddress: undefined,
+      muxedId: undefined
+    });
+    assert.equal(electron.invoke('wallet-check-recipient', 'GB57VOJWIMXMNJ7HR3GWGTPMSBJJTJOTDKLX6T4VHKX5KWLUEAGJEINF').data.type, 'address');
+
+    const typo = electron.invoke('wallet-check-recipient', 'GB57VOJWIMXMNJ7HR3GWGTPMSBJJTJOTDKLX6T4VHKX5KWLUEAGJEIN');
+    assert.equal(typo.success, false);
+    assert.equal(typo.errorType, 'AddressError');
+    assert.equal(typo.errorCode, 'INVALID_ADDRESS');
+  });
+
+  it('vault-get-status reports an unlocked vault without passphrase', () => {
+    assert.deepEqual(electron.invoke('vault-get-status'), { requiresPassphrase: false, isUnlocked: true });
+  });
+
+  describe('authentication', () => {
+    it('auth-login requires a username and password', async () => {
+      const result = await electron.invoke('auth-login', 'pioneer', '');
+
+      assert.deepEqual(result, { success: false, error: 'Username and password are required' });
+    });
+
+    it('auth-login reports invalid credentials', async () => {
+      const result = await electron.invoke('auth-login', 'pioneer', 'wrong');
+
+      assert.equal(result.success, false);
+      assert.equal(result.error, 'Invalid username or password');
+      assert.equal(result.statusCode, 401);
+    });
+
+    it('logs in, serves API calls and logs out', async () => {
+      const login = await electron.invoke('auth-login', 'pioneer', 'password123');
+      assert.equal(login.success, true);
+      assert.equal(login.user.username, 'pioneer');
+
+      const status = await electron.invoke('auth-check-status');
+      assert.equal(status.isAuthenticated, true);
+
+      const balance = await electron.invoke('wallet-get-balance');
+      assert.equal(balance.data.balance, '123.45');
+
+      assert.deepEqual(await electron.invoke('auth-logout'), { success: true });
+      assert.equal((await electron.invoke('auth-check-status')).isAuthenticated, false);
+    });
+
+    it('wallet-send asks for confirmation before paying', async (t) => {
+      await electron.invoke('auth-login', 'pioneer', 'password123');
+      const showMessageBox = t.mock.method(electron.electron.dialog, 'showMessageBox', async () => ({ response: 0 }));
+
+      const cancelled = await electron.invoke('wallet-send', 'alice', 1, 'Lunch');
+      showMessageBox.mock.mockImplementation(async () => ({ response: 1 }));
+      const sent = await electron.invoke('wallet-send', 'alice', 1, 'Lunch');
+
+      assert.equal(cancelled.success, false);
+      assert.equal(cancelled.errorCode, 'PAYMENT_CANCELLED');
+      assert.equal(showMessageBox.mock.calls[0].arguments[1].message, 'Send 1 π to alice from pioneer?');
+      assert.match(showMessageBox.mock.calls[0].arguments[1].detail, /"memo": "Lunch"/);
+      assert.equal(sent.success, true);
+      assert.equal(sent.data.transaction.status, 'completed');
+      assert.equal(electron.invoke('wallet-get-send-policy').passphraseSet, false);
+    });
+
+    it('clears the cached responses on logout', async () => {
+      await electron.invoke('auth-login', 'pioneer', 'password123');
+      assert.equal((await electron.invoke('mining-get-rate')).cached, false);
+      assert.equal((await electron.invoke('mining-get-rate')).cached, true);
+
+      await electron.invoke('auth-logout');
+      const afterLogout = await electron.invoke('mining-get-rate');
+
+      assert.equal(afterLogout.success, false);
+      assert.equal(afterLogout.statusCode, 401);
+    });
+
+    it('auth-check-status clears a session the server rejects', async () => {
+      await electron.invoke('auth-login', 'pioneer', 'password123');
+      mock.state.expireTokens();
+      mock.state.refreshTokens.clear();
+
+      const status = await electron.invoke('auth-check-status');
+
+      assert.equal(status.isAuthenticated, false);
+      assert.equal((await electron.invoke('wallet-get-balance')).statusCode, 401);
+    });
+
+    it('auth-check-status keeps the session while the API cannot be reached', async () => {
+      const login = await electron.invoke('auth-login', 'pioneer', 'password123');
+      await electron.invoke('mining-get-rate');
+      const { data: synced } = await electron.invoke('wallet-sync-transactions');
+
+      const { port } = new URL(mock.url);
+      await mock.close();
+      let status;
+      try {
+        status = await electron.invoke('auth-check-status');
+      } finally {
+        await mock.listen(Number(port));
+      }
+
+      assert.equal(status.isAuthenticated, true);
+      assert.equal(status.offline, true);
+      assert.equal(status.user.username, login.user.username);
+      assert.equal((await electron.invoke('mining-get-rate')).cached, true);
+      assert.equal((await electron.invoke('wallet-search-transactions', {})).data.pagination.total, synced.total);
+      assert.equal((await electron.invoke('wallet-get-balance')).success, true);
+    });
+
+    it('auth-check-status keeps the session when the refresh fails on the server', async () => {
+      await electron.invoke('auth-login', 'pioneer', 'password123');
+      mock.injectFault({ status: 401, path: '/auth/status' });
+      mock.injectFault({ status: 503, path: '/auth/refresh' });
+
+      const status = await electron.invoke('auth-check-status');
+
+      assert.equal(status.isAuthenticated, true);
+      assert.equal(status.offline, true);
+      assert.equal((await electron.invoke('wallet-get-balance')).success, true);
+    });
+  });
+
+  describe('address book', () => {
+    beforeEach(async () => {
+      mock.state.reset();
+      await electron.invoke('auth-login', 'pioneer', 'password123');
+      const { data: entries } = await electron.invoke('address-book-list');
+      await Promise.all(entries.map((entry) => electron.invoke('address-book-remove', entry.id)));
+    });
+
+    it('saves checked recipients and suggests them', async () => {
+      const added = await electron.invoke('address-book-add', { label: 'Alice', recipient: '@alice' });
+      const typo = await electron.invoke('address-book-add', {
+        label: 'Typo',
+        recipient: 'GB57VOJWIMXMNJ7HR3GWGTPMSBJJTJOTDKLX6T4VHKX5KWLUEAGJEINE'
+      });
+
+      assert.equal(added.success, true);
+      assert.equal(added.data.recipient, 'alice');
+      assert.equal(typo.success, false);
+      assert.equal(typo.errorCode, 'INVALID_ADDRESS');
+      assert.deepEqual((await electron.invoke('address-book-list', 'al')).data.map((entry) => entry.label), ['Alice']);
+
+      const updated = await electron.invoke('address-book-update', added.data.id, { label: 'Alice Smith' });
+      assert.equal(updated.data.label, 'Alice Smith');
+      assert.equal((await electron.invoke('address-book-update', 'missing', {})).errorCode, 'ENTRY_NOT_FOUND');
+    });
+
+    it('adds the security circle in one click', async () => {
+      await electron.invoke('social-add-to-circle', 'alice');
+      await electron.invoke('social-add-to-circle', 'bob');
+      await electron.invoke('address-book-add', { label: 'Bob', recipient: 'bob' });
+
+      const result = await electron.invoke('address-book-add-from-circle');
+
+      assert.deepEqual(result.data.added.map((entry) => [entry.label, entry.recipient]), [['Alice', 'alice']]);
+      assert.deepEqual(result.data.skipped.map((entry) => entry.recipient), ['bob']);
+      assert.equal((await electron.invoke('address-book-add-from-circle', 'carol')).errorCode, 'ENTRY_NOT_FOUND');
+    });
+
+    it('exports and imports files chosen in a dialog', async (t) => {
+      const filePath = path.join(userData, 'book.vcf');
+      await electron.invoke('address-book-add', { label: 'Alice', recipient: 'alice', notes: 'Lunch' });
+      const showSaveDialog = t.mock.method(electron.electron.dialog, 'showSaveDialog', async () => ({ canceled: false, filePath }));
+
+      const exported = await electron.invoke('address-book-export', 'vcard');
+
+      assert.deepEqual(exported.data, { canceled: false, filePath, count: 1 });
+      assert.equal(showSaveDialog.mock.calls[0].arguments[1].defaultPath, 'pi-address-book.vcf');
+      assert.match(fs.readFileSync(filePath, 'utf8'), /X-PI-USERNAME:alice/);
+
+      fs.appendFileSync(filePath, 'BEGIN:VCARD\r\nVERSION:3.0\r\nFN:Bob\r\nX-PI-USERNAME:bob\r\nEND:VCARD\r\n');
+      t.mock.method(electron.electron.dialog, 'showOpenDialog', async () => ({ canceled: false, filePaths: [filePath] }));
+      const imported = await electron.invoke('address-book-import');
+
+      assert.deepEqual(imported.data.added.map((entry) => entry.label), ['Bob']);
+      assert.deepEqual(imported.data.skipped.map((entry) => entry.label), ['Alice']);
+    });
+
+    it('moves paid recipients to the top', async () => {
+      await electron.invoke('address-book-add', { label: 'Alice', recipient: 'alice' });
+      await electron.invoke('address-book-add', { label: 'Bob', recipient: 'bob' });
+
+      await electron.invoke('wallet-send', 'bob', 1);
+
+      const { data: entries } = await electron.invoke('address-book-list');
+      assert.deepEqual(entries.map((entry) => entry.label), ['Bob', 'Alice']);
+      assert.equal(typeof entries[0].lastUsedAt, 'number');
+    });
+  });
+
+  describe('transaction export', () => {
+    beforeEach(async () => {
+      mock.state.reset();
+      await electron.invoke('auth-login', 'pioneer', 'password123');
+    });
+
+    it('writes the transactions to the file chosen in a dialog', async (t) => {
+      const filePath = path.join(userData, 'transactions.ofx');
+      const showSaveDialog = t.mock.method(electron.electron.dialog, 'showSaveDialog', async () => ({ canceled: false, filePath }));
+
+      const result = await electron.invoke('wallet-export-transactions', { format: 'ofx' });
+
+      assert.equal(result.success, true);
+      assert.equal(result.data.filePath, filePath);
+      assert.ok(result.data.count > 0);
+      assert.equal(showSaveDialog.mock.calls[0].arguments[1].defaultPath, 'pi-transactions.ofx');
+      const content = fs.readFileSync(filePath, 'utf8');
+      assert.equal(content.match(/<STMTTRN>/g).length, result.data.count);
+      assert.match(content, /<BALAMT>123\.45<\/BALAMT>/);
+    });
+
+    it('checks the options before asking for a file', async (t) => {
+      const showSaveDialog = t.mock.method(electron.electron.dialog, 'showSaveDialog');
+
+      const result = await electron.invoke('wallet-export-transactions', { format: 'csv', columns: [] });
+
+      assert.equal(result.errorCode, 'INVALID_EXPORT');
+      assert.equal(result.error, 'Select at least one column');
+      assert.equal(showSaveDialog.mock.callCount(), 0);
+      assert.deepEqual((await electron.invoke('wallet-export-transactions', {})).data, { canceled: true });
+    });
+  });
+
+  describe('transaction index', () => {
+    beforeEach(async () => {
+      mock.state.reset();
+      await electron.invoke('auth-login', 'pioneer', 'password123');
+    });
+
+    it('searches the synced transactions and wipes them on logout', async () => {
+      await electron.invoke('wallet-send', 'alice', 1, 'Concert tickets');
+
+      const synced = await electron.invoke('wallet-sync-transactions');
+      assert.equal(synced.success, true);
+      assert.equal(synced.data.added, synced.data.total);
+
+      const found = await electron.invoke('wallet-search-transactions', { query: 'concert', direction: 'out' });
+      assert.deepEqual(found.data.transactions.map((transaction) => transaction.counterparty), ['alice']);
+      assert.equal((await electron.invoke('wallet-search-transactions', { direction: 'up' })).errorCode, 'INVALID_FILTER');
+
+      await electron.invoke('auth-logout');
+      const { data } = await electron.invoke('wallet-search-transactions', {});
+      assert.equal(data.pagination.total, 0);
+      assert.equal(data.syncedAt, null);
+    });
+  });
+
+  describe('payment requests', () => {
+    beforeEach(async () => {
+      mock.state.reset();
+      await electron.invoke('auth-login', 'pioneer', 'password123');
+    });
+
+    it('builds requests to the account and reads payment links', async () => {
+      const byUsername = await electron.invoke('payment-request-create', { amount: 3, memo: 'Dinner' });
+      const byAddress = await electron.invoke('payment-request-create', { payTo: 'address' });
+
+      assert.equal(byUsername.data.uri, 'pi:pioneer?amount=3&memo=Dinner');
+      assert.equal(byAddress.data.uri, 'pi:GCA2HGU5W2XADU5VURQNCIXAFMLBXPRVQOFRY7ULECKGSTWBMWRCZH2L');
+      assert.equal((await electron.invoke('payment-request-create', { amount: -3 })).errorCode, 'INVALID_PAYMENT');
+
+      assert.deepEqual((await electron.invoke('payment-request-parse', byUsername.data.uri)).data, byUsername.data);
+      const invalid = await electron.invoke('payment-request-parse', 'bitcoin:1BoatSLRHtKNngkdXEeobR76b53LETtpyT');
+      assert.equal(invalid.errorCode, 'INVALID_PAYMENT_REQUEST');
+      assert.equal(invalid.error, 'This is not a Pi payment link');
+    });
+  });
+
+  describe('deep links', () => {
+    it('hands links of a second launch to the window once authenticated', async (t) => {
+      const window = {
+        isMinimized: () => true,
+        restore: t.mock.fn(),
+        focus: t.mock.fn(),
+        webContents: { send: t.mock.fn() }
+      };
+      await electron.invoke('auth-logout');
+      t.mock.method(electron.electron.BrowserWindow, 'getAllWindows', () => [window]);
+
+      electron.emitApp('second-instance', {}, ['/usr/bin/pi-network-linux', '--no-sandbox', 'pi://profile/@alice']);
+
+      assert.equal(window.restore.mock.callCount(), 1);
+      assert.equal(window.focus.mock.callCount(), 1);
+      assert.deepEqual(window.webContents.send.mock.calls[0].arguments, ['deep-link']);
+      // Kept until the login
+      assert.deepEqual(electron.invoke('deep-link-take'), { success: true, data: null });
+
+      await electron.invoke('auth-login', 'pioneer', 'password123');
+      assert.deepEqual(electron.invoke('deep-link-take').data, { type: 'profile', uri: 'pi://profile/@alice', username: 'alice' });
+      assert.equal(electron.invoke('deep-link-take').data, null);
+
+      electron.emitApp('second-instance', {}, ['/usr/bin/pi-network-linux', 'pi:alice?amount=abc']);
+      assert.equal(electron.invoke('deep-link-take').errorCode, 'INVALID_PAYMENT_REQUEST');
+    });
+  });
+
+  describe('wallet analytics', () => {
+    beforeEach(async () => {
+      mock.state.reset();
+      await electron.invoke('auth-login', 'pioneer', 'password123');
+    });
+
+    it('charts the balance and exports the chart data', async (t) => {
+      const analytics = await electron.invoke('wallet-get-analytics', { days: 30 });
+      assert.equal(analytics.data.daily.length, 30);
+      assert.equal(analytics.data.daily[29].balance, '123.45');
+      assert.equal((await electron.invoke('wallet-get-analytics', { days: -1 })).errorCode, 'INVALID_RANGE');
+
+      const filePath = path.join(userData, 'balance.csv');
+      const showSaveDialog = t.mock.method(electron.electron.dialog, 'showSaveDialog', async () => ({ canceled: false, filePath }));
+      const exported = await electron.invoke('wallet-export-analytics', { series: 'daily', format: 'csv', days: 30 });
+
+      assert.deepEqual(exported.data, { canceled: false, filePath, count: 30 });
+      assert.equal(showSaveDialog.mock.calls[0].arguments[1].defaultPath, 'pi-daily.csv');
+      assert.match(fs.readFileSync(filePath, 'utf8'), /^date,balance,inflow,outflow\r\n/);
+      assert.equal((await electron.invoke('wallet-export-analytics', { series: 'hourly' })).errorCode, 'INVALID_EXPORT');
+    });
+  });
+
+  describe('accounts', () => {
+    it('keeps a separate session per account', async () => {
+      await electron.invoke('auth-login', 'pioneer', 'password123');
+      const { activeAccountId: firstId } = electron.invoke('accounts-list');
+
+      assert.deepEqual(electron.invoke('accounts-add', 'Second'), { success: true });
+      const { accounts, activeAccountId: secondId } = electron.invoke('accounts-list');
+      assert.equal(accounts.length, 2);
+      assert.notEqual(secondId, firstId);
+      assert.equal((await electron.invoke('auth-check-status')).isAuthenticated, false);
+
+      await electron.invoke('auth-login', 'alice', 'password123');
+      assert.equal((await electron.invoke('user-get-profile')).data.username, 'alice');
+
+      assert.deepEqual(electron.invoke('accounts-switch', firstId), { success: true });
+      assert.equal((await electron.invoke('user-get-profile')).data.username, 'pioneer');
+
+      assert.deepEqual(await electron.invoke('accounts-remove', secondId), { success: true });
+      assert.equal(electron.invoke('accounts-list').accounts.length, 1);
+    });
+
+    it('renames an account', () => {
+      const { activeAccountId } = electron.invoke('accounts-list');
+
+      assert.equal(electron.invoke('accounts-rename', activeAccountId, ' ').success, false);
+      assert.deepEqual(electron.invoke('accounts-rename', activeAccountId, 'Main'), { success: true });
+      assert.equal(electron.invoke('accounts-list').accounts[0].name, 'Main');
+    });
+
+    it('reports unknown accounts', async () => {
+      assert.equal(electron.invoke('accounts-switch', 'missing').success, false);
+      assert.equal((await electron.invoke('accounts-remove', 'missing')).success, false);
+    });
+  });
+
+  describe('passphrase', () => {
+    it('rejects a short passphrase', async () => {
+      const result = await electron.invoke('vault-set-passphrase', 'short');
+
+      assert.equal(result.success, false);
+      assert.equal(result.code, 'WEAK_PASSPHRASE');
+    });
+
+    it('sets and removes the passphrase', async () => {
+      assert.deepEqual(await electron.invoke('vault-set-passphrase', 'correct horse battery'), { success: true });
+      assert.equal(electron.invoke('vault-get-status').requiresPassphrase, true);
+
+      const wrong = await electron.invoke('vault-set-passphrase', null, 'wrong passphrase');
+      assert.equal(wrong.code, 'INVALID_PASSPHRASE');
+
+      assert.deepEqual(await electron.invoke('vault-set-passphrase', null, 'correct horse battery'), { success: true });
+      assert.equal(electron.invoke('vault-get-status').requiresPassphrase, false);
+    });
+  });
+});
+
+describe('second instance', () => {
+  it('exits before opening any store', (t) => {
+    const userData = fs.mkdtempSync(path.join(os.tmpdir(), 'pi-network-test-'));
+    const electron = stubElectron({ userData });
+    t.after(() => {
+      electron.restore();
+      fs.rmSync(userData, { recursive: true, force: true });
+    });
+    electron.electron.app.requestSingleInstanceLock = () => false;
+    const exit = t.mock.method(electron.electron.app, 'exit');
+
+    delete require.cache[require.resolve('../../main.js')];
+    require('../../main.js');
+
+    assert.deepEqual(exit.mock.calls.map((call) => call.arguments), [[0]]);
+    assert.equal(electron.handlers.size, 0);
+    assert.deepEqual(fs.readdirSync(userData), []);
+  });
+});
@@ -0,0 +1,159 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createTempDir } = require('../helpers');
+const {
+  DEFAULT_LEVEL,
+  createLogger,
+  setLevel,
+  getLevel,
+  enableFileLogging,
+  disableFileLogging,
+  getLogFile,
+  redact
+} = require('../../src/logger');
+
+// Wait until check() returns a truthy value. The file transport reports
+// entries as logged before they reach the disk
+const waitFor = async (check, timeout = 2000) => {
+  const start = Date.now();
+  for (;;) {
+    const result = check();
+    if (result || Date.now() - start > timeout) {
+      return result;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
+
+// Capture what the console transport writes
+const captureConsole = (t) => {
+  const lines = [];
+  ['log', 'info', 'warn', 'error'].forEach((method) => {
+    t.mock.method(console, method, (line) => lines.push({ method, line }));
+  });
+  return lines;
+};
+
+describe('logger', () => {
+  afterEach(() => {
+    setLevel(DEFAULT_LEVEL);
+    disableFileLogging();
+  });
+
+  describe('redact', () => {
+    it('redacts credentials at any depth', () => {
+      const result = redact({
+        username: 'pioneer',
+        password: 'hunter2',
+        response: { data: { token: 'abc', refreshToken: 'def', user: { id: 'user-1' } } },
+        headers: { Authorization: 'Bearer abc', 'Content-Type': 'application/json' }
+      });
+
+      assert.deepEqual(result, {
+        username: 'pioneer',
+        password: '[REDACTED]',
+        response: { data: { token: '[REDACTED]', refreshToken: '[REDACTED]', user: { id: 'user-1' } } },
+        headers: { Authorization: '[REDACTED]', 'Content-Type': 'application/json' }
+      });
+    });
+
+    it('masks bearer tokens and secrets inside strings', () => {
+      assert.equal(redact('sent Bearer eyJhbGciOi.x.y'), 'sent Bearer [REDACTED]');
+      assert.equal(redact('/auth?token=abc&page=2'), '/auth?token=[REDACTED]&page=2');
+    });
+
+    it('reduces axios errors to where the request went', () => {
+      const error = Object.assign(new Error('Request failed with status code 401'), {
+        isAxiosError: true,
+        code: 'ERR_BAD_REQUEST',
+        config: { method: 'post', url: '/auth/login', headers: { Authorization: 'Bearer abc' }, data: '{"password":"x"}' },
+        request: { socket: {} },
+        response: { status: 401, data: { error: 'Invalid credentials' } }
+      });
+
+      assert.deepEqual(redact(error), {
+        name: 'Error',
+        message: 'Request failed with status code 401',
+        code: 'ERR_BAD_REQUEST',
+        status: 401,
+        method: 'post',
+        url: '/auth/login'
+      });
+    });
+
+    it('stops at cycles and summarizes binary data', () => {
+      const value = { image: Buffer.alloc(16) };
+      value.self = value;
+
+      assert.deepEqual(redact(value), { image: '[Binary 16 bytes]', self: '[Circular]' });
+    });
+  });
+
+  describe('levels', () => {
+    it('skips entries below the level', (t) => {
+      const lines = captureConsole(t);
+      const log = createLogger('test');
+
+      log.debug('Hidden');
+      setLevel('debug');
+      log.debug('Shown', { password: 'hunter2' });
+
+      assert.equal(lines.length, 1);
+      assert.match(lines[0].line, /DEBUG \[test\] Shown/);
+      assert.doesNotMatch(lines[0].line, /hunter2/);
+    });
+
+    it('writes errors and warnings to the matching console method', (t) => {
+      const lines = captureConsole(t);
+      const log = createLogger('test').child('part');
+
+      log.warn('Careful');
+      log.error('Failed:', 'timeout');
+
+      assert.deepEqual(lines.map(({ method }) => method), ['warn', 'error']);
+      assert.match(lines[1].line, /ERROR \[test:part\] Failed: timeout/);
+    });
+
+    it('rejects unknown levels', () => {
+      assert.throws(() => setLevel('verbose'), /Unknown log level "verbose"/);
+      assert.equal(getLevel(), DEFAULT_LEVEL);
+    });
+  });
+
+  describe('file logging', () => {
+    it('writes redacted JSON lines under the directory', async (t) => {
+      captureConsole(t);
+      const directory = createTempDir(t);
+      enableFileLogging({ directory });
+
+      createLogger('test').info('Login Response', { token: 'abc', user: 'pioneer' });
+
+      const file = path.join(directory, 'pi-network.log');
+      assert.equal(getLogFile(), file);
+      const content = await waitFor(() => fs.existsSync(file) && fs.readFileSync(file, 'utf8'));
+      const entry = JSON.parse(content.trim());
+      assert.equal(entry.level, 'info');
+      assert.equal(entry.scope, 'test');
+      assert.deepEqual(entry.data, { token: '[REDACTED]', user: 'pioneer' });
+    });
+
+    it('rotates files by size', async (t) => {
+      captureConsole(t);
+      const directory = createTempDir(t);
+      enableFileLogging({ directory, maxSize: 200, maxFiles: 2 });
+      const log = createLogger('test');
+
+      for (let i = 0; i < 6; i++) {
+        log.info('Entry', { i, padding: 'x'.repeat(150) });
+      }
+
+      const files = await waitFor(() => {
+        const names = fs.readdirSync(directory).sort();
+        return names.length === 2 && names;
+      });
+      assert.deepEqual(files, ['pi-network.log', 'pi-network1.log']);
+    });
+  });
+});
@@ -0,0 +1,47 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPaymentRequest, parsePaymentRequest } = require('../../src/main/payment-request');
+
+const ALICE_ADDRESS = 'GB57VOJWIMXMNJ7HR3GWGTPMSBJJTJOTDKLX6T4VHKX5KWLUEAGJEINF';
+
+describe('payment requests', () => {
+  it('builds pi: URIs with an optional amount and memo', () => {
+    assert.deepEqual(createPaymentRequest({ recipient: '@Alice', amount: 1.5, memo: 'Lunch & café' }), {
+      uri: 'pi:Alice?amount=1.5&memo=Lunch%20%26%20caf%C3%A9',
+      recipient: 'Alice',
+      amount: 1.5,
+      memo: 'Lunch & café'
+    });
+    assert.equal(createPaymentRequest({ recipient: ALICE_ADDRESS.toLowerCase() }).uri, `pi:${ALICE_ADDRESS}`);
+    assert.equal(createPaymentRequest({ recipient: 'alice', amount: 0.0000001 }).uri, 'pi:alice?amount=0.0000001');
+  });
+
+  it('reads the URIs it builds', () => {
+    const request = createPaymentRequest({ recipient: ALICE_ADDRESS, amount: 12, memo: 'Rent 50% / June?' });
+
+    assert.deepEqual(parsePaymentRequest(request.uri), request);
+  });
+
+  it('accepts other spellings of the same request', () => {
+    const expected = { uri: 'pi:alice?amount=2&memo=Thanks%20a%20lot', recipient: 'alice', amount: 2, memo: 'Thanks a lot' };
+
+    assert.deepEqual(parsePaymentRequest(' PI://alice/?memo=Thanks+a+lot&amount=2.000&label=x '), expected);
+    assert.deepEqual(parsePaymentRequest('pi:%40alice?amount=2&memo=Thanks%20a%20lot'), expected);
+    assert.equal(parsePaymentRequest('pi:alice').amount, null);
+  });
+
+  it('refuses links that are not valid payments', () => {
+    assert.throws(() => parsePaymentRequest('https://example.com/pay?to=alice'), {
+      name: 'PaymentRequestError',
+      code: 'INVALID_PAYMENT_REQUEST'
+    });
+    assert.throws(() => parsePaymentRequest('pi:?amount=1'), { code: 'INVALID_PAYMENT_REQUEST' });
+    assert.throws(() => parsePaymentRequest('pi:alice?amount=1e3'), { message: 'Invalid amount in the payment link: 1e3' });
+    assert.throws(() => parsePaymentRequest('pi:alice?amount=-1'), { code: 'INVALID_PAYMENT_REQUEST' });
+    assert.throws(() => parsePaymentRequest('pi:alice?amount=0'), { name: 'PaymentError' });
+    assert.throws(() => parsePaymentRequest('pi:alice?amount=0.00000001'), { message: 'Amounts have at most 7 decimals' });
+    assert.throws(() => parsePaymentRequest(`pi:alice?memo=${'x'.repeat(29)}`), { message: 'The memo is limited to 28 bytes' });
+    assert.throws(() => parsePaymentRequest(`pi:${ALICE_ADDRESS.slice(0, -1)}E`), { name: 'AddressError', code: 'INVALID_ADDRESS' });
+    assert.throws(() => parsePaymentRequest('pi:%E0%A4%A'), { message: 'The payment link is damaged' });
+  });
+});
@@ -0,0 +1,236 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockServer, createTestClient, silenceConsole } = require('../helpers');
+const { PaymentService, PaymentError, validatePayment } = require('../../src/main/payments');
+const { encodeAddress, decodeAddress } = require('../../src/api/address');
+
+// Vault with the app passphrase 'correct horse', or without passphrase
+const createVault = (passphraseSet = true) => ({
+  requiresPassphrase: () => passphraseSet,
+  verifyPassphrase: async (passphrase) => {
+    if (passphrase !== 'correct horse') {
+      throw new Error('Invalid passphrase');
+    }
+  }
+});
+
+describe('payments', () => {
+  let mock;
+  let client;
+  let confirmations;
+  let updates;
+
+  // Payment service confirming every payment unless told otherwise
+  const createService = ({ confirmed = true, ...options } = {}) => {
+    const service = new PaymentService({
+      getApi: () => client,
+      vault: createVault(),
+      confirm: async (confirmation) => {
+        confirmations.push(confirmation);
+        return confirmed;
+      },
+      ...options
+    });
+    service.on('update', (update) => updates.push(update));
+    return service;
+  };
+
+  before(async () => {
+    mock = await startMockServer();
+  });
+
+  after(() => mock.close());
+
+  beforeEach(async (t) => {
+    silenceConsole(t);
+    mock.state.reset();
+    client = await createTestClient(mock, { username: 'pioneer' });
+    confirmations = [];
+    updates = [];
+  });
+
+  describe('validatePayment', () => {
+    it('normalizes the recipient and defaults the memo', () => {
+      assert.deepEqual(validatePayment({ recipient: ' @alice ', amount: 1.5 }), { recipient: 'alice', amount: 1.5, memo: '' });
+    });
+
+    it('rejects invalid amounts and long memos', () => {
+      const invalid = [
+        [{ recipient: '', amount: 1 }, 'Enter a recipient'],
+        [{ recipient: 'alice', amount: 0 }, 'Enter an amount greater than 0'],
+        [{ recipient: 'alice', amount: 0.00000001 }, 'Amounts have at most 7 decimals'],
+        [{ recipient: 'alice', amount: 1, memo: 'π'.repeat(15) }, 'The memo is limited to 28 bytes']
+      ];
+
+      invalid.forEach(([payment, message]) => {
+        assert.throws(() => validatePayment(payment), { name: 'PaymentError', code: 'INVALID_PAYMENT', message });
+      });
+    });
+  });
+
+  it('rejects mistyped addresses before asking for confirmation', async () => {
+    const service = createService();
+    const typo = 'GB57VOJWIMXMNJ7HR3GWGTPMSBJJTJOTDKLX6T4VHKX5KWLUEAGJEINE';
+
+    await assert.rejects(service.send({ recipient: typo, amount: 1 }), {
+      name: 'AddressError',
+      message: 'The address checksum does not match, check it for typos'
+    });
+    assert.deepEqual(confirmations, []);
+    assert.deepEqual(updates, []);
+  });
+
+  it('pays the account behind a muxed address', async () => {
+    const service = createService();
+    const alice = decodeAddress('GB57VOJWIMXMNJ7HR3GWGTPMSBJJTJOTDKLX6T4VHKX5KWLUEAGJEINF');
+
+    await service.send({ recipient: encodeAddress(alice.publicKey, 42).toLowerCase(), amount: 1 });
+
+    assert.equal(confirmations[0].payment.recipient, encodeAddress(alice.publicKey, 42));
+    assert.equal(mock.state.inspect('alice').balance, '43.5');
+  });
+
+  it('confirms the exact request, then sends it with its Idempotency-Key', async () => {
+    const service = createService();
+
+    const result = await service.send({ recipient: 'alice', amount: 2, memo: 'Lunch' });
+
+    assert.equal(result.success, true);
+    const [{ payment, request }] = confirmations;
+    assert.deepEqual(payment, { recipient: 'alice', amount: 2, memo: 'Lunch' });
+    assert.deepEqual(request.body, { recipient: 'alice', amount: 2, memo: 'Lunch' });
+    assert.equal(request.path, '/wallet/send');
+    assert.match(request.headers['Idempotency-Key'], /^[0-9a-f-]{36}$/);
+    assert.deepEqual(updates.map((update) => update.status), ['pending', 'completed']);
+    assert.equal(updates[0].id, request.headers['Idempotency-Key']);
+    assert.equal(updates[1].transaction.id, result.transaction.id);
+    assert.equal(service.pending.size, 0);
+  });
+
+  it('sends nothing when the payment is cancelled', async () => {
+    const service = createService({ confirmed: false });
+
+    await assert.rejects(service.send({ recipient: 'alice', amount: 2 }), (error) => {
+      assert.ok(error instanceof PaymentError);
+      assert.equal(error.code, 'PAYMENT_CANCELLED');
+      return true;
+    });
+    assert.equal(mock.state.inspect('alice').balance, '42.5');
+    assert.deepEqual(updates, []);
+  });
+
+  it('asks for the app passphrase for large amounts', async () => {
+    const service = createService({ largeAmount: 10 });
+
+    await assert.rejects(service.send({ recipient: 'alice', amount: 10 }), { code: 'PASSPHRASE_REQUIRED' });
+    await assert.rejects(service.send({ recipient: 'alice', amount: 10 }, { passphrase: 'wrong' }), {
+      code: 'INVALID_PASSPHRASE',
+      message: 'Invalid passphrase'
+    });
+    assert.equal(confirmations.length, 0);
+
+    await service.send({ recipient: 'alice', amount: 10 }, { passphrase: 'correct horse' });
+    assert.equal(mock.state.inspect('alice').balance, '52.5');
+  });
+
+  it('asks for the amount typed again for large amounts while no app passphrase is set', async () => {
+    const service = createService({ largeAmount: 10, vault: createVault(false) });
+
+    for (const typedAmount of [undefined, '', '1', '10.5']) {
+      await assert.rejects(service.send({ recipient: 'alice', amount: 10 }, { typedAmount }), { code: 'AMOUNT_NOT_CONFIRMED' });
+    }
+    assert.equal(confirmations.length, 0);
+
+    await service.send({ recipient: 'alice', amount: 10 }, { typedAmount: ' 10.0 ' });
+    await service.send({ recipient: 'alice', amount: 9 });
+
+    assert.equal(confirmations.length, 2);
+    assert.equal(mock.state.inspect('alice').balance, '61.5');
+    assert.deepEqual(service.getPolicy(), { largeAmount: 10, passphraseSet: false, maxMemoBytes: 28 });
+  });
+
+  // Make the mock server pay, then answer with the response built from the result
+  const answerSendWith = (t, answer) => {
+    const send = mock.state.send.bind(mock.state);
+    mock.state.send = (...args) => answer(send(...args));
+    t.after(() => delete mock.state.send);
+  };
+
+  it('completes payments accepted without a transaction', async (t) => {
+    answerSendWith(t, () => ({ success: true }));
+    const service = createService();
+
+    assert.deepEqual(await service.send({ recipient: 'alice', amount: 1 }), { success: true });
+
+    assert.deepEqual(updates.map((update) => [update.status, update.transaction]), [['pending', null], ['completed', null]]);
+    assert.equal(service.pending.size, 0);
+    assert.equal(mock.state.inspect('alice').balance, '43.5');
+  });
+
+  it('reports payments sent with an unexpected response as unverified', async (t) => {
+    answerSendWith(t, (result) => ({ ...result, transaction: { ...result.transaction, amount: 'one' } }));
+    const service = createService();
+
+    const result = await service.send({ recipient: 'alice', amount: 1 });
+
+    assert.deepEqual(result, { success: true, transaction: null, unverified: true });
+    assert.deepEqual(updates.map((update) => [update.status, update.error]), [['pending', null], ['unverified', null]]);
+    assert.equal(service.pending.size, 0);
+    assert.equal(mock.state.inspect('alice').balance, '43.5');
+  });
+
+  it('pays from the account shown in the confirmation after a switch', async () => {
+    const accounts = { 'account-1': client, 'account-2': await createTestClient(mock, { username: 'alice' }) };
+    let activeAccountId = 'account-1';
+    const service = createService({
+      getApi: () => accounts[activeAccountId],
+      getAccountId: () => activeAccountId,
+      confirm: async (confirmation) => {
+        confirmations.push(confirmation);
+        activeAccountId = 'account-2';
+        return true;
+      }
+    });
+
+    await service.send({ recipient: 'carol', amount: 1 });
+
+    assert.equal(confirmations[0].accountId, 'account-1');
+    assert.deepEqual(updates.map((update) => update.accountId), ['account-1', 'account-1']);
+    assert.equal(mock.state.inspect('pioneer').balance, '122.45');
+    assert.equal(mock.state.inspect('alice').balance, '42.5');
+  });
+
+  it('reports failed payments', async () => {
+    const service = createService({ largeAmount: 10000 });
+
+    await assert.rejects(service.send({ recipient: 'alice', amount: 1000 }), { name: 'InsufficientFundsError' });
+
+    assert.deepEqual(updates.map((update) => update.status), ['pending', 'failed']);
+    assert.equal(updates[1].error, 'Insufficient balance');
+  });
+
+  it('follows pending transactions until they settle', async () => {
+    let checks = 0;
+    let activeAccountId = 'account-1';
+    const api = {
+      wallet: {
+        sendPi: async () => ({ success: true, transaction: { id: 'tx-1', status: 'pending' } }),
+        getTransactionDetails: async (id) => ({ id, status: ++checks < 2 ? 'pending' : 'completed' })
+      }
+    };
+    const service = createService({ getApi: () => api, getAccountId: () => activeAccountId, pollInterval: 5 });
+
+    await service.send({ recipient: 'alice', amount: 1 });
+    // Switching accounts does not change the account that paid
+    activeAccountId = 'account-2';
+    assert.equal(service.pending.get(updates[0].id).status, 'pending');
+    while (service.pending.size > 0) {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+
+    assert.deepEqual(updates.map((update) => update.status), ['pending', 'pending', 'completed']);
+    assert.deepEqual(new Set(updates.map((update) => update.accountId)), new Set(['account-1']));
+    assert.equal(checks, 2);
+    service.dispose();
+  });
+});
@@ -0,0 +1,23 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeQr, MAX_QR_TEXT_LENGTH } = require('../../src/main/qr');
+
+describe('encodeQr', () => {
+  it('returns the module matrix of a wallet address', () => {
+    const { size, modules } = encodeQr('GCA2HGU5W2XADU5VURQNCIXAFMLBXPRVQOFRY7ULECKGSTWBMWRCZH2L');
+
+    // Version 3 at error correction level M holds 56 characters
+    assert.equal(size, 29);
+    assert.equal(modules.length, size * size);
+    assert.ok(modules.every((module) => module === 0 || module === 1));
+    // Top left finder pattern
+    assert.deepEqual([...modules.subarray(0, 7)], [1, 1, 1, 1, 1, 1, 1]);
+  });
+
+  it('rejects empty and overly long text', () => {
+    assert.throws(() => encodeQr(''), { name: 'TypeError', message: 'text must be a non-empty string' });
+    assert.throws(() => encodeQr('x'.repeat(MAX_QR_TEXT_LENGTH + 1)), {
+      message: `text must be at most ${MAX_QR_TEXT_LENGTH} characters`
+    });
+  });
+});
@@ -0,0 +1,185 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockServer, createTestClient } = require('../helpers');
+const { TransactionIndex } = require('../../src/main/transaction-index');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// In-memory stand-in for an account store
+const createMemoryStore = () => {
+  const values = new Map();
+  return {
+    get: (key) => values.get(key),
+    set: (key, value) => values.set(key, value),
+    delete: (key) => values.delete(key),
+    has: (key) => values.has(key)
+  };
+};
+
+describe('TransactionIndex', () => {
+  let mock;
+  let client;
+  let store;
+  let index;
+  const requests = [];
+
+  // History pages requested since the test started
+  const pageRequests = () => requests.filter((line) => line.startsWith('GET /v2/wallet/transactions?'));
+
+  before(async () => {
+    mock = await startMockServer({ log: (line) => requests.push(line) });
+  });
+
+  after(() => mock.close());
+
+  beforeEach(async () => {
+    mock.state.reset();
+    // bob has 5 mining rewards, one per day
+    client = await createTestClient(mock, { username: 'bob' });
+    store = createMemoryStore();
+    index = new TransactionIndex({ store, wallet: client.wallet, pageSize: 2, now: () => 1000000 });
+    requests.length = 0;
+  });
+
+  it('syncs the whole history once, then only the new transactions', async () => {
+    assert.deepEqual(await index.sync(), { added: 5, updated: 0, total: 5, syncedAt: 1000000 });
+    assert.equal(pageRequests().length, 3);
+    assert.equal(store.get('transactionIndex').transactions.length, 5);
+
+    await client.wallet.sendPi('alice', 1.5, 'Rent');
+    requests.length = 0;
+
+    assert.deepEqual(await index.sync(), { added: 1, updated: 0, total: 6, syncedAt: 1000000 });
+    // The newest transaction indexed already is on the first page
+    assert.equal(pageRequests().length, 1);
+    assert.equal(index.search().transactions[0].memo, 'Rent');
+  });
+
+  it('shares a sync in flight', async () => {
+    const [first, second] = await Promise.all([index.sync(), index.sync()]);
+
+    assert.equal(first, second);
+    assert.equal(pageRequests().length, 3);
+  });
+
+  it('searches memos and counterparties and filters the results', async () => {
+    await client.wallet.sendPi('alice', 1.5, 'Rent for June');
+    await client.wallet.sendPi('carol', 2, 'Bike repair');
+    await index.sync();
+
+    const search = (filters) => index.search(filters).transactions.map((transaction) => transaction.memo || transaction.type);
+
+    assert.deepEqual(search({ query: 'JUNE rent' }), ['Rent for June']);
+    assert.deepEqual(search({ query: 'carol' }), ['Bike repair']);
+    assert.deepEqual(search({ query: 'june bike' }), []);
+    assert.deepEqual(search({ direction: 'out' }), ['Bike repair', 'Rent for June']);
+    assert.deepEqual(search({ direction: 'in', since: new Date(Date.now() - 1.5 * DAY_MS).toISOString() }), [
+      'mining_reward',
+      'mining_reward'
+    ]);
+    assert.deepEqual(search({ direction: 'out', minAmount: '1.5', maxAmount: 1.9 }), ['Rent for June']);
+    assert.deepEqual(search({ status: 'failed' }), []);
+  });
+
+  it('pages the results like the history endpoint', async () => {
+    await index.sync();
+
+    const { transactions, pagination, syncedAt } = index.search({ direction: 'in', page: 3, limit: 2 });
+
+    assert.deepEqual(transactions.map((transaction) => transaction.id), ['tx-bob-5']);
+    assert.deepEqual(pagination, { page: 3, limit: 2, total: 5, pages: 3 });
+    assert.equal(syncedAt, 1000000);
+  });
+
+  it('rejects invalid filters', () => {
+    assert.throws(() => index.search({ direction: 'sideways' }), { code: 'INVALID_FILTER', message: 'Unknown direction: sideways' });
+    assert.throws(() => index.search({ minAmount: '-1' }), { message: 'minAmount must be a positive number' });
+    assert.throws(() => index.search({ minAmount: 5, maxAmount: 1 }), {
+      message: 'The minimum amount is above the maximum amount'
+    });
+    assert.throws(() => index.search({ until: 'tomorrow' }), { message: 'until must be a valid date' });
+  });
+
+  it('requests pending transactions again until they settle', async () => {
+    const history = [
+      { id: 'tx-2', timestamp: '2024-01-02T00:00:00.000Z', amount: '-1', status: 'pending' },
+      { id: 'tx-1', timestamp: '2024-01-01T00:00:00.000Z', amount: '5', status: 'completed' }
+    ];
+    const seen = [];
+    const wallet = {
+      iterateTransactions: async function* ({ stopWhen }) {
+        for (const transaction of history) {
+          if (stopWhen(transaction)) return;
+          seen.push(transaction.id);
+          yield transaction;
+        }
+      }
+    };
+    index = new TransactionIndex({ store, wallet });
+
+    await index.sync();
+    history[0] = { ...history[0], status: 'completed' };
+    seen.length = 0;
+
+    assert.deepEqual(await index.sync(), { added: 0, updated: 1, total: 2, syncedAt: index.getSyncedAt() });
+    assert.deepEqual(seen, ['tx-2']);
+    assert.equal(index.search({ status: 'pending' }).pagination.total, 0);
+  });
+
+  it('requests pending transactions under newer settled ones', async () => {
+    const history = [
+      { id: 'tx-3', timestamp: '2024-01-03T00:00:00.000Z', amount: '2', status: 'completed' },
+      { id: 'tx-2', timestamp: '2024-01-02T00:00:00.000Z', amount: '-1', status: 'pending' },
+      { id: 'tx-1', timestamp: '2024-01-01T00:00:00.000Z', amount: '5', status: 'completed' }
+    ];
+    const seen = [];
+    const wallet = {
+      iterateTransactions: async function* ({ stopWhen }) {
+        for (const transaction of history) {
+          if (stopWhen(transaction)) return;
+          seen.push(transaction.id);
+          yield transaction;
+        }
+      }
+    };
+    index = new TransactionIndex({ store, wallet });
+
+    await index.sync();
+    history[1] = { ...history[1], status: 'completed' };
+    seen.length = 0;
+
+    assert.deepEqual(await index.sync(), { added: 0, updated: 2, total: 3, syncedAt: index.getSyncedAt() });
+    assert.deepEqual(seen, ['tx-3', 'tx-2']);
+    assert.equal(index.search({ status: 'pending' }).pagination.total, 0);
+
+    // Settled: back to stopping at the newest indexed transaction
+    seen.length = 0;
+    await index.sync();
+    assert.deepEqual(seen, []);
+  });
+
+  it('indexes a transaction once when paging yields it twice', async () => {
+    const transaction = { id: 'tx-1', timestamp: '2024-01-01T00:00:00.000Z', amount: '5', status: 'completed' };
+    const wallet = {
+      // A transaction made during the walk pushes tx-1 onto the next page
+      iterateTransactions: async function* () {
+        yield transaction;
+        yield { ...transaction };
+      }
+    };
+    index = new TransactionIndex({ store, wallet });
+
+    assert.deepEqual(await index.sync(), { added: 1, updated: 0, total: 1, syncedAt: index.getSyncedAt() });
+    assert.equal(index.list().length, 1);
+  });
+
+  it('drops a sync running when it is cleared', async () => {
+    const syncing = index.sync();
+    index.clear();
+
+    assert.equal((await syncing).total, 0);
+    assert.equal(store.get('transactionIndex'), undefined);
+    assert.equal(index.search().pagination.total, 0);
+    assert.equal(index.getSyncedAt(), null);
+  });
+});
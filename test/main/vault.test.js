@@ -0,0 +1,102 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { stubElectron, createTempDir, silenceConsole } = require('../helpers');
+
+describe('CredentialVault', () => {
+  let electron;
+  let Store;
+  let CredentialVault;
+  let cwd;
+
+  before(() => {
+    // electron-store reads the app paths from electron when it is loaded
+    electron = stubElectron({ userData: os.tmpdir() });
+    Store = require('electron-store');
+    ({ CredentialVault } = require('../../src/main/vault'));
+  });
+
+  after(() => electron.restore());
+
+  beforeEach((t) => {
+    silenceConsole(t);
+    cwd = createTempDir(t);
+  });
+
+  const createVault = (options = {}) => new CredentialVault({ name: 'credentials', cwd, ...options });
+
+  // Make the rename of one file fail, like a crash at that point would
+  const failRenameOf = (t, file) => {
+    const renameSync = fs.renameSync;
+    t.mock.method(fs, 'renameSync', (from, to) => {
+      if (from === path.join(cwd, file)) {
+        throw new Error('Simulated crash');
+      }
+      return renameSync(from, to);
+    });
+  };
+
+  it('migrates a store written with the legacy key', async () => {
+    new Store({ name: 'credentials', cwd, encryptionKey: 'legacy-key' }).set('authToken', 'token-1');
+
+    const vault = createVault({ legacyEncryptionKey: 'legacy-key' });
+    await vault.unlock();
+
+    assert.equal(vault.get('authToken'), 'token-1');
+    assert.equal(vault.requiresPassphrase(), false);
+    // The store is no longer readable with the legacy key
+    assert.throws(() => new Store({ name: 'credentials', cwd, encryptionKey: 'legacy-key' }).store);
+
+    const reopened = createVault({ legacyEncryptionKey: 'legacy-key' });
+    await reopened.unlock();
+    assert.equal(reopened.get('authToken'), 'token-1');
+  });
+
+  it('derives the key from the passphrase', async () => {
+    const vault = createVault();
+    await vault.unlock();
+    vault.set('authToken', 'token-1');
+    await vault.setPassphrase('correct horse battery');
+
+    const reopened = createVault();
+    assert.equal(reopened.isUnlocked(), false);
+    await assert.rejects(reopened.unlock(), { code: 'PASSPHRASE_REQUIRED' });
+    await assert.rejects(reopened.unlock('wrong passphrase'), { code: 'INVALID_PASSPHRASE' });
+    await reopened.unlock('correct horse battery');
+    assert.equal(reopened.get('authToken'), 'token-1');
+    assert.doesNotMatch(fs.readFileSync(path.join(cwd, 'credentials-vault.json'), 'utf8'), /installKey/);
+  });
+
+  it('keeps the old key when a passphrase change stops before its commit', async (t) => {
+    const vault = createVault();
+    await vault.unlock();
+    vault.set('authToken', 'token-1');
+
+    failRenameOf(t, 'credentials-vault.tmp.json');
+    await assert.rejects(vault.setPassphrase('correct horse battery'), { message: 'Simulated crash' });
+    t.mock.restoreAll();
+
+    const reopened = createVault();
+    assert.equal(reopened.requiresPassphrase(), false);
+    await reopened.unlock();
+    assert.equal(reopened.get('authToken'), 'token-1');
+    assert.equal(fs.existsSync(path.join(cwd, 'credentials.tmp.json')), false);
+  });
+
+  it('finishes a passphrase change that stopped between its two writes', async (t) => {
+    const vault = createVault();
+    await vault.unlock();
+    vault.set('authToken', 'token-1');
+
+    failRenameOf(t, 'credentials.tmp.json');
+    await assert.rejects(vault.setPassphrase('correct horse battery'), { message: 'Simulated crash' });
+    t.mock.restoreAll();
+
+    const reopened = createVault();
+    assert.equal(reopened.requiresPassphrase(), true);
+    await reopened.unlock('correct horse battery');
+    assert.equal(reopened.get('authToken'), 'token-1');
+  });
+});
@@ -0,0 +1,175 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockServer, createTestClient, silenceConsole } = require('../helpers');
+const { NetworkError } = require('../../src/api/errors');
+const { ResponseCache } = require('../../src/main/cache');
+const { TransactionIndex } = require('../../src/main/transaction-index');
+const {
+  buildWalletAnalytics,
+  loadWalletAnalytics,
+  exportWalletAnalytics,
+  MAX_DAYS
+} = require('../../src/main/wallet-analytics');
+
+// In-memory stand-in for an account store
+const createMemoryStore = () => {
+  const values = new Map();
+  return {
+    get: (key) => values.get(key),
+    set: (key, value) => values.set(key, value),
+    delete: (key) => values.delete(key),
+    has: (key) => values.has(key)
+  };
+};
+
+const NOW = Date.parse('2021-01-05T12:00:00Z');
+
+const TRANSACTIONS = [
+  { id: 'tx-4', type: 'transfer', timestamp: '2021-01-04T09:00:00Z', amount: '-0.1', status: 'completed' },
+  { id: 'tx-3', type: 'transfer', timestamp: '2021-01-04T08:00:00Z', amount: '-50', status: 'failed' },
+  { id: 'tx-2', type: 'mining_reward', timestamp: '2021-01-02T10:00:00Z', amount: '0.2', status: 'completed' },
+  { id: 'tx-1', type: 'transfer', timestamp: '2020-12-31T23:00:00Z', amount: '3', status: 'completed' }
+];
+
+const SESSIONS = [
+  // Listed as tx-2 already
+  { sessionId: 'session-2', startTime: '2021-01-01T10:00:00Z', endTime: '2021-01-02T10:00:00Z', earned: '0.2' },
+  { sessionId: 'session-1', startTime: '2020-12-31T10:00:00Z', endTime: '2021-01-01T10:00:00Z', earned: '0.7' }
+];
+
+describe('wallet analytics', () => {
+  it('rebuilds the daily balance from the current one', () => {
+    const analytics = buildWalletAnalytics({ transactions: TRANSACTIONS, sessions: SESSIONS, balance: '10', days: null, now: NOW });
+
+    assert.equal(analytics.from, '2020-12-31');
+    assert.equal(analytics.to, '2021-01-05');
+    assert.deepEqual(analytics.daily, [
+      { date: '2020-12-31', balance: '9.2', inflow: '3', outflow: '0' },
+      { date: '2021-01-01', balance: '9.9', inflow: '0.7', outflow: '0' },
+      { date: '2021-01-02', balance: '10.1', inflow: '0.2', outflow: '0' },
+      { date: '2021-01-03', balance: '10.1', inflow: '0', outflow: '0' },
+      { date: '2021-01-04', balance: '10', inflow: '0', outflow: '0.1' },
+      { date: '2021-01-05', balance: '10', inflow: '0', outflow: '0' }
+    ]);
+  });
+
+  it('adds up the cash flow by ISO week and by month', () => {
+    const { weekly, monthly } = buildWalletAnalytics({ transactions: TRANSACTIONS, sessions: SESSIONS, balance: '10', days: null, now: NOW });
+
+    assert.deepEqual(weekly, [
+      // 2021-01-03 is a Sunday, in the last week of 2020
+      { period: '2020-W53', start: '2020-12-28', inflow: '3.9', outflow: '0', net: '3.9' },
+      { period: '2021-W01', start: '2021-01-04', inflow: '0', outflow: '0.1', net: '-0.1' }
+    ]);
+    assert.deepEqual(monthly.map(({ period, net }) => [period, net]), [['2020-12', '3'], ['2021-01', '0.8']]);
+  });
+
+  it('matches mining sessions to the rewards credited for them', () => {
+    const transactions = [
+      // Credited a few minutes after the end of session-b
+      { id: 'tx-b', type: 'mining_reward', timestamp: '2021-01-04T10:05:00Z', amount: '0.5', status: 'completed' },
+      { id: 'tx-a', type: 'transfer', timestamp: '2021-01-03T10:00:00Z', amount: '0.5', status: 'completed' }
+    ];
+    const sessions = [
+      { sessionId: 'session-b', startTime: '2021-01-03T10:00:00Z', endTime: '2021-01-04T10:00:00Z', earned: '0.5' },
+      // Same amount, but tx-b is taken and tx-a is no mining reward
+      { sessionId: 'session-a', startTime: '2021-01-02T10:00:00Z', endTime: '2021-01-03T10:00:00Z', earned: '0.5' }
+    ];
+
+    const { daily } = buildWalletAnalytics({ transactions, sessions, balance: '10', days: 3, now: NOW });
+
+    assert.deepEqual(daily.map((day) => [day.date, day.inflow, day.balance]), [
+      ['2021-01-03', '1', '9.5'],
+      ['2021-01-04', '0.5', '10'],
+      ['2021-01-05', '0', '10']
+    ]);
+  });
+
+  it('keeps the days of the range, today included', () => {
+    const { daily } = buildWalletAnalytics({ transactions: TRANSACTIONS, balance: '10', days: 3, now: NOW });
+
+    assert.deepEqual(daily.map((day) => [day.date, day.balance]), [
+      ['2021-01-03', '10.1'],
+      ['2021-01-04', '10'],
+      ['2021-01-05', '10']
+    ]);
+    assert.throws(() => buildWalletAnalytics({ transactions: [], balance: '1', days: 0 }), { code: 'INVALID_RANGE' });
+    assert.throws(() => buildWalletAnalytics({ transactions: [], balance: '1', days: 1e9 }), { code: 'INVALID_RANGE' });
+    const early = [{ id: 'tx-0', type: 'transfer', timestamp: '1970-01-02T00:00:00Z', amount: '1', status: 'completed' }];
+    assert.equal(buildWalletAnalytics({ transactions: early, balance: '1', days: null, now: NOW }).daily.length, MAX_DAYS);
+  });
+
+  it('exports a series as CSV or JSON', () => {
+    const analytics = buildWalletAnalytics({ transactions: TRANSACTIONS, balance: '10', days: 2, now: NOW });
+
+    assert.equal(
+      exportWalletAnalytics(analytics, { series: 'daily' }),
+      'date,balance,inflow,outflow\r\n2021-01-04,10,0,0.1\r\n2021-01-05,10,0,0\r\n'
+    );
+    const exported = JSON.parse(exportWalletAnalytics(analytics, { series: 'weekly', format: 'json' }));
+    assert.deepEqual(exported.points, [{ period: '2021-W01', start: '2021-01-04', inflow: '0', outflow: '0.1', net: '-0.1' }]);
+    assert.throws(() => exportWalletAnalytics(analytics, { series: 'yearly' }), { code: 'INVALID_EXPORT' });
+    assert.throws(() => exportWalletAnalytics(analytics, { series: 'daily', format: 'xlsx' }), { code: 'INVALID_EXPORT' });
+  });
+
+  describe('with the API', () => {
+    let mock;
+    let account;
+
+    before(async () => {
+      mock = await startMockServer();
+    });
+
+    after(() => mock.close());
+
+    beforeEach(async (t) => {
+      silenceConsole(t);
+      mock.state.reset();
+      const store = createMemoryStore();
+      // bob has 5 mining rewards, one per day, and 7.25 π
+      const api = await createTestClient(mock, { username: 'bob' });
+      account = {
+        api,
+        cache: new ResponseCache({ store }),
+        transactionIndex: new TransactionIndex({ store, wallet: api.wallet })
+      };
+    });
+
+    it('syncs the history and counts each mining reward once', async () => {
+      const analytics = await loadWalletAnalytics(account, { days: 7 });
+      const rewards = account.transactionIndex.list().reduce((sum, transaction) => sum + Number(transaction.amount), 0);
+      const inflow = analytics.daily.reduce((sum, day) => sum + Number(day.inflow), 0);
+
+      assert.equal(analytics.daily.length, 7);
+      assert.equal(analytics.daily[6].balance, '7.25');
+      assert.equal(inflow.toFixed(7), rewards.toFixed(7));
+      assert.equal(analytics.partial, false);
+      assert.equal(typeof analytics.syncedAt, 'number');
+    });
+
+    it('falls back to local data offline', async () => {
+      await account.transactionIndex.sync();
+      account.cache.set('/wallet/balance', { balance: '7', pending: '0', totalEarned: '7' });
+      const offline = async () => {
+        throw new NetworkError('Network Error');
+      };
+      const offlinePages = async function* () {
+        throw new NetworkError('Network Error');
+      };
+      account.api = {
+        wallet: { ...account.api.wallet, getBalance: offline, iterateTransactions: offlinePages },
+        mining: { iterateMiningHistory: offlinePages }
+      };
+      account.transactionIndex.wallet = account.api.wallet;
+
+      const analytics = await loadWalletAnalytics(account);
+
+      assert.equal(analytics.partial, true);
+      assert.equal(analytics.balance, '7');
+      assert.equal(analytics.daily.length, 90);
+
+      account.cache.clear();
+      await assert.rejects(loadWalletAnalytics(account), { name: 'NetworkError' });
+    });
+  });
+});
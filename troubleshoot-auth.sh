@@ -192,34 +192,21 @@ check_api_url_consistency() {
     
     URL_INCONSISTENCIES=0
     
-    # Check auth.js
-    if [ -f "src/api/auth.js" ]; then
-        AUTH_BASE_URL=$(grep -o "BASE_API_URL.*" src/api/auth.js | head -1)
-        print_info "In src/api/auth.js: ${AUTH_BASE_URL}"
-        
-        if [[ "$AUTH_BASE_URL" != *"api.minepi.com/v2"* ]]; then
-            print_warning "auth.js may not be using the correct API base URL"
-            URL_INCONSISTENCIES=$((URL_INCONSISTENCIES + 1))
-        fi
-    else
-        print_warning "src/api/auth.js not found"
-    fi
-    
-    # Check main.js
-    if [ -f "main.js" ]; then
-        MAIN_BASE_URL=$(grep -o "PI_API_BASE_URL.*" main.js | head -1)
-        print_info "In main.js: ${MAIN_BASE_URL}"
-        
-        if [[ "$MAIN_BASE_URL" != *"api.minepi.com/v2"* ]]; then
-            print_warning "main.js may not be using the correct API base URL"
+    # The app, the API modules and the debug scripts all read src/config.js
+    if [ -f "src/config.js" ]; then
+        CONFIG_BASE_URL=$(node -e "const c = require('./src/config').getConfig(); console.log(c.environment + ' ' + c.apiBaseURL)" 2>&1)
+        if [ $? -eq 0 ]; then
+            print_info "Configured environment and API base URL: ${CONFIG_BASE_URL}"
+        else
+            print_error "Could not read the configuration: ${CONFIG_BASE_URL}"
             URL_INCONSISTENCIES=$((URL_INCONSISTENCIES + 1))
         fi
     else
-        print_warning "main.js not found"
+        print_warning "src/config.js not found"
     fi
     
     # Check for other API URL references
-    OTHER_URLS=$(grep -r "api.minepi.com" --include="*.js" . | grep -v "src/api/auth.js" | grep -v "main.js" | grep -v "test-auth.js" | grep -v "debug-auth.js")
+    OTHER_URLS=$(grep -r "api.minepi.com" --include="*.js" . | grep -v "node_modules" | grep -v "src/config.js")
     
     if [ -n "$OTHER_URLS" ]; then
         print_info "\nOther API URL references found:"